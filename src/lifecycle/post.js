@@ -12,9 +12,42 @@ import path from 'path';
  * @description Leverages resolved system paths and core constants to ensure 
  * write operations target the correct project directories.
  */
-import { CONTEXT_FILE_PATH, ESLINT_GLOBAL_JS_PATH } from '../utils/utilityHelpers';
+import {
+    CONTEXT_FILE_PATH,
+    ESLINT_GLOBAL_JS_PATH,
+    readCasperConfig,
+    findContextsByVar,
+    isModuleScopeKey,
+    getSetterContextKey
+} from '../utils/utilityHelpers';
 
-import { _CCTX_CMP_NAME_PREFIX, _CCTX_EMPTY, _CCTX_UNDEFINED, UNICODE_UTF8, CASPER_READ_ONLY_TYPE, ESLINT_RC_FILE } from '../utils/constants';
+/**
+ * Scoped Resolution
+ * @description
+ * - getQualifiedName: Spells `_$_Admin$user` for names declared by several scopes.
+ * - getContextGroups: Lists the contexts of a scope; only the ones other scopes use are generated.
+ * - isStoreContext: Tells the contexts whose value is a store apart.
+ * - hasSetterContext: Tells the contexts whose setter is also provided alone.
+ */
+import { getQualifiedName, getContextGroups, isStoreContext, hasSetterContext } from '../utils/resolution';
+
+import {
+    _CCTX_EMPTY,
+    _CCTX_UNDEFINED,
+    UNICODE_UTF8,
+    CASPER_READ_ONLY_TYPE,
+    ESLINT_RC_FILE,
+    IMPORT_KIND_DEFAULT,
+    IMPORT_KIND_NAMESPACE,
+    CASPER_DEFINE_HELPER,
+    CASPER_INTEROP_DEFAULT_HELPER,
+    CASPER_RUNTIME_MODULE,
+    RUNTIME_CREATE_ROOT_STORE,
+    RUNTIME_CREATE_STORE,
+    RUNTIME_SHALLOW_EQUAL,
+    ROOT_STORE,
+    _CCTX_SET
+} from '../utils/constants';
 
 /**
  * @important
@@ -24,6 +57,81 @@ import { _CCTX_CMP_NAME_PREFIX, _CCTX_EMPTY, _CCTX_UNDEFINED, UNICODE_UTF8, CASP
  * - `UNICODE_UTF8`: Standard encoding used for all `fs.writeFileSync` operations.
  */
 
+/**
+ * Source of the helpers used by lazily computed context defaults.
+ * @type {string}
+ * @private
+ */
+const LAZY_DEFAULT_HELPERS = `function ${CASPER_DEFINE_HELPER}(target, key, value) {
+  Object.defineProperty(target, key, { value, writable: true, enumerable: true, configurable: true });
+  return value;
+}
+function ${CASPER_INTEROP_DEFAULT_HELPER}(module) {
+  return module && module.__esModule ? module.default : module;
+}
+`;
+
+/**
+ * Builds the statement that re-creates an imported binding inside the context module.
+ *
+ * @param {{local: string, source: string, kind: string, imported?: string}} item - The import
+ *   description recorded by `describeInitializer`.
+ *
+ * @returns {string} A `const local = require(...)` statement.
+ */
+function buildRequireStatement (item) {
+    const required = `require(${JSON.stringify(item.source)})`;
+    if (item.kind === IMPORT_KIND_DEFAULT) return `const ${item.local} = ${CASPER_INTEROP_DEFAULT_HELPER}(${required});`;
+    if (item.kind === IMPORT_KIND_NAMESPACE) return `const ${item.local} = ${required};`;
+    return `const ${item.local} = ${required}[${JSON.stringify(item.imported)}];`;
+}
+
+/**
+ * Builds one property of a context's default object.
+ *
+ * @param {string} name - The casper variable name.
+ * @param {{code: string, imports: Array<Object>, lazy: boolean}|undefined} description - The
+ *   initializer description recorded in the registry.
+ * @param {string} [indent] - The indentation of the property.
+ *
+ * @returns {string} Either `name: <initializer>` or a getter that computes the initializer on
+ *   first read and then replaces itself with the value.
+ */
+function buildDefaultProperty (name, description, indent = '  ') {
+    if (!description) return `${indent}${name}: ${_CCTX_UNDEFINED}`;
+    if (!description.lazy) return `${indent}${name}: ${description.code.split('\n').join(`\n${indent}`)}`;
+    const inner = `${indent}  `;
+    const requires = description.imports.map(item => `${inner}${buildRequireStatement(item)}\n`).join(_CCTX_EMPTY);
+    const code = description.code.split('\n').join(`\n${inner}`);
+    return `${indent}get ${name}() {\n${requires}${inner}return ${CASPER_DEFINE_HELPER}(this, ${JSON.stringify(name)}, ${code});\n${indent}}`;
+}
+
+/**
+ * Builds the default value of a context, used by consumers rendered outside its Provider.
+ *
+ * @param {{name: string, varNames: string[], defaults: Object, store: boolean, readOnly: boolean, actions: boolean}} entry
+ *   The context, as collected by `generateContextContent`.
+ *
+ * @returns {string} The default, in the shape of the Provider value consumers read:
+ *   - `{ app_1a2b3c4d: { _$_x: 0 }, setApp_1a2b3c4d: () => {} }`: the state under the lower-cased key
+ *     (`CTX_App_1a2b3c4d.app_1a2b3c4d["_$_x"]`), and a setter doing nothing, like the setter context's.
+ *   - No setter for the `const` variables and the actions; the actions default to functions doing nothing.
+ *   - A store holding the defaults for a context backed by a store, since that is its Provider value.
+ */
+function buildContextDefault (entry) {
+    const { name, varNames, defaults, store, readOnly, actions } = entry;
+    if (store) {
+        const storeProps = varNames.map(varName => buildDefaultProperty(varName, defaults[varName])).join(',\n');
+        return `(0, _casperRuntime.${RUNTIME_CREATE_STORE})({\n${storeProps}\n})`;
+    }
+    const stateProps = varNames
+        .map(varName => actions ? `    ${varName}: () => {}` : buildDefaultProperty(varName, defaults[varName], '    '))
+        .join(',\n');
+    const stateName = name[0].toLowerCase() + name.slice(1);
+    const setter = readOnly ? _CCTX_EMPTY : `,\n  ${_CCTX_SET}${name}: () => {}`;
+    return `{\n  ${stateName}: {\n${stateProps}\n  }${setter}\n}`;
+}
+
 /**
  * Generates a JavaScript module file that exports React context instances
  * based on the registered variables in the `virtualRegistry`.
@@ -40,7 +148,7 @@ import { _CCTX_CMP_NAME_PREFIX, _CCTX_EMPTY, _CCTX_UNDEFINED, UNICODE_UTF8, CASP
  *     [componentHash]: {
  *       ctxName: string,       // Generated context name
  *       varNames: string[],    // List of variable names registered for this context
- *       defaults: Record<string, any> // Default values for each variable
+ *       defaults: Record<string, Object> // Initializer descriptions (see `describeInitializer`)
  *     }
  *   }
  *   ```
@@ -51,10 +159,30 @@ import { _CCTX_CMP_NAME_PREFIX, _CCTX_EMPTY, _CCTX_UNDEFINED, UNICODE_UTF8, CASP
  * @important
  * - The generated module follows CommonJS export style with ES module compatibility.
  * - All variables registered in `virtualRegistry` are included in their respective
- *   `createContext` objects. Variables without a default value are set to `_CCTX_UNDEFINED`.
+ *   `createContext` objects. Variables without a reproducible initializer are set to `_CCTX_UNDEFINED`.
+ * - Each default has the shape of its Provider's value (see `buildContextDefault`), so a consumer rendered
+ *   outside the Provider reads the initial values and its writes do nothing.
+ * - Initializers are emitted as written. Expensive ones and ones that need imports become
+ *   getters that require their imports and compute the value on first read, once.
  * - The function overwrites any existing file at `CONTEXT_FILE_PATH`.
  * - React is imported as `_react` and used for `createContext` calls.
- * - The `_CCTX_CMP_NAME_PREFIX` is stripped from exported context names for clarity.
+ * - Contexts are exported under their keys (see `getContextKey`), without the `_CCTX_CMP_NAME_PREFIX`.
+ * - A component with context groups exports one context per group (see `getContextGroups`):
+ *   `App_1a2b3c4d` for its ungrouped variables, `App_1a2b3c4d$session` for the `session` group.
+ * - Variables no other scope uses are local state of their component and get no context; a scope
+ *   whose variables are all unshared exports nothing.
+ * - A hook's variables are exported too (`useCart_1a2b3c4d`), although no Provider ever supplies them: a
+ *   component reading one (reported by `reportUnreachableProvider`) compiles to a `useContext` of that export,
+ *   and reads the initial values instead of failing on a missing context. Each file is compiled on its own,
+ *   so without `projectAnalysis` no file can tell that such a reader does not exist.
+ * - A context backed by a store (`"runtime": "store"`, see `isStoreContext`) defaults to a store holding
+ *   the defaults, created with the runtime's `createStore`, since that is what its consumers subscribe to.
+ * - A context some component only writes (see `hasSetterContext`) is followed by its setter context
+ *   (`App_1a2b3c4d$$setter`), whose default setter does nothing, like writes made outside any Provider.
+ * - Module-level variables are not given a context: they are the initial state of one `rootStore`
+ *   export, created with the runtime's `createRootStore` (which also makes it reachable from the
+ *   runtime's `get` / `set` / `subscribe`, so the call is not marked pure). The variables compared
+ *   with `@casper-equals shallow` are passed to it as a second argument.
  * - Errors are silently caught; consider adding logging for debugging or dev builds.
  * - The generated content is formatted with line breaks and indentation for readability.
  *
@@ -63,12 +191,16 @@ import { _CCTX_CMP_NAME_PREFIX, _CCTX_EMPTY, _CCTX_UNDEFINED, UNICODE_UTF8, CASP
  * const virtualRegistry = {
  *   'abc123': {
  *     ctxName: '_CCTX_abc123',
- *     varNames: ['count', 'enabled'],
- *     defaults: { count: 0, enabled: true }
+ *     varNames: ['count', 'since'],
+ *     defaults: {
+ *       count: { code: '0', imports: [], lazy: false },
+ *       since: { code: 'new Date(0)', imports: [], lazy: true }
+ *     }
  *   }
  * };
  * generateContextContent(virtualRegistry);
- * // Produces a file exporting a React context with default { count: 0, enabled: true }
+ * // Produces a file exporting a React context with default
+ * // { abc123: { count: 0, get since() { return _casperDefine(this, "since", new Date(0)); } }, setAbc123: () => {} }
  * ```
  */
 function generateContextContent(virtualRegistry) {
@@ -77,29 +209,101 @@ function generateContextContent(virtualRegistry) {
         let contextNames = [];
         let content = `'use strict';\n\nObject.defineProperty(exports, '__esModule', {\n  value: true\n});\n`;
         if (Object.keys(virtualRegistry).length === 0) return
-        Object.values(virtualRegistry).forEach(entry => {
-            if (!entry.ctxName) return;
-            contextNames.push(entry.ctxName.replace(_CCTX_CMP_NAME_PREFIX, _CCTX_EMPTY));
+        const config = readCasperConfig();
+        const prefix = config.prefix;
+        const contextEntries = Object.keys(virtualRegistry)
+            .filter(key => virtualRegistry[key].ctxName && !isModuleScopeKey(key))
+            .flatMap(key => getContextGroups(key, virtualRegistry, prefix)
+                .filter(context => context.provided)
+                .map(context => ({
+                    name: context.key,
+                    varNames: context.varNames,
+                    defaults: virtualRegistry[key].defaults,
+                    store: isStoreContext(key, context.key, virtualRegistry, config),
+                    readOnly: context.readOnly,
+                    actions: context.actions,
+                    setter: hasSetterContext(key, context.key, virtualRegistry, config)
+                })));
+        const storeDefaults = collectStoreDefaults(virtualRegistry);
+        contextEntries.forEach(entry => {
+            contextNames.push(entry.name);
+            if (entry.setter) contextNames.push(getSetterContextKey(entry.name));
         });
+        if (Object.keys(storeDefaults).length) contextNames.push(ROOT_STORE);
+        if (!contextNames.length) return;
 
         content += `exports.${contextNames.join(' = exports.')} = void 0;\n`;
         content += `var _react = require('react');\n`;
+        const hasLazyDefaults = contextEntries.some(entry => entry.varNames.some(name => entry.defaults[name]?.lazy)) ||
+            Object.values(storeDefaults).some(description => description?.lazy);
+        if (hasLazyDefaults) content += LAZY_DEFAULT_HELPERS;
 
-        Object.values(virtualRegistry).forEach(entry => {
-            if (!entry.ctxName) return;
-            const { ctxName, varNames, defaults } = entry;
-            const defaultObjProps = varNames.map(name => {
-                const val = defaults[name] !== undefined ? JSON.stringify(defaults[name]) : _CCTX_UNDEFINED;
-                return `  ${name}: ${val}`;
-            }).join(',\n');
-            content += `const ${ctxName.replace(_CCTX_CMP_NAME_PREFIX, _CCTX_EMPTY)} = exports.${ctxName.replace(_CCTX_CMP_NAME_PREFIX, _CCTX_EMPTY)} = /*#__PURE__*/(0, _react.createContext)({\n${defaultObjProps}\n});\n`;
+        if (Object.keys(storeDefaults).length || contextEntries.some(entry => entry.store)) {
+            content += `var _casperRuntime = require(${JSON.stringify(CASPER_RUNTIME_MODULE)});\n`;
+        }
+        contextEntries.forEach(entry => {
+            const { name } = entry;
+            content += `const ${name} = exports.${name} = /*#__PURE__*/(0, _react.createContext)(${buildContextDefault(entry)});\n`;
+            if (entry.setter) {
+                const setterName = getSetterContextKey(name);
+                content += `const ${setterName} = exports.${setterName} = /*#__PURE__*/(0, _react.createContext)(() => {});\n`;
+            }
         });
+        if (Object.keys(storeDefaults).length) {
+            const storeObjProps = Object.keys(storeDefaults).map(name => buildDefaultProperty(name, storeDefaults[name])).join(',\n');
+            const storeEquality = collectStoreEquality(virtualRegistry);
+            const equalsArg = storeEquality.length
+                ? `, {\n${storeEquality.map(name => `  ${name}: _casperRuntime.${RUNTIME_SHALLOW_EQUAL}`).join(',\n')}\n}`
+                : _CCTX_EMPTY;
+            content += `const ${ROOT_STORE} = exports.${ROOT_STORE} = (0, _casperRuntime.${RUNTIME_CREATE_ROOT_STORE})({\n${storeObjProps}\n}${equalsArg});\n`;
+        }
         fs.writeFileSync(CONTEXT_FILE_PATH, content, UNICODE_UTF8);
     } catch (e) {
 
     }
 }
 
+/**
+ * Collects the initial values of the root store from every module's top-level declarations.
+ *
+ * @param {Object<string, Object>} virtualRegistry - The in-memory registry of scopes.
+ *
+ * @returns {Object<string, Object|undefined>} Initializer descriptions keyed by variable name.
+ *
+ * @important
+ * - Module-level variables are app-wide: a name declared at the top level of several modules is
+ *   one store variable. Its initializers all have the same source (see `moduleVariableDeclarationVisitor`),
+ *   so the first reproducible one is used.
+ */
+function collectStoreDefaults (virtualRegistry) {
+    const storeDefaults = {};
+    Object.keys(virtualRegistry).filter(isModuleScopeKey).forEach(key => {
+        const { varNames, defaults } = virtualRegistry[key];
+        varNames.forEach(name => {
+            if (!storeDefaults[name]) storeDefaults[name] = defaults[name];
+        });
+    });
+    return storeDefaults;
+}
+
+/**
+ * Lists the module-level variables the root store compares one level deep.
+ *
+ * @param {Object<string, Object>} virtualRegistry - The in-memory registry of scopes.
+ *
+ * @returns {string[]} The variables declared with `@casper-equals shallow` (or configured so) in some module.
+ *
+ * @important
+ * - Module-level variables only accept the built-in comparisons (see `getDeclarationEquality`).
+ */
+function collectStoreEquality (virtualRegistry) {
+    const names = new Set();
+    Object.keys(virtualRegistry).filter(isModuleScopeKey).forEach(key => {
+        Object.keys(virtualRegistry[key].equality || {}).forEach(name => names.add(name));
+    });
+    return [...names];
+}
+
 /**
  * Generates or updates the ESLint global variables configuration file
  * based on the current virtual registry.
@@ -129,6 +333,8 @@ function generateContextContent(virtualRegistry) {
  *
  * @important
  * - All variables are marked as read-only in the ESLint globals (`CASPER_READ_ONLY_TYPE`).
+ * - Each name is listed once; a name declared by several scopes also gets its qualified
+ *   spellings (`_$_Admin$user`, `_$_Customer$user`).
  * - File writes are **atomic**: the target file is cleared before writing new content.
  * - If no variables exist in the registry, the function exits early without writing.
  * - Errors are silently caught; consider adding logging for development.
@@ -157,8 +363,15 @@ function generateLintGlobalJS(virtualRegistry, prevVirtualRegistrySnap) {
     try {
         if (Object.keys(virtualRegistry).length === 0) return
         const currentCnt = fs.readFileSync(ESLINT_GLOBAL_JS_PATH, UNICODE_UTF8);
-        const content = Object.values(virtualRegistry)
-            .flatMap(entry => entry.varNames || [])
+        const prefix = readCasperConfig().prefix;
+        const globalNames = [];
+        Object.values(virtualRegistry).flatMap(entry => entry.varNames || []).forEach(name => {
+            if (globalNames.includes(name)) return;
+            globalNames.push(name);
+            const scopeKeys = findContextsByVar(name, virtualRegistry).filter(key => !isModuleScopeKey(key));
+            if (scopeKeys.length > 1) globalNames.push(...scopeKeys.map(key => getQualifiedName(key, name, prefix)));
+        });
+        const content = globalNames
             .map(name => `  "${name}": "${CASPER_READ_ONLY_TYPE}"`)
             .join(',\n');
         const fileContent = `// ****** generated by CasperContext ******
@@ -16,6 +16,13 @@ import path from 'path';
 import { CONTEXT_FILE_PATH } from '../utils/utilityHelpers';
 import { _CCTX_EMPTY } from '../utils/constants';
 
+/**
+ * Project Index
+ * @description
+ * - scanProject: Indexes every casper declaration of the source tree before the first transformation.
+ */
+import { scanProject } from './scan';
+
 /**
  * @important
  * All file operations in this module should prioritize synchronous methods (`fs.writeFileSync`, etc.)
@@ -61,13 +68,14 @@ function createScopeContext() {
  * Performs pre-processing steps before AST transformations on a file.
  *
  * This function sets up the necessary runtime or plugin context before
- * any file transformations occur. Currently, it calls `createScopeContext()`
- * to initialize the global scope or virtual registry for tracking component
- * variables and contexts.
+ * any file transformations occur. It calls `createScopeContext()` to make sure
+ * the generated context module exists, and `scanProject()` to index the casper
+ * declarations of the whole source tree on the first file of the build.
  *
  * @param {string} file - The path of the file that will be processed. Currently unused,
  *   but provided for future enhancements or logging purposes.
  * @param {Object} t - Babel types helper (`@babel/types`) used for AST operations.
+ * @param {Object<string, Object>} virtualRegistry - Registry of component scopes, filled by the scan.
  *
  * @returns {void}
  * This function does not return a value; its effect is to initialize internal
@@ -75,8 +83,7 @@ function createScopeContext() {
  *
  * @important
  * - Errors are silently caught; consider adding logging for debugging.
- * - Currently, the function only calls `createScopeContext()`, but can be
- *   extended for additional pre-processing tasks.
+ * - The project scan runs once per process and honours the plugin's `sourceDir` option.
  * - The `file` parameter is not used internally but may be relevant in
  *   future versions for file-specific setup.
  *
@@ -84,13 +91,14 @@ function createScopeContext() {
  * ```js
  * import preProcess from './preProcess';
  *
- * preProcess('src/App.js', t);
+ * preProcess('src/App.js', t, virtualRegistry);
  * // Initializes context for virtual registry and component tracking
  * ```
  */
-export default function preProcess(file, t) {
+export default function preProcess(file, t, virtualRegistry) {
     try {
         createScopeContext()
+        scanProject(this.opts, virtualRegistry)
     } catch (e) {
 
     }
@@ -0,0 +1,281 @@
+/**
+ * @fileoverview Project Pre-Scan Index.
+ * Casper references are resolved against the registry of declarations. When
+ * that registry is filled only while the bundler compiles each file, a consumer
+ * compiled before its declaring file finds nothing and is left untouched. This
+ * module indexes every source file once, before the first transformation, so
+ * that every file resolves the same way on a cold build whatever the bundler's
+ * order. Each compiled file then re-indexes itself, which keeps the index
+ * current in watch mode.
+ */
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Babel Core
+ * @description
+ * - transformSync: Runs the indexing pass over files that are not being compiled yet.
+ * - types: AST helpers handed to the indexing visitors.
+ */
+import { transformSync, types } from '@babel/core';
+
+/**
+ * Indexing Visitors
+ * @description
+ * - variableDeclarationVisitor / classPropertyVisitor / actionDeclarationVisitor: Register declarations
+ * exactly as the transformation does, so the pre-scan and the real compile agree.
+ * - indexComponentScopes: Records components and the components they render.
+ * - getCurrentScopeKey: Tells references made outside components, hooks and classes apart.
+ */
+import variableDeclarationVisitor, { classPropertyVisitor, actionDeclarationVisitor } from '../visitors/VariableDeclaration';
+import { indexComponentScopes, getCurrentScopeKey } from '../utils/resolution';
+
+/**
+ * Utilities
+ * @description
+ * - isExcludeFile: Applies `sourceDir` and the built-in exclusions to scanned files.
+ * - readCasperConfig: Supplies the prefix used while indexing.
+ * - registerScope / getModuleScopeKey: Record what a module reaches from outside React.
+ */
+import { isExcludeFile, readCasperConfig, registerScope, getModuleScopeKey } from '../utils/utilityHelpers';
+
+/**
+ * Core Constants
+ * @description
+ * - MODULE_EXTENSIONS: Files worth scanning.
+ * - NODE_MODULES: Never scanned.
+ * - UNICODE_UTF8: Encoding of source files.
+ * - CASPER_RUNTIME_MODULE: Imported by modules using `get` / `set` / `subscribe`.
+ * - RUNTIME_NAME_API: The runtime exports that name variables at run time.
+ * - _CCTX_EMPTY / _CCTX_LEFT / _CCTX_VALUE / _CCTX_REQUIRE: File name fallback and AST keys.
+ */
+import {
+    MODULE_EXTENSIONS,
+    NODE_MODULES,
+    UNICODE_UTF8,
+    CASPER_RUNTIME_MODULE,
+    RUNTIME_NAME_API,
+    _CCTX_EMPTY,
+    _CCTX_LEFT,
+    _CCTX_VALUE,
+    _CCTX_REQUIRE
+} from '../utils/constants';
+
+/**
+ * Tells whether a prefixed identifier is written: the target (or inside the target pattern)
+ * of an assignment, an update or a `for...in` / `for...of` head.
+ *
+ * @param {NodePath} idPath - The identifier.
+ *
+ * @returns {boolean}
+ * @private
+ */
+function isWrittenIdentifier (idPath) {
+    let child = idPath;
+    let parent = idPath.parentPath;
+    while (parent && (parent.isPattern() || parent.isRestElement() || (parent.isObjectProperty() && child.key === _CCTX_VALUE))) {
+        child = parent;
+        parent = parent.parentPath;
+    }
+    if (!parent) return false;
+    return parent.isUpdateExpression() ||
+        ((parent.isAssignmentExpression() || parent.isForXStatement()) && child.key === _CCTX_LEFT);
+}
+
+/**
+ * Whether the project has been scanned in this process.
+ * @type {boolean}
+ * @private
+ */
+let projectScanned = false;
+
+/**
+ * Registers the components and casper declarations of one file.
+ *
+ * @this {Object} The plugin pass; its `opts` are used for file exclusions.
+ * @param {NodePath} programPath - The file's Program path.
+ * @param {Object} state - Plugin state with `filename`, `casperConfig` and `importState`.
+ * @param {Object} t - Babel types helper (`@babel/types`).
+ * @param {Object<string, Object>} virtualRegistry - Registry of component scopes.
+ *
+ * @returns {void}
+ *
+ * @important
+ * - Called for every file when it is entered, right after its previous entries are reset, and
+ *   for every not-yet-compiled file by `scanProject`. Declarations later in a file are therefore
+ *   known to references earlier in it.
+ * - Also records, under the module's scope key, the casper names the file uses outside components,
+ *   hooks and classes (`outsideRefs`), the names each of its components, hooks and classes reads or
+ *   writes (`scopeRefs`, keyed by their registry key), the subset they read (`scopeReads`) and whether
+ *   it imports the runtime API naming variables at run time (`usesRuntimeApi`); see `isScopeUsedOutsideReact`,
+ *   `isVariableShared` and `isWriteOnlyScope`.
+ * - Importing only other runtime exports (`batch`) does not count: they reach no variable by name. A
+ *   namespace import or a `require` of the runtime may reach any, and counts.
+ */
+export function indexFile (programPath, state, t, virtualRegistry) {
+    try {
+        const pluginPass = this;
+        const fileName = state.filename || _CCTX_EMPTY;
+        const prefix = state.casperConfig.prefix;
+        const outsideRefs = new Set();
+        const scopeRefs = {};
+        const scopeReads = {};
+        let usesRuntimeApi = false;
+        indexComponentScopes(programPath, state, t, virtualRegistry);
+        programPath.traverse({
+            VariableDeclarator (varPath) {
+                variableDeclarationVisitor.call(pluginPass, varPath, state, t, virtualRegistry);
+            },
+            ClassProperty (propPath) {
+                classPropertyVisitor.call(pluginPass, propPath, state, t, virtualRegistry);
+            },
+            FunctionDeclaration (fnPath) {
+                actionDeclarationVisitor.call(pluginPass, fnPath, state, t, virtualRegistry);
+            },
+            Identifier (idPath) {
+                const name = idPath.node.name;
+                if (!name.startsWith(prefix)) return;
+                const isWritten = isWrittenIdentifier(idPath);
+                if (!idPath.isReferencedIdentifier() && !isWritten) return;
+                const scopeKey = getCurrentScopeKey(idPath, fileName);
+                if (!scopeKey) {
+                    outsideRefs.add(name);
+                    return;
+                }
+                if (!scopeRefs[scopeKey]) scopeRefs[scopeKey] = [];
+                if (!scopeRefs[scopeKey].includes(name)) scopeRefs[scopeKey].push(name);
+                if (isWritten) return;
+                if (!scopeReads[scopeKey]) scopeReads[scopeKey] = [];
+                if (!scopeReads[scopeKey].includes(name)) scopeReads[scopeKey].push(name);
+            },
+            ImportDeclaration (importPath) {
+                const { source, specifiers } = importPath.node;
+                if (source.value !== CASPER_RUNTIME_MODULE) return;
+                if (specifiers.some(spec =>
+                    !t.isImportSpecifier(spec) || RUNTIME_NAME_API.includes(spec.imported.name || spec.imported.value)
+                )) usesRuntimeApi = true;
+            },
+            CallExpression (callPath) {
+                const { callee, arguments: args } = callPath.node;
+                if (
+                    t.isIdentifier(callee, { name: _CCTX_REQUIRE }) &&
+                    t.isStringLiteral(args[0], { value: CASPER_RUNTIME_MODULE })
+                ) usesRuntimeApi = true;
+            }
+        });
+        registerScope(getModuleScopeKey(fileName), { outsideRefs: [...outsideRefs], scopeRefs, scopeReads, usesRuntimeApi }, virtualRegistry);
+    } catch (e) {
+
+    }
+}
+
+/**
+ * Lists the source files below a directory.
+ *
+ * @param {string} dir - The directory to walk.
+ * @param {Object} [opts] - Plugin options (`sourceDir`, `root`).
+ * @param {string[]} [files] - Accumulator.
+ *
+ * @returns {string[]} Absolute paths of scannable files.
+ *
+ * @important
+ * - Hidden entries, `node_modules`, build output and declaration files (`.d.ts`) are skipped.
+ */
+function collectSourceFiles (dir, opts, files = []) {
+    fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+        if (entry.name.startsWith('.') || entry.name === NODE_MODULES) return;
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            if (isExcludeFile(fullPath + path.sep, opts)) collectSourceFiles(fullPath, opts, files);
+            return;
+        }
+        if (
+            MODULE_EXTENSIONS.includes(path.extname(entry.name)) &&
+            !entry.name.endsWith('.d.ts') &&
+            isExcludeFile(fullPath, opts)
+        ) {
+            files.push(fullPath);
+        }
+    });
+    return files;
+}
+
+/**
+ * Chooses the parser plugins for a file from its extension.
+ *
+ * @param {string} fileName - The scanned file.
+ *
+ * @returns {string[]} `typescript` for `.ts`, `typescript` + `jsx` for `.tsx`, `jsx` otherwise.
+ */
+function getParserPlugins (fileName) {
+    const ext = path.extname(fileName);
+    if (ext === '.ts') return ['typescript'];
+    if (ext === '.tsx') return ['typescript', 'jsx'];
+    return ['jsx'];
+}
+
+/**
+ * Indexes one file without compiling it.
+ *
+ * @param {string} fileName - The file to index.
+ * @param {Object} opts - Plugin options, forwarded to the indexing pass.
+ * @param {Object<string, Object>} virtualRegistry - Registry of component scopes.
+ *
+ * @returns {void}
+ */
+function scanFile (fileName, opts, virtualRegistry) {
+    const code = fs.readFileSync(fileName, UNICODE_UTF8);
+    const indexPlugin = () => ({
+        visitor: {
+            Program (programPath, state) {
+                state.casperConfig = readCasperConfig();
+                state.importState = {};
+                indexFile.call(state, programPath, state, types, virtualRegistry);
+                programPath.stop();
+            }
+        }
+    });
+    transformSync(code, {
+        filename: fileName,
+        babelrc: false,
+        configFile: false,
+        code: false,
+        sourceType: 'unambiguous',
+        parserOpts: { plugins: getParserPlugins(fileName), errorRecovery: true },
+        plugins: [[indexPlugin, opts || {}]]
+    });
+}
+
+/**
+ * Indexes every source file of the project, once per process.
+ *
+ * @param {Object} [opts] - Plugin options: `sourceDir` restricts the scan to that folder
+ *                          (relative to `root`, default `process.cwd()`).
+ * @param {Object<string, Object>} virtualRegistry - Registry of component scopes.
+ *
+ * @returns {void}
+ *
+ * @important
+ * - Runs before the first file is transformed; later calls are no-ops.
+ * - Files that fail to parse are skipped; they are indexed when the bundler compiles them.
+ * - The index is kept current afterwards by the files themselves: every compiled file resets
+ *   and re-indexes its own entries (see `indexFile`), so edits in watch mode update it
+ *   incrementally without another full scan.
+ */
+export function scanProject (opts, virtualRegistry) {
+    if (projectScanned) return;
+    projectScanned = true;
+    try {
+        const root = opts?.root || process.cwd();
+        const sourceRoot = opts?.sourceDir ? path.join(root, opts.sourceDir) : root;
+        collectSourceFiles(sourceRoot, opts).forEach(fileName => {
+            try {
+                scanFile(fileName, opts, virtualRegistry);
+            } catch (e) {
+
+            }
+        });
+    } catch (e) {
+
+    }
+}
@@ -1,11 +1,13 @@
 import { PLUGIN_NAME } from './utils/constants';
 import preProcess from './lifecycle/pre';
 import postProcess from './lifecycle/post';
-import variableDeclarationVisitor from './visitors/VariableDeclaration';
-import assignmentExpressionVisitor from './visitors/AssignmentExpression';
+import variableDeclarationVisitor, { classPropertyVisitor, moduleVariableDeclarationVisitor, actionDeclarationVisitor } from './visitors/VariableDeclaration';
+import assignmentExpressionVisitor, { updateExpressionVisitor, deleteExpressionVisitor, forXHeadVisitor } from './visitors/AssignmentExpression';
+import callExpressionVisitor from './visitors/CallExpression';
 import identifierVisitor from './visitors/Identifier';
 import { programExit, programEnter } from './visitors/Program';
 import { functionDeclarationExit } from './visitors/FunctionDeclaration';
+import { classDeclarationExit } from './visitors/ClassDeclaration';
 import { readCasperConfig } from './utils/utilityHelpers';
 
 const virtualRegistry = {};
@@ -18,7 +20,7 @@ export default function ({ types: t }) {
     return {
         name: PLUGIN_NAME,
         pre(file) {
-            preProcess.call(this, file, t);
+            preProcess.call(this, file, t, virtualRegistry);
         },
         visitor: {
             Program: {
@@ -29,20 +31,46 @@ export default function ({ types: t }) {
                     programExit.call(this, path, state, t);
                 }
             },
+            VariableDeclaration (path, state) {
+                moduleVariableDeclarationVisitor.call(this, path, state, t, virtualRegistry);
+            },
             VariableDeclarator (path, state) {
                 variableDeclarationVisitor.call(this, path, state, t, virtualRegistry);
             },
+            ClassProperty (path, state) {
+                classPropertyVisitor.call(this, path, state, t, virtualRegistry);
+            },
+            FunctionDeclaration (path, state) {
+                actionDeclarationVisitor.call(this, path, state, t, virtualRegistry);
+            },
             AssignmentExpression (path, state) {
                 assignmentExpressionVisitor.call(this, path, state, t, virtualRegistry);
             },
+            UpdateExpression (path, state) {
+                updateExpressionVisitor.call(this, path, state, t, virtualRegistry);
+            },
+            UnaryExpression (path, state) {
+                deleteExpressionVisitor.call(this, path, state, t, virtualRegistry);
+            },
+            ForXStatement (path, state) {
+                forXHeadVisitor.call(this, path, state, t);
+            },
+            CallExpression (path, state) {
+                callExpressionVisitor.call(this, path, state, t, virtualRegistry);
+            },
             Identifier (path, state) {
                 identifierVisitor.call(this, path, state, t, seen, virtualRegistry);
             },
-            FunctionDeclaration: {
+            'FunctionDeclaration|FunctionExpression|ArrowFunctionExpression': {
                 exit (path, state) {
         
                     functionDeclarationExit.call(this, path, state, t, virtualRegistry);
                 }
+            },
+            'ClassDeclaration|ClassExpression': {
+                exit (path, state) {
+                    classDeclarationExit.call(this, path, state, t, virtualRegistry);
+                }
             }
         },
         post(file) {
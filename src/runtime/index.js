@@ -0,0 +1,1111 @@
+/**
+ * @fileoverview Casper Runtime Helpers.
+ * Compiled components import this module (`babel-plugin-casper-context/runtime`)
+ * when a casper object or array is mutated in place. Each helper returns a new
+ * root value that shares every untouched branch with the previous one, so React
+ * sees a new reference only along the path that actually changed.
+ *
+ * It also provides the store behind module-level casper variables: the generated
+ * context module creates one with `createRootStore`, function components read it
+ * through `useSyncExternalStore` and class components through `connectStore`.
+ *
+ * Finally it lets code outside React (API clients, socket handlers, analytics)
+ * reach casper state: declaring components publish their state here while they
+ * are mounted (`useScopeBinding`, `bindInstanceScope`), and `get`, `set` and
+ * `subscribe` read, write and watch a variable by name.
+ *
+ * Casper actions (prefixed functions) are held by `useActions`, which keeps
+ * their identity stable across renders.
+ *
+ * With `"runtime": "store"`, declaring function components keep their shared
+ * state in a store of their own (`useScopeStore`) and provide that store;
+ * consumers subscribe to the variables they read with `useStoreState`.
+ *
+ * Every setter of casper state (`useScopeState`, `createClassSetter` and the
+ * stores) skips an update that leaves each variable equal to its current value,
+ * compared with `Object.is`, `shallowEqual` or a function of the application.
+ * Inside `batch`, the updates made by its callback are held and applied together,
+ * one update per setter, when the batch ends.
+ *
+ * Each of those setters also keeps the latest state it was given, rendered or not;
+ * compiled code outside render (handlers, effects, timers) reads it with `latest`,
+ * so a write is visible to the very next statement.
+ *
+ * This module runs in the browser bundle; it must not import anything from the
+ * compiler side of the package.
+ */
+
+/**
+ * Creates a one-level copy of a container, keeping its kind.
+ *
+ * @param {*} value - The value to copy.
+ *
+ * @returns {Array|Map|Set|Object} A new array, `Map`, `Set` or object with the same entries.
+ *
+ * @important
+ * - Objects keep their prototype, so class instances stay instances of their class.
+ * - `null` / `undefined` become an empty plain object, so writes below a missing
+ *   branch create it instead of throwing inside a state updater.
+ */
+function shallowCopy (value) {
+    if (Array.isArray(value)) return value.slice();
+    if (value instanceof Map) return new Map(value);
+    if (value instanceof Set) return new Set(value);
+    if (value !== null && typeof value === 'object') {
+        return Object.assign(Object.create(Object.getPrototypeOf(value)), value);
+    }
+    return {};
+}
+
+/**
+ * Returns a copy of `target` where the value at `keys` is replaced by `updater(previous)`.
+ *
+ * @param {*} target - The root value (e.g. the previous value of `_$_user`).
+ * @param {Array<string|number>} keys - Property path from the root to the updated value.
+ * @param {function(*): *} updater - Receives the previous value at `keys` and returns the new one.
+ *
+ * @returns {*} The new root value; untouched branches are shared with `target`.
+ *
+ * @example
+ * ```js
+ * updateIn({ stats: { likes: 1 }, tags: [] }, ['stats', 'likes'], n => n + 1);
+ * // { stats: { likes: 2 }, tags: <same array> }
+ * ```
+ */
+export function updateIn (target, keys, updater) {
+    if (keys.length === 0) return updater(target);
+    const [key, ...rest] = keys;
+    const copy = shallowCopy(target);
+    copy[key] = updateIn(target == null ? undefined : target[key], rest, updater);
+    return copy;
+}
+
+/**
+ * Returns a copy of `target` with `value` stored at `keys`.
+ *
+ * @param {*} target - The root value.
+ * @param {Array<string|number>} keys - Property path from the root to the written value.
+ * @param {*} value - The value to store.
+ *
+ * @returns {*} The new root value.
+ *
+ * @example
+ * ```js
+ * _$_items[i].done = true;
+ * // compiles to an update using
+ * setIn(prevState["_$_items"], [i, "done"], true);
+ * ```
+ */
+export function setIn (target, keys, value) {
+    return updateIn(target, keys, () => value);
+}
+
+/**
+ * Returns a copy of `target` without the property at `keys`.
+ *
+ * @param {*} target - The root value.
+ * @param {Array<string|number>} keys - Property path from the root to the deleted property.
+ *
+ * @returns {*} The new root value.
+ *
+ * @example
+ * ```js
+ * delete _$_filters.status;
+ * // compiles to an update using
+ * deleteIn(prevState["_$_filters"], ["status"]);
+ * ```
+ */
+export function deleteIn (target, keys) {
+    const parentKeys = keys.slice(0, -1);
+    const key = keys[keys.length - 1];
+    return updateIn(target, parentKeys, parent => {
+        const copy = shallowCopy(parent);
+        delete copy[key];
+        return copy;
+    });
+}
+
+/**
+ * Tells whether a value is a `Map` or a `Set`, which `callIn` can copy and change.
+ *
+ * @param {*} value - The receiver of a `set`, `add`, `delete` or `clear` call.
+ *
+ * @returns {boolean}
+ *
+ * @important
+ * - Compiled `set` / `add` / `delete` / `clear` calls check their receiver with it first. Any other receiver
+ *   (`URLSearchParams`, `Headers`, `FormData`, a class of the application) keeps its own method, called as
+ *   written: copying it would lose the internal state the method works on.
+ */
+export function isCollection (value) {
+    return value instanceof Map || value instanceof Set;
+}
+
+/**
+ * Calls a mutating method on a copy of the container found at `keys`.
+ *
+ * @param {*} target - The root value.
+ * @param {Array<string|number>} keys - Property path from the root to the container.
+ * @param {string} method - The method to call (`push`, `splice`, `set`, `add`, ...).
+ * @param {Array<*>} args - The arguments of the original call.
+ *
+ * @returns {{value: *, result: *}} `value` is the new root; `result` is what the method returned.
+ *
+ * @important
+ * - The method runs on a fresh copy, never on the container held by React state.
+ * - `set`, `add`, `delete` and `clear` only reach it for a `Map` or a `Set` (see `isCollection`).
+ *
+ * @example
+ * ```js
+ * callIn(prevState["_$_todos"], [], 'push', [todo]).value;
+ * // [...prevState["_$_todos"], todo]
+ * ```
+ */
+export function callIn (target, keys, method, args) {
+    let result;
+    const value = updateIn(target, keys, container => {
+        const copy = shallowCopy(container);
+        result = copy[method](...args);
+        return copy;
+    });
+    return { value, result };
+}
+
+/**
+ * Compares two values one level deep.
+ *
+ * @param {*} a - First value.
+ * @param {*} b - Second value.
+ *
+ * @returns {boolean} `true` when `Object.is(a, b)`, or when both are arrays, `Map`s, `Set`s or objects
+ *          of the same prototype holding the same keys with `Object.is`-equal values.
+ *
+ * @example
+ * ```js
+ * shallowEqual({ status: 'open' }, { status: 'open' }); // true
+ * shallowEqual([1, [2]], [1, [2]]);                      // false, the inner arrays differ
+ * ```
+ */
+export function shallowEqual (a, b) {
+    if (Object.is(a, b)) return true;
+    if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') return false;
+    if (Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)) return false;
+    if (a instanceof Map) {
+        return a.size === b.size && [...a].every(([key, value]) => b.has(key) && Object.is(value, b.get(key)));
+    }
+    if (a instanceof Set) return a.size === b.size && [...a].every(value => b.has(value));
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length &&
+        keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && Object.is(a[key], b[key]));
+}
+
+/**
+ * Applies an update to casper state, unless it changes nothing.
+ *
+ * @param {Object} previous - The current state.
+ * @param {Object|function(Object): Object} updater - The new state, or a function computing it from `previous`.
+ * @param {Object<string, function(*, *): boolean>} [equals] - Comparison of some variables; the others
+ *        are compared with `Object.is`.
+ *
+ * @returns {Object} `previous` itself when every variable of the new state equals its current value;
+ *          otherwise the new state, where the variables that compare equal keep their current value.
+ *
+ * @important
+ * - Keeping the current value of an equal variable keeps consumers comparing with `Object.is`
+ *   (effect dependencies, `useStoreState`, `React.memo`) still, even when a custom comparison
+ *   found a new object equal.
+ * - Variables added or removed by the update count as changes.
+ */
+function settleState (previous, updater, equals) {
+    const next = typeof updater === 'function' ? updater(previous) : updater;
+    if (Object.is(previous, next) || !previous || !next || typeof previous !== 'object' || typeof next !== 'object') return next;
+    const names = Object.keys(next);
+    let changed = names.length !== Object.keys(previous).length;
+    const settled = {};
+    names.forEach(name => {
+        const isEqual = (equals && equals[name]) || Object.is;
+        const same = Object.prototype.hasOwnProperty.call(previous, name) && isEqual(previous[name], next[name]);
+        settled[name] = same ? previous[name] : next[name];
+        if (!same) changed = true;
+    });
+    return changed ? settled : previous;
+}
+
+/**
+ * The latest state behind each setter of casper state, including updates not rendered yet.
+ * @type {WeakMap<function, function(): Object>}
+ * @private
+ */
+const latestStates = new WeakMap();
+
+/**
+ * The batch whose code is running, if any (see `batch`).
+ * @type {Object|null}
+ * @private
+ */
+let currentTransaction = null;
+
+/**
+ * Makes a setter of casper state hold its updates while a batch's code is running.
+ *
+ * @param {function((Object|function(Object): Object)): void} apply - Applies one update.
+ *
+ * @returns {function((Object|function(Object): Object)): void} The setter handed to components and stores.
+ *
+ * @important
+ * - Callers hand it the updater, not the state it led to: while a batch holds its updates, writes made
+ *   outside the batch are applied first, and a held state would publish the batch's updates early, then
+ *   overwrite those writes when the batch ends.
+ */
+function holdWhileBatching (apply) {
+    return updater => {
+        if (!currentTransaction) {
+            apply(updater);
+            return;
+        }
+        currentTransaction.hold(apply, updater);
+    };
+}
+
+/**
+ * Applies updates held by a batch.
+ *
+ * @param {Map<function, Array<Object|function(Object): Object>>} held - The updates, keyed by the function
+ *        applying them, in call order.
+ *
+ * @returns {void}
+ *
+ * @important
+ * - Each setter receives one updater running its held updaters in order, so its state is settled
+ *   (see `settleState`) and its subscribers notified once.
+ */
+function releaseHeldUpdates (held) {
+    [...held].forEach(([apply, updaters]) => apply(previous => updaters.reduce(
+        (state, updater) => typeof updater === 'function' ? updater(state) : updater,
+        previous
+    )));
+}
+
+/**
+ * Creates the transaction of one `batch` call.
+ *
+ * @param {Object|null} parent - The transaction whose code called `batch`, if any.
+ *
+ * @returns {{hold: function, enter: function(*): *, leave: function(*): *, end: function(): void, isOpen: function(): boolean}}
+ *          The transaction. `enter` makes it the current one and `leave` restores the one it replaced; both
+ *          return their argument, so compiled code can wrap an `await` with them (see `currentBatch`).
+ *
+ * @important
+ * - Setters hold their updates only while the transaction is current, so code running meanwhile (other
+ *   handlers, timers, responses) updates the state as usual.
+ * - When it ends inside a transaction still open, its updates are handed to that one, so nested batches
+ *   apply everything when the outermost one ends; otherwise they are applied.
+ * - Updates reaching it after it ended are applied at once.
+ */
+function createTransaction (parent) {
+    const held = new Map();
+    let outer = parent;
+    let open = true;
+    const transaction = {
+        hold (apply, updater) {
+            if (!open) {
+                apply(updater);
+                return;
+            }
+            if (!held.has(apply)) held.set(apply, []);
+            held.get(apply).push(updater);
+        },
+        enter (value) {
+            outer = currentTransaction;
+            currentTransaction = transaction;
+            return value;
+        },
+        leave (value) {
+            currentTransaction = outer;
+            return value;
+        },
+        end () {
+            open = false;
+            if (parent && parent.isOpen()) {
+                held.forEach((updaters, apply) => updaters.forEach(updater => parent.hold(apply, updater)));
+            } else {
+                releaseHeldUpdates(held);
+            }
+            held.clear();
+        },
+        isOpen: () => open
+    };
+    return transaction;
+}
+
+/**
+ * Stands for the batch when compiled code runs outside of any.
+ * @type {{enter: function(*): *, leave: function(*): *}}
+ * @private
+ */
+const NO_BATCH = { enter: value => value, leave: value => value };
+
+/**
+ * Creates a store holding casper variables that live outside any component.
+ *
+ * @param {Object} initialState - The initial variables, keyed by name. Getters are kept as they
+ *                                are, so lazily computed defaults are still computed on first read.
+ * @param {Object<string, function(*, *): boolean>} [equals] - How some variables are compared (see `settleState`).
+ *
+ * @returns {{getState: function(): Object, setState: function((Object|function(Object): Object)): void,
+ *            subscribe: function(function(): void): function(): void, init: function(string, *): void}}
+ *          The store. Its methods do not use `this` and never change identity, so they can be
+ *          handed to `useSyncExternalStore` directly.
+ *
+ * @important
+ * - `setState` accepts the same functional updaters as a component's `useState` setter
+ *   (`prevState => ({ ...prevState, _$_theme: 'light' })`); listeners run only when some variable
+ *   changed (see `settleState`).
+ * - `getState` returns the state the listeners were last told about. Inside `batch` that is not the
+ *   latest yet; `latest(store.setState)` is.
+ * - `init` seeds a variable whose initializer could not be copied into the context module. It runs
+ *   once per variable, so re-executing the declaring module (hot reload) keeps the current value.
+ *
+ * @example
+ * ```js
+ * const rootStore = createStore({ _$_theme: 'dark' });
+ * rootStore.subscribe(() => console.log(rootStore.getState()._$_theme));
+ * rootStore.setState(prevState => ({ ...prevState, _$_theme: 'light' })); // logs "light"
+ * ```
+ */
+export function createStore (initialState, equals) {
+    let state = initialState;
+    let latestState = initialState;
+    const listeners = new Set();
+    const initialized = new Set();
+    const getState = () => state;
+    const publish = holdWhileBatching(updater => {
+        const nextState = typeof updater === 'function' ? updater(state) : updater;
+        if (Object.is(nextState, state)) return;
+        state = nextState;
+        listeners.forEach(listener => listener());
+    });
+    const setState = updater => {
+        const nextState = settleState(latestState, updater, equals);
+        if (Object.is(nextState, latestState)) return;
+        latestState = nextState;
+        publish(previous => settleState(previous, updater, equals));
+    };
+    latestStates.set(setState, () => latestState);
+    const subscribe = listener => {
+        listeners.add(listener);
+        return () => {
+            listeners.delete(listener);
+        };
+    };
+    const init = (name, value) => {
+        if (initialized.has(name)) return;
+        initialized.add(name);
+        setState(prevState => ({ ...prevState, [name]: value }));
+    };
+    return { getState, setState, subscribe, init };
+}
+
+/**
+ * Re-renders a class component whenever a store changes, while it is mounted.
+ *
+ * @param {Object} instance - The class component instance (`this` in a field initializer).
+ * @param {Object} store - A store created by `createStore`.
+ *
+ * @returns {Object} The store, so the call can initialise the field the class reads it from.
+ *
+ * @important
+ * - Wraps the instance's `componentDidMount` / `componentWillUnmount`, calling the class's own
+ *   methods as before. It must therefore run after the class's own field initializers.
+ * - A change made between construction and mount is picked up when the subscription starts.
+ *
+ * @example
+ * ```js
+ * class Header extends React.Component {
+ *   CTX_rootStore = connectStore(this, rootStore);
+ *   render() { return this.CTX_rootStore.getState()._$_theme; }
+ * }
+ * ```
+ */
+export function connectStore (instance, store) {
+    const renderedState = store.getState();
+    let unsubscribe = null;
+    wrapLifecycle(instance, COMPONENT_DID_MOUNT, () => {
+        unsubscribe = store.subscribe(() => instance.forceUpdate());
+        if (!Object.is(renderedState, store.getState())) instance.forceUpdate();
+    });
+    wrapLifecycle(instance, COMPONENT_WILL_UNMOUNT, () => {
+        if (unsubscribe) unsubscribe();
+        unsubscribe = null;
+    });
+    return store;
+}
+
+/**
+ * Lifecycle methods wrapped on class component instances.
+ * @type {string}
+ * @private
+ */
+const COMPONENT_DID_MOUNT = 'componentDidMount';
+const COMPONENT_DID_UPDATE = 'componentDidUpdate';
+const COMPONENT_WILL_UNMOUNT = 'componentWillUnmount';
+
+/**
+ * Runs `before` ahead of a lifecycle method of one instance, keeping the class's own method.
+ *
+ * @param {Object} instance - The class component instance.
+ * @param {string} method - The lifecycle method name.
+ * @param {function(): void} before - The code to run first.
+ *
+ * @returns {void}
+ */
+function wrapLifecycle (instance, method, before) {
+    const own = instance[method];
+    instance[method] = function (...args) {
+        before();
+        if (own) return own.apply(this, args);
+    };
+}
+
+/**
+ * The root store created by the generated context module, if any variable is module-level.
+ * @type {Object|null}
+ * @private
+ */
+let rootStore = null;
+
+/**
+ * Mounted declaring scopes, keyed by registry key (`App_1a2b3c4d`). Each key holds one record
+ * per mounted instance, the most recently mounted last.
+ * @type {Map<string, Array<{state: Object, setState: function}>>}
+ * @private
+ */
+const mountedScopes = new Map();
+
+/**
+ * Change listeners of `subscribe`.
+ * @type {Set<function(): void>}
+ * @private
+ */
+const changeListeners = new Set();
+
+/**
+ * Warnings already printed, so a repeated write to an unmounted scope warns once.
+ * @type {Set<string>}
+ * @private
+ */
+const reportedWarnings = new Set();
+
+/**
+ * Tells every `subscribe` listener that some casper state may have changed.
+ *
+ * @returns {void}
+ */
+function notifyChange () {
+    changeListeners.forEach(listener => listener());
+}
+
+/**
+ * Prints a warning once.
+ *
+ * @param {string} message - The warning.
+ *
+ * @returns {void}
+ */
+function warnOnce (message) {
+    if (reportedWarnings.has(message)) return;
+    reportedWarnings.add(message);
+    console.warn(`[casper-context] ${message}`);
+}
+
+/**
+ * Adds a record to the mounted instances of a scope.
+ *
+ * @param {string} key - The registry key of the scope.
+ * @param {{state: Object, setState: function}} record - The instance's state and setter.
+ *
+ * @returns {function(): void} Removes the record again.
+ */
+function mountScope (key, record) {
+    if (!mountedScopes.has(key)) mountedScopes.set(key, []);
+    mountedScopes.get(key).push(record);
+    notifyChange();
+    return () => {
+        const records = mountedScopes.get(key) || [];
+        const index = records.indexOf(record);
+        if (index !== -1) records.splice(index, 1);
+        if (!records.length) mountedScopes.delete(key);
+        notifyChange();
+    };
+}
+
+/**
+ * Creates the root store and makes it reachable from `get`, `set` and `subscribe`.
+ *
+ * @param {Object} initialState - The module-level variables and their initial values.
+ * @param {Object<string, function(*, *): boolean>} [equals] - How some variables are compared (see `settleState`).
+ *
+ * @returns {Object} The store (see `createStore`).
+ *
+ * @important
+ * - Called once by the generated context module; a later call (the module being regenerated in
+ *   watch mode) replaces the previous root store.
+ */
+export function createRootStore (initialState, equals) {
+    rootStore = createStore(initialState, equals);
+    rootStore.subscribe(notifyChange);
+    return rootStore;
+}
+
+/**
+ * Publishes the state of a mounted function component (or custom hook) that declares casper variables.
+ *
+ * @param {Object} React - The React namespace of the compiled module.
+ * @param {string} key - The registry key of the declaring scope.
+ * @param {Object} state - The scope's current casper state.
+ * @param {function} [setState] - The scope's state setter; absent for the scope's actions, which cannot be written.
+ *
+ * @returns {void}
+ *
+ * @important
+ * - This is a hook; the plugin calls it right after the scope's `useState`.
+ * - Several mounted instances of one component are kept apart; outside code reaches the most recently mounted.
+ * - The published state is the committed one; it is updated in a layout effect, before effects run.
+ *
+ * @example
+ * ```js
+ * const [app_1a2b3c4d, setApp_1a2b3c4d] = React.useState({ _$_count: 0 });
+ * _casperRuntime.useScopeBinding(React, "App_1a2b3c4d", app_1a2b3c4d, setApp_1a2b3c4d);
+ * ```
+ */
+export function useScopeBinding (React, key, state, setState) {
+    const recordRef = React.useRef(null);
+    React.useLayoutEffect(() => {
+        recordRef.current = { state, setState };
+        const unmount = mountScope(key, recordRef.current);
+        return () => {
+            recordRef.current = null;
+            unmount();
+        };
+    }, [key]);
+    React.useLayoutEffect(() => {
+        const record = recordRef.current;
+        if (!record || Object.is(record.state, state)) return;
+        record.state = state;
+        record.setState = setState;
+        notifyChange();
+    });
+}
+
+/**
+ * Holds the actions of a function component (or custom hook) in one object that never changes.
+ *
+ * @param {Object} React - The React namespace of the compiled module.
+ * @param {Object<string, function>} implementations - The actions as written, recreated on every render.
+ *
+ * @returns {Object<string, function>} The same object on every render, with one function per action.
+ *
+ * @important
+ * - This is a hook; the plugin calls it after the scope's `useState`.
+ * - Each function forwards to the implementation of the latest committed render, so it reads the
+ *   current state and props although its identity never changes. Consumers holding an action
+ *   (in a context, a prop or an effect dependency) therefore never re-render or re-run because of it.
+ * - The implementations are swapped in an insertion effect (a layout effect before React 18), ahead of
+ *   every layout effect and event handler.
+ *
+ * @example
+ * ```js
+ * const app_1a2b3c4d$$actions = _casperRuntime.useActions(React, {
+ *     _$_addToCart: function (item) { setApp_1a2b3c4d(prevState => ...); }
+ * });
+ * ```
+ */
+export function useActions (React, implementations) {
+    const latest = React.useRef(implementations);
+    (React.useInsertionEffect || React.useLayoutEffect)(() => {
+        latest.current = implementations;
+    });
+    const [actions] = React.useState(() => {
+        const stable = {};
+        Object.keys(implementations).forEach(name => {
+            stable[name] = function (...args) {
+                return latest.current[name].apply(this, args);
+            };
+        });
+        return stable;
+    });
+    return actions;
+}
+
+/**
+ * Holds the casper state of a function component (or custom hook), like `useState`.
+ *
+ * @param {Object} React - The React namespace of the compiled module.
+ * @param {Object|function(): Object} initialState - The initial state, or a function computing it,
+ *        exactly as `useState` accepts it.
+ * @param {Object<string, function(*, *): boolean>} [equals] - How some variables are compared (see `settleState`).
+ *
+ * @returns {Array} `[state, setState]`. The setter never changes identity and skips updates that leave
+ *          every variable equal, so neither the component nor its consumers re-render for them.
+ *
+ * @important
+ * - This is a hook; the plugin calls it where it would call `useState`.
+ * - The setter applies each update to the latest state at once (see `latest`) and hands React the result,
+ *   so every update goes through it: the component's state has no other setter.
+ * - `equals` is read on the first render. Its functions are declared at the top level of the module
+ *   (or imported), so they never change.
+ *
+ * @example
+ * ```js
+ * const [app_1a2b3c4d, setApp_1a2b3c4d] = _casperRuntime.useScopeState(React, { _$_filters: {} }, {
+ *     _$_filters: _casperRuntime.shallowEqual
+ * });
+ * ```
+ */
+export function useScopeState (React, initialState, equals) {
+    const [state, setState] = React.useState(initialState);
+    const [setScopeState] = React.useState(() => {
+        let latestState = state;
+        const commit = holdWhileBatching(setState);
+        const setLatestState = updater => {
+            const nextState = settleState(latestState, updater, equals);
+            if (Object.is(nextState, latestState)) return;
+            latestState = nextState;
+            commit(previous => settleState(previous, updater, equals));
+        };
+        latestStates.set(setLatestState, () => latestState);
+        return setLatestState;
+    });
+    return [state, setScopeState];
+}
+
+/**
+ * Creates the store holding a declaring function component's shared state, once per instance.
+ *
+ * @param {Object} React - The React namespace of the compiled module.
+ * @param {Object|function(): Object} initialState - The initial state, or a function computing it,
+ *        exactly as `useState` accepts it.
+ * @param {Object<string, function(*, *): boolean>} [equals] - How some variables are compared (see `settleState`).
+ *
+ * @returns {Object} The same store (see `createStore`) on every render.
+ *
+ * @important
+ * - This is a hook; the plugin calls it where it would call `useState` in the `context` runtime.
+ * - The store is what the component's Provider passes down. Since it never changes, rendering the
+ *   declaring component does not re-render the consumers; they subscribe with `useStoreState`.
+ *
+ * @example
+ * ```js
+ * const app_1a2b3c4d$store = _casperRuntime.useScopeStore(React, { _$_count: 0, _$_theme: "dark" });
+ * ```
+ */
+export function useScopeStore (React, initialState, equals) {
+    const [store] = React.useState(() => createStore(typeof initialState === 'function' ? initialState() : initialState, equals));
+    return store;
+}
+
+/**
+ * Subscribes a function component to some variables of a store.
+ *
+ * @param {Object} React - The React namespace of the compiled module.
+ * @param {Object} store - A store created by `useScopeStore` (or `createStore`).
+ * @param {string[]} names - The variables the component reads, listed by the plugin.
+ *
+ * @returns {Array} `[state, setState]`, in the shape of `useState`: the store's state as of the last
+ *          change of a listed variable, and the store's setter.
+ *
+ * @important
+ * - This is a hook built on `useSyncExternalStore`; it needs React 18 or later.
+ * - The component re-renders only when one of `names` changes (compared with `Object.is`). Variables it
+ *   does not list may therefore be stale in `state`; the plugin lists every variable the component reads.
+ * - With an empty list the component never re-renders because of the store, which is what a component
+ *   that only writes needs.
+ *
+ * @example
+ * ```js
+ * const [app_1a2b3c4d, setApp_1a2b3c4d] = _casperRuntime.useStoreState(React, (0, React.useContext)(_gblContext.App_1a2b3c4d), ["_$_count"]);
+ * ```
+ */
+export function useStoreState (React, store, names) {
+    const selected = React.useRef(null);
+    const getSnapshot = () => {
+        const state = store.getState();
+        const previous = selected.current;
+        if (previous && names.every(name => Object.is(previous[name], state[name]))) return previous;
+        selected.current = state;
+        return state;
+    };
+    return [React.useSyncExternalStore(store.subscribe, getSnapshot, getSnapshot), store.setState];
+}
+
+/**
+ * Re-renders a class component whenever a store provided by a context changes, while it is mounted.
+ *
+ * @param {Object} instance - The class component instance (`this` in a field initializer).
+ * @param {function(): Object} getStore - Returns the store, read from `this.context` or a Consumer field.
+ *
+ * @returns {function(): Object} `getStore`, so the call can initialise a field.
+ *
+ * @important
+ * - Unlike `connectStore`, the store is looked up when the instance mounts: a context value is not
+ *   available yet when field initializers run.
+ * - Class components subscribe to every variable of the store.
+ */
+export function connectScopeStore (instance, getStore) {
+    let unsubscribe = null;
+    wrapLifecycle(instance, COMPONENT_DID_MOUNT, () => {
+        const store = getStore();
+        if (store) unsubscribe = store.subscribe(() => instance.forceUpdate());
+    });
+    wrapLifecycle(instance, COMPONENT_WILL_UNMOUNT, () => {
+        if (unsubscribe) unsubscribe();
+        unsubscribe = null;
+    });
+    return getStore;
+}
+
+/**
+ * Creates the setter a declaring class component provides with its casper state.
+ *
+ * @param {Object} instance - The class component instance (`this` in a field initializer).
+ * @param {Object<string, function(*, *): boolean>} [equals] - How some variables are compared (see `settleState`).
+ *
+ * @returns {function((Object|function(Object): Object)): void} A setter taking the same updaters as the
+ *          one of `useScopeState`.
+ *
+ * @important
+ * - An update that leaves every variable equal is dropped (the `setState` updater returns `null`), so
+ *   the class does not re-render for it.
+ * - Updates React has not applied yet are kept, so `latest` returns `this.state` with them applied. The
+ *   class may update the rest of its state with `this.setState` as usual.
+ */
+export function createClassSetter (instance, equals) {
+    const pending = [];
+    const commit = holdWhileBatching(updater => instance.setState(previous => {
+        const next = updater(previous);
+        return Object.is(next, previous) ? null : next;
+    }));
+    const setClassState = updater => {
+        pending.push(updater);
+        commit(previous => {
+            const index = pending.indexOf(updater);
+            if (index !== -1) pending.splice(index, 1);
+            return settleState(previous, updater, equals);
+        });
+    };
+    latestStates.set(setClassState, () => pending.reduce(
+        (state, updater) => settleState(state, updater, equals),
+        instance.state
+    ));
+    return setClassState;
+}
+
+/**
+ * Reads the latest state behind a setter of casper state, including the updates React has not rendered yet.
+ *
+ * @param {function} setState - The setter of a declaring component (`useScopeState`), a class
+ *        (`createClassSetter`) or a store (`createStore`).
+ * @param {Object} state - The state as rendered, returned when `setState` is none of these (a read-only
+ *        context provides no setter, a context read outside its Provider only its default value).
+ *
+ * @returns {Object} The state every update made so far leads to.
+ *
+ * @important
+ * - This is what compiled reads outside render turn into: in event handlers, effects, timers and after
+ *   an `await`, `_$_count` is `latest(setApp_1a2b3c4d, app_1a2b3c4d)["_$_count"]`, so a write is
+ *   visible to the next statement and callbacks created by an old render never see an old value.
+ * - Reads during render keep reading the rendered state, which keeps rendering pure.
+ * - Updates held by `batch` are included.
+ *
+ * @example
+ * ```js
+ * const save = () => {
+ *   _$_count = 5;
+ *   console.log(_$_count); // 5, although the component has not re-rendered yet
+ * };
+ * ```
+ */
+export function latest (setState, state) {
+    const read = typeof setState === 'function' ? latestStates.get(setState) : null;
+    return read ? read() : state;
+}
+
+/**
+ * Remembers the last result of a function of one argument.
+ *
+ * @param {function(*): *} compute - The function.
+ *
+ * @returns {function(*): *} Calls `compute` only when its argument differs (`Object.is`) from the previous call's.
+ *
+ * @example
+ * ```js
+ * class Profile extends React.Component {
+ *   CTX_Profile_1a2b3c4d$value = memoizeLast(state => ({ profile_1a2b3c4d: state, setProfile_1a2b3c4d: this.setProfile_1a2b3c4d }));
+ *   render() { return <Provider value={this.CTX_Profile_1a2b3c4d$value(this.state)}>...</Provider>; }
+ * }
+ * ```
+ */
+export function memoizeLast (compute) {
+    let computed = false;
+    let lastArgument;
+    let lastResult;
+    return argument => {
+        if (!computed || !Object.is(argument, lastArgument)) {
+            computed = true;
+            lastArgument = argument;
+            lastResult = compute(argument);
+        }
+        return lastResult;
+    };
+}
+
+/**
+ * Publishes the state of a mounted class component that declares casper variables.
+ *
+ * @param {Object} instance - The class component instance (`this` in a field initializer).
+ * @param {string} key - The registry key of the declaring class.
+ *
+ * @returns {string} The key, so the call can initialise a field.
+ *
+ * @important
+ * - Wraps the instance's `componentDidMount`, `componentDidUpdate` and `componentWillUnmount`,
+ *   calling the class's own methods as before.
+ */
+export function bindInstanceScope (instance, key) {
+    let record = null;
+    let unmount = null;
+    wrapLifecycle(instance, COMPONENT_DID_MOUNT, () => {
+        record = { state: instance.state, setState: updater => instance.setState(updater) };
+        unmount = mountScope(key, record);
+    });
+    wrapLifecycle(instance, COMPONENT_DID_UPDATE, () => {
+        if (!record || Object.is(record.state, instance.state)) return;
+        record.state = instance.state;
+        notifyChange();
+    });
+    wrapLifecycle(instance, COMPONENT_WILL_UNMOUNT, () => {
+        if (unmount) unmount();
+        record = unmount = null;
+    });
+    return key;
+}
+
+/**
+ * Returns a handle on a declaring scope, as seen from outside React.
+ *
+ * @param {string} key - The registry key of the declaring scope.
+ *
+ * @returns {{getState: function(): Object, setState: function(function(Object): Object): void}}
+ *          `getState` returns the latest state of the most recently mounted instance (see `latest`),
+ *          or an empty object while none is mounted; `setState` updates that instance.
+ *
+ * @important
+ * - This is what non-React code is compiled to: `_$_count++` in a plain module becomes
+ *   `getScope("App_1a2b3c4d").setState(prevState => ...)`.
+ * - Writes while the scope is not mounted are dropped with a warning: there is no state to update.
+ */
+export function getScope (key) {
+    const current = () => {
+        const records = mountedScopes.get(key);
+        return records ? records[records.length - 1] : null;
+    };
+    return {
+        getState: () => {
+            const record = current();
+            return record ? latest(record.setState, record.state) : {};
+        },
+        setState: updater => {
+            const record = current();
+            if (record?.setState) {
+                record.setState(updater);
+            } else if (record) {
+                warnOnce(`${key} is read-only; the write was ignored.`);
+            } else {
+                warnOnce(`${key} is not mounted; the write was ignored.`);
+            }
+        }
+    };
+}
+
+/**
+ * Finds the scope holding a variable.
+ *
+ * @param {string} name - The casper variable name.
+ *
+ * @returns {{getState: function(): Object, setState: function}|null} The most recently mounted
+ *          component scope declaring it, otherwise the root store if the variable is module-level.
+ */
+function findScopeByVar (name) {
+    const keys = [...mountedScopes.keys()].reverse();
+    const key = keys.find(scopeKey => {
+        const records = mountedScopes.get(scopeKey);
+        return Object.prototype.hasOwnProperty.call(records[records.length - 1].state, name);
+    });
+    if (key) return getScope(key);
+    if (rootStore && Object.prototype.hasOwnProperty.call(rootStore.getState(), name)) return rootStore;
+    return null;
+}
+
+/**
+ * Reads the current value of a casper variable.
+ *
+ * @param {string} name - The casper variable name, e.g. `'_$_user'`.
+ *
+ * @returns {*} The latest value (see `latest`), or `undefined` when no mounted component and no module declares it.
+ *
+ * @example
+ * ```js
+ * import { get } from 'babel-plugin-casper-context/runtime';
+ * fetch('/api/cart', { headers: { Authorization: get('_$_token') } });
+ * ```
+ */
+export function get (name) {
+    const scope = findScopeByVar(name);
+    return scope ? latest(scope.setState, scope.getState())[name] : undefined;
+}
+
+/**
+ * Assigns a casper variable; components using it re-render.
+ *
+ * @param {string} name - The casper variable name.
+ * @param {*|function(*): *} value - The new value, or an updater receiving the previous value.
+ *
+ * @returns {void}
+ *
+ * @important
+ * - As with React state, a function is treated as an updater, so `set('_$_count', n => n + 1)`
+ *   never loses concurrent updates.
+ * - Writing a variable no mounted component or module declares only prints a warning.
+ *
+ * @example
+ * ```js
+ * socket.on('cart', items => set('_$_cartItems', items));
+ * ```
+ */
+export function set (name, value) {
+    const scope = findScopeByVar(name);
+    if (!scope) {
+        warnOnce(`${name} is not declared by a mounted component or a module; the write was ignored.`);
+        return;
+    }
+    scope.setState(prevState => ({
+        ...prevState,
+        [name]: typeof value === 'function' ? value(prevState[name]) : value
+    }));
+}
+
+/**
+ * Calls a listener whenever the value of a casper variable changes.
+ *
+ * @param {string} name - The casper variable name.
+ * @param {function(*): void} listener - Receives the new value.
+ *
+ * @returns {function(): void} Stops listening.
+ *
+ * @important
+ * - Changes are reported once React has committed them; the listener receives what `get` returns then.
+ * - The variable's declaring component mounting or unmounting counts as a change when it changes the value.
+ *
+ * @example
+ * ```js
+ * const stop = subscribe('_$_user', user => analytics.identify(user?.id));
+ * ```
+ */
+export function subscribe (name, listener) {
+    let lastValue = get(name);
+    const check = () => {
+        const value = get(name);
+        if (Object.is(value, lastValue)) return;
+        lastValue = value;
+        listener(value);
+    };
+    changeListeners.add(check);
+    return () => {
+        changeListeners.delete(check);
+    };
+}
+
+/**
+ * Applies the casper updates made by a function together, when it ends.
+ *
+ * @param {function(): *} callback - Assigns casper variables; it may be `async`.
+ *
+ * @returns {*} What `callback` returns. For a promise, a promise settling the same way once the
+ *          held updates are applied.
+ *
+ * @important
+ * - While the callback runs, every setter of casper state (declaring components, classes, stores and
+ *   `set`) holds the updates it makes, directly or through the functions it calls. When the batch ends
+ *   they are applied in call order, one update per setter, so no component renders a state where only
+ *   some of the variables changed.
+ * - An `async` callback keeps the batch open until its promise settles. The plugin compiles its `await`s
+ *   (see `currentBatch`), so the code after them is part of the batch too, while code running during an
+ *   `await` (other handlers, timers, responses) is not held.
+ * - Only the callback's own `await`s are followed: with a callback the plugin did not compile (a function
+ *   from another package, a variable), or after an `await` of a nested `async` function, updates are
+ *   applied at once.
+ * - The updates are applied even when the callback throws or its promise rejects; the error is passed on.
+ * - Batches nest: the updates are applied when the outermost one ends.
+ * - Compiled reads inside the batch see its writes (see `latest`); components render them when it ends.
+ *
+ * @example
+ * ```js
+ * import { batch } from 'babel-plugin-casper-context/runtime';
+ *
+ * const load = () => batch(async () => {
+ *   const user = await api.user();
+ *   _$_user = user;
+ *   _$_cart = await api.cart(user.id);
+ * }); // `_$_user` and `_$_cart` change in the same render
+ * ```
+ */
+export function batch (callback) {
+    const transaction = createTransaction(currentTransaction);
+    let result;
+    transaction.enter();
+    try {
+        result = callback();
+    } catch (error) {
+        transaction.leave();
+        transaction.end();
+        throw error;
+    }
+    transaction.leave();
+    if (result && typeof result.then === 'function') {
+        return result.then(value => {
+            transaction.end();
+            return value;
+        }, error => {
+            transaction.end();
+            throw error;
+        });
+    }
+    transaction.end();
+    return result;
+}
+
+/**
+ * Returns the batch whose callback is running, for the compiled `async` callbacks of `batch`.
+ *
+ * @returns {{enter: function(*): *, leave: function(*): *}} The batch's transaction, or one doing
+ *          nothing outside of any batch.
+ *
+ * @important
+ * - Called by the plugin at the start of an `async` callback passed to `batch`. Each `await` of the
+ *   callback leaves the batch before waiting and enters it again once resumed, and the callback leaves it
+ *   when it ends, so the batch only holds the updates made by the callback's own code:
+ *   ```js
+ *   batch(async () => {
+ *     const _batch = _casperRuntime.currentBatch();
+ *     try {
+ *       const user = _batch.enter(await _batch.leave(api.user()));
+ *       setApp_1a2b3c4d(prevState => ({ ...prevState, _$_user: user }));
+ *     } finally {
+ *       _batch.leave();
+ *     }
+ *   });
+ *   ```
+ */
+export function currentBatch () {
+    return currentTransaction || NO_BATCH;
+}
@@ -0,0 +1,162 @@
+/**
+ * @fileoverview Batch Scoping for `async` Callbacks.
+ * The runtime's `batch` holds the updates made while its callback runs. Across an
+ * `await` it cannot tell the callback's code from the code running meanwhile, so
+ * once the file is compiled, this module makes every `await` of an `async`
+ * callback passed to `batch` leave the batch while waiting and enter it again
+ * once resumed.
+ */
+
+/**
+ * Core Constants
+ * @description
+ * - CASPER_RUNTIME_MODULE: Package path of the casper runtime module, where `batch` is imported from.
+ * - RUNTIME_BATCH / RUNTIME_CURRENT_BATCH: The runtime's `batch` and the accessor of the batch a callback runs in.
+ * - BATCH_ENTER / BATCH_LEAVE: Make the batch current again, and restore the one it replaced.
+ * - CASPER_TEMP_BATCH: Name hint of the variable holding the batch.
+ * - _CCTX_CONST: The `const` keyword of that variable's declaration.
+ */
+import {
+    CASPER_RUNTIME_MODULE,
+    RUNTIME_BATCH,
+    RUNTIME_CURRENT_BATCH,
+    BATCH_ENTER,
+    BATCH_LEAVE,
+    CASPER_TEMP_BATCH,
+    _CCTX_CONST
+} from '../utils/constants';
+
+/**
+ * AST Helpers
+ * @description
+ * - buildRuntimeCall: Builds `_casperRuntime.currentBatch()`.
+ */
+import { buildRuntimeCall } from '../utils/astHelpers';
+
+/**
+ * Tells whether a callee is the runtime's `batch`.
+ *
+ * @param {NodePath} calleePath - The callee of a call.
+ * @param {object} t - The Babel types helper object (`@babel/types`).
+ *
+ * @returns {boolean} `true` for `batch` (or an alias) imported by name from the runtime module, and for
+ *          `runtime.batch` with `runtime` a namespace import of it.
+ */
+function isRuntimeBatch (calleePath, t) {
+    const { node } = calleePath;
+    const importedFromRuntime = name => {
+        const binding = calleePath.scope.getBinding(name);
+        if (!binding || binding.kind !== 'module') return null;
+        return binding.path.parent.source.value === CASPER_RUNTIME_MODULE ? binding.path.node : null;
+    };
+    if (t.isIdentifier(node)) {
+        const specifier = importedFromRuntime(node.name);
+        return t.isImportSpecifier(specifier) && (specifier.imported.name || specifier.imported.value) === RUNTIME_BATCH;
+    }
+    if (t.isMemberExpression(node) && !node.computed && t.isIdentifier(node.object) && t.isIdentifier(node.property, { name: RUNTIME_BATCH })) {
+        return t.isImportNamespaceSpecifier(importedFromRuntime(node.object.name));
+    }
+    return false;
+}
+
+/**
+ * Makes an `async` callback of `batch` leave its batch while it waits.
+ *
+ * @param {NodePath} callbackPath - The callback, an `async` function or arrow function.
+ * @param {object} t - The Babel types helper object (`@babel/types`).
+ *
+ * @returns {boolean} `true` when the callback waits at all, and was rewritten.
+ *
+ * @important
+ * - The callback reads its batch first, then each `await x` becomes `_batch.enter(await _batch.leave(x))`,
+ *   and its body runs in a `try` whose `finally` leaves the batch once the callback ends.
+ * - A `for await` loop leaves the batch before it starts, enters it at the start of each iteration and
+ *   leaves it at the end (the loop waits for the next value there), then enters it after the loop.
+ * - Only the callback's own `await`s are rewritten; nested functions run on their own (see `batch`).
+ */
+function scopeBatchCallback (callbackPath, t) {
+    const batchId = callbackPath.scope.generateUidIdentifier(CASPER_TEMP_BATCH);
+    const callBatch = (method, args = []) => t.callExpression(t.memberExpression(t.cloneNode(batchId), t.identifier(method)), args);
+    const leaveStatement = () => t.expressionStatement(callBatch(BATCH_LEAVE));
+    const enterStatement = () => t.expressionStatement(callBatch(BATCH_ENTER));
+    const generated = new WeakSet();
+    let waits = false;
+    callbackPath.traverse({
+        Function (fnPath) {
+            fnPath.skip();
+        },
+        AwaitExpression (awaitPath) {
+            if (generated.has(awaitPath.node)) return;
+            const waiting = t.awaitExpression(callBatch(BATCH_LEAVE, [awaitPath.node.argument]));
+            generated.add(waiting);
+            awaitPath.replaceWith(callBatch(BATCH_ENTER, [waiting]));
+            waits = true;
+        },
+        ForOfStatement (loopPath) {
+            const { node } = loopPath;
+            if (!node.await || generated.has(node)) return;
+            generated.add(node);
+            node.body = t.blockStatement([
+                enterStatement(),
+                t.tryStatement(t.isBlockStatement(node.body) ? node.body : t.blockStatement([node.body]), null, t.blockStatement([leaveStatement()]))
+            ]);
+            const statementPath = loopPath.parentPath.isLabeledStatement() ? loopPath.parentPath : loopPath;
+            statementPath.insertBefore(leaveStatement());
+            statementPath.insertAfter(enterStatement());
+            waits = true;
+        }
+    });
+    if (!waits) return false;
+    const { body } = callbackPath.node;
+    const block = t.isBlockStatement(body) ? body : t.blockStatement([t.returnStatement(body)]);
+    callbackPath.node.body = t.blockStatement([
+        t.variableDeclaration(_CCTX_CONST, [
+            t.variableDeclarator(batchId, buildRuntimeCall(t, RUNTIME_CURRENT_BATCH, []))
+        ]),
+        t.tryStatement(t.blockStatement(block.body), null, t.blockStatement([leaveStatement()]))
+    ], block.directives);
+    return true;
+}
+
+/**
+ * Scopes the `async` callbacks passed to the runtime's `batch` in a compiled file to their batch.
+ *
+ * @param {NodePath} programPath - The file's Program path, after every write was compiled.
+ * @param {Object} state - Plugin state; `needsRuntime` is set when a callback was rewritten.
+ * @param {object} t - The Babel types helper object (`@babel/types`).
+ *
+ * @returns {void}
+ *
+ * @important
+ * - Without it, a batch would hold its setters until the callback's promise settles, along with the updates
+ *   every other part of the app makes while the callback waits. With it, the batch only holds the updates
+ *   made by the callback's code, before and after its `await`s:
+ *   ```js
+ *   batch(async () => {
+ *     const _batch = _casperRuntime.currentBatch();
+ *     try {
+ *       const user = _batch.enter(await _batch.leave(api.user()));
+ *       setApp_1a2b3c4d(prevState => ({ ...prevState, _$_user: user }));
+ *     } finally {
+ *       _batch.leave();
+ *     }
+ *   });
+ *   ```
+ * - Only inline callbacks are rewritten (`batch(async () => {...})`, `batch(async function () {...})`);
+ *   synchronous callbacks need nothing.
+ * - Errors are silently caught; the file is then left as compiled.
+ */
+export function scopeBatchCallbacks (programPath, state, t) {
+    try {
+        programPath.traverse({
+            CallExpression (callPath) {
+                if (!isRuntimeBatch(callPath.get('callee'), t)) return;
+                const callbackPath = callPath.get('arguments.0');
+                if (!callbackPath.node || !callbackPath.isFunction() || !callbackPath.node.async) return;
+                if (scopeBatchCallback(callbackPath, t)) state.needsRuntime = true;
+            }
+        });
+    } catch (e) {
+
+    }
+}
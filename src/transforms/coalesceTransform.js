@@ -0,0 +1,272 @@
+/**
+ * @fileoverview Update Coalescing for Casper Writes.
+ * Every compiled write calls a setter with a functional update of its own (see
+ * `compileCasperWrite`), so a handler assigning several variables of one context
+ * calls the same setter several times in a row, and each call builds a new state
+ * object. Once the file is compiled, this module merges such consecutive calls
+ * into one update that builds the state once.
+ */
+
+/**
+ * Core Constants
+ * @description
+ * - PREV_STATE: Parameter name of the generated updater functions.
+ * - ASSIGN_OPERATOR: The plain `=` operator.
+ * - _CCTX_SET: Prefix of every setter of casper state (`setApp_1a2b3c4d`, `setState`).
+ * - _CCTX_UNDUS_CORE_RUNTIME / RUNTIME_LATEST: The runtime's reader of the latest state (`_casperRuntime.latest`).
+ */
+import { PREV_STATE, ASSIGN_OPERATOR, _CCTX_SET, _CCTX_UNDUS_CORE_RUNTIME, RUNTIME_LATEST } from '../utils/constants';
+
+/**
+ * Tells whether a function is an updater built by `buildSpreadObject`.
+ *
+ * @param {Node} node - A call argument.
+ * @param {object} t - The Babel types helper object (`@babel/types`).
+ *
+ * @returns {boolean} `true` for `prevState => ({ ...prevState, _$_a: value, ... })`.
+ */
+function isSpreadUpdater (node, t) {
+    if (!t.isArrowFunctionExpression(node) || node.params.length !== 1) return false;
+    if (!t.isIdentifier(node.params[0], { name: PREV_STATE }) || !t.isObjectExpression(node.body)) return false;
+    const [spread, ...props] = node.body.properties;
+    return t.isSpreadElement(spread) && t.isIdentifier(spread.argument, { name: PREV_STATE }) &&
+        props.every(prop => t.isObjectProperty(prop) && !prop.computed && t.isIdentifier(prop.key));
+}
+
+/**
+ * Returns the callee of a setter call taking a generated updater.
+ *
+ * @param {Node} node - An expression.
+ * @param {object} t - The Babel types helper object (`@babel/types`).
+ *
+ * @returns {Node|null} The callee (`setApp_1a2b3c4d`, `CTX_App_1a2b3c4d.setApp_1a2b3c4d`,
+ *          `_gblContext.rootStore.setState`, ...), or `null`.
+ */
+function getSetterCallee (node, t) {
+    if (!t.isCallExpression(node) || node.arguments.length !== 1 || !isSpreadUpdater(node.arguments[0], t)) return null;
+    const { callee } = node;
+    const name = t.isIdentifier(callee)
+        ? callee.name
+        : (t.isMemberExpression(callee) && !callee.computed ? callee.property.name : null);
+    return name?.startsWith(_CCTX_SET) ? callee : null;
+}
+
+/**
+ * Splits a statement into the expressions it evaluates first and the setter calls ending it.
+ *
+ * @param {Statement} statement - A statement of a block.
+ * @param {object} t - The Babel types helper object (`@babel/types`).
+ *
+ * @returns {{callee: Node, prefix: Node[], updaters: Node[]}|null} For `_value = v, setX(u1), setX(u2);`:
+ *          the callee, `[_value = v]` and `[u1, u2]`; `null` unless the statement ends with calls of one setter.
+ */
+function parseUpdateStatement (statement, t) {
+    if (!t.isExpressionStatement(statement)) return null;
+    const expressions = t.isSequenceExpression(statement.expression)
+        ? statement.expression.expressions
+        : [statement.expression];
+    const first = expressions.findIndex(expression => getSetterCallee(expression, t));
+    if (first === -1) return null;
+    const callee = getSetterCallee(expressions[first], t);
+    const calls = expressions.slice(first);
+    if (!calls.every(call => {
+        const other = getSetterCallee(call, t);
+        return other && t.isNodesEquivalent(other, callee);
+    })) return null;
+    return { callee, prefix: expressions.slice(0, first), updaters: calls.map(call => call.arguments[0]) };
+}
+
+/**
+ * Tells whether a call reads the latest state behind a setter (see `buildLatestStateAccess`).
+ *
+ * @param {Node} node - An expression.
+ * @param {object} t - The Babel types helper object (`@babel/types`).
+ *
+ * @returns {boolean} `true` for `_casperRuntime.latest(setter, state)`.
+ */
+function isLatestRead (node, t) {
+    return t.isCallExpression(node) && t.isMemberExpression(node.callee) && !node.callee.computed &&
+        t.isIdentifier(node.callee.object, { name: _CCTX_UNDUS_CORE_RUNTIME }) &&
+        t.isIdentifier(node.callee.property, { name: RUNTIME_LATEST });
+}
+
+/**
+ * Tells whether expressions may be moved ahead of calls to a setter.
+ *
+ * @param {Node[]} expressions - The captures of a write (`_value = [..._$_list, item]` compiled).
+ * @param {Node} callee - The setter.
+ * @param {object} t - The Babel types helper object (`@babel/types`).
+ *
+ * @returns {boolean} `false` when they read the latest state behind that setter, which those calls change, or
+ *          call anything else (`getState()`, a function reading the state) or suspend (`await`, `yield`).
+ */
+function canMoveAhead (expressions, callee, t) {
+    const allowed = new Set();
+    let movable = true;
+    expressions.forEach(expression => t.traverseFast(expression, node => {
+        if (!movable || allowed.has(node)) return;
+        if (isLatestRead(node, t)) {
+            const [setter, state] = node.arguments;
+            if (t.isNodesEquivalent(setter, callee)) movable = false;
+            // the rendered state, only read for a setter the runtime does not know
+            if (t.isCallExpression(state)) allowed.add(state);
+            return;
+        }
+        if (
+            t.isCallExpression(node) || t.isNewExpression(node) || t.isTaggedTemplateExpression(node) ||
+            t.isAwaitExpression(node) || t.isYieldExpression(node)
+        ) movable = false;
+    }));
+    return movable;
+}
+
+/**
+ * Tells whether a value may depend on variables set earlier in the same update.
+ *
+ * @param {Node} value - The new value of a variable, computed from `prevState`.
+ * @param {string[]} written - The variables set earlier.
+ * @param {object} t - The Babel types helper object (`@babel/types`).
+ *
+ * @returns {boolean} `true` unless every use of `prevState` reads a variable that is not in `written`.
+ */
+function readsWritten (value, written, t) {
+    let uses = 0;
+    let safeReads = 0;
+    t.traverseFast(value, node => {
+        if (t.isIdentifier(node, { name: PREV_STATE })) uses += 1;
+        if (!t.isMemberExpression(node) || !t.isIdentifier(node.object, { name: PREV_STATE })) return;
+        const key = node.computed
+            ? (t.isStringLiteral(node.property) ? node.property.value : null)
+            : node.property.name;
+        if (key !== null && !written.includes(key)) safeReads += 1;
+    });
+    return uses !== safeReads;
+}
+
+/**
+ * Merges consecutive updaters of one setter into one.
+ *
+ * @param {Node[]} updaters - Updaters built by `buildSpreadObject`, in call order.
+ * @param {object} t - The Babel types helper object (`@babel/types`).
+ *
+ * @returns {Node} `prevState => ({ ...prevState, _$_a: 1, _$_b: 2 })`. When a value is computed from a
+ *          variable set by an earlier updater, the state is built in steps:
+ *          `prevState => { prevState = { ...prevState, _$_n: 1 }; return { ...prevState, _$_m: prevState["_$_n"] + 1 }; }`.
+ */
+function mergeUpdaters (updaters, t) {
+    const steps = [];
+    updaters.forEach(updater => {
+        const props = updater.body.properties.slice(1);
+        const step = steps[steps.length - 1];
+        if (!step || props.some(prop => readsWritten(prop.value, step.map(stepProp => stepProp.key.name), t))) {
+            steps.push([...props]);
+            return;
+        }
+        props.forEach(prop => {
+            const index = step.findIndex(stepProp => stepProp.key.name === prop.key.name);
+            if (index !== -1) step.splice(index, 1);
+            step.push(prop);
+        });
+    });
+    const buildState = props => t.objectExpression([t.spreadElement(t.identifier(PREV_STATE)), ...props]);
+    const last = buildState(steps.pop());
+    return t.arrowFunctionExpression([t.identifier(PREV_STATE)], steps.length ? t.blockStatement([
+        ...steps.map(props => t.expressionStatement(
+            t.assignmentExpression(ASSIGN_OPERATOR, t.identifier(PREV_STATE), buildState(props))
+        )),
+        t.returnStatement(last)
+    ]) : last);
+}
+
+/**
+ * Merges the consecutive updates of one setter in a list of statements.
+ *
+ * @param {Statement[]} statements - The statements of a block.
+ * @param {object} t - The Babel types helper object (`@babel/types`).
+ *
+ * @returns {Statement[]|null} The new list, or `null` when nothing was merged.
+ *
+ * @important
+ * - Only statements that end with the setter calls take part, and a statement that does anything
+ *   else (an `await`, a call, a condition) ends the run, so the updates still happen in order with it.
+ * - The captures a write evaluates before its update (`_value = [..._$_list, item]`) run first, then the
+ *   merged update. They are not moved ahead of an earlier update they might read back (see `canMoveAhead`):
+ *   after render, `_$_list` reads the latest state, which that update has already changed.
+ */
+function coalesceStatements (statements, t) {
+    const result = [];
+    let merged = false;
+    let run = null;
+    const endRun = () => {
+        if (!run) return;
+        if (run.updaters.length < 2) {
+            result.push(...run.statements);
+        } else {
+            const call = t.callExpression(t.cloneNode(run.callee), [mergeUpdaters(run.updaters, t)]);
+            const statement = t.expressionStatement(run.prefix.length ? t.sequenceExpression([...run.prefix, call]) : call);
+            statement.leadingComments = run.statements.flatMap(item => item.leadingComments || []);
+            statement.trailingComments = run.statements[run.statements.length - 1].trailingComments;
+            result.push(statement);
+            merged = true;
+        }
+        run = null;
+    };
+    statements.forEach(statement => {
+        const update = parseUpdateStatement(statement, t);
+        if (
+            update && run && t.isNodesEquivalent(update.callee, run.callee) &&
+            canMoveAhead(update.prefix, run.callee, t)
+        ) {
+            run.prefix.push(...update.prefix);
+            run.updaters.push(...update.updaters);
+            run.statements.push(statement);
+            return;
+        }
+        endRun();
+        if (update) {
+            run = { callee: update.callee, prefix: [...update.prefix], updaters: [...update.updaters], statements: [statement] };
+        } else {
+            result.push(statement);
+        }
+    });
+    endRun();
+    return merged ? result : null;
+}
+
+/**
+ * Merges consecutive updates of the same casper state in a compiled file into one update.
+ *
+ * @param {NodePath} programPath - The file's Program path, after every write was compiled.
+ * @param {object} t - The Babel types helper object (`@babel/types`).
+ *
+ * @returns {void}
+ *
+ * @important
+ * - A handler writing `_$_a`, `_$_b` and `_$_c` of one component calls its setter once:
+ *   ```js
+ *   setApp_1a2b3c4d(prevState => ({ ...prevState, _$_a: 1, _$_b: 2, _$_c: _value }));
+ *   ```
+ *   React applies queued updaters in order, so the merged update computes the same state, with one object.
+ * - Blocks, switch cases and the module body are coalesced separately; updates across an `await` are not
+ *   (see the runtime's `batch` for that).
+ * - Errors are silently caught; the file is then left as compiled.
+ */
+export function coalesceStateUpdates (programPath, t) {
+    try {
+        const coalesce = (node, key) => {
+            const statements = coalesceStatements(node[key], t);
+            if (statements) node[key] = statements;
+        };
+        coalesce(programPath.node, 'body');
+        programPath.traverse({
+            BlockStatement (blockPath) {
+                coalesce(blockPath.node, 'body');
+            },
+            SwitchCase (casePath) {
+                coalesce(casePath.node, 'consequent');
+            }
+        });
+    } catch (e) {
+
+    }
+}
@@ -0,0 +1,228 @@
+/**
+ * @fileoverview Context Default Extraction.
+ * The generated context module (`gblContext.js`) gives every casper context a
+ * default value, used by consumers rendered outside their Provider. This module
+ * turns the initializer written in the component (`let _$_since = new Date(0)`)
+ * into a description the module generator can reproduce faithfully: the
+ * initializer's own source, the imports it depends on and whether it should be
+ * evaluated lazily.
+ */
+import path from 'path';
+
+/**
+ * Path Utilities
+ * @description
+ * - CONTEXT_FILE_PATH: Location of the generated module; relative imports are re-based onto it.
+ */
+import { CONTEXT_FILE_PATH } from '../utils/utilityHelpers';
+
+/**
+ * Core Constants
+ * @description
+ * - IMPORT_KIND_*: How an imported binding is read from the required module.
+ * - _CCTX_EMPTY: Safe fallback for the file name.
+ */
+import { IMPORT_KIND_DEFAULT, IMPORT_KIND_NAMESPACE, IMPORT_KIND_NAMED, _CCTX_EMPTY } from '../utils/constants';
+
+/**
+ * Scope Helpers
+ * @description
+ * - isHookName: Recognises custom hook names (`useParams`), whose calls must run on every render.
+ */
+import { isHookName } from '../utils/scope';
+
+/**
+ * Type-only wrappers that may surround an initializer (`[...] as const`, `value!`) and are
+ * dropped, since the generated module is plain JavaScript.
+ * @type {string[]}
+ * @private
+ */
+const TYPE_WRAPPERS = ['TSAsExpression', 'TSSatisfiesExpression', 'TSNonNullExpression', 'TSTypeAssertion', 'TypeCastExpression'];
+
+/**
+ * Determines whether evaluating an initializer does real work (calls a function, constructs an object).
+ *
+ * @param {object} t - The Babel types helper object (`@babel/types`).
+ * @param {Node} node - The initializer expression.
+ *
+ * @returns {boolean} `true` when the expression contains a call, `new` or tagged template
+ *                    that runs when the initializer is evaluated.
+ *
+ * @important
+ * - Function and class bodies are not evaluated by the initializer, so calls inside them do not count:
+ *   `() => load()` is cheap, `load()` is expensive.
+ * - Used to make such initializers lazy, so they run once instead of on every render.
+ */
+export function isExpensiveInitializer (t, node) {
+    if (!node || t.isFunction(node) || t.isClass(node)) return false;
+    if (
+        t.isCallExpression(node) ||
+        t.isOptionalCallExpression(node) ||
+        t.isNewExpression(node) ||
+        t.isTaggedTemplateExpression(node)
+    ) return true;
+    return (t.VISITOR_KEYS[node.type] || []).some(key => {
+        const child = node[key];
+        return Array.isArray(child)
+            ? child.some(item => isExpensiveInitializer(t, item))
+            : isExpensiveInitializer(t, child);
+    });
+}
+
+/**
+ * Determines whether evaluating an initializer calls a hook.
+ *
+ * @param {object} t - The Babel types helper object (`@babel/types`).
+ * @param {Node} node - The initializer expression.
+ *
+ * @returns {boolean} `true` when the expression calls `use`, a `use*` hook (`useParams()`) or a hook
+ *                    read from an object (`React.useContext(Theme)`).
+ *
+ * @important
+ * - Such an initializer must run on every render, in the same place, like any hook call: it is never
+ *   made lazy (see `buildCtxUseStateDeclaration`) nor copied into the context module (see `describeInitializer`).
+ * - As with `isExpensiveInitializer`, calls inside function and class bodies do not count.
+ */
+export function callsHook (t, node) {
+    if (!node || t.isFunction(node) || t.isClass(node)) return false;
+    if (t.isCallExpression(node) || t.isOptionalCallExpression(node)) {
+        let callee = node.callee;
+        if ((t.isMemberExpression(callee) || t.isOptionalMemberExpression(callee)) && !callee.computed) callee = callee.property;
+        if (t.isIdentifier(callee) && (callee.name === 'use' || isHookName(callee.name))) return true;
+    }
+    return (t.VISITOR_KEYS[node.type] || []).some(key => {
+        const child = node[key];
+        return Array.isArray(child)
+            ? child.some(item => callsHook(t, item))
+            : callsHook(t, child);
+    });
+}
+
+/**
+ * Rewrites an import source so that it can be required from the generated context module.
+ *
+ * @param {string} source - The import source as written in the component file.
+ * @param {string} fileName - The component file.
+ *
+ * @returns {string} Package sources unchanged; relative sources re-based onto the context module's folder.
+ */
+function rebaseImportSource (source, fileName) {
+    if (!source.startsWith('.')) return source;
+    const absolute = path.resolve(path.dirname(fileName), source);
+    const relative = path.relative(path.dirname(CONTEXT_FILE_PATH), absolute).split(path.sep).join('/');
+    return relative.startsWith('.') ? relative : `./${relative}`;
+}
+
+/**
+ * Describes the import a referenced binding comes from.
+ *
+ * @param {Binding} binding - A Babel binding of kind `module`.
+ * @param {string} fileName - The component file.
+ *
+ * @returns {{local: string, source: string, kind: string, imported: string}|null}
+ *          The require description, or `null` for type-only imports.
+ */
+function describeImport (binding, fileName) {
+    const specifier = binding.path;
+    const declaration = specifier.parentPath.node;
+    if (declaration.importKind === 'type' || specifier.node.importKind === 'type') return null;
+    const local = binding.identifier.name;
+    const source = rebaseImportSource(declaration.source.value, fileName);
+    if (specifier.isImportDefaultSpecifier()) return { local, source, kind: IMPORT_KIND_DEFAULT };
+    if (specifier.isImportNamespaceSpecifier()) return { local, source, kind: IMPORT_KIND_NAMESPACE };
+    const imported = specifier.node.imported.name ?? specifier.node.imported.value;
+    return { local, source, kind: IMPORT_KIND_NAMED, imported };
+}
+
+/**
+ * Describes a casper initializer for the generated context module.
+ *
+ * @param {NodePath} initPath - Path of the initializer (`VariableDeclarator.init` or `ClassProperty.value`).
+ * @param {object} t - The Babel types helper object (`@babel/types`).
+ * @param {object} state - Plugin state; `state.filename` and `state.casperConfig.prefix` are used.
+ *
+ * @returns {{code: string, imports: Array<Object>, lazy: boolean}|undefined}
+ * - `code`: the initializer's JavaScript source, e.g. `new Date(0)` or `{ theme: THEMES.dark }`.
+ * - `imports`: imports the code needs (`{ local, source, kind, imported }`).
+ * - `lazy`: whether the default should be computed on first use.
+ * Returns `undefined` when the initializer cannot be reproduced outside the component.
+ *
+ * @important
+ * - An initializer is reproducible when every identifier it reads is a global (`Date`, `NaN`,
+ *   `undefined`, ...), is declared inside the initializer itself, or is imported. Props, hook calls
+ *   (even of imported hooks, see `callsHook`), component locals, module-level variables, `this`, other
+ *   casper variables and JSX make it non-reproducible; the context default is then `undefined` while
+ *   the component still uses the real initializer.
+ * - Imported bindings are re-required by the generated module; relative sources are re-based.
+ * - Initializers that need imports are always lazy, so requiring them never creates an import
+ *   cycle when the context module loads.
+ *
+ * @example
+ * ```js
+ * // import { THEMES } from './themes';
+ * // let _$_theme = THEMES.dark;
+ * describeInitializer(initPath, t, state);
+ * // { code: 'THEMES.dark', imports: [{ local: 'THEMES', source: '../themes', kind: 'named', imported: 'THEMES' }], lazy: true }
+ * ```
+ */
+export function describeInitializer (initPath, t, state) {
+    try {
+        if (!initPath?.node) return undefined;
+        let exprPath = initPath;
+        while (TYPE_WRAPPERS.includes(exprPath.node.type)) exprPath = exprPath.get('expression');
+        if (callsHook(t, exprPath.node)) return undefined;
+
+        const fileName = state.filename || _CCTX_EMPTY;
+        const prefix = state.casperConfig.prefix;
+        const imports = [];
+        let reproducible = true;
+        const checkReference = refPath => {
+            const name = refPath.node.name;
+            if (name.startsWith(prefix)) {
+                reproducible = false;
+                return;
+            }
+            const binding = refPath.scope.getBinding(name);
+            if (!binding) return;
+            if (binding.path.isDescendant(exprPath) || binding.path === exprPath) return;
+            if (binding.kind !== 'module') {
+                reproducible = false;
+                return;
+            }
+            const description = describeImport(binding, fileName);
+            if (!description) {
+                reproducible = false;
+                return;
+            }
+            if (!imports.some(item => item.local === description.local)) imports.push(description);
+        };
+
+        if (exprPath.isIdentifier()) {
+            checkReference(exprPath);
+        } else {
+            exprPath.traverse({
+                ReferencedIdentifier (refPath) {
+                    if (refPath.isJSXIdentifier()) return;
+                    checkReference(refPath);
+                },
+                'ThisExpression|Super|JSXElement|JSXFragment|MetaProperty' (unsupportedPath) {
+                    reproducible = false;
+                    unsupportedPath.stop();
+                },
+                TSType (typePath) {
+                    reproducible = false;
+                    typePath.stop();
+                }
+            });
+        }
+        if (!reproducible) return undefined;
+
+        return {
+            code: exprPath.toString(),
+            imports,
+            lazy: imports.length > 0 || isExpensiveInitializer(t, exprPath.node)
+        };
+    } catch (e) {
+        return undefined;
+    }
+}
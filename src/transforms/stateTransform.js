@@ -0,0 +1,824 @@
+/**
+ * @fileoverview Write Compilation for Casper Variables.
+ * This module turns every form of write to a casper variable (`=`, compound and
+ * logical assignments, prefix/postfix `++` / `--`) into a functional state update
+ * that reads the previous value from `prevState`, while keeping the value the
+ * original expression evaluates to. Writes below a casper variable
+ * (`_$_user.name = 'x'`, `_$_todos.push(t)`, `delete _$_map.k`) are compiled to
+ * structurally shared copies through the casper runtime helpers, and destructuring
+ * assignments (`[_$_a, _$_b] = [_$_b, _$_a]`) become one update per variable.
+ */
+
+/**
+ * Core Constants
+ * @description
+ * - PREV_STATE: Parameter name of the generated updater functions.
+ * - ASSIGN_OPERATOR: The plain `=` operator.
+ * - CASPER_TEMP_*: Hints for generated temporaries.
+ * - RUNTIME_*: Helpers and result fields of the casper runtime module.
+ * - COLLECTION_MUTATING_METHODS: The `Map` / `Set` methods, compiled only for those receivers.
+ * - IDENTIFIER: Node type of bare casper variables.
+ * - _CCTX_EMPTY: Safe fallback for the file name.
+ * - _CCTX_: Prefix of the consumers' context instances (`CTX_App_1a2b3c4d`).
+ * - _CCTX_LET: Kind of the temporaries' declarations.
+ */
+import {
+    _CCTX_EMPTY,
+    _CCTX_,
+    _CCTX_LET,
+    PREV_STATE,
+    ASSIGN_OPERATOR,
+    CASPER_TEMP_VALUE,
+    CASPER_TEMP_PREVIOUS,
+    CASPER_TEMP_KEY,
+    CASPER_TEMP_ARGS,
+    RUNTIME_SET_IN,
+    RUNTIME_UPDATE_IN,
+    RUNTIME_DELETE_IN,
+    RUNTIME_CALL_IN,
+    RUNTIME_CALL_VALUE,
+    RUNTIME_CALL_RESULT,
+    RUNTIME_IS_COLLECTION,
+    COLLECTION_MUTATING_METHODS,
+    IDENTIFIER
+} from '../utils/constants';
+
+/**
+ * AST Construction Helpers
+ * @description
+ * - buildSpreadObject: Creates the `prevState => ({ ...prevState, key: value })` updater.
+ * - buildRuntimeCall: Creates `_casperRuntime.helper(...)` calls.
+ * - buildUseStoreStateInstance / recordStoreRead / connectClassScopeStore: Reach a context backed by a store.
+ * - buildUseSetterContextInstance: Reaches the setter context of a context.
+ * - buildSetterReference / buildStoreSetterReference / buildLatestStateAccess: Read the latest state after render.
+ */
+import {
+    buildSpreadObject,
+    buildRuntimeCall,
+    buildUseContextInstance,
+    buildSetStateCall,
+    buildStateAccess,
+    buildContextSetStateCall,
+    buildContextStateAccess,
+    buildClassSetStateCall,
+    buildClassStateAccess,
+    getClassContextObject,
+    buildStoreStateAccess,
+    buildStoreSetStateCall,
+    buildScopeReference,
+    buildUseStoreStateInstance,
+    recordStoreRead,
+    connectClassScopeStore,
+    buildUseSetterContextInstance,
+    buildSetterReference,
+    buildStoreSetterReference,
+    buildLatestStateAccess
+} from '../utils/astHelpers';
+
+/**
+ * Registry & Scope Helpers
+ * @description
+ * - resolveCasperReference: Maps a casper reference to the registry key of its declaring scope.
+ * - getCurrentScopeKey: Registry key of the component, hook or class making the write.
+ * - getEnclosingClassComponent: Detects writes inside class components.
+ * - isRenderTimePath: Tells writes made while rendering from writes made later (handlers, effects, timers).
+ * - isModuleScopeKey: Detects module-level variables, which are written to the root store.
+ * - getContextKey: Names the context holding a variable (the declaring scope's, a group's, or local state).
+ * - getWriteViolation: Rejects writes to `const` variables and by components that are not allowed writers.
+ * - isStoreContext: Tells the contexts backed by a store (`"runtime": "store"`) apart.
+ * - isWriteOnlyScope / hasSetterContext: Send the writes of components that only write through the setter context.
+ * - CasperReferenceError: Raised for ambiguous references; reported, never swallowed.
+ */
+import {
+    resolveCasperReference,
+    getCurrentScopeKey,
+    getContextKey,
+    getWriteViolation,
+    isStoreContext,
+    isWriteOnlyScope,
+    hasSetterContext,
+    CasperReferenceError
+} from '../utils/resolution';
+import { getEnclosingClassComponent, isRenderTimePath } from '../utils/scope';
+import { isModuleScopeKey } from '../utils/utilityHelpers';
+
+/**
+ * Compile error raised for a write that is not allowed (see `getWriteViolation`).
+ *
+ * @important
+ * - Built with `path.buildCodeFrameError`, so the bundler shows the offending write in a code frame.
+ * - Every write visitor rethrows it instead of skipping the write silently.
+ */
+export class CasperWriteError extends Error {
+    constructor (message) {
+        super(message);
+        this.name = 'CasperWriteError';
+    }
+}
+
+/**
+ * Logical assignment operators and the logical operator they apply.
+ * @type {Object<string, string>}
+ * @private
+ */
+const LOGICAL_OPERATORS = {
+    '||=': '||',
+    '&&=': '&&',
+    '??=': '??'
+};
+
+/**
+ * Update (`++` / `--`) operators and the arithmetic operator they apply.
+ * @type {Object<string, string>}
+ * @private
+ */
+const UPDATE_OPERATORS = {
+    '++': '+',
+    '--': '-'
+};
+
+/**
+ * Checks whether a node refers to a casper variable: `_$_x` or `this._$_x`.
+ *
+ * @param {Node} node - The node to check.
+ * @param {string} prefix - The configured casper prefix.
+ * @param {object} t - The Babel types helper object (`@babel/types`).
+ *
+ * @returns {boolean} `true` when the node names a prefixed variable.
+ */
+export function isCasperReference (node, prefix, t) {
+    if (node?.type === IDENTIFIER) {
+        return Boolean(node.name?.startsWith(prefix));
+    }
+    return (
+        t.isMemberExpression(node) && !node.computed &&
+        t.isThisExpression(node.object) &&
+        Boolean(node.property.name?.startsWith(prefix))
+    );
+}
+
+/**
+ * Splits a member expression into the casper variable it starts from and the keys below it.
+ *
+ * @param {Node} node - A member expression such as `_$_items[i].done` or `this._$_user.name`.
+ * @param {string} prefix - The configured casper prefix.
+ * @param {object} t - The Babel types helper object (`@babel/types`).
+ *
+ * @returns {{root: Node, keys: Node[]}|null} The casper reference and the key expressions
+ *          (`_$_items[i].done` → `_$_items` and `[i, "done"]`), or `null` if the chain is not
+ *          rooted at a casper variable.
+ *
+ * @important
+ * - Non-computed keys become string literals; computed keys are returned as written.
+ * - A bare casper reference yields an empty `keys` array.
+ * - Does **not** mutate the AST.
+ */
+export function getCasperMemberPath (node, prefix, t) {
+    const keys = [];
+    let current = node;
+    while (!isCasperReference(current, prefix, t)) {
+        if (!t.isMemberExpression(current) || t.isPrivateName(current.property)) return null;
+        keys.unshift(current.computed ? current.property : t.stringLiteral(current.property.name));
+        current = current.object;
+    }
+    return { root: current, keys };
+}
+
+/**
+ * Resolves where a written casper variable lives and how to read and update it from `path`.
+ *
+ * @param {NodePath} path - The write being compiled (assignment, update, `delete` or mutating call).
+ * @param {Node} targetNode - The written casper reference: `_$_x` or `this._$_x`.
+ * @param {Object} state - Plugin state, including file info, config, and import metadata.
+ * @param {Object} t - Babel types helper (`@babel/types`).
+ * @param {Object<string, Object>} virtualRegistry - Registry of components and their variables.
+ *
+ * @returns {{varName: string, read: function(): Node, write: function(Node): Node}|null}
+ * The write target consumed by `compileCasperWrite`, or `null` when the node is not a casper write.
+ *
+ * @important
+ * - Function components: the declaring component calls its own setter; any other component gets
+ *   a `useContext` hook injected and calls the context setter.
+ * - Class components: the declaring class calls its setter (`this.setKey`); both `_$_x` and `this._$_x` are
+ *   accepted there. Other classes call the context setter via `this.context` or a Consumer-backed field.
+ * - `this.<name> = v` for a name the class does not own is a plain instance write and is left alone.
+ * - Module-level variables are updated through the root store from anywhere, components or not:
+ *   `_gblContext.rootStore.setState(updater)`, reading the current value with `getState()`.
+ * - Outside components, hooks and classes, a component's variable is updated through the runtime
+ *   handle of its mounted instance: `_casperRuntime.getScope("App_1a2b3c4d").setState(updater)`.
+ * - The declaring scope is found with `resolveCasperReference`, so `varName` is the declared name
+ *   even for qualified writes (`_$_Admin$user = v` updates `_$_user`).
+ * - A variable declared in a context group is updated through that group's setter (`getContextKey`).
+ * - A context backed by a store (see `isStoreContext`) is written through the `useStoreState` setter in function
+ *   components, with no subscription for the write itself (`buildUseStoreStateInstance`), and through the store's
+ *   `setState` in classes. Reading the render-time value (`y = _$_count++`) subscribes like any read.
+ * - A component or hook that only writes a context (see `isWriteOnlyScope`) calls the setter it gets from the
+ *   context's setter context (`buildUseSetterContextInstance`), so it does not re-render when the state changes.
+ *   Reading the render-time value consumes the context itself.
+ * - After render (handlers, effects, timers; see `isRenderTimePath`), and for module-level variables outside
+ *   components, `read` returns the latest value (`buildLatestStateAccess`), which includes the writes made just
+ *   before, and subscribes to nothing.
+ * - Throws a `CasperWriteError` for a write `getWriteViolation` rejects: a `const` variable, or a
+ *   variable whose `@casper-writers` do not include the writing component.
+ * - Lets the `CasperReferenceError` of an ambiguous variable through (see `resolveCasperReference`).
+ * - Marks that the global context is needed (other scopes' variables only) and requests the React import when missing.
+ */
+export function resolveWriteTarget (path, targetNode, state, t, virtualRegistry) {
+    try {
+        const isMember = t.isMemberExpression(targetNode);
+        const classPath = getEnclosingClassComponent(path);
+        if (isMember && !classPath) return null;
+        const currentKey = getCurrentScopeKey(path, state.filename || _CCTX_EMPTY);
+        let resolved;
+        if (isMember) {
+            // this._$_x only ever names a field of the class itself
+            const fieldName = targetNode.property.name;
+            if (!currentKey || !virtualRegistry[currentKey]?.varNames.includes(fieldName)) return null;
+            resolved = { ctxName: currentKey, varName: fieldName };
+        } else {
+            resolved = resolveCasperReference(path, targetNode.name, state, virtualRegistry);
+        }
+        if (!resolved) return null;
+        const violation = getWriteViolation(resolved, currentKey, virtualRegistry);
+        if (violation) throw path.buildCodeFrameError(violation, CasperWriteError);
+        const { varName } = resolved;
+        const afterRender = !isRenderTimePath(path);
+        const readLatest = (setter, renderRead) => {
+            state.needsRuntime = true;
+            return buildLatestStateAccess(t, setter, renderRead);
+        };
+        if (isModuleScopeKey(resolved.ctxName)) {
+            state.needsGblContext = true;
+            return {
+                varName,
+                read: () => (afterRender || !currentKey)
+                    ? readLatest(buildStoreSetterReference(t), buildStoreStateAccess(t, varName))
+                    : buildStoreStateAccess(t, varName),
+                write: updateFunction => buildStoreSetStateCall(t, updateFunction)
+            };
+        }
+        // the context holding the variable: its scope's own, a group's, or the scope's local state
+        const ctxName = getContextKey(resolved.ctxName, varName, virtualRegistry, state.casperConfig.prefix);
+        if (!currentKey) {
+            state.needsRuntime = true;
+            return {
+                varName,
+                read: () => buildStoreStateAccess(t, varName, buildScopeReference(t, ctxName)),
+                write: updateFunction => buildStoreSetStateCall(t, updateFunction, buildScopeReference(t, ctxName))
+            };
+        }
+        const isOwn = resolved.ctxName === currentKey;
+        const store = isStoreContext(resolved.ctxName, ctxName, virtualRegistry, state.casperConfig);
+
+        let target = null;
+        if (classPath) {
+            if (isOwn) {
+                target = {
+                    varName,
+                    read: () => afterRender
+                        ? readLatest(buildSetterReference(t, currentKey, t.thisExpression()), buildClassStateAccess(t, varName))
+                        : buildClassStateAccess(t, varName),
+                    write: updateFunction => buildClassSetStateCall(t, updateFunction, currentKey)
+                };
+            } else if (store) {
+                const ctxObject = connectClassScopeStore(classPath, state, t, ctxName, getClassContextObject(classPath, state, t, ctxName));
+                target = {
+                    varName,
+                    read: () => afterRender
+                        ? readLatest(buildStoreSetterReference(t, t.cloneNode(ctxObject)), buildStoreStateAccess(t, varName, t.cloneNode(ctxObject)))
+                        : buildStoreStateAccess(t, varName, t.cloneNode(ctxObject)),
+                    write: updateFunction => buildStoreSetStateCall(t, updateFunction, t.cloneNode(ctxObject))
+                };
+            } else {
+                const ctxObject = getClassContextObject(classPath, state, t, ctxName);
+                target = {
+                    varName,
+                    read: () => afterRender
+                        ? readLatest(buildSetterReference(t, ctxName, t.cloneNode(ctxObject)), buildContextStateAccess(t, ctxName, varName, t.cloneNode(ctxObject)))
+                        : buildContextStateAccess(t, ctxName, varName, t.cloneNode(ctxObject)),
+                    write: updateFunction => buildContextSetStateCall(t, ctxName, updateFunction, t.cloneNode(ctxObject))
+                };
+            }
+        } else if (isOwn) {
+            target = {
+                varName,
+                read: () => {
+                    if (afterRender) return readLatest(buildSetterReference(t, ctxName), buildStateAccess(t, ctxName, varName));
+                    if (store) recordStoreRead(state, ctxName, varName);
+                    return buildStateAccess(t, ctxName, varName);
+                },
+                write: updateFunction => buildSetStateCall(t, ctxName, updateFunction)
+            };
+        } else if (store) {
+            if (!buildUseStoreStateInstance(path, state, t, ctxName)) return null;
+            target = {
+                varName,
+                read: () => {
+                    if (afterRender) return readLatest(buildSetterReference(t, ctxName), buildStateAccess(t, ctxName, varName));
+                    buildUseStoreStateInstance(path, state, t, ctxName, varName);
+                    return buildStateAccess(t, ctxName, varName);
+                },
+                write: updateFunction => buildSetStateCall(t, ctxName, updateFunction)
+            };
+        } else if (
+            isWriteOnlyScope(currentKey, resolved.ctxName, ctxName, virtualRegistry, state.casperConfig.prefix) &&
+            hasSetterContext(resolved.ctxName, ctxName, virtualRegistry, state.casperConfig)
+        ) {
+            buildUseSetterContextInstance(path, state, t, ctxName);
+            target = {
+                varName,
+                read: () => {
+                    buildUseContextInstance(path, state, t, ctxName);
+                    return afterRender
+                        ? readLatest(buildSetterReference(t, ctxName), buildContextStateAccess(t, ctxName, varName))
+                        : buildContextStateAccess(t, ctxName, varName);
+                },
+                write: updateFunction => buildSetStateCall(t, ctxName, updateFunction)
+            };
+        } else {
+            buildUseContextInstance(path, state, t, ctxName);
+            target = {
+                varName,
+                read: () => afterRender
+                    ? readLatest(buildSetterReference(t, ctxName, t.identifier(`${_CCTX_}${ctxName}`)), buildContextStateAccess(t, ctxName, varName))
+                    : buildContextStateAccess(t, ctxName, varName),
+                write: updateFunction => buildContextSetStateCall(t, ctxName, updateFunction)
+            };
+        }
+
+        // the declaring scope's own state needs no context module
+        if (!isOwn) state.needsGblContext = true;
+        if (
+            !state.importState.reactId &&
+            !state.importState.useStateId
+        ) {
+            state.needUseStateImport = true
+        }
+        return target;
+    } catch (e) {
+        if (e instanceof CasperWriteError || e instanceof CasperReferenceError) throw e;
+        return null;
+    }
+}
+
+/**
+ * Builds the value a casper variable takes after applying an assignment operator.
+ *
+ * @param {object} t - The Babel types helper object (`@babel/types`).
+ * @param {string} operator - An assignment operator (`=`, `+=`, `??=`, ...) or an update operator (`++`, `--`).
+ * @param {Node} current - The current value of the variable (e.g. `prevState["_$_count"]`).
+ * @param {Node} [operand] - The right-hand side of the assignment; ignored for `++` / `--`.
+ *
+ * @returns {Node} The resulting value expression:
+ * - `=` → `operand`
+ * - `+=`, `-=`, `**=`, `<<=`, ... → `current + operand`, `current - operand`, ...
+ * - `||=`, `&&=`, `??=` → `current || operand`, `current && operand`, `current ?? operand`
+ * - `++`, `--` → `current + 1`, `current - 1`
+ *
+ * @important
+ * - For logical operators this is the value stored by the update; `compileCasperWrite` guards the whole
+ *   write so that the right-hand side is only evaluated when the original logical assignment would.
+ * - This function does **not** mutate the AST.
+ */
+export function buildOperatorValue (t, operator, current, operand) {
+    if (operator === ASSIGN_OPERATOR) return operand;
+    if (UPDATE_OPERATORS[operator]) {
+        return t.binaryExpression(UPDATE_OPERATORS[operator], current, t.numericLiteral(1));
+    }
+    if (LOGICAL_OPERATORS[operator]) {
+        return t.logicalExpression(LOGICAL_OPERATORS[operator], current, operand);
+    }
+    return t.binaryExpression(operator.slice(0, -1), current, operand);
+}
+
+/**
+ * Determines whether the value produced by an expression is discarded.
+ *
+ * @param {NodePath} path - The assignment or update expression path.
+ *
+ * @returns {boolean} `true` when nothing observes the expression's value, e.g.
+ *                    `_$_count++;`, `for (...; ...; _$_i++)` or `(_$_a = 1, other())`.
+ *
+ * @important
+ * - Used to keep the common statement form (`_$_count += 1;`) free of temporaries.
+ */
+export function isResultUnused (path) {
+    const parentPath = path.parentPath;
+    if (parentPath.isExpressionStatement()) return true;
+    if (parentPath.isForStatement() && path.parentKey === 'update') return true;
+    if (parentPath.isUnaryExpression({ operator: 'void' })) return true;
+    if (parentPath.isSequenceExpression()) {
+        const expressions = parentPath.node.expressions;
+        if (expressions[expressions.length - 1] !== path.node) return true;
+        return isResultUnused(parentPath);
+    }
+    return false;
+}
+
+/**
+ * Creates a temporary variable in the scope of a path and assigns a value to it.
+ *
+ * @param {NodePath} path - The path whose scope receives the temporary.
+ * @param {object} t - The Babel types helper object (`@babel/types`).
+ * @param {string} hint - Name hint for the generated identifier.
+ * @param {Node} value - The value to store.
+ *
+ * @returns {{id: Identifier, assign: Node}} The temporary identifier and its `tmp = value` assignment.
+ *
+ * @important
+ * - The temporary is a `let` of the nearest block, so a write repeated by a loop gets a fresh binding on
+ *   each iteration: React may run the updaters reading it later, when it renders (see `useScopeState`).
+ */
+function captureInTemp (path, t, hint, value) {
+    const id = path.scope.generateUidIdentifier(hint);
+    path.scope.push({ id, kind: _CCTX_LET });
+    return { id, assign: t.assignmentExpression(ASSIGN_OPERATOR, t.cloneNode(id), value) };
+}
+
+/**
+ * Makes sure an expression is evaluated once, at the point of the original write.
+ *
+ * @param {NodePath} path - The write being compiled.
+ * @param {object} t - The Babel types helper object (`@babel/types`).
+ * @param {Node} node - The expression (a right-hand side, computed key or call argument).
+ * @param {string} hint - Name hint for a generated temporary.
+ * @param {Node[]} sequence - Expressions emitted before the update; receives the capture.
+ *
+ * @returns {Node} `node` itself when it is pure, otherwise the temporary holding its value.
+ */
+function captureIfImpure (path, t, node, hint, sequence) {
+    if (path.scope.isPure(node, true)) return node;
+    const temp = captureInTemp(path, t, hint, node);
+    sequence.push(temp.assign);
+    return temp.id;
+}
+
+/**
+ * Builds a read of the value found below a casper variable.
+ *
+ * @param {object} t - The Babel types helper object (`@babel/types`).
+ * @param {Node} rootRead - A render-time read of the casper variable.
+ * @param {Node[]} keys - The key expressions below the variable.
+ *
+ * @returns {Node} `rootRead[k1][k2]...`.
+ */
+function buildKeysAccess (t, rootRead, keys) {
+    return keys.reduce((object, key) => t.memberExpression(object, t.cloneNode(key), true), rootRead);
+}
+
+/**
+ * Emits the functional state update and replaces the write with it.
+ *
+ * @param {NodePath} path - The write being compiled.
+ * @param {object} t - The Babel types helper object (`@babel/types`).
+ * @param {object} target - The write target (see `compileCasperWrite`).
+ * @param {Node[]} sequence - Captures that must run before the update.
+ * @param {function(Node): Node} buildNextValue - Builds the new value of the variable from its previous value.
+ * @param {Node|null} result - The value the original expression evaluates to, or `null` when unused.
+ *
+ * @returns {void}
+ */
+function replaceWithUpdate (path, t, target, sequence, buildNextValue, result) {
+    const prevValue = t.memberExpression(t.identifier(PREV_STATE), t.stringLiteral(target.varName), true);
+    sequence.push(target.write(buildSpreadObject(t, target.varName, buildNextValue(prevValue))));
+    if (result) sequence.push(result);
+    path.replaceWith(sequence.length === 1 ? sequence[0] : t.sequenceExpression(sequence));
+}
+
+/**
+ * Builds the updater of a write: the new value of the variable from its previous value.
+ *
+ * @param {NodePath} path - The write being compiled.
+ * @param {object} t - The Babel types helper object (`@babel/types`).
+ * @param {string} operator - The assignment or update operator.
+ * @param {Node[]} keys - The captured keys below the variable; empty for a write to the variable itself.
+ * @param {Node} [operand] - The captured right-hand side.
+ *
+ * @returns {function(Node): Node} Builds the new value from `prevState["_$_x"]`; the write sets the
+ *          value found at `keys` with `setIn` / `updateIn`.
+ */
+function buildNextValueBuilder (path, t, operator, keys, operand) {
+    return prevValue => {
+        if (!keys.length) return buildOperatorValue(t, operator, prevValue, operand);
+        const keyList = t.arrayExpression(keys.map(key => t.cloneNode(key)));
+        if (operator === ASSIGN_OPERATOR) {
+            return buildRuntimeCall(t, RUNTIME_SET_IN, [prevValue, keyList, operand]);
+        }
+        const previous = path.scope.generateUidIdentifier(CASPER_TEMP_PREVIOUS);
+        return buildRuntimeCall(t, RUNTIME_UPDATE_IN, [
+            prevValue,
+            keyList,
+            t.arrowFunctionExpression([previous], buildOperatorValue(t, operator, t.cloneNode(previous), operand))
+        ]);
+    };
+}
+
+/**
+ * Replaces a logical assignment (`||=`, `&&=`, `??=`) to a casper variable with a guarded state update.
+ *
+ * @param {NodePath} path - The `AssignmentExpression` being compiled.
+ * @param {object} t - The Babel types helper object (`@babel/types`).
+ * @param {object} target - The write target (see `compileCasperWrite`).
+ * @param {string} operator - The logical assignment operator.
+ * @param {Node[]} keys - The captured keys below the variable.
+ * @param {Node} operand - The right-hand side, as written.
+ * @param {Node[]} sequence - The key captures, emitted before the guard.
+ *
+ * @returns {void}
+ *
+ * @important
+ * - Compiles to `current <op> (_value = operand, setState(...), _value)`: the right-hand side and the
+ *   update only run when the current value does not short-circuit the operator, and the expression
+ *   evaluates to what the logical assignment would (the trailing value is dropped when unused).
+ * - The updater still applies the operator to `prevState`, so it composes with the other writes of the handler.
+ */
+function compileGuardedWrite (path, t, target, operator, keys, operand, sequence) {
+    const branch = [];
+    const value = captureIfImpure(path, t, operand, CASPER_TEMP_VALUE, branch);
+    const unused = isResultUnused(path);
+    const current = buildKeysAccess(t, target.read(), keys);
+    const update = buildNextValueBuilder(path, t, operator, keys, value);
+    const prevValue = t.memberExpression(t.identifier(PREV_STATE), t.stringLiteral(target.varName), true);
+    branch.push(target.write(buildSpreadObject(t, target.varName, update(prevValue))));
+    if (!unused) branch.push(t.cloneNode(value));
+    sequence.push(t.logicalExpression(LOGICAL_OPERATORS[operator], current, branch.length === 1 ? branch[0] : t.sequenceExpression(branch)));
+    path.replaceWith(sequence.length === 1 ? sequence[0] : t.sequenceExpression(sequence));
+}
+
+/**
+ * Replaces a write to a casper variable with a functional state update.
+ *
+ * @param {NodePath} path - The `AssignmentExpression` or `UpdateExpression` being compiled.
+ * @param {object} t - The Babel types helper object (`@babel/types`).
+ * @param {object} target - Where the variable lives, as resolved by the write visitors:
+ * @param {string} target.varName - The casper variable name.
+ * @param {function(): Node} target.read - Builds a read of the variable: the rendered value while rendering, the
+ *        latest one after render (see `resolveWriteTarget`).
+ * @param {function(Node): Node} target.write - Builds the setter call for an updater function.
+ * @param {object} write - The write being compiled:
+ * @param {string} write.operator - The assignment or update operator.
+ * @param {Node} [write.operand] - The right-hand side for assignments.
+ * @param {boolean} [write.prefix] - Whether an update expression is prefix (`++x`) or postfix (`x++`).
+ * @param {Node[]} [write.keys] - Keys below the variable for member writes (`_$_user.name = v`).
+ *
+ * @returns {void} This function does not return a value; it replaces the node at `path`.
+ *
+ * @important
+ * - The updater always derives the new value from `prevState`, so several writes in one
+ *   handler (`_$_count++; _$_count++;`) compose instead of overwriting each other.
+ * - A right-hand side or computed key that is not pure (calls, mutable bindings, casper reads, ...)
+ *   is evaluated once, at the point of the original write, and captured in a temporary; the
+ *   updater only sees the captured value.
+ * - `||=`, `&&=` and `??=` short-circuit like in JavaScript: the write is guarded by the value
+ *   `target.read` returns, so neither the right-hand side nor the update runs when the variable keeps
+ *   its value, and the expression evaluates to that value.
+ * - Member writes copy only the objects along the written path (`setIn` / `updateIn`), so
+ *   untouched branches keep their identity.
+ * - When the expression's value is used, it is preserved:
+ *   - `y = _$_count++` → `y` gets the value before the update.
+ *   - `y = ++_$_count`, `y = (_$_count += 2)` → `y` gets the updated value, computed before the
+ *     update from the value `target.read` returns.
+ * - Errors during AST replacement are silently caught.
+ *
+ * @example
+ * ```js
+ * _$_count += step;
+ * // becomes
+ * (_value = step, setApp_1a2b3c4d(prevState => ({ ...prevState, _$_count: prevState["_$_count"] + _value })));
+ *
+ * _$_name ??= fetchName();
+ * // becomes, in a handler
+ * _casperRuntime.latest(setApp_1a2b3c4d, app_1a2b3c4d)["_$_name"] ?? (_value = fetchName(), setApp_1a2b3c4d(prevState => ({ ...prevState, _$_name: prevState["_$_name"] ?? _value })));
+ * ```
+ */
+export function compileCasperWrite (path, t, target, write) {
+    try {
+        const { operator, prefix } = write;
+        const isUpdate = Boolean(UPDATE_OPERATORS[operator]);
+        const sequence = [];
+        const keys = (write.keys || []).map(key => captureIfImpure(path, t, key, CASPER_TEMP_KEY, sequence));
+        if (LOGICAL_OPERATORS[operator]) {
+            compileGuardedWrite(path, t, target, operator, keys, write.operand, sequence);
+            return;
+        }
+        const operand = write.operand && captureIfImpure(path, t, write.operand, CASPER_TEMP_VALUE, sequence);
+
+        let result = null;
+        if (!isResultUnused(path)) {
+            const current = buildKeysAccess(t, target.read(), keys);
+            if (isUpdate && !prefix) {
+                const temp = captureInTemp(path, t, CASPER_TEMP_PREVIOUS, current);
+                sequence.push(temp.assign);
+                result = t.cloneNode(temp.id);
+            } else {
+                // computed ahead of the update, which a read of the latest state would already include
+                result = captureIfImpure(path, t, buildOperatorValue(t, operator, current, operand && t.cloneNode(operand)), CASPER_TEMP_VALUE, sequence);
+            }
+        }
+
+        replaceWithUpdate(path, t, target, sequence, buildNextValueBuilder(path, t, operator, keys, operand), result);
+    } catch (e) {
+
+    }
+}
+
+/**
+ * Replaces `delete` of a property below a casper variable with a functional state update.
+ *
+ * @param {NodePath} path - The `UnaryExpression` (`delete ...`) being compiled.
+ * @param {object} t - The Babel types helper object (`@babel/types`).
+ * @param {object} target - The write target (see `compileCasperWrite`).
+ * @param {Node[]} keys - Keys from the variable to the deleted property; never empty.
+ *
+ * @returns {void} This function does not return a value; it replaces the node at `path`.
+ *
+ * @important
+ * - Compiles to `deleteIn(prevState["_$_x"], keys)`; the expression still evaluates to `true`.
+ *
+ * @example
+ * ```js
+ * delete _$_filters[name];
+ * // becomes
+ * setApp_1a2b3c4d(prevState => ({ ...prevState, _$_filters: _casperRuntime.deleteIn(prevState["_$_filters"], [name]) }));
+ * ```
+ */
+export function compileCasperDelete (path, t, target, keys) {
+    try {
+        const sequence = [];
+        const capturedKeys = keys.map(key => captureIfImpure(path, t, key, CASPER_TEMP_KEY, sequence));
+        const result = isResultUnused(path) ? null : t.booleanLiteral(true);
+        replaceWithUpdate(path, t, target, sequence, prevValue => buildRuntimeCall(t, RUNTIME_DELETE_IN, [
+            prevValue,
+            t.arrayExpression(capturedKeys.map(key => t.cloneNode(key)))
+        ]), result);
+    } catch (e) {
+
+    }
+}
+
+/**
+ * Replaces a mutating method call on a casper variable (or a value below it) with a functional state update.
+ *
+ * @param {NodePath} path - The `CallExpression` being compiled.
+ * @param {object} t - The Babel types helper object (`@babel/types`).
+ * @param {object} target - The write target (see `compileCasperWrite`).
+ * @param {object} call - The call being compiled:
+ * @param {Node[]} call.keys - Keys from the variable to the receiver of the method.
+ * @param {string} call.method - The mutating method (`push`, `splice`, `set`, `add`, ...).
+ * @param {Node[]} call.args - The call arguments, possibly containing spread elements.
+ *
+ * @returns {void} This function does not return a value; it replaces the node at `path`.
+ *
+ * @important
+ * - The method runs on a copy of the receiver inside the updater (`callIn(...).value`), so
+ *   consecutive calls in one handler compose.
+ * - Arguments are evaluated once, at the point of the original call.
+ * - When the call's return value is used (`const n = _$_todos.push(t)`), it is computed before the update by
+ *   running the method on a copy of the value `target.read` returns.
+ * - `set`, `add`, `delete` and `clear` are compiled for `Map` and `Set` receivers only, checked at run time
+ *   (`isCollection`). Any other receiver (`URLSearchParams`, `Headers`, ...) is called as written, in place:
+ *   `(_args = "1", _casperRuntime.isCollection(params) ? setApp_1a2b3c4d(...) : params.set("a", _args))`.
+ *
+ * @example
+ * ```js
+ * _$_todos.push(todo);
+ * // becomes
+ * setApp_1a2b3c4d(prevState => ({ ...prevState, _$_todos: _casperRuntime.callIn(prevState["_$_todos"], [], "push", [todo]).value }));
+ * ```
+ */
+export function compileCasperCall (path, t, target, call) {
+    try {
+        const sequence = [];
+        const keys = call.keys.map(key => captureIfImpure(path, t, key, CASPER_TEMP_KEY, sequence));
+        const args = call.args.map(arg => t.isSpreadElement(arg)
+            ? t.spreadElement(captureIfImpure(path, t, arg.argument, CASPER_TEMP_ARGS, sequence))
+            : captureIfImpure(path, t, arg, CASPER_TEMP_ARGS, sequence)
+        );
+        const buildCall = (value, field) => t.memberExpression(
+            buildRuntimeCall(t, RUNTIME_CALL_IN, [
+                value,
+                t.arrayExpression(keys.map(key => t.cloneNode(key))),
+                t.stringLiteral(call.method),
+                t.arrayExpression(args.map(arg => t.cloneNode(arg)))
+            ]),
+            t.identifier(field)
+        );
+        const update = [];
+        let result = null;
+        if (!isResultUnused(path)) {
+            const temp = captureInTemp(path, t, CASPER_TEMP_VALUE, buildCall(target.read(), RUNTIME_CALL_RESULT));
+            update.push(temp.assign);
+            result = t.cloneNode(temp.id);
+        }
+        if (!COLLECTION_MUTATING_METHODS.includes(call.method)) {
+            replaceWithUpdate(path, t, target, [...sequence, ...update], prevValue => buildCall(prevValue, RUNTIME_CALL_VALUE), result);
+            return;
+        }
+        const prevValue = t.memberExpression(t.identifier(PREV_STATE), t.stringLiteral(target.varName), true);
+        update.push(target.write(buildSpreadObject(t, target.varName, buildCall(prevValue, RUNTIME_CALL_VALUE))));
+        if (result) update.push(result);
+        const receiver = () => buildKeysAccess(t, target.read(), keys);
+        sequence.push(t.conditionalExpression(
+            buildRuntimeCall(t, RUNTIME_IS_COLLECTION, [receiver()]),
+            update.length === 1 ? update[0] : t.sequenceExpression(update),
+            t.callExpression(t.memberExpression(receiver(), t.identifier(call.method)), args.map(arg => t.cloneNode(arg)))
+        ));
+        path.replaceWith(sequence.length === 1 ? sequence[0] : t.sequenceExpression(sequence));
+    } catch (e) {
+
+    }
+}
+
+/**
+ * Rebuilds a destructuring pattern, replacing each assignment target in it.
+ *
+ * @param {object} t - The Babel types helper object (`@babel/types`).
+ * @param {Node} pattern - An `ObjectPattern`, `ArrayPattern` or a single target.
+ * @param {function(Node): Node} replaceTarget - Receives every target (identifier or member
+ *        expression, including rest and defaulted ones) and returns its replacement.
+ *
+ * @returns {Node} A new pattern with the same shape; defaults, computed keys and holes are kept.
+ *
+ * @important
+ * - Shorthand properties are expanded (`{ _$_a }` → `{ _$_a: replacement }`), so the
+ *   property name read from the source stays the same.
+ * - Does **not** mutate the input pattern.
+ */
+export function mapPatternTargets (t, pattern, replaceTarget) {
+    if (t.isObjectPattern(pattern)) {
+        return t.objectPattern(pattern.properties.map(prop => t.isRestElement(prop)
+            ? t.restElement(mapPatternTargets(t, prop.argument, replaceTarget))
+            : t.objectProperty(t.cloneNode(prop.key), mapPatternTargets(t, prop.value, replaceTarget), prop.computed, false)
+        ));
+    }
+    if (t.isArrayPattern(pattern)) {
+        return t.arrayPattern(pattern.elements.map(element => element && mapPatternTargets(t, element, replaceTarget)));
+    }
+    if (t.isAssignmentPattern(pattern)) {
+        return t.assignmentPattern(mapPatternTargets(t, pattern.left, replaceTarget), t.cloneNode(pattern.right));
+    }
+    if (t.isRestElement(pattern)) {
+        return t.restElement(mapPatternTargets(t, pattern.argument, replaceTarget));
+    }
+    return replaceTarget(pattern);
+}
+
+/**
+ * Replaces a destructuring assignment that writes casper variables with one setter update per variable.
+ *
+ * @param {NodePath} path - The `AssignmentExpression` whose left-hand side is a pattern.
+ * @param {object} t - The Babel types helper object (`@babel/types`).
+ * @param {Node} pattern - The original pattern with every casper target replaced by its temporary
+ *        (built with `mapPatternTargets`).
+ * @param {Array<{target: object, keys: Node[], temp: Identifier}>} writes - One entry per casper target:
+ *        its write target (see `compileCasperWrite`), the keys below the variable and the temporary
+ *        that receives the destructured value.
+ *
+ * @returns {void} This function does not return a value; it replaces the node at `path`.
+ *
+ * @important
+ * - The right-hand side is evaluated once; destructuring, defaults and rest elements run exactly
+ *   as written, into the temporaries.
+ * - Every casper variable then gets its own functional update, so `[_$_a, _$_b] = [_$_b, _$_a]`
+ *   swaps the two render-time values.
+ * - Non-casper targets in the same pattern are assigned as before.
+ * - The expression still evaluates to its right-hand side.
+ *
+ * @example
+ * ```js
+ * [_$_a, _$_b] = [_$_b, _$_a];
+ * // becomes
+ * ([_value, _value2] = [app["_$_b"], app["_$_a"]],
+ *  setApp(prevState => ({ ...prevState, _$_a: _value })),
+ *  setApp(prevState => ({ ...prevState, _$_b: _value2 })));
+ * ```
+ */
+export function compileCasperPatternWrite (path, t, pattern, writes) {
+    try {
+        const sequence = [];
+        const captured = writes.map(write => ({
+            ...write,
+            keys: write.keys.map(key => captureIfImpure(path, t, key, CASPER_TEMP_KEY, sequence))
+        }));
+        const destructure = t.assignmentExpression(ASSIGN_OPERATOR, pattern, path.node.right);
+        let result = null;
+        if (isResultUnused(path)) {
+            sequence.push(destructure);
+        } else {
+            const temp = captureInTemp(path, t, CASPER_TEMP_VALUE, destructure);
+            sequence.push(temp.assign);
+            result = t.cloneNode(temp.id);
+        }
+        captured.forEach(({ target, keys, temp }) => {
+            const prevValue = t.memberExpression(t.identifier(PREV_STATE), t.stringLiteral(target.varName), true);
+            const nextValue = keys.length
+                ? buildRuntimeCall(t, RUNTIME_SET_IN, [prevValue, t.arrayExpression(keys.map(key => t.cloneNode(key))), t.cloneNode(temp)])
+                : t.cloneNode(temp);
+            sequence.push(target.write(buildSpreadObject(t, target.varName, nextValue)));
+        });
+        if (result) sequence.push(result);
+        path.replaceWith(t.sequenceExpression(sequence));
+    } catch (e) {
+
+    }
+}
@@ -14,6 +14,7 @@ import {
     _CCTX_VAR,            // 'var' or 'const' declaration keyword
     _CCTX_REQUIRE,        // CommonJS 'require' identifier
     ANONYMOUS_FUNCTION,   // Placeholder for unnamed function expressions
+    ANONYMOUS_CLASS,      // Placeholder for unnamed class declarations
     PREV_STATE,           // Identifier for functional state updates (e.g., prevState => ...)
     _CCTX_,               // Internal library prefix for generated variables
     _CCTX_CONST,          // 'const' declaration keyword
@@ -26,7 +27,45 @@ import {
     _CCTX_SET,            // Setter prefix for state management
     REACT_IMPORT_USE_STATE_HOOKS_NAME, // 'useState' hook name
     _CCTX_UNDUS_CORE_REACT, // Internal reference for the React package
-    _CCTX_EMPTY           // Default empty string or null placeholder
+    _CCTX_EMPTY,          // Default empty string or null placeholder
+    _CCTX_CONSUMER,       // Context '.Consumer' identifier
+    _CCTX_CONTEXT_TYPE,   // 'contextType' static property of class components
+    _CCTX_CONTEXT,        // 'context' instance property of class components
+    _CCTX_STATE,          // 'state' instance property of class components
+    RENDER_METHOD,        // 'render' method of class components
+    CONSTRUCTOR_METHOD,   // 'constructor' method of class components
+    _CCTX_UNDUS_CORE_RUNTIME, // Identifier bound to the casper runtime module
+    ROOT_STORE,           // Export of the context module holding module-level variables
+    STORE_GET_STATE,      // Root store snapshot reader
+    STORE_SET_STATE,      // Root store updater
+    STORE_SUBSCRIBE,      // Root store subscription
+    STORE_INIT,           // Root store seeding of non-reproducible initializers
+    RUNTIME_CONNECT_STORE, // Runtime helper subscribing class components to the root store
+    RUNTIME_GET_SCOPE,    // Runtime handle on a declaring scope, used outside React
+    RUNTIME_USE_SCOPE_BINDING, // Runtime hook publishing a function component's state
+    RUNTIME_BIND_INSTANCE_SCOPE, // Runtime helper publishing a class component's state
+    SCOPE_BINDING_FIELD,  // Class field holding the class's scope binding
+    _CCTX_USE_SYNC_EXTERNAL_STORE, // React 'useSyncExternalStore' hook name
+    SYNC_UNTOUCHED,       // Seed policy re-seeding only variables that were not written
+    CASPER_TEMP_SEED,     // Name hint for source values evaluated on every render
+    CASPER_TEMP_SEEDS,    // Name hint for the state remembering the last seeds
+    CASPER_TEMP_INIT,     // Name hint for initializers calling hooks, evaluated on every render
+    GLOBAL_OBJECT,        // 'Object' global
+    OBJECT_IS,            // 'is' method of `Object`, used to compare seeds
+    RUNTIME_USE_ACTIONS,  // Runtime hook holding a scope's actions
+    RUNTIME_USE_SCOPE_STORE, // Runtime hook creating a declaring component's store
+    RUNTIME_USE_STORE_STATE, // Runtime hook subscribing to some variables of a store
+    RUNTIME_CONNECT_SCOPE_STORE, // Runtime helper subscribing class components to a provided store
+    SCOPE_STORE_SUFFIX,   // Suffix of the variable holding a declaring component's store
+    _CCTX_USE_LAYOUT_EFFECT, // React 'useLayoutEffect' hook name
+    RUNTIME_USE_SCOPE_STATE, // Runtime hook holding a scope's state, skipping equal updates
+    RUNTIME_CREATE_CLASS_SETTER, // Runtime helper creating a class component's setter
+    RUNTIME_SHALLOW_EQUAL, // Runtime comparison of `@casper-equals shallow` variables
+    RUNTIME_MEMOIZE_LAST, // Runtime helper memoizing a class component's Provider value
+    EQUALITY_SHALLOW,     // Built-in comparison provided by the runtime
+    PROVIDER_VALUE_SUFFIX, // Suffix of the variable holding a memoized Provider value
+    _CCTX_USE_MEMO,       // React 'useMemo' hook name
+    RUNTIME_LATEST        // Runtime reader of the latest state behind a setter
 } from './constants';
 
 /**
@@ -37,9 +76,24 @@ import {
 import { 
     getInsertionIndex,    // Logic to find the safest line to inject new code
     resolveReact,          // Ensures React is available in the current scope
-    isContextInstanceDeclare // Check if a context has already been initialized
+    isContextInstanceDeclare, // Check if a context has already been initialized
+    getSetterContextKey   // Names the setter-only context of a context
 } from './utilityHelpers';
 
+/**
+ * Scope Helpers
+ * @description Resolves the name of the scope a function represents, regardless of
+ * whether it is written as a declaration, an arrow, a function expression or a default export.
+ */
+import { getFunctionScopeName, getClassScopeName, isHookScopeName, getWrappedComponentPath } from './scope';
+
+/**
+ * Initializer Analysis
+ * @description Detects initializers that do real work, so the state initializer can be made lazy,
+ * and the ones calling hooks, which must never be.
+ */
+import { isExpensiveInitializer, callsHook } from '../transforms/contextTransform';
+
 /**
  * Inserts a `require` declaration at the top of a given AST node path.
  *
@@ -100,7 +154,11 @@ export function buildRequireDeclaration (path, t, identifier, stringLiteral) {
  *                            Can be a JSX element or any valid expression.
  * @param {object} state - The current state object, used to resolve the React import name via `resolveReact`.
  * @param {string} stateName - The name of the state variable to be provided via context.
- *                             Example: `"User"` will inject `{ user, setUser }` as context value.
+ *                             Example: `"User"` provides `user$value`, the memoized `{ user, setUser }`
+ *                             declared by `buildProviderValueDeclaration`.
+ * @param {Node} [valueNode] - Optional expression to provide instead, e.g. the memoized value of a class component.
+ * @param {boolean} [store] - Provides the component's store (`user$store`) instead, for a context backed by
+ *                             a store (see `isStoreContext`); the value then never changes.
  *
  * @returns {void} This function does not return a value. It mutates the AST node at `path` by replacing its
  *                 `argument` with a `React.createElement` call for the context provider.
@@ -108,19 +166,21 @@ export function buildRequireDeclaration (path, t, identifier, stringLiteral) {
  * @important
  * - `_CCTX_CREATE_ELEMENT`, `_CCTX_UNDUS_CORE_GBL_CONTEXT`, `_CCTX_PROVIDER`, `_CCTX_VALUE`, and `_CCTX_SET` 
  *   are assumed to be predefined constants controlling context creation and property naming.
- * - The state is injected as an object containing the state variable and its setter, following the pattern:
- *   `{ stateNameLowerCase, setStateName }`.
- * - JSX return nodes are converted to React.createElement using `t.jsxElementToReactCreateElement`.
+ * - The value keeps its identity until the state changes, so re-rendering the declaring component for
+ *   another reason (its props, its parent) does not re-render the consumers.
+ * - JSX return nodes (elements, fragments, conditionals) are passed through as the Provider's child
+ *   and compiled by the JSX transform, whatever order the plugins run in.
+ * - `stateName` may be the key of a context group (`App_1a2b3c4d$session`, see `getContextKey`);
+ *   calling it again on the wrapped return adds an outer Provider, which is how groups nest.
  * - Any errors during AST manipulation are silently caught; consider logging for debugging purposes.
  * - This function mutates the original AST node in place and does not generate a new return statement.
  */
-export function buildCtxProvider (path, t, returnNode, state, stateName) {
+export function buildCtxProvider (path, t, returnNode, state, stateName, valueNode, store) {
     try {
         const reactName = resolveReact(path, t, state)
-        // Ensure returnNode is an expression
-        const childrenExpr = t.isJSXElement(returnNode)
-            ? t.jsxElementToReactCreateElement(returnNode) // We'll handle JSX separately if needed
-            : returnNode;
+        const stateKey = stateName[0].toLowerCase() + stateName.slice(1);
+        // JSX children are left as they are; the JSX transform converts them with the rest of the file
+        const childrenExpr = returnNode;
         const reactCreateEl = t.callExpression(
             t.memberExpression(reactName, t.identifier(_CCTX_CREATE_ELEMENT)),
             [
@@ -134,10 +194,7 @@ export function buildCtxProvider (path, t, returnNode, state, stateName) {
                 t.objectExpression([
                     t.objectProperty(
                         t.identifier(_CCTX_VALUE),
-                        t.objectExpression([
-                            t.objectProperty(t.identifier(stateName[0].toLowerCase() + stateName.slice(1)), t.identifier(stateName[0].toLowerCase() + stateName.slice(1)), false, true),
-                            t.objectProperty(t.identifier(`${_CCTX_SET}${stateName}`), t.identifier(`${_CCTX_SET}${stateName}`), false, true)
-                        ])
+                        valueNode || t.identifier(`${stateKey}${store ? SCOPE_STORE_SUFFIX : PROVIDER_VALUE_SUFFIX}`)
                     )
                 ]),
                 childrenExpr
@@ -149,6 +206,134 @@ export function buildCtxProvider (path, t, returnNode, state, stateName) {
     }
 }
 
+/**
+ * Wraps a return value with the Provider of a setter context.
+ *
+ * @param {NodePath} path - The return statement whose argument is wrapped.
+ * @param {object} t - The Babel types helper object (`@babel/types`).
+ * @param {object} state - The current state object, used to resolve the React import name via `resolveReact`.
+ * @param {string} stateName - The context whose setter is provided (see `getContextKey`).
+ * @param {Node} [setterNode] - The setter; defaults to the `setKey` binding of the declaring function component.
+ *
+ * @returns {void}
+ *
+ * @important
+ * - Renders `React.createElement(_gblContext.App_1a2b3c4d$$setter.Provider, { value: setApp_1a2b3c4d }, child)`,
+ *   see `hasSetterContext`. The setter never changes, so neither does this Provider's value.
+ */
+export function buildSetterCtxProvider (path, t, state, stateName, setterNode) {
+    try {
+        const reactName = resolveReact(path, t, state);
+        path.node.argument = t.callExpression(
+            t.memberExpression(reactName, t.identifier(_CCTX_CREATE_ELEMENT)),
+            [
+                t.memberExpression(
+                    t.memberExpression(t.identifier(_CCTX_UNDUS_CORE_GBL_CONTEXT), t.identifier(getSetterContextKey(stateName))),
+                    t.identifier(_CCTX_PROVIDER)
+                ),
+                t.objectExpression([
+                    t.objectProperty(t.identifier(_CCTX_VALUE), setterNode || t.identifier(`${_CCTX_SET}${stateName}`))
+                ]),
+                path.node.argument
+            ]
+        );
+    } catch (e) {
+
+    }
+}
+
+/**
+ * Builds `Object.is(a, b)`.
+ *
+ * @param {object} t - The Babel types helper object (`@babel/types`).
+ * @param {Node} a - First operand.
+ * @param {Node} b - Second operand.
+ *
+ * @returns {Node} The call expression.
+ */
+function buildObjectIs (t, a, b) {
+    return t.callExpression(t.memberExpression(t.identifier(GLOBAL_OBJECT), t.identifier(OBJECT_IS)), [a, b]);
+}
+
+/**
+ * Builds the statements that re-seed synchronised variables when their source value changes.
+ *
+ * @param {NodePath} path - The function whose state is being declared.
+ * @param {object} t - The Babel types helper object (`@babel/types`).
+ * @param {function(): Node} buildUseState - Builds a fresh `useState` callee.
+ * @param {string} setterName - The setter of the state holding the variables.
+ * @param {Array<{name: string, policy: string, seed: Identifier}>} seeds - The synchronised variables and the
+ *        temporaries holding their source value for this render.
+ * @param {Node} [useLayoutEffect] - A `useLayoutEffect` callee; when given, the `if`s run in that effect.
+ *
+ * @returns {Statement[]} A `useState` remembering the last seeds, then one `if` per variable (or the effect running them).
+ *
+ * @important
+ * - This is React's "adjusting state while rendering" pattern: the setters are called during render,
+ *   only when a seed changed, and React re-renders the component before committing, so no `useEffect`
+ *   (and no frame with the stale value) is involved.
+ * - `always` overwrites the variable; `untouched` only does while it still holds the previous seed,
+ *   i.e. until the variable is first written.
+ * - Seeds are compared with `Object.is`; a source creating a new object on every render would re-seed forever.
+ * - A store (see `isStoreContext`) cannot be updated during render: its subscribers would be updated while
+ *   another component renders. Its variables are re-seeded in a layout effect instead, still before paint.
+ */
+function buildSeedSync (path, t, buildUseState, setterName, seeds, useLayoutEffect) {
+    const seedsId = path.scope.generateUidIdentifier(CASPER_TEMP_SEEDS);
+    const setSeedsId = path.scope.generateUidIdentifier(_CCTX_SET + CASPER_TEMP_SEEDS);
+    const seedsDecl = t.variableDeclaration(_CCTX_CONST, [
+        t.variableDeclarator(
+            t.arrayPattern([seedsId, setSeedsId]),
+            t.callExpression(buildUseState(), [
+                t.objectExpression(seeds.map(({ name, seed }) => t.objectProperty(t.identifier(name), t.cloneNode(seed))))
+            ])
+        )
+    ]);
+    const lastSeed = name => t.memberExpression(t.cloneNode(seedsId), t.stringLiteral(name), true);
+    const syncs = seeds.map(({ name, policy, seed }) => {
+        let update = buildSpreadObject(t, name, t.cloneNode(seed));
+        if (policy === SYNC_UNTOUCHED) {
+            const prevValue = t.memberExpression(t.identifier(PREV_STATE), t.stringLiteral(name), true);
+            update = t.arrowFunctionExpression([t.identifier(PREV_STATE)], t.conditionalExpression(
+                buildObjectIs(t, prevValue, lastSeed(name)),
+                update.body,
+                t.identifier(PREV_STATE)
+            ));
+        }
+        return t.ifStatement(
+            t.unaryExpression('!', buildObjectIs(t, lastSeed(name), t.cloneNode(seed))),
+            t.blockStatement([
+                t.expressionStatement(t.callExpression(t.cloneNode(setSeedsId), [buildSpreadObject(t, name, t.cloneNode(seed))])),
+                t.expressionStatement(t.callExpression(t.identifier(setterName), [update]))
+            ])
+        );
+    });
+    if (!useLayoutEffect) return [seedsDecl, ...syncs];
+    return [seedsDecl, t.expressionStatement(t.callExpression(useLayoutEffect, [
+        t.arrowFunctionExpression([], t.blockStatement(syncs))
+    ]))];
+}
+
+/**
+ * Builds the comparisons of the variables that are not compared with `Object.is`.
+ *
+ * @param {object} t - The Babel types helper object (`@babel/types`).
+ * @param {string[]} names - The variables held by one state.
+ * @param {Object<string, string>} [equality] - The registry's comparisons (see `getDeclarationEquality`).
+ *
+ * @returns {Node|null} `{ _$_filters: _casperRuntime.shallowEqual, _$_user: sameUser }`, or `null` when
+ *          every variable is compared with `Object.is`.
+ */
+function buildEqualityComparators (t, names, equality) {
+    const props = names.filter(name => equality?.[name]).map(name => t.objectProperty(
+        t.identifier(name),
+        equality[name] === EQUALITY_SHALLOW
+            ? t.memberExpression(t.identifier(_CCTX_UNDUS_CORE_RUNTIME), t.identifier(RUNTIME_SHALLOW_EQUAL))
+            : t.identifier(equality[name])
+    ));
+    return props.length ? t.objectExpression(props) : null;
+}
+
 /**
  * Inserts a React `useState` declaration into the AST at the specified path.
  *
@@ -169,6 +354,22 @@ export function buildCtxProvider (path, t, returnNode, state, stateName) {
  * @param {string} key - The name of the state variable. The hook declaration will follow the pattern:
  *                       `[keyLowerCase, setKeyCapitalized]`.
  *                       Example: `"User"` → `[user, setUser]`.
+ * @param {Statement[]} [setup] - Statements that must run before `objProps` are evaluated (e.g. destructuring
+ *                                declarations). When present, the initial state is passed as a lazy initializer
+ *                                `() => { ...setup; return { ...objProps }; }`, which React calls only once.
+ *                                Initializers that call functions or construct objects (`load()`, `new Map()`)
+ *                                are wrapped the same way (`() => ({ ...objProps })`) so they run once, not on every render.
+ *                                Initializers and setup statements calling hooks (`useParams().id`, see `callsHook`) are
+ *                                never wrapped: they are evaluated on every render into `const` temporaries declared
+ *                                before the state hook, like the seeds of synchronised variables.
+ * @param {Object<string, string>} [sync] - Variables that follow their initializer after the first render, with their
+ *                                policy (`always` or `untouched`, see `getDeclarationSync`). Their initializer is evaluated
+ *                                on every render into a `seed` temporary, and re-seeds the state when it changes.
+ * @param {string[]} [storeReads] - For a context backed by a store (see `isStoreContext`): the variables the
+ *                                component reads. The state then lives in a store created by `useScopeStore`, and the
+ *                                `[state, setState]` pair comes from `useStoreState`, subscribed to those variables only.
+ * @param {Object<string, string>} [equality] - How the variables are compared with the values assigned to them
+ *                                (see `getDeclarationEquality`); `Object.is` for the ones not listed.
  *
  * @returns {void} This function does not return a value. It directly mutates the AST by inserting a variable declaration.
  *
@@ -180,9 +381,30 @@ export function buildCtxProvider (path, t, returnNode, state, stateName) {
  *   even if no React import is found.
  * - Errors during AST mutation are silently caught. Consider logging or handling errors for debugging purposes.
  * - The inserted variable declaration follows the standard React `useState` hook pattern and is prepended
- *   to the container body at `path.get(_CCTX_BODY)`.
+ *   to the container body at `path.get(_CCTX_BODY)`. The state is held by the runtime's `useScopeState`, whose
+ *   setter skips assignments leaving every variable equal, and `state.needsRuntime` is set.
+ * - `path` may be any function form; expression-bodied arrows are converted to a block body first.
+ * - Synchronised variables add a second `useState` remembering the last seeds (see `buildSeedSync`).
+ * - With `storeReads`, the declaration becomes
+ *   `const app_1a2b3c4d$store = _casperRuntime.useScopeStore(React, { ... });`
+ *   `const [app_1a2b3c4d, setApp_1a2b3c4d] = _casperRuntime.useStoreState(React, app_1a2b3c4d$store, ["_$_count"]);`
+ *   and `state.needsRuntime` is set.
+ *
+ * @example
+ * ```js
+ * // function Page(props) {
+ * //     // @casper-sync untouched
+ * //     let _$_user = props.user;
+ * const _seed = props.user;
+ * const [page_1a2b3c4d, setPage_1a2b3c4d] = _casperRuntime.useScopeState(React, { _$_user: _seed });
+ * const [_seeds, _setseeds] = (0, useState)({ _$_user: _seed });
+ * if (!Object.is(_seeds["_$_user"], _seed)) {
+ *     _setseeds(prevState => ({ ...prevState, _$_user: _seed }));
+ *     setPage_1a2b3c4d(prevState => Object.is(prevState["_$_user"], _seeds["_$_user"]) ? { ...prevState, _$_user: _seed } : prevState);
+ * }
+ * ```
  */
-export function buildCtxUseStateDeclaration (path, t, state, objProps, key) {
+export function buildCtxUseStateDeclaration (path, t, state, objProps, key, setup, sync, storeReads, equality) {
     try {
         let useStateMembers
         if (state.importState.useStateId) {
@@ -196,25 +418,114 @@ export function buildCtxUseStateDeclaration (path, t, state, objProps, key) {
             const reactIdent = t.identifier(_CCTX_UNDUS_CORE_REACT);
             useStateMembers = t.memberExpression(reactIdent, t.identifier(REACT_IMPORT_USE_STATE_HOOKS_NAME));
         }
-        const useStateSeq = t.sequenceExpression([
+        const buildUseState = () => t.sequenceExpression([
             t.numericLiteral(0),
-            useStateMembers
+            t.cloneNode(useStateMembers)
         ]);
 
-        const useStateCall = t.callExpression(
-            useStateSeq,
-            [t.objectExpression(objProps)]
-        );
+        const seeds = [];
+        const seedDecls = [];
+        objProps = objProps.map(prop => {
+            const policy = sync?.[prop.key.name];
+            if (!policy) return prop;
+            const seed = path.scope.generateUidIdentifier(CASPER_TEMP_SEED);
+            seedDecls.push(t.variableDeclaration(_CCTX_CONST, [t.variableDeclarator(seed, prop.value)]));
+            seeds.push({ name: prop.key.name, policy, seed });
+            return t.objectProperty(t.identifier(prop.key.name), t.cloneNode(seed));
+        });
+        const hookDecls = (setup || []).filter(statement => callsHook(t, statement));
+        setup = (setup || []).filter(statement => !hookDecls.includes(statement));
+        objProps = objProps.map(prop => {
+            if (!callsHook(t, prop.value)) return prop;
+            const init = path.scope.generateUidIdentifier(CASPER_TEMP_INIT);
+            hookDecls.push(t.variableDeclaration(_CCTX_CONST, [t.variableDeclarator(init, prop.value)]));
+            return t.objectProperty(t.identifier(prop.key.name), t.cloneNode(init));
+        });
+
+        let initialState = t.objectExpression(objProps);
+        if (setup.length) {
+            initialState = t.arrowFunctionExpression([], t.blockStatement([...setup, t.returnStatement(initialState)]));
+        } else if (objProps.some(prop => isExpensiveInitializer(t, prop.value))) {
+            initialState = t.arrowFunctionExpression([], initialState);
+        }
+        const stateKey = key[0].toLowerCase() + key.slice(1);
+        const reactName = resolveReact(path, t, state);
+        const comparators = buildEqualityComparators(t, objProps.map(prop => prop.key.name), equality);
+        const storeDecls = [];
+        let useStateCall = buildRuntimeCall(t, RUNTIME_USE_SCOPE_STATE, [reactName, initialState, ...(comparators ? [comparators] : [])]);
+        if (storeReads) {
+            const storeId = t.identifier(`${stateKey}${SCOPE_STORE_SUFFIX}`);
+            storeDecls.push(t.variableDeclaration(_CCTX_CONST, [
+                t.variableDeclarator(storeId, buildRuntimeCall(t, RUNTIME_USE_SCOPE_STORE, [
+                    t.cloneNode(reactName),
+                    initialState,
+                    ...(comparators ? [comparators] : [])
+                ]))
+            ]));
+            useStateCall = buildRuntimeCall(t, RUNTIME_USE_STORE_STATE, [
+                t.cloneNode(reactName),
+                t.cloneNode(storeId),
+                t.arrayExpression(storeReads.map(name => t.stringLiteral(name)))
+            ]);
+        }
+        state.needsRuntime = true;
         const stateDecl = t.variableDeclaration(_CCTX_CONST, [
             t.variableDeclarator(
                 t.arrayPattern([
-                    t.identifier(key[0].toLowerCase() + key.slice(1)),
-                    t.identifier(_CCTX_SET + key[0].toUpperCase() + key.slice(1))
+                    t.identifier(stateKey),
+                    // same spelling as the Provider value and the setter calls (`setuseCart_x` for hooks)
+                    t.identifier(_CCTX_SET + key)
                 ]),
                 useStateCall
             )
         ]);
-        path.get(_CCTX_BODY).unshiftContainer(_CCTX_BODY, stateDecl);
+        const useLayoutEffect = storeReads && t.sequenceExpression([
+            t.numericLiteral(0),
+            t.memberExpression(resolveReact(path, t, state), t.identifier(_CCTX_USE_LAYOUT_EFFECT))
+        ]);
+        if (path.isArrowFunctionExpression()) path.ensureBlock();
+        path.get(_CCTX_BODY).unshiftContainer(_CCTX_BODY, [
+            ...seedDecls,
+            ...hookDecls,
+            ...storeDecls,
+            stateDecl,
+            ...(seeds.length ? buildSeedSync(path, t, buildUseState, _CCTX_SET + key, seeds, useLayoutEffect) : [])
+        ]);
+    } catch (e) {
+
+    }
+}
+
+/**
+ * Declares the actions of a function component or custom hook.
+ *
+ * @param {NodePath} path - The declaring function.
+ * @param {object} t - The Babel types helper object (`@babel/types`).
+ * @param {object} state - The Babel plugin state; `needsRuntime` is set.
+ * @param {Array<ObjectProperty>} objProps - One property per action, holding its function as written.
+ * @param {string} key - The actions' context key (`App_1a2b3c4d$$actions`, see `getContextKey`).
+ *
+ * @returns {void}
+ *
+ * @important
+ * - Prepends `const app_1a2b3c4d$$actions = _casperRuntime.useActions(React, { ... })`, the same spelling
+ *   `useState` declarations use, so reads (`app_1a2b3c4d$$actions["_$_addToCart"]`), the Provider and
+ *   `buildScopeBinding` treat the actions like any other context, minus the setter.
+ * - `useActions` returns the same object on every render, forwarding to the latest functions.
+ * - The functions are only created here; bindings they use further down the body are initialised by
+ *   the time they are called from handlers and effects.
+ */
+export function buildActionsDeclaration (path, t, state, objProps, key) {
+    try {
+        const actionsDecl = t.variableDeclaration(_CCTX_CONST, [
+            t.variableDeclarator(
+                t.identifier(key[0].toLowerCase() + key.slice(1)),
+                buildRuntimeCall(t, RUNTIME_USE_ACTIONS, [resolveReact(path, t, state), t.objectExpression(objProps)])
+            )
+        ]);
+        if (path.isArrowFunctionExpression()) path.ensureBlock();
+        path.get(_CCTX_BODY).unshiftContainer(_CCTX_BODY, actionsDecl);
+        state.needsRuntime = true;
     } catch (e) {
 
     }
@@ -274,7 +585,8 @@ export function getComponentBodyPath (path, t) {
  *   1. Function declarations (`function MyComponent() {}`).
  *   2. Function expressions or arrow functions assigned to a variable (`const MyComponent = () => {}`).
  *   3. Function expressions or arrow functions assigned via assignment expression (`MyComponent = () => {}`).
- *   4. Class declarations (`class MyComponent {}`).
+ *   4. Anonymous default exports (`export default () => {}`), named after the file.
+ *   5. Class declarations (`class MyComponent {}`).
  * - `ANONYMOUS_FUNCTION` and `ANONYMOUS_CLASS` are assumed to be predefined constants for fallback names.
  * - Any errors during AST traversal are silently caught; logging is recommended for debugging.
  * - This function does **not** mutate the AST; it only inspects parent nodes to determine the name.
@@ -283,23 +595,16 @@ export function getInheritantDecComponent (path) {
     try {
         let current = path;
         while (current) {
-            if (current.isFunctionDeclaration()) {
-                return current.node.id?.name || ANONYMOUS_FUNCTION;
-            }
             if (
+                current.isFunctionDeclaration() ||
                 current.isFunctionExpression() ||
                 current.isArrowFunctionExpression()
             ) {
-                // Check if assigned to a variable
-                const parent = current.parentPath;
-                if (parent?.isVariableDeclarator()) return parent.node.id?.name;
-                if (parent?.isAssignmentExpression() && t.isIdentifier(parent.node.left)) {
-                    return parent.node.left.name;
-                }
-                return ANONYMOUS_FUNCTION;
+                // Declarations, variable/assignment bound expressions and default exports
+                return getFunctionScopeName(current) || ANONYMOUS_FUNCTION;
             }
-            if (current.isClassDeclaration()) {
-                return current.node.id?.name || ANONYMOUS_CLASS;
+            if (current.isClassDeclaration() || current.isClassExpression()) {
+                return getClassScopeName(current) || ANONYMOUS_CLASS;
             }
             current = current.parentPath;
         }
@@ -326,6 +631,7 @@ export function getInheritantDecComponent (path) {
  *   1. Named function declarations: `function MyComponent() {}` → `"MyComponent"`.
  *   2. Arrow or function expressions assigned to a variable: `const MyComponent = () => {}` → `"MyComponent"`.
  *   3. Default exports with a named declaration: `export default function MyComponent() {}` → `"MyComponent"`.
+ *   4. Anonymous default exports: `export default () => {}` in `Dashboard.jsx` → `"Dashboard"`.
  * - Does **not** mutate the AST; only inspects parent nodes.
  * - Any errors during traversal are silently caught; logging is recommended for debugging.
  * - Returns `null` if the AST path is top-level or no suitable declaration is found.
@@ -335,26 +641,13 @@ export function getComponentName (path) {
         let current = path;
 
         while (current) {
-            if (current.isFunctionDeclaration() && current.node.id) {
-                return current.node.id.name;
-            }
-
             if (
-                (current.isArrowFunctionExpression() ||
-                    current.isFunctionExpression()) &&
-                current.parentPath?.isVariableDeclarator()
-            ) {
-                return current.parentPath.node.id.name;
-            }
-
-            if (
-                current.isExportDefaultDeclaration()
+                current.isFunctionDeclaration() ||
+                current.isArrowFunctionExpression() ||
+                current.isFunctionExpression()
             ) {
-                const decl = current.node.declaration;
-
-                if (decl.id?.name) {
-                    return decl.id.name;
-                }
+                const name = getFunctionScopeName(current);
+                if (name) return name;
             }
 
             current = current.parentPath;
@@ -382,6 +675,9 @@ export function getComponentName (path) {
  * - Handles:
  *   1. Named function declarations: `function MyComponent() {}` → `true`.
  *   2. Arrow or function expressions assigned to a variable: `const MyComponent = () => {}` → `true`.
+ *   3. Default exported functions, named or not: `export default () => {}` → `true`.
+ *   4. The above wrapped in `memo`, `forwardRef` or a configured HOC: `const Card = memo(() => {})` → `true`,
+ *      as well as named functions passed to a wrapper: `forwardRef(function Input(props, ref) {})` → `true`.
  * - Does **not** consider anonymous functions not assigned to variables as components.
  * - Any errors during AST inspection are silently caught; logging is recommended for debugging.
  * - This function does **not** mutate the AST; it only inspects the node type and parent path.
@@ -393,15 +689,26 @@ function isComponentFunction (funcPath) {
             return true;
         }
 
-        // const Child = () => {}
+        // const Child = () => {}, const Child = memo(() => {})
+        const boundPath = getWrappedComponentPath(funcPath);
         if (
             (funcPath.isArrowFunctionExpression() ||
                 funcPath.isFunctionExpression()) &&
-            funcPath.parentPath.isVariableDeclarator()
+            boundPath.parentPath.isVariableDeclarator()
         ) {
             return true;
         }
 
+        // export default () => {}, export default withRouter(() => {})
+        if (boundPath.parentPath.isExportDefaultDeclaration()) {
+            return true;
+        }
+
+        // memo(function Child() {}), forwardRef(function Child(props, ref) {})
+        if (boundPath !== funcPath && funcPath.node.id) {
+            return true;
+        }
+
         return false;
     } catch (e) {
 
@@ -458,11 +765,11 @@ export function getInheritantComponent (path) {
  * This is typically used for creating updater functions in React state setters, e.g.,
  * `(prevState) => ({ ...prevState, key: value })`.
  *
- * @param {NodePath} path - The Babel AST node path representing an assignment expression
- *                          (e.g., `state.key = value`). The function uses `path.node.left`
- *                          as the property name and `path.node.right` as the value.
  * @param {object} t - The Babel types helper object (`@babel/types`) used to construct AST nodes
  *                     like identifiers, object expressions, arrow functions, and spread elements.
+ * @param {string} varName - The casper variable (state key) being updated.
+ * @param {Node} value - The new value of the key. It may reference the `prevState` parameter,
+ *                       e.g. `prevState["_$_count"] + 1` for compound assignments.
  *
  * @returns {Node|null} A Babel AST arrow function expression of the form:
  *                      `(prevState) => ({ ...prevState, [key]: value })`.
@@ -474,14 +781,13 @@ export function getInheritantComponent (path) {
  * - This function does **not** mutate the AST; it constructs and returns a new AST node.
  * - Errors during AST construction are silently caught. Consider logging for debugging purposes.
  */
-export function buildSpreadObject (path, t) {
+export function buildSpreadObject (t, varName, value) {
     try {
-        const assignedValue = path.node.right;
         const paramIdentifier = t.identifier(PREV_STATE);
         const spreadExistingObject = t.spreadElement(paramIdentifier);
         const newProperty = t.objectProperty(
-            t.identifier(path.node.left.name),
-            assignedValue
+            t.identifier(varName),
+            value
         );
         const returnObject = t.objectExpression([
             spreadExistingObject,
@@ -497,6 +803,123 @@ export function buildSpreadObject (path, t) {
     }
 }
 
+/**
+ * Builds a call to a helper of the casper runtime module.
+ *
+ * @param {object} t - The Babel types helper object (`@babel/types`).
+ * @param {string} helperName - The runtime export to call (e.g. `"setIn"`).
+ * @param {Node[]} args - The call arguments.
+ *
+ * @returns {Node} `_casperRuntime.helperName(...args)`.
+ *
+ * @important
+ * - The caller must set `state.needsRuntime` so that `programExit` adds the runtime `require`.
+ */
+export function buildRuntimeCall (t, helperName, args) {
+    return t.callExpression(
+        t.memberExpression(t.identifier(_CCTX_UNDUS_CORE_RUNTIME), t.identifier(helperName)),
+        args
+    );
+}
+
+/**
+ * Builds a reference to the setter of a context.
+ *
+ * @param {object} t - The Babel types helper object (`@babel/types`).
+ * @param {string} ctxName - The context key; `set${ctxName}` is the setter.
+ * @param {Node} [ctxObject] - Expression holding the context value, when the setter is read from it.
+ *
+ * @returns {Node} `setKey`, or `ctxObject.setKey`.
+ */
+export function buildSetterReference (t, ctxName, ctxObject) {
+    const setter = t.identifier(`set${ctxName.replace(_CCTX_CMP_NAME_PREFIX, _CCTX_EMPTY)}`);
+    return ctxObject ? t.memberExpression(ctxObject, setter) : setter;
+}
+
+/**
+ * Builds the call that hands an updater function to the declaring component's own state setter.
+ *
+ * @param {object} t - The Babel types helper object (`@babel/types`).
+ * @param {string} ctxName - The registry key of the declaring component; `set${ctxName}` is the setter.
+ * @param {Node} updateFunction - The updater function (e.g. created via `buildSpreadObject`).
+ *
+ * @returns {Node} `setKey(updateFunction)`.
+ */
+export function buildSetStateCall (t, ctxName, updateFunction) {
+    return t.callExpression(buildSetterReference(t, ctxName), [updateFunction]);
+}
+
+/**
+ * Builds the render-time read of a casper variable in its declaring component.
+ *
+ * @param {object} t - The Babel types helper object (`@babel/types`).
+ * @param {string} ctxName - The registry key of the declaring component.
+ * @param {string} varName - The casper variable name.
+ *
+ * @returns {Node} `key["_$_x"]`, where `key` is the lower-cased state variable.
+ */
+export function buildStateAccess (t, ctxName, varName) {
+    return t.memberExpression(t.identifier(ctxName[0].toLowerCase() + ctxName.slice(1)), t.stringLiteral(varName), true);
+}
+
+/**
+ * Builds the call that hands an updater function to a consumed context's setter.
+ *
+ * @param {object} t - The Babel types helper object (`@babel/types`).
+ * @param {string} ctxName - The registry key of the declaring component.
+ * @param {Node} updateFunction - The updater function (e.g. created via `buildSpreadObject`).
+ * @param {Node} [ctxObject] - Expression holding the context value; defaults to the `CTX_<ctxName>` hook instance.
+ *
+ * @returns {Node} `CTX_key.setKey(updateFunction)`.
+ */
+export function buildContextSetStateCall (t, ctxName, updateFunction, ctxObject) {
+    return t.callExpression(
+        buildSetterReference(t, ctxName, ctxObject || t.identifier(`${_CCTX_}${ctxName}`)),
+        [updateFunction]
+    );
+}
+
+/**
+ * Builds the render-time read of a casper variable through a consumed context.
+ *
+ * @param {object} t - The Babel types helper object (`@babel/types`).
+ * @param {string} ctxName - The registry key of the declaring component.
+ * @param {string} varName - The casper variable name.
+ * @param {Node} [ctxObject] - Expression holding the context value; defaults to the `CTX_<ctxName>` hook instance.
+ *
+ * @returns {Node} `CTX_key.key["_$_x"]`.
+ */
+export function buildContextStateAccess (t, ctxName, varName, ctxObject) {
+    const stateMember = t.memberExpression(
+        ctxObject || t.identifier(`${_CCTX_}${ctxName}`),
+        t.identifier(`${ctxName[0].toLowerCase()}${ctxName.slice(1)}`)
+    );
+    return t.memberExpression(stateMember, t.stringLiteral(varName), true);
+}
+
+/**
+ * Turns a render-time read of a casper variable into a read of the latest state.
+ *
+ * @param {object} t - The Babel types helper object (`@babel/types`).
+ * @param {Node} setter - The setter of the state read (see `buildSetterReference`, `buildStoreSetterReference`).
+ * @param {Node} renderRead - The render-time read, `state["_$_x"]` (see `buildStateAccess`,
+ *                            `buildContextStateAccess`, `buildClassStateAccess`, `buildStoreStateAccess`).
+ *
+ * @returns {Node} `_casperRuntime.latest(setter, state)["_$_x"]`: the value after every update made so far,
+ *          rendered or not, or the render-time value when the setter is unknown (see the runtime's `latest`).
+ *
+ * @important
+ * - Only for code that runs after render (see `isRenderTimePath`); renders keep reading `renderRead`.
+ * - The caller must set `state.needsRuntime`.
+ */
+export function buildLatestStateAccess (t, setter, renderRead) {
+    return t.memberExpression(
+        buildRuntimeCall(t, RUNTIME_LATEST, [setter, renderRead.object]),
+        renderRead.property,
+        true
+    );
+}
+
 /**
  * Replaces an AST assignment or expression with a React setState call using a provided updater function.
  *
@@ -524,10 +947,7 @@ export function buildSpreadObject (path, t) {
  */
 export function replaceWithSetState (path, t, ctxName, updateFunction) {
     try {
-        path.replaceWith(t.callExpression(
-            t.identifier(`set${ctxName.replace(_CCTX_CMP_NAME_PREFIX, _CCTX_EMPTY)}`),
-            [updateFunction]
-        ));
+        path.replaceWith(buildSetStateCall(t, ctxName, updateFunction));
     } catch (e) {
 
     }
@@ -545,6 +965,8 @@ export function replaceWithSetState (path, t, ctxName, updateFunction) {
  *                     like member expressions and identifiers.
  * @param {string} ctxName - The context or state object name. The first character will be converted to lowercase
  *                           to match the common React state naming convention.
+ * @param {string} [varName] - The declared variable name; defaults to the identifier's own name and differs
+ *                             from it for qualified references (`_$_Admin$user` reads `_$_user`).
  *
  * @returns {void} This function does not return a value; it directly replaces the AST node at `path`.
  *
@@ -554,9 +976,9 @@ export function replaceWithSetState (path, t, ctxName, updateFunction) {
  * - Mutates the AST in place; no new variables are declared.
  * - Any errors during AST replacement are silently caught; logging is recommended for debugging.
  */
-export function replaceWithState (path, t, ctxName) {
+export function replaceWithState (path, t, ctxName, varName = path.node.name) {
     try {
-        path.replaceWith(t.memberExpression(t.identifier(ctxName[0].toLowerCase() + ctxName.slice(1)), t.stringLiteral(path.node.name), true));
+        path.replaceWith(buildStateAccess(t, ctxName, varName));
     } catch (e) {
 
     }
@@ -577,6 +999,9 @@ export function replaceWithState (path, t, ctxName) {
  *                           with `_CCTX_CMP_NAME_PREFIX` removed if present.
  * @param {Node} updateFunction - The Babel AST node representing the updater function
  *                                (e.g., an arrow function created via `buildSpreadObject`).
+ * @param {Node} [ctxObject] - Optional expression holding the context value. Defaults to the
+ *                             `_CCTX_${ctxName}` hook instance; class components pass `this.context`
+ *                             or their Consumer-backed instance field instead.
  *
  * @returns {void} This function does not return a value; it directly replaces the AST node at `path`.
  *
@@ -587,16 +1012,9 @@ export function replaceWithState (path, t, ctxName) {
  * - Mutates the AST in place; no new variable declarations are created.
  * - Errors during AST replacement are silently caught; logging is recommended for debugging.
  */
-export function replaceWithContextSetState (path, t, ctxName, updateFunction) {
+export function replaceWithContextSetState (path, t, ctxName, updateFunction, ctxObject) {
     try {
-        const finalCallExpression = t.callExpression(
-            t.memberExpression(
-                t.identifier(`${_CCTX_}${ctxName}`),
-                t.identifier(`set${ctxName.replace(_CCTX_CMP_NAME_PREFIX, _CCTX_EMPTY)}`)
-            ),
-            [updateFunction]
-        );
-        path.replaceWith(finalCallExpression);
+        path.replaceWith(buildContextSetStateCall(t, ctxName, updateFunction, ctxObject));
     } catch (e) {
 
     }
@@ -613,6 +1031,9 @@ export function replaceWithContextSetState (path, t, ctxName, updateFunction) {
  *                     like member expressions and identifiers.
  * @param {string} ctxName - The context name. Used to construct the context object identifier (`_CCTX_${ctxName}`)
  *                           and the lowercase state property (`${ctxName[0].toLowerCase()}${ctxName.slice(1)}`).
+ * @param {Node} [ctxObject] - Optional expression holding the context value, used by class components
+ *                             (`this.context` or a Consumer-backed instance field).
+ * @param {string} [varName] - The declared variable name; defaults to the identifier's own name.
  *
  * @returns {void} This function does not return a value; it directly replaces the AST node at `path`.
  *
@@ -623,18 +1044,9 @@ export function replaceWithContextSetState (path, t, ctxName, updateFunction) {
  * - `_CCTX_` is assumed to be a predefined constant for context object prefixing.
  * - Any errors during AST replacement are silently caught; logging is recommended for debugging.
  */
-export function replaceWithContextState (path, t, ctxName) {
+export function replaceWithContextState (path, t, ctxName, ctxObject, varName = path.node.name) {
     try {
-        const stateMember = t.memberExpression(
-            t.identifier(`${_CCTX_}${ctxName}`),
-            t.identifier(`${ctxName[0].toLowerCase()}${ctxName.slice(1)}`)
-        );
-        const finalMemberExpression = t.memberExpression(
-            stateMember,
-            t.stringLiteral(path.node.name),
-            true
-        );
-        path.replaceWith(finalMemberExpression);
+        path.replaceWith(buildContextStateAccess(t, ctxName, varName, ctxObject));
     } catch (e) {
 
     }
@@ -643,11 +1055,12 @@ export function replaceWithContextState (path, t, ctxName) {
 /**
  * Inserts a React `useContext` hook declaration for a specified context into a component's AST body.
  *
- * This function finds the nearest enclosing React component, checks whether a context
+ * This function finds the enclosing React component or custom hook, checks whether a context
  * instance already exists, and if not, inserts a new `const ctxName = useContext(Context)` declaration
  * at an appropriate position in the component's body.
  *
- * @param {NodePath} path - The Babel AST node path from which to start searching for the enclosing component.
+ * @param {NodePath} path - The path of the read or write that needs the context; the enclosing
+ *                          component is searched for from there.
  * @param {object} state - The current transformation state, used for resolving React identifiers.
  * @param {object} t - The Babel types helper object (`@babel/types`) for constructing AST nodes
  *                     such as variable declarations, call expressions, identifiers, and member expressions.
@@ -663,55 +1076,220 @@ export function replaceWithContextState (path, t, ctxName) {
  *   ```js
  *   const _CCTX_${ctxName} = React.useContext(_CCTX_UNDUS_CORE_GBL_CONTEXT[ctxName]);
  *   ```
- * - Uses `getInheritantComponent` to find the enclosing component and `isContextInstanceDeclare`
- *   to avoid duplicate declarations.
+ * - Uses `getRootParentComponent` to find the enclosing component and `isContextInstanceDeclare`
+ *   to avoid duplicate declarations. Handlers, `useEffect` bodies, `.map` callbacks and IIFEs are
+ *   climbed past, even when bound to a name (`const handleClick = () => {}`), so the hook always
+ *   lands at the top level of the component or hook — once, however many reads and writes need it.
+ * - Nothing is inserted outside components and hooks.
+ * - Expression-bodied arrow components (`const A = () => <div/>`) are converted to a block
+ *   body with a single `return` so the hook has somewhere to live.
  * - The declaration is inserted at an index determined by `getInsertionIndex` to maintain proper AST ordering.
  * - Silently catches errors; consider logging for debugging purposes.
  * - Does not return a value; directly mutates the component body in the AST.
  */
 export function buildUseContextInstance (path, state, t, ctxName) {
     try {
-        const inheritantCMP = getInheritantComponent(path);
-        if (!inheritantCMP) return;
-        const bodyPath = inheritantCMP.get(_CCTX_BODY);
-        if (!bodyPath.isBlockStatement()) return;
-        const ctxVarName = `${_CCTX_}${ctxName}`;
-        if (isContextInstanceDeclare(bodyPath, t, ctxVarName)) return;
-        const ctxId = t.identifier(ctxVarName);
-        const reactName = resolveReact(path, t, state);
-        const ctxDecl = t.variableDeclaration(_CCTX_CONST, [
-            t.variableDeclarator(
-                ctxId,
-                t.callExpression(
-                    t.sequenceExpression([
-                        t.numericLiteral(0),
-                        t.memberExpression(
-                            reactName,
-                            t.identifier(_CCTX_USE_CONTEXT)
-                        )
-                    ]),
-                    [
-                        t.memberExpression(
-                            t.identifier(_CCTX_UNDUS_CORE_GBL_CONTEXT),
-                            t.identifier(`${ctxName}`)
-                        )
-                    ]
-                )
+        insertComponentHook(path, state, t, `${_CCTX_}${ctxName}`, _CCTX_USE_CONTEXT, [
+            t.memberExpression(
+                t.identifier(_CCTX_UNDUS_CORE_GBL_CONTEXT),
+                t.identifier(`${ctxName}`)
             )
         ]);
-        const insertIndex = getInsertionIndex(bodyPath.node.body, t);
-        bodyPath.node.body.splice(insertIndex, 0, ctxDecl);
     } catch (e) {
 
     }
 }
 
+/**
+ * Inserts `const setKey = React.useContext(_gblContext.Key$$setter)` at the top of the component or custom
+ * hook enclosing a path, once.
+ *
+ * @param {NodePath} path - The write that needs the setter.
+ * @param {object} state - The current transformation state, used for resolving React identifiers.
+ * @param {object} t - The Babel types helper object (`@babel/types`).
+ * @param {string} ctxName - The written context (see `getContextKey` and `hasSetterContext`).
+ *
+ * @returns {void}
+ *
+ * @important
+ * - The setter gets the name the declaring component gives it, so writes are then compiled exactly as there
+ *   (`buildSetStateCall`). The component does not consume the context itself and never re-renders because of it.
+ */
+export function buildUseSetterContextInstance (path, state, t, ctxName) {
+    try {
+        insertComponentHook(path, state, t, `${_CCTX_SET}${ctxName}`, _CCTX_USE_CONTEXT, [
+            t.memberExpression(
+                t.identifier(_CCTX_UNDUS_CORE_GBL_CONTEXT),
+                t.identifier(getSetterContextKey(ctxName))
+            )
+        ]);
+    } catch (e) {
+
+    }
+}
+
+/**
+ * Subscribes the component or custom hook enclosing a path to a context backed by a store.
+ *
+ * @param {NodePath} path - The path of the read or write that needs the context.
+ * @param {object} state - The current transformation state; `needsRuntime` is set.
+ * @param {object} t - The Babel types helper object (`@babel/types`).
+ * @param {string} ctxName - The context key (see `getContextKey` and `isStoreContext`).
+ * @param {string} [varName] - The variable read; omitted for writes, which need no subscription.
+ *
+ * @returns {boolean} Whether the enclosing function declares the subscription, i.e. whether the variable
+ *                    can be reached as `ctxState["_$_x"]` / `setCtx(updater)` there.
+ *
+ * @important
+ * - Inserts once per component, like `buildUseContextInstance`:
+ *   `const [app_1a2b3c4d, setApp_1a2b3c4d] = _casperRuntime.useStoreState(React, (0, React.useContext)(_gblContext.App_1a2b3c4d), []);`
+ *   so reads and writes are then compiled exactly as in the declaring component (`buildStateAccess`, `buildSetStateCall`).
+ * - Each variable read is added to the list once, so the component re-renders when, and only when, a
+ *   variable it reads changes. A component that only writes the context never re-renders because of it.
+ */
+export function buildUseStoreStateInstance (path, state, t, ctxName, varName) {
+    try {
+        const { currentFuncParent: inheritantCMP } = getRootParentComponent(path);
+        if (!inheritantCMP) return false;
+        if (inheritantCMP.isArrowFunctionExpression()) inheritantCMP.ensureBlock();
+        const bodyPath = inheritantCMP.get(_CCTX_BODY);
+        if (!bodyPath.isBlockStatement()) return false;
+        const stateKey = ctxName[0].toLowerCase() + ctxName.slice(1);
+        let declarator = bodyPath.node.body
+            .filter(statement => t.isVariableDeclaration(statement))
+            .flatMap(statement => statement.declarations)
+            .find(item => t.isArrayPattern(item.id) && t.isIdentifier(item.id.elements[0], { name: stateKey }));
+        if (!declarator) {
+            const reactName = resolveReact(path, t, state);
+            declarator = t.variableDeclarator(
+                t.arrayPattern([t.identifier(stateKey), t.identifier(_CCTX_SET + ctxName)]),
+                buildRuntimeCall(t, RUNTIME_USE_STORE_STATE, [
+                    reactName,
+                    t.callExpression(
+                        t.sequenceExpression([
+                            t.numericLiteral(0),
+                            t.memberExpression(t.cloneNode(reactName), t.identifier(_CCTX_USE_CONTEXT))
+                        ]),
+                        [t.memberExpression(t.identifier(_CCTX_UNDUS_CORE_GBL_CONTEXT), t.identifier(ctxName))]
+                    ),
+                    t.arrayExpression([])
+                ])
+            );
+            bodyPath.node.body.splice(getInsertionIndex(bodyPath.node.body, t), 0, t.variableDeclaration(_CCTX_CONST, [declarator]));
+            state.needsRuntime = true;
+        }
+        const names = declarator.init.arguments[2];
+        if (varName && !names.elements.some(element => element.value === varName)) {
+            names.elements.push(t.stringLiteral(varName));
+        }
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Records that a declaring component reads one of its own variables held in a store.
+ *
+ * @param {object} state - The Babel plugin state; the read is kept in `state.storeReads`.
+ * @param {string} ctxName - The context key (see `getContextKey` and `isStoreContext`).
+ * @param {string} varName - The variable read.
+ *
+ * @returns {void}
+ *
+ * @important
+ * - The declaring component's `useStoreState` is only inserted when the component is exited, after all of its
+ *   reads were compiled; `functionDeclarationExit` then subscribes it to the recorded variables.
+ * - A context key belongs to one declaring component, so it identifies the component too.
+ */
+export function recordStoreRead (state, ctxName, varName) {
+    if (!state.storeReads[ctxName]) state.storeReads[ctxName] = [];
+    if (!state.storeReads[ctxName].includes(varName)) state.storeReads[ctxName].push(varName);
+}
+
+/**
+ * Subscribes a class component to a context backed by a store, once per class and context.
+ *
+ * @param {NodePath} classPath - The Babel path of the consuming class component.
+ * @param {object} state - The Babel plugin state; `needsRuntime` is set.
+ * @param {object} t - The Babel types helper object (`@babel/types`).
+ * @param {string} ctxName - The context key (see `getContextKey` and `isStoreContext`).
+ * @param {Node} ctxObject - Where the class reads the context value (see `getClassContextObject`).
+ *
+ * @returns {Node} A copy of `ctxObject`: the store, read and written with `buildStoreStateAccess` and
+ *                 `buildStoreSetStateCall`.
+ *
+ * @important
+ * - Appends the field `CTX_App_1a2b3c4d$store = _casperRuntime.connectScopeStore(this, () => this.context)`,
+ *   which re-renders the class whenever any variable of the store changes.
+ */
+export function connectClassScopeStore (classPath, state, t, ctxName, ctxObject) {
+    const fieldName = `${_CCTX_}${ctxName}${SCOPE_STORE_SUFFIX}`;
+    try {
+        const hasField = classPath.node.body.body.some(member =>
+            t.isClassProperty(member) && !member.static && t.isIdentifier(member.key, { name: fieldName })
+        );
+        if (!hasField) {
+            classPath.get(_CCTX_BODY).pushContainer(_CCTX_BODY, t.classProperty(
+                t.identifier(fieldName),
+                buildRuntimeCall(t, RUNTIME_CONNECT_SCOPE_STORE, [
+                    t.thisExpression(),
+                    t.arrowFunctionExpression([], t.cloneNode(ctxObject))
+                ])
+            ));
+            state.needsRuntime = true;
+        }
+    } catch (e) {
+
+    }
+    return t.cloneNode(ctxObject);
+}
+
+/**
+ * Inserts `const localName = React.hookName(...args)` at the top of the component or custom hook
+ * enclosing a path, unless it is already declared there.
+ *
+ * @param {NodePath} path - The path of the read or write that needs the hook.
+ * @param {object} state - The current transformation state, used for resolving React identifiers.
+ * @param {object} t - The Babel types helper object (`@babel/types`).
+ * @param {string} localName - The name of the declared constant.
+ * @param {string} hookName - The React hook to call.
+ * @param {Node[]} args - The hook arguments.
+ *
+ * @returns {void}
+ */
+function insertComponentHook (path, state, t, localName, hookName, args) {
+    const { currentFuncParent: inheritantCMP } = getRootParentComponent(path);
+    if (!inheritantCMP) return;
+    // const A = () => <div/> → const A = () => { return <div/> }
+    if (inheritantCMP.isArrowFunctionExpression()) inheritantCMP.ensureBlock();
+    const bodyPath = inheritantCMP.get(_CCTX_BODY);
+    if (!bodyPath.isBlockStatement()) return;
+    if (isContextInstanceDeclare(bodyPath, t, localName)) return;
+    const reactName = resolveReact(path, t, state);
+    const hookDecl = t.variableDeclaration(_CCTX_CONST, [
+        t.variableDeclarator(
+            t.identifier(localName),
+            t.callExpression(
+                t.sequenceExpression([
+                    t.numericLiteral(0),
+                    t.memberExpression(reactName, t.identifier(hookName))
+                ]),
+                args
+            )
+        )
+    ]);
+    const insertIndex = getInsertionIndex(bodyPath.node.body, t);
+    bodyPath.node.body.splice(insertIndex, 0, hookDecl);
+}
+
 /**
  * Finds the topmost React component function in the AST from a given path.
  *
  * This function climbs the function parent hierarchy starting from the provided `path`,
  * identifying the first function whose name starts with an uppercase letter (conventionally
- * a React component). It returns both the component's AST path and its name.
+ * a React component) or follows the custom hook convention (`useCart`). It returns both the
+ * function's AST path and its name.
  *
  * @param {NodePath} path - The Babel AST node path from which to start searching upwards.
  *
@@ -723,7 +1301,10 @@ export function buildUseContextInstance (path, state, t, ctxName) {
  * - Detects component functions using:
  *   1. Named function declarations: `function MyComponent() {}`.
  *   2. Arrow or function expressions assigned to a variable: `const MyComponent = () => {}`.
- * - Uses the convention that React component names start with an uppercase letter.
+ *   3. Default exports, where anonymous ones are named after the file (see `getFunctionScopeName`).
+ * - Uses the convention that React component names start with an uppercase letter, and that
+ *   custom hooks are named `use` + uppercase letter (see `isHookScopeName`). A hook is a scope of
+ *   its own: reads and writes inside `useCart()` resolve to `useCart`, not to the component calling it.
  * - Traverses function parents using `getFunctionParent()`.
  * - Does **not** mutate the AST.
  * - Errors during traversal are silently caught; consider logging for debugging.
@@ -734,21 +1315,13 @@ export function getRootParentComponent (path) {
         let componentName = null;
 
         while (currentFuncParent) {
-            let name = null;
-
-            // Extract name from Function Declaration
-            if (currentFuncParent.node.id) {
-                name = currentFuncParent.node.id.name;
-            }
-            // Extract name from Arrow Function Variable Assignment
-            else if (currentFuncParent.parentPath.isVariableDeclarator()) {
-                name = currentFuncParent.parentPath.node.id.name;
-            }
+            // Declarations, variable bound expressions and default exports
+            const name = getFunctionScopeName(currentFuncParent);
 
-            // Check if it's a Component (starts with Uppercase)
-            if (name && /^[A-Z]/.test(name)) {
+            // Check if it's a Component (starts with Uppercase) or a custom hook (useXxx)
+            if (isHookScopeName(name)) {
                 componentName = name;
-                break; // Stop climbing! We found the Component.
+                break; // Stop climbing! We found the Component or hook.
             }
 
             // If not a component, keep climbing to the next function parent
@@ -758,4 +1331,637 @@ export function getRootParentComponent (path) {
     } catch (e) {
 
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Replaces a casper variable reference inside a declaring class component with a `this.state` lookup.
+ *
+ * @param {NodePath} path - The Babel AST node path to replace. Either the bare identifier (`_$_x`)
+ *                          or the `this._$_x` member expression.
+ * @param {object} t - The Babel types helper object (`@babel/types`).
+ * @param {string} varName - The casper variable name used as the state key.
+ *
+ * @returns {void} This function does not return a value; it directly replaces the AST node at `path`.
+ *
+ * @important
+ * - Constructs the access as: `this.state["_$_x"]`.
+ * - Only valid inside class methods, class property initializers and arrow functions nested in them.
+ * - Any errors during AST replacement are silently caught; logging is recommended for debugging.
+ */
+export function replaceWithClassState (path, t, varName) {
+    try {
+        path.replaceWith(buildClassStateAccess(t, varName));
+    } catch (e) {
+
+    }
+}
+
+/**
+ * Builds the read of a casper field in its declaring class component.
+ *
+ * @param {object} t - The Babel types helper object (`@babel/types`).
+ * @param {string} varName - The casper variable name.
+ *
+ * @returns {Node} `this.state["_$_x"]`.
+ */
+export function buildClassStateAccess (t, varName) {
+    return t.memberExpression(
+        t.memberExpression(t.thisExpression(), t.identifier(_CCTX_STATE)),
+        t.stringLiteral(varName),
+        true
+    );
+}
+
+/**
+ * Builds the setter call used by declaring class components for their own writes.
+ *
+ * @param {object} t - The Babel types helper object (`@babel/types`).
+ * @param {Node} updateFunction - The updater function (e.g. created via `buildSpreadObject`).
+ * @param {string} key - The registry key of the class.
+ *
+ * @returns {Node} `this.setKey(updateFunction)`: the setter added by `buildClassStateDeclaration`, which
+ *          skips assignments leaving every variable equal before calling `this.setState`.
+ */
+export function buildClassSetStateCall (t, updateFunction, key) {
+    return t.callExpression(
+        t.memberExpression(t.thisExpression(), t.identifier(`${_CCTX_SET}${key}`)),
+        [updateFunction]
+    );
+}
+
+/**
+ * Replaces a casper variable write inside a declaring class component with a call to its setter.
+ *
+ * @param {NodePath} path - The Babel AST node path of the assignment to replace.
+ * @param {object} t - The Babel types helper object (`@babel/types`).
+ * @param {Node} updateFunction - The updater function (e.g. created via `buildSpreadObject`).
+ * @param {string} key - The registry key of the class.
+ *
+ * @returns {void} This function does not return a value; it directly replaces the AST node at `path`.
+ *
+ * @important
+ * - Constructs the call as: `this.setKey(prevState => ({ ...prevState, _$_x: value }))`.
+ * - Any errors during AST replacement are silently caught; logging is recommended for debugging.
+ */
+export function replaceWithClassSetState (path, t, updateFunction, key) {
+    try {
+        path.replaceWith(buildClassSetStateCall(t, updateFunction, key));
+    } catch (e) {
+
+    }
+}
+
+/**
+ * Resolves the expression a class component uses to reach a casper context value.
+ *
+ * Class components cannot call `useContext`. The first casper context a class consumes is
+ * read through `static contextType` (`this.context`); any further context, or any context
+ * when the class already defines its own `contextType`, is read through a generated
+ * `Consumer` that stores the value on the instance (`this.CTX_<ctxName>`).
+ *
+ * @param {NodePath} classPath - The Babel path of the consuming class component.
+ * @param {object} state - The Babel plugin state. Decisions are recorded in `state.classContexts`
+ *                         and applied by `buildClassContextConsumers` when the class is exited.
+ * @param {object} t - The Babel types helper object (`@babel/types`).
+ * @param {string} ctxName - The registry key of the consumed context.
+ *
+ * @returns {Node} Either `this.context` or `this.CTX_<ctxName>`.
+ *
+ * @important
+ * - The decision for a given class and context is stable: the same expression is returned on every call.
+ * - Does **not** mutate the AST; only records which wrappers the class needs.
+ */
+export function getClassContextObject (classPath, state, t, ctxName) {
+    try {
+        let record = state.classContexts.get(classPath.node);
+        if (!record) {
+            record = { contextType: null, consumers: [] };
+            state.classContexts.set(classPath.node, record);
+        }
+        const hasOwnContextType = classPath.node.body.body.some(member =>
+            t.isClassProperty(member) && member.static && t.isIdentifier(member.key, { name: _CCTX_CONTEXT_TYPE })
+        );
+        if (!record.contextType && !hasOwnContextType && !record.consumers.includes(ctxName)) {
+            record.contextType = ctxName;
+        }
+        if (record.contextType === ctxName) {
+            return t.memberExpression(t.thisExpression(), t.identifier(_CCTX_CONTEXT));
+        }
+        if (!record.consumers.includes(ctxName)) record.consumers.push(ctxName);
+        return t.memberExpression(t.thisExpression(), t.identifier(`${_CCTX_}${ctxName}`));
+    } catch (e) {
+
+    }
+}
+
+/**
+ * Finds the `render` method of a class component.
+ *
+ * @param {NodePath} classPath - The Babel path of the class component.
+ *
+ * @returns {NodePath|undefined} The `render` class method path, if present.
+ */
+function getRenderMethod (classPath) {
+    return classPath.get(`${_CCTX_BODY}.${_CCTX_BODY}`).find(member =>
+        member.isClassMethod() && !member.node.static && !member.node.computed &&
+        member.node.key.name === RENDER_METHOD
+    );
+}
+
+/**
+ * Injects casper state into a declaring class component.
+ *
+ * The class's casper fields (`_$_x = 1`) are merged into `this.state`, and a stable setter
+ * instance field (`setKey = _casperRuntime.createClassSetter(this)`) is added so that descendants
+ * can update the state through context exactly like they do for function components.
+ *
+ * @param {NodePath} classPath - The Babel path of the declaring class component.
+ * @param {object} t - The Babel types helper object (`@babel/types`).
+ * @param {Array<ObjectProperty>} objProps - The initial casper state properties.
+ * @param {string} key - The registry key of the class (`${className}_${fileHash}`).
+ * @param {object} state - The Babel plugin state; `needsRuntime` is set.
+ * @param {Object<string, string>} [equality] - How the fields are compared with the values assigned to them
+ *                                (see `getDeclarationEquality`); `Object.is` for the ones not listed.
+ *
+ * @returns {void} This function does not return a value; it mutates the class body in place.
+ *
+ * @important
+ * - Merge target, in priority order:
+ *   1. `this.state = ...` assignments in the constructor → `this.state = { ...original, ...casper }`.
+ *   2. An existing `state = ...` class property → `state = { ...original, ...casper }`.
+ *   3. Otherwise a new `state = { ...casper }` class property is prepended.
+ * - The setter is named `set${key}`, matching what `replaceWithContextSetState` calls on the context value.
+ *   Like the setter of function components, it skips assignments leaving every variable equal.
+ * - Errors during AST mutation are silently caught.
+ */
+export function buildClassStateDeclaration (classPath, t, objProps, key, state, equality) {
+    try {
+        const members = classPath.get(`${_CCTX_BODY}.${_CCTX_BODY}`);
+        const mergeInto = (original) => t.objectExpression([
+            ...(t.isObjectExpression(original) ? original.properties : [t.spreadElement(original)]),
+            ...objProps
+        ]);
+        let merged = false;
+        const ctor = members.find(member => member.isClassMethod({ kind: CONSTRUCTOR_METHOD }));
+        if (ctor) {
+            ctor.traverse({
+                Function (fnPath) {
+                    if (!fnPath.isArrowFunctionExpression()) fnPath.skip();
+                },
+                AssignmentExpression (assignPath) {
+                    const left = assignPath.get('left');
+                    if (
+                        left.isMemberExpression() &&
+                        left.get('object').isThisExpression() &&
+                        t.isIdentifier(left.node.property, { name: _CCTX_STATE })
+                    ) {
+                        assignPath.node.right = mergeInto(assignPath.node.right);
+                        merged = true;
+                    }
+                }
+            });
+        }
+        if (!merged) {
+            const stateProp = members.find(member =>
+                member.isClassProperty() && !member.node.static &&
+                t.isIdentifier(member.node.key, { name: _CCTX_STATE })
+            );
+            if (stateProp && stateProp.node.value) {
+                stateProp.node.value = mergeInto(stateProp.node.value);
+            } else {
+                classPath.get(_CCTX_BODY).unshiftContainer(_CCTX_BODY,
+                    t.classProperty(t.identifier(_CCTX_STATE), t.objectExpression(objProps))
+                );
+            }
+        }
+        const comparators = buildEqualityComparators(t, objProps.map(prop => prop.key.name), equality);
+        classPath.get(_CCTX_BODY).unshiftContainer(_CCTX_BODY,
+            t.classProperty(
+                t.identifier(`${_CCTX_SET}${key}`),
+                buildRuntimeCall(t, RUNTIME_CREATE_CLASS_SETTER, [t.thisExpression(), ...(comparators ? [comparators] : [])])
+            )
+        );
+        state.needsRuntime = true;
+    } catch (e) {
+
+    }
+}
+
+/**
+ * Wraps the return statements of a class component's `render` method with its casper Provider.
+ *
+ * @param {NodePath} classPath - The Babel path of the declaring class component.
+ * @param {object} t - The Babel types helper object (`@babel/types`).
+ * @param {object} state - The Babel plugin state, used to resolve the React identifier.
+ * @param {string} key - The registry key of the class (`${className}_${fileHash}`).
+ * @param {boolean} [setter] - Also provides the setter alone (see `hasSetterContext`).
+ *
+ * @returns {void} This function does not return a value; it mutates the `render` method in place.
+ *
+ * @important
+ * - The Provider value is `{ key: this.state, setKey: this.setKey }`, the same shape the
+ *   function component Provider exposes, so consumers do not care which kind declared it. It is
+ *   memoized on `this.state` by the field `CTX_key$value = _casperRuntime.memoizeLast(...)`, so it
+ *   only changes when the state does.
+ * - The setter context, when needed, provides `this.setKey`, nested inside.
+ * - Only `render`'s own returns are wrapped; returns of nested functions are left alone.
+ */
+export function buildClassCtxProvider (classPath, t, state, key, setter) {
+    try {
+        const render = getRenderMethod(classPath);
+        if (!render) return;
+        const stateKey = key[0].toLowerCase() + key.slice(1);
+        const setterNode = t.memberExpression(t.thisExpression(), t.identifier(`${_CCTX_SET}${key}`));
+        const valueField = t.identifier(`${_CCTX_}${key}${PROVIDER_VALUE_SUFFIX}`);
+        classPath.get(_CCTX_BODY).unshiftContainer(_CCTX_BODY, t.classProperty(
+            valueField,
+            buildRuntimeCall(t, RUNTIME_MEMOIZE_LAST, [
+                t.arrowFunctionExpression([t.identifier(_CCTX_STATE)], t.objectExpression([
+                    t.objectProperty(t.identifier(stateKey), t.identifier(_CCTX_STATE)),
+                    t.objectProperty(t.identifier(`${_CCTX_SET}${key}`), t.cloneNode(setterNode))
+                ]))
+            ])
+        ));
+        state.needsRuntime = true;
+        render.traverse({
+            Function (fnPath) {
+                fnPath.skip();
+            },
+            ReturnStatement (retPath) {
+                if (!retPath.node.argument) return;
+                if (setter) buildSetterCtxProvider(retPath, t, state, key, t.cloneNode(setterNode));
+                buildCtxProvider(retPath, t, retPath.node.argument, state, key, t.callExpression(
+                    t.memberExpression(t.thisExpression(), t.cloneNode(valueField)),
+                    [t.memberExpression(t.thisExpression(), t.identifier(_CCTX_STATE))]
+                ));
+            }
+        });
+    } catch (e) {
+
+    }
+}
+
+/**
+ * Applies the context access decisions recorded by `getClassContextObject` to a class component.
+ *
+ * - The `contextType` context becomes `static contextType = _gblContext.<ctxName>`.
+ * - Every Consumer context wraps the whole `render` body:
+ *   ```js
+ *   render() {
+ *     return React.createElement(_gblContext.X.Consumer, null, CTX_X => {
+ *       this.CTX_X = CTX_X;
+ *       // original render body
+ *     });
+ *   }
+ *   ```
+ *   so reads in `render` see the current value and event handlers see the value of the last render.
+ *
+ * @param {NodePath} classPath - The Babel path of the consuming class component.
+ * @param {object} t - The Babel types helper object (`@babel/types`).
+ * @param {object} state - The Babel plugin state holding `classContexts` and import information.
+ *
+ * @returns {void} This function does not return a value; it mutates the class body in place.
+ *
+ * @important
+ * - Must run after the class's own Provider has been injected, so that Provider returns end up
+ *   inside the Consumer callback.
+ * - Errors during AST mutation are silently caught.
+ */
+export function buildClassContextConsumers (classPath, t, state) {
+    try {
+        const record = state.classContexts.get(classPath.node);
+        if (!record) return;
+        if (record.contextType) {
+            classPath.get(_CCTX_BODY).unshiftContainer(_CCTX_BODY,
+                t.classProperty(
+                    t.identifier(_CCTX_CONTEXT_TYPE),
+                    t.memberExpression(t.identifier(_CCTX_UNDUS_CORE_GBL_CONTEXT), t.identifier(record.contextType)),
+                    null, null, false, true
+                )
+            );
+        }
+        const render = getRenderMethod(classPath);
+        if (!render || !record.consumers.length) return;
+        const reactName = resolveReact(classPath, t, state);
+        let body = render.node.body;
+        [...record.consumers].reverse().forEach(ctxName => {
+            const ctxId = t.identifier(`${_CCTX_}${ctxName}`);
+            const consumerBody = t.blockStatement([
+                t.expressionStatement(t.assignmentExpression('=',
+                    t.memberExpression(t.thisExpression(), t.identifier(`${_CCTX_}${ctxName}`)),
+                    ctxId
+                )),
+                ...body.body
+            ]);
+            body = t.blockStatement([
+                t.returnStatement(t.callExpression(
+                    t.memberExpression(reactName, t.identifier(_CCTX_CREATE_ELEMENT)),
+                    [
+                        t.memberExpression(
+                            t.memberExpression(t.identifier(_CCTX_UNDUS_CORE_GBL_CONTEXT), t.identifier(ctxName)),
+                            t.identifier(_CCTX_CONSUMER)
+                        ),
+                        t.nullLiteral(),
+                        t.arrowFunctionExpression([t.identifier(`${_CCTX_}${ctxName}`)], consumerBody)
+                    ]
+                ))
+            ]);
+        });
+        render.get(_CCTX_BODY).replaceWith(body);
+    } catch (e) {
+
+    }
+}
+
+/**
+ * Builds a reference to the root store exported by the context module.
+ *
+ * @param {object} t - The Babel types helper object (`@babel/types`).
+ *
+ * @returns {Node} `_gblContext.rootStore`.
+ */
+export function buildRootStoreReference (t) {
+    return t.memberExpression(t.identifier(_CCTX_UNDUS_CORE_GBL_CONTEXT), t.identifier(ROOT_STORE));
+}
+
+/**
+ * Builds the read of a module-level casper variable from the root store.
+ *
+ * @param {object} t - The Babel types helper object (`@babel/types`).
+ * @param {string} varName - The casper variable name.
+ * @param {Node} [storeObject] - Expression holding the store; defaults to `_gblContext.rootStore`.
+ *
+ * @returns {Node} `_gblContext.rootStore.getState()["_$_x"]`, i.e. the current value.
+ */
+export function buildStoreStateAccess (t, varName, storeObject) {
+    return t.memberExpression(
+        t.callExpression(t.memberExpression(storeObject || buildRootStoreReference(t), t.identifier(STORE_GET_STATE)), []),
+        t.stringLiteral(varName),
+        true
+    );
+}
+
+/**
+ * Builds a reference to the setter of a store.
+ *
+ * @param {object} t - The Babel types helper object (`@babel/types`).
+ * @param {Node} [storeObject] - Expression holding the store; defaults to `_gblContext.rootStore`.
+ *
+ * @returns {Node} `_gblContext.rootStore.setState`.
+ */
+export function buildStoreSetterReference (t, storeObject) {
+    return t.memberExpression(storeObject || buildRootStoreReference(t), t.identifier(STORE_SET_STATE));
+}
+
+/**
+ * Builds the call that hands an updater function to the root store.
+ *
+ * @param {object} t - The Babel types helper object (`@babel/types`).
+ * @param {Node} updateFunction - The updater function (e.g. created via `buildSpreadObject`).
+ * @param {Node} [storeObject] - Expression holding the store; defaults to `_gblContext.rootStore`.
+ *
+ * @returns {Node} `_gblContext.rootStore.setState(updateFunction)`.
+ */
+export function buildStoreSetStateCall (t, updateFunction, storeObject) {
+    return t.callExpression(buildStoreSetterReference(t, storeObject), [updateFunction]);
+}
+
+/**
+ * Builds the statement seeding a module-level variable whose initializer stays in its module.
+ *
+ * @param {object} t - The Babel types helper object (`@babel/types`).
+ * @param {string} varName - The casper variable name.
+ * @param {Node} value - The initializer.
+ *
+ * @returns {Node} `_gblContext.rootStore.init("_$_x", value);`
+ */
+export function buildStoreInitStatement (t, varName, value) {
+    return t.expressionStatement(t.callExpression(
+        t.memberExpression(buildRootStoreReference(t), t.identifier(STORE_INIT)),
+        [t.stringLiteral(varName), value]
+    ));
+}
+
+/**
+ * Subscribes the component or custom hook enclosing a path to the root store.
+ *
+ * @param {NodePath} path - The read that needs the store.
+ * @param {object} state - The current transformation state, used for resolving React identifiers.
+ * @param {object} t - The Babel types helper object (`@babel/types`).
+ *
+ * @returns {Node|null} `CTX_rootStore`, the render-time snapshot of the store, or `null` when the
+ *                      path is not inside a component or hook.
+ *
+ * @important
+ * - Inserts, once per component:
+ *   ```js
+ *   const CTX_rootStore = React.useSyncExternalStore(_gblContext.rootStore.subscribe, _gblContext.rootStore.getState);
+ *   ```
+ *   so the component re-renders whenever a module-level variable changes, with or without a Provider.
+ * - Requires React 18 or later.
+ */
+export function buildUseStoreInstance (path, state, t) {
+    try {
+        if (!getRootParentComponent(path).currentFuncParent) return null;
+        const snapshotName = `${_CCTX_}${ROOT_STORE}`;
+        insertComponentHook(path, state, t, snapshotName, _CCTX_USE_SYNC_EXTERNAL_STORE, [
+            t.memberExpression(buildRootStoreReference(t), t.identifier(STORE_SUBSCRIBE)),
+            t.memberExpression(buildRootStoreReference(t), t.identifier(STORE_GET_STATE))
+        ]);
+        return t.identifier(snapshotName);
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Subscribes a class component to the root store.
+ *
+ * @param {NodePath} classPath - The Babel path of the class component.
+ * @param {object} state - The Babel plugin state; `needsRuntime` is set.
+ * @param {object} t - The Babel types helper object (`@babel/types`).
+ *
+ * @returns {Node} `this.CTX_rootStore`, the store as seen from the instance.
+ *
+ * @important
+ * - Appends, once per class, the field
+ *   `CTX_rootStore = _casperRuntime.connectStore(this, _gblContext.rootStore)`, which re-renders
+ *   the instance on every store change while it is mounted. It is the last field so that it
+ *   wraps lifecycle methods the class defines as fields.
+ */
+export function getClassStoreObject (classPath, state, t) {
+    const fieldName = `${_CCTX_}${ROOT_STORE}`;
+    try {
+        const hasField = classPath.node.body.body.some(member =>
+            t.isClassProperty(member) && !member.static && t.isIdentifier(member.key, { name: fieldName })
+        );
+        if (!hasField) {
+            classPath.get(_CCTX_BODY).pushContainer(_CCTX_BODY, t.classProperty(
+                t.identifier(fieldName),
+                t.callExpression(
+                    t.memberExpression(t.identifier(_CCTX_UNDUS_CORE_RUNTIME), t.identifier(RUNTIME_CONNECT_STORE)),
+                    [t.thisExpression(), buildRootStoreReference(t)]
+                )
+            ));
+            state.needsRuntime = true;
+        }
+    } catch (e) {
+
+    }
+    return t.memberExpression(t.thisExpression(), t.identifier(fieldName));
+}
+
+/**
+ * Builds the handle through which code outside React reaches a declaring scope.
+ *
+ * @param {object} t - The Babel types helper object (`@babel/types`).
+ * @param {string} ctxName - The registry key of the declaring scope.
+ *
+ * @returns {Node} `_casperRuntime.getScope("App_1a2b3c4d")`, which has the `getState` / `setState`
+ *                 shape of a store, so `buildStoreStateAccess` and `buildStoreSetStateCall` apply.
+ *
+ * @important
+ * - The caller must set `state.needsRuntime`.
+ */
+export function buildScopeReference (t, ctxName) {
+    return buildRuntimeCall(t, RUNTIME_GET_SCOPE, [t.stringLiteral(ctxName)]);
+}
+
+/**
+ * Finds the statement declaring the state of a context in a function body.
+ *
+ * @param {NodePath} bodyPath - The block body of the declaring function.
+ * @param {object} t - The Babel types helper object (`@babel/types`).
+ * @param {string} key - The context key (see `getContextKey`).
+ *
+ * @returns {{stateIndex: number, hasSetter: boolean}} The index of `[state, setState] = useScopeState(...)`,
+ *          or of the actions' `state = useActions(...)` (which has no setter); `-1` when absent.
+ */
+function findStateDeclaration (bodyPath, t, key) {
+    const stateName = key[0].toLowerCase() + key.slice(1);
+    const setterName = _CCTX_SET + key;
+    const isStateDeclarator = decl => t.isArrayPattern(decl.id)
+        ? t.isIdentifier(decl.id.elements[1], { name: setterName })
+        : t.isIdentifier(decl.id, { name: stateName });
+    const stateIndex = bodyPath.node.body.findIndex(stmt =>
+        t.isVariableDeclaration(stmt) && stmt.declarations.some(isStateDeclarator)
+    );
+    const hasSetter = stateIndex !== -1 &&
+        t.isArrayPattern(bodyPath.node.body[stateIndex].declarations.find(isStateDeclarator).id);
+    return { stateIndex, hasSetter };
+}
+
+/**
+ * Declares the value a declaring function component passes to a context's Provider.
+ *
+ * @param {NodePath} path - The declaring component, after its state was declared.
+ * @param {object} t - The Babel types helper object (`@babel/types`).
+ * @param {object} state - The Babel plugin state, used to resolve the React identifier.
+ * @param {string} key - The context key (see `getContextKey`).
+ * @param {boolean} [readOnly] - Provides the state alone, without its setter (the `const` variables,
+ *                             see `getContextKey`), so no consumer can write them.
+ *
+ * @returns {void}
+ *
+ * @important
+ * - Inserts, right after the state declaration:
+ *   ```js
+ *   const app_1a2b3c4d$value = (0, React.useMemo)(() => ({ app_1a2b3c4d, setApp_1a2b3c4d }), [app_1a2b3c4d, setApp_1a2b3c4d]);
+ *   ```
+ *   The setter never changes, so the value changes with the state only: re-rendering the component
+ *   for its props or its parent leaves the consumers alone.
+ * - Read-only contexts and actions provide the state alone (`{ app_1a2b3c4d$$actions }`). The actions
+ *   object never changes (see `buildActionsDeclaration`), so neither does their Provider's value.
+ */
+export function buildProviderValueDeclaration (path, t, state, key, readOnly) {
+    try {
+        const bodyPath = path.get(_CCTX_BODY);
+        if (!bodyPath.isBlockStatement()) return;
+        const stateName = key[0].toLowerCase() + key.slice(1);
+        const { stateIndex, hasSetter } = findStateDeclaration(bodyPath, t, key);
+        if (stateIndex === -1) return;
+        const names = [stateName, ...(hasSetter && !readOnly ? [_CCTX_SET + key] : [])];
+        const useMemo = t.sequenceExpression([
+            t.numericLiteral(0),
+            t.memberExpression(resolveReact(path, t, state), t.identifier(_CCTX_USE_MEMO))
+        ]);
+        bodyPath.node.body.splice(stateIndex + 1, 0, t.variableDeclaration(_CCTX_CONST, [
+            t.variableDeclarator(
+                t.identifier(`${stateName}${PROVIDER_VALUE_SUFFIX}`),
+                t.callExpression(useMemo, [
+                    t.arrowFunctionExpression([], t.objectExpression(names.map(name =>
+                        t.objectProperty(t.identifier(name), t.identifier(name), false, true)
+                    ))),
+                    t.arrayExpression(names.map(name => t.identifier(name)))
+                ])
+            )
+        ]));
+    } catch (e) {
+
+    }
+}
+
+/**
+ * Publishes a declaring function component's state to the runtime, for code outside React.
+ *
+ * @param {NodePath} path - The declaring component or custom hook, after its `useState` was injected.
+ * @param {object} t - The Babel types helper object (`@babel/types`).
+ * @param {object} state - The Babel plugin state; `needsRuntime` is set.
+ * @param {string} key - The registry key of the component.
+ *
+ * @returns {void}
+ *
+ * @important
+ * - Inserts, right after the `useState` declaration:
+ *   ```js
+ *   _casperRuntime.useScopeBinding(React, "App_1a2b3c4d", app_1a2b3c4d, setApp_1a2b3c4d);
+ *   ```
+ * - The actions are published without a setter, right after their `useActions` declaration.
+ */
+export function buildScopeBinding (path, t, state, key) {
+    try {
+        const bodyPath = path.get(_CCTX_BODY);
+        if (!bodyPath.isBlockStatement()) return;
+        const stateName = key[0].toLowerCase() + key.slice(1);
+        const setterName = _CCTX_SET + key;
+        const { stateIndex, hasSetter } = findStateDeclaration(bodyPath, t, key);
+        if (stateIndex === -1) return;
+        bodyPath.node.body.splice(stateIndex + 1, 0, t.expressionStatement(
+            buildRuntimeCall(t, RUNTIME_USE_SCOPE_BINDING, [
+                resolveReact(path, t, state),
+                t.stringLiteral(key),
+                t.identifier(stateName),
+                ...(hasSetter ? [t.identifier(setterName)] : [])
+            ])
+        ));
+        state.needsRuntime = true;
+    } catch (e) {
+
+    }
+}
+
+/**
+ * Publishes a declaring class component's state to the runtime, for code outside React.
+ *
+ * @param {NodePath} classPath - The declaring class component.
+ * @param {object} t - The Babel types helper object (`@babel/types`).
+ * @param {object} state - The Babel plugin state; `needsRuntime` is set.
+ * @param {string} key - The registry key of the class.
+ *
+ * @returns {void}
+ *
+ * @important
+ * - Appends the field `CTX_scopeBinding = _casperRuntime.bindInstanceScope(this, "Profile_1a2b3c4d")`.
+ *   It is the last field so that it wraps lifecycle methods the class defines as fields.
+ */
+export function buildClassScopeBinding (classPath, t, state, key) {
+    try {
+        classPath.get(_CCTX_BODY).pushContainer(_CCTX_BODY, t.classProperty(
+            t.identifier(`${_CCTX_}${SCOPE_BINDING_FIELD}`),
+            buildRuntimeCall(t, RUNTIME_BIND_INSTANCE_SCOPE, [t.thisExpression(), t.stringLiteral(key)])
+        ));
+        state.needsRuntime = true;
+    } catch (e) {
+
+    }
+}
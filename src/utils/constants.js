@@ -31,6 +31,15 @@ export const _CCTX_USE_CONTEXT = 'useContext';
 export const _CCTX_CREATE_ELEMENT = 'createElement';
 export const _CCTX_PROVIDER = 'Provider';
 export const _CCTX_VALUE = 'value';
+export const _CCTX_CONSUMER = 'Consumer';
+export const _CCTX_CONTEXT_TYPE = 'contextType'; // static contextType of class components
+export const _CCTX_CONTEXT = 'context';          // this.context of class components
+export const _CCTX_STATE = 'state';              // this.state of class components
+export const _CCTX_SET_STATE = 'setState';       // this.setState of class components
+export const RENDER_METHOD = 'render';
+export const CONSTRUCTOR_METHOD = 'constructor';
+export const COMPONENT_WRAPPERS = ['memo', 'forwardRef']; // React wrappers that return the component they receive
+export const LAZY_WRAPPER = 'lazy';                        // React.lazy: its factory loads a component, it is not one
 
 /** * AST Node Type Mapping
  * @description Strings matching Babel's internal node types for safe AST traversal.
@@ -44,31 +53,180 @@ export const OBJECT_EXPRESSION = 'ObjectExpression';
 export const VARIABLE_DECLARATOR = 'VariableDeclarator';
 export const ASSIGNMENT_EXPRESSION = 'AssignmentExpression';
 export const UPDATE_EXPRESSION = 'UpdateExpression';
+export const CLASS_METHOD = 'ClassMethod';
+export const CLASS_PROPERTY = 'ClassProperty';
 
 /** * AST Node Property Keys
  * @description Specific keys within Babel nodes used for targeting during transformation.
  */
 export const _CCTX_ID = 'id';
+export const _CCTX_INIT = 'init';    // Used in VariableDeclarators
 export const _CCTX_LEFT = 'left';      // Used in AssignmentExpressions
 export const _CCTX_ARGUMENT = 'argument'; // Used in UpdateExpressions
+export const PROPERTY = 'property';        // Used in MemberExpressions
+export const OBJECT = 'object';            // Used in MemberExpressions
 export const _CCTX_KEY = 'key';
 export const _CCTX_BODY = 'body';
+export const _CCTX_DECLARATIONS = 'declarations'; // Used in VariableDeclarations
 
 /** * Internal Transformation Aliases
  * @description Identifiers and keywords used for generating new code structures.
  */
 export const _CCTX_VAR = 'var';
 export const _CCTX_CONST = 'const';
+export const _CCTX_LET = 'let';
 export const _CCTX_REQUIRE = 'require';
 export const _CCTX_UNDUS_CORE_REACT = '_react';
 export const _CCTX_UNDUS_CORE_GBL_CONTEXT = '_gblContext';
+export const _CCTX_UNDUS_CORE_RUNTIME = '_casperRuntime';
 export const PREV_STATE = 'prevState'; // For functional state updates: (prevState) => ...
 export const _CCTX_SET = 'set';        // Prefix for state setter functions
+export const ASSIGN_OPERATOR = '=';
+export const CASPER_TEMP_VALUE = 'value';       // Hint for temporaries holding an assigned value
+export const CASPER_TEMP_PREVIOUS = 'previous'; // Hint for temporaries holding a pre-update value
+export const CASPER_TEMP_KEY = 'key';           // Hint for temporaries holding a computed member key
+export const CASPER_TEMP_ARGS = 'args';         // Hint for temporaries holding mutating-call arguments
+export const CASPER_TEMP_BATCH = 'batch';       // Hint for the batch an `async` callback of `batch` runs in
+export const DELETE_OPERATOR = 'delete';
+
+/** * Runtime Module
+ * @description The package entry imported by compiled code for structurally shared updates.
+ */
+export const CASPER_RUNTIME_MODULE = 'babel-plugin-casper-context/runtime';
+export const RUNTIME_SET_IN = 'setIn';
+export const RUNTIME_UPDATE_IN = 'updateIn';
+export const RUNTIME_DELETE_IN = 'deleteIn';
+export const RUNTIME_CALL_IN = 'callIn';
+export const RUNTIME_IS_COLLECTION = 'isCollection'; // Guards compiled Map / Set method calls
+export const RUNTIME_CALL_VALUE = 'value';
+export const RUNTIME_CALL_RESULT = 'result';
+export const RUNTIME_CONNECT_STORE = 'connectStore';
+export const RUNTIME_CREATE_ROOT_STORE = 'createRootStore';
+export const RUNTIME_GET_SCOPE = 'getScope';
+export const RUNTIME_USE_SCOPE_BINDING = 'useScopeBinding';
+export const RUNTIME_BIND_INSTANCE_SCOPE = 'bindInstanceScope';
+export const RUNTIME_USE_ACTIONS = 'useActions';
+export const RUNTIME_CREATE_STORE = 'createStore';
+export const RUNTIME_USE_SCOPE_STORE = 'useScopeStore';
+export const RUNTIME_USE_STORE_STATE = 'useStoreState';
+export const RUNTIME_CONNECT_SCOPE_STORE = 'connectScopeStore';
+export const RUNTIME_USE_SCOPE_STATE = 'useScopeState';
+export const RUNTIME_CREATE_CLASS_SETTER = 'createClassSetter';
+export const RUNTIME_SHALLOW_EQUAL = 'shallowEqual';
+export const RUNTIME_MEMOIZE_LAST = 'memoizeLast';
+export const RUNTIME_NAME_API = ['get', 'set', 'subscribe']; // Runtime exports naming variables at run time
+export const RUNTIME_LATEST = 'latest';  // Reads the latest state behind a setter, outside render
+export const RUNTIME_BATCH = 'batch';    // Holds the updates made by its callback
+export const RUNTIME_CURRENT_BATCH = 'currentBatch'; // The batch an `async` callback of `batch` runs in
+export const BATCH_ENTER = 'enter';      // Makes a batch current again once its callback resumes
+export const BATCH_LEAVE = 'leave';      // Stops a batch from holding updates while its callback waits
+export const SCOPE_BINDING_FIELD = 'scopeBinding'; // Class field publishing a declaring class to the runtime
+
+/** * Module-Level Store
+ * @description Casper variables declared at the top level of a module live in one app-wide
+ * store exported by the context module, instead of in a component's state.
+ */
+export const MODULE_SCOPE_NAME = '$module';   // Scope name of a module's top-level declarations
+export const ROOT_STORE = 'rootStore';        // Export of the context module holding them
+export const STORE_GET_STATE = 'getState';
+export const STORE_SET_STATE = 'setState';
+export const STORE_SUBSCRIBE = 'subscribe';
+export const STORE_INIT = 'init';
+export const _CCTX_USE_SYNC_EXTERNAL_STORE = 'useSyncExternalStore';
+
+/** * Context Groups
+ * @description A component's variables share one context unless a declaration names a group,
+ * which gets a context (and a state) of its own.
+ */
+export const CASPER_GROUP_DIRECTIVE = '@casper-group';  // `/* @casper-group session */ let _$_user = ...`
+export const CONTEXT_GROUP_SEPARATOR = '$';             // `App_1a2b3c4d$session` → group `session` of `App`
+export const LOCAL_STATE_GROUP = '$local';              // `App_1a2b3c4d$$local`: variables no other scope uses, never provided
+export const READ_ONLY_GROUP = '$readonly';             // `App_1a2b3c4d$$readonly`: `const` variables, provided without a setter
+export const ACTIONS_GROUP = '$actions';               // `App_1a2b3c4d$$actions`: prefixed functions, provided as one stable object
+export const SETTER_GROUP = '$setter';                 // `App_1a2b3c4d$$setter`: the setter alone, for components that only write
+
+/** * Write Permissions
+ * @description Which code may write a casper variable.
+ */
+export const CASPER_WRITERS_DIRECTIVE = '@casper-writers'; // `/* @casper-writers Checkout, CartButton */ let _$_cart = []`
+
+/** * Seed Synchronisation
+ * @description Whether a variable initialised from props or another expression follows later
+ * values of that expression (see `buildCtxUseStateDeclaration`).
+ */
+export const CASPER_SYNC_DIRECTIVE = '@casper-sync'; // `/* @casper-sync untouched */ let _$_user = props.user`
+export const SYNC_ONCE = 'once';                     // Seeds the state on mount only (default)
+export const SYNC_ALWAYS = 'always';                 // Re-seeds whenever the source value changes
+export const SYNC_UNTOUCHED = 'untouched';           // Re-seeds while the variable still holds the last seed
+export const SYNC_POLICIES = [SYNC_ONCE, SYNC_ALWAYS, SYNC_UNTOUCHED];
+export const CASPER_TEMP_SEED = 'seed';              // Hint for the source value evaluated on every render
+export const CASPER_TEMP_SEEDS = 'seeds';            // Hint for the state remembering the last seeds
+export const CASPER_TEMP_INIT = 'init';              // Hint for an initializer calling hooks, evaluated on every render
+export const GLOBAL_OBJECT = 'Object';
+export const OBJECT_IS = 'is';                       // `Object.is`, how seeds are compared
+
+/** * Runtime Modes
+ * @description How the shared state of function components reaches their consumers (`runtime` option).
+ */
+export const RUNTIME_MODE_CONTEXT = 'context';       // The Provider passes the state itself (default)
+export const RUNTIME_MODE_STORE = 'store';           // The Provider passes a store; consumers subscribe per variable
+export const SCOPE_STORE_SUFFIX = '$store';          // `app_1a2b3c4d$store`: the store of a declaring component
+export const _CCTX_USE_LAYOUT_EFFECT = 'useLayoutEffect';
+
+/** * Update Equality
+ * @description When an assignment leaves a variable unchanged, and the update is skipped
+ * (see `getDeclarationEquality`).
+ */
+export const CASPER_EQUALS_DIRECTIVE = '@casper-equals'; // `/* @casper-equals shallow */ let _$_filters = {}`
+export const EQUALITY_IS = 'is';                         // `Object.is` (default)
+export const EQUALITY_SHALLOW = 'shallow';               // Same keys holding `Object.is`-equal values
+export const EQUALITY_BUILT_INS = [EQUALITY_IS, EQUALITY_SHALLOW];
+export const PROVIDER_VALUE_SUFFIX = '$value';           // `app_1a2b3c4d$value`: the memoized Provider value
+export const _CCTX_USE_MEMO = 'useMemo';
+
+/** * Render-Time Reads
+ * @description Functions called while their component renders read the rendered state; any
+ * other code reads the latest one (see `isRenderTimePath`).
+ */
+export const RENDER_TIME_CALLBACKS = [
+    // Array methods, calling their callback at once
+    'map', 'flatMap', 'filter', 'reduce', 'reduceRight', 'forEach', 'some', 'every',
+    'find', 'findIndex', 'findLast', 'findLastIndex', 'sort', 'toSorted', 'from',
+    // Hooks calling their function while rendering
+    'useMemo', 'useState', 'useReducer'
+];
+
+/** * Generated Context Defaults
+ * @description How imported bindings used by an initializer are re-required by the context module.
+ */
+export const IMPORT_KIND_DEFAULT = 'default';
+export const IMPORT_KIND_NAMESPACE = 'namespace';
+export const IMPORT_KIND_NAMED = 'named';
+export const CASPER_DEFINE_HELPER = '_casperDefine';           // Memoises a lazily computed default
+export const CASPER_INTEROP_DEFAULT_HELPER = '_casperInteropDefault'; // Reads default exports of required modules
+
+/** * Mutating Methods
+ * @description Methods that change their receiver in place. Calls to them on a casper
+ * variable (or anything reachable from it) are compiled to immutable updates.
+ */
+export const ARRAY_MUTATING_METHODS = ['push', 'pop', 'shift', 'unshift', 'splice', 'sort', 'reverse', 'fill', 'copyWithin'];
+export const COLLECTION_MUTATING_METHODS = ['set', 'add', 'delete', 'clear']; // Map / Set
+export const MUTATING_METHODS = [...ARRAY_MUTATING_METHODS, ...COLLECTION_MUTATING_METHODS];
 
 /** * Component & Scope Classification */
 export const COMPONENT = 'component';
 export const ANONYMOUS_FUNCTION = 'anonymous_function';
 export const ANONYMOUS_CLASS = 'anonymous_class';
+export const DEFAULT_EXPORT_NAME = 'DefaultExport'; // Fallback name for anonymous default exports
+export const INDEX_FILE_NAME = 'index';
+
+/** * Scoped Name Resolution
+ * @description How a reference finds its declaring scope when several scopes declare the same name.
+ */
+export const QUALIFIED_NAME_SEPARATOR = '$';    // `_$_Admin$user` → `_$_user` of `Admin`
+export const MODULE_EXTENSIONS = ['.js', '.jsx', '.ts', '.tsx', '.mjs', '.cjs'];
+export const RENDER_CALLEES = ['createElement', 'jsx', 'jsxs', 'jsxDEV', '_jsx', '_jsxs']; // Already compiled JSX
+export const CASPER_WARNING_TAG = '[casper-context]';
 
 /** * File System & Build Tooling
  * @description Constants for file manipulation, hashing, and distribution paths.
@@ -0,0 +1,57 @@
+/**
+ * @fileoverview Naming Conventions for Casper Scopes.
+ * This module derives stable, identifier-safe names for scopes that do not
+ * carry a name of their own in the source (e.g. anonymous default exports),
+ * so that the registry key computed while declaring a variable always matches
+ * the key computed while injecting its state.
+ */
+import path from 'path';
+
+/**
+ * Core Constants
+ * @description
+ * - _CCTX_EMPTY: Safe string fallback used while normalising file names.
+ * - INDEX_FILE_NAME: Base name of directory entry files (`index.js`), which are
+ *   named after their parent folder instead.
+ * - DEFAULT_EXPORT_NAME: Last-resort name when nothing usable can be derived.
+ */
+import { _CCTX_EMPTY, INDEX_FILE_NAME, DEFAULT_EXPORT_NAME } from './constants';
+
+/**
+ * Converts a file path into a PascalCase component name.
+ *
+ * Anonymous default exports (`export default function () {}` or
+ * `export default () => {}`) have no identifier, so the plugin names them
+ * after the file that declares them. `src/pages/user-profile.jsx` becomes
+ * `UserProfile`, and `src/Dashboard/index.jsx` becomes `Dashboard`.
+ *
+ * @param {string} fileName - Absolute or relative path of the file being transformed.
+ *
+ * @returns {string} A PascalCase identifier derived from the file name, or
+ *                   `DEFAULT_EXPORT_NAME` if no usable characters remain.
+ *
+ * @important
+ * - The result always starts with an uppercase letter so that it is treated as
+ *   a React component by `getRootParentComponent`.
+ * - `index` files take the name of their parent directory.
+ * - Characters that are not valid in identifiers act as word separators.
+ * - This function is deterministic; the same path always yields the same name.
+ */
+export function getDefaultExportName (fileName) {
+    try {
+        const ext = path.extname(fileName || _CCTX_EMPTY);
+        let base = path.basename(fileName || _CCTX_EMPTY, ext);
+        if (base === INDEX_FILE_NAME) {
+            base = path.basename(path.dirname(fileName));
+        }
+        const name = base
+            .split(/[^A-Za-z0-9_$]+/)
+            .filter(Boolean)
+            .map(part => part[0].toUpperCase() + part.slice(1))
+            .join(_CCTX_EMPTY)
+            .replace(/^[0-9]+/, _CCTX_EMPTY);
+        return name || DEFAULT_EXPORT_NAME;
+    } catch (e) {
+        return DEFAULT_EXPORT_NAME;
+    }
+}
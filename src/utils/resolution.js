@@ -0,0 +1,840 @@
+/**
+ * @fileoverview Scoped Resolution of Casper References.
+ * Several components may declare casper variables with the same name. This
+ * module records which component renders which (from JSX, and from compiled
+ * `createElement` / `jsx` calls) and binds every reference to the nearest
+ * declaring component above it, the same way React picks the nearest Provider.
+ * References that cannot be resolved statically are reported, and can be
+ * qualified with the declaring scope: `_$_Admin$user`.
+ */
+import path from 'path';
+
+/**
+ * Scope Helpers
+ * @description
+ * - getFunctionScopeName / getClassScopeName: Name the components being indexed.
+ * - isComponentName / isHookScopeName / isHookName: Tell components and hooks apart from plain functions.
+ * - isClassComponent / getEnclosingClassComponent: Index and resolve class components.
+ */
+import {
+    getFunctionScopeName,
+    getClassScopeName,
+    isComponentName,
+    isHookScopeName,
+    isHookName,
+    isClassComponent,
+    getEnclosingClassComponent
+} from './scope';
+
+/**
+ * Registry Utilities
+ * @description
+ * - getFilePathHASH: Builds the registry key of a component.
+ * - registerScope: Stores the render information of a component.
+ * - findContextsByVar: Lists every scope declaring a name.
+ * - warn: Reports references that cannot be resolved.
+ * - isModuleScopeKey: Tells module-level declarations apart from component ones.
+ */
+import { getFilePathHASH, registerScope, findContextsByVar, warn, isModuleScopeKey, readCasperConfig } from './utilityHelpers';
+
+/**
+ * AST Helpers
+ * @description
+ * - getRootParentComponent: Finds the component or hook a reference is made from.
+ */
+import { getRootParentComponent } from './astHelpers';
+
+/**
+ * Core Constants
+ * @description
+ * - IMPORT_KIND_DEFAULT: Edge name of components rendered through a default import.
+ * - QUALIFIED_NAME_SEPARATOR: Separates the scope from the name in `_$_Admin$user`.
+ * - MODULE_EXTENSIONS / INDEX_FILE_NAME: Normalise module paths so imports match files.
+ * - RENDER_CALLEES: Functions that render their first argument once JSX is compiled.
+ * - CONTEXT_GROUP_SEPARATOR / LOCAL_STATE_GROUP / READ_ONLY_GROUP / ACTIONS_GROUP: Name the contexts of groups,
+ * of unshared variables, of read-only variables and of actions.
+ * - RUNTIME_MODE_STORE: The `runtime` option backing shared state with stores.
+ */
+import {
+    _CCTX_EMPTY,
+    IMPORT_KIND_DEFAULT,
+    QUALIFIED_NAME_SEPARATOR,
+    MODULE_EXTENSIONS,
+    INDEX_FILE_NAME,
+    RENDER_CALLEES,
+    CONTEXT_GROUP_SEPARATOR,
+    LOCAL_STATE_GROUP,
+    READ_ONLY_GROUP,
+    ACTIONS_GROUP,
+    RUNTIME_MODE_STORE
+} from './constants';
+
+/**
+ * Normalises a module path so that a file and the imports pointing at it compare equal.
+ *
+ * @param {string} fileName - An absolute file or import path.
+ *
+ * @returns {string} The path without its script extension and without a trailing `/index`
+ *                   (`/src/Cart/index.jsx` and `./Cart` both become `/src/Cart`).
+ */
+function normalizeModulePath (fileName) {
+    const ext = path.extname(fileName);
+    let modulePath = MODULE_EXTENSIONS.includes(ext) ? fileName.slice(0, -ext.length) : fileName;
+    if (path.basename(modulePath) === INDEX_FILE_NAME) modulePath = path.dirname(modulePath);
+    return modulePath;
+}
+
+/**
+ * Extracts the scope name from a registry key (`Admin_1a2b3c4d` → `Admin`).
+ *
+ * @param {string} key - A registry key.
+ *
+ * @returns {string} The component or hook name.
+ */
+function getScopeNameFromKey (key) {
+    return key.slice(0, key.lastIndexOf('_'));
+}
+
+/**
+ * Describes the component a rendered identifier refers to.
+ *
+ * @param {NodePath} refPath - The path at which the identifier is rendered.
+ * @param {string} name - The rendered identifier (`Card` in `<Card />`).
+ * @param {string} fileName - The file being indexed.
+ *
+ * @returns {{file: string, name: string}|null} The module the component lives in and the name it is
+ *          exported or declared under (`default` for default imports); `null` for package imports,
+ *          namespace imports and unbound names.
+ */
+function describeRenderedComponent (refPath, name, fileName) {
+    const binding = refPath.scope.getBinding(name);
+    if (!binding) return null;
+    if (binding.kind !== 'module') return { file: normalizeModulePath(path.resolve(fileName)), name };
+    const specifier = binding.path;
+    if (specifier.isImportNamespaceSpecifier()) return null;
+    const source = specifier.parentPath.node.source.value;
+    if (!source.startsWith('.')) return null;
+    const file = normalizeModulePath(path.resolve(path.dirname(fileName), source));
+    if (specifier.isImportDefaultSpecifier()) return { file, name: IMPORT_KIND_DEFAULT };
+    return { file, name: specifier.node.imported.name ?? specifier.node.imported.value };
+}
+
+/**
+ * Collects the components rendered inside a component.
+ *
+ * @param {NodePath} componentPath - The function or class component.
+ * @param {string} fileName - The file being indexed.
+ * @param {Object} t - Babel types helper (`@babel/types`).
+ *
+ * @returns {Array<{file: string, name: string}>} One edge per distinct rendered component.
+ */
+function collectRenderedComponents (componentPath, fileName, t) {
+    const renders = [];
+    const addRender = (refPath, name) => {
+        if (!isComponentName(name)) return;
+        const edge = describeRenderedComponent(refPath, name, fileName);
+        if (edge && !renders.some(item => item.file === edge.file && item.name === edge.name)) renders.push(edge);
+    };
+    componentPath.traverse({
+        JSXOpeningElement (elementPath) {
+            if (t.isJSXIdentifier(elementPath.node.name)) addRender(elementPath, elementPath.node.name.name);
+        },
+        CallExpression (callPath) {
+            // React.createElement(Card), (0, _jsxRuntime.jsx)(Card, {})
+            let callee = callPath.node.callee;
+            if (t.isSequenceExpression(callee)) callee = callee.expressions[callee.expressions.length - 1];
+            const calleeName = t.isMemberExpression(callee) && !callee.computed ? callee.property.name : callee.name;
+            const type = callPath.node.arguments[0];
+            if (RENDER_CALLEES.includes(calleeName) && t.isIdentifier(type)) addRender(callPath, type.name);
+        }
+    });
+    return renders;
+}
+
+/**
+ * Resolves which local component a module exports as `default`.
+ *
+ * @param {NodePath} programPath - The program being indexed.
+ *
+ * @returns {string|null} The scope name of the default export, seen through wrapper calls
+ *                        (`export default memo(Card)` → `"Card"`), or `null` if there is none.
+ */
+function getDefaultExportedScope (programPath) {
+    let scopeName = null;
+    programPath.get('body').forEach(statementPath => {
+        if (statementPath.isExportDefaultDeclaration()) {
+            let declaration = statementPath.get('declaration');
+            while (declaration.isCallExpression() && declaration.node.arguments.length) {
+                declaration = declaration.get('arguments.0');
+            }
+            if (declaration.isIdentifier()) scopeName = declaration.node.name;
+            else if (declaration.isFunction()) scopeName = getFunctionScopeName(declaration);
+            else if (declaration.isClass()) scopeName = getClassScopeName(declaration);
+        }
+        // export { Card as default }
+        if (statementPath.isExportNamedDeclaration() && !statementPath.node.source) {
+            statementPath.node.specifiers.forEach(specifier => {
+                const exported = specifier.exported.name ?? specifier.exported.value;
+                if (exported === IMPORT_KIND_DEFAULT) scopeName = specifier.local.name;
+            });
+        }
+    });
+    return scopeName;
+}
+
+/**
+ * Records every component of a file, with the components it renders, in the registry.
+ *
+ * @param {NodePath} programPath - The program being transformed.
+ * @param {Object} state - Plugin state; `state.filename` is used.
+ * @param {Object} t - Babel types helper (`@babel/types`).
+ * @param {Object<string, Object>} virtualRegistry - Registry of component scopes.
+ *
+ * @returns {void}
+ *
+ * @important
+ * - Runs when a file is entered, before any JSX is compiled, so the whole file's render
+ *   relationships are known before its first casper reference is resolved.
+ * - Rendered components are matched to their declarations through relative imports or
+ *   same-file bindings; components from packages are not part of the graph.
+ */
+export function indexComponentScopes (programPath, state, t, virtualRegistry) {
+    try {
+        const fileName = state.filename || _CCTX_EMPTY;
+        const file = normalizeModulePath(path.resolve(fileName));
+        const hash = getFilePathHASH(fileName);
+        const defaultScope = getDefaultExportedScope(programPath);
+        programPath.traverse({
+            'Function|Class' (componentPath) {
+                const name = componentPath.isClass()
+                    ? isClassComponent(componentPath) && getClassScopeName(componentPath)
+                    : getFunctionScopeName(componentPath);
+                if (!isComponentName(name)) return;
+                registerScope(`${name}_${hash}`, {
+                    name,
+                    file,
+                    isDefault: name === defaultScope,
+                    isClass: componentPath.isClass(),
+                    renders: collectRenderedComponents(componentPath, fileName, t)
+                }, virtualRegistry);
+            }
+        });
+    } catch (e) {
+
+    }
+}
+
+/**
+ * Determines whether a registry entry renders another one.
+ *
+ * @param {Object} parent - The possibly rendering entry.
+ * @param {Object} child - The possibly rendered entry.
+ *
+ * @returns {boolean}
+ */
+function rendersScope (parent, child) {
+    if (!parent?.renders || !child?.file) return false;
+    return parent.renders.some(edge =>
+        edge.file === child.file &&
+        (edge.name === child.name || (edge.name === IMPORT_KIND_DEFAULT && child.isDefault))
+    );
+}
+
+/**
+ * Finds the declaring scopes that can provide a variable to a component.
+ *
+ * @param {string} startKey - Registry key of the component making the reference.
+ * @param {string[]} candidates - Registry keys of every scope declaring the name.
+ * @param {Object<string, Object>} virtualRegistry - Registry of component scopes.
+ *
+ * @returns {string[]} For every chain of components rendering `startKey`, the first declaring
+ *          scope met while walking up; duplicates removed.
+ *
+ * @important
+ * - A chain stops at its first declaring scope, since that Provider shadows any above it.
+ * - More than one result means the component is rendered under different providers, so the
+ *   reference is ambiguous.
+ */
+function findProvidingScopes (startKey, candidates, virtualRegistry) {
+    const providers = [];
+    const visited = new Set([startKey]);
+    let frontier = [startKey];
+    while (frontier.length) {
+        const next = [];
+        Object.keys(virtualRegistry).forEach(key => {
+            if (visited.has(key)) return;
+            if (!frontier.some(childKey => rendersScope(virtualRegistry[key], virtualRegistry[childKey]))) return;
+            visited.add(key);
+            if (candidates.includes(key)) providers.push(key);
+            else next.push(key);
+        });
+        frontier = next;
+    }
+    return providers;
+}
+
+/**
+ * Lists the components that render a scope.
+ *
+ * @param {string} childKey - Registry key of the rendered component.
+ * @param {Object<string, Object>} virtualRegistry - Registry of component scopes.
+ *
+ * @returns {string[]} Their registry keys.
+ */
+function findRenderingScopes (childKey, virtualRegistry) {
+    return Object.keys(virtualRegistry).filter(key =>
+        key !== childKey && rendersScope(virtualRegistry[key], virtualRegistry[childKey])
+    );
+}
+
+/**
+ * Walks the render graph upwards from a component.
+ *
+ * @param {string} startKey - Registry key of the component.
+ * @param {string} ancestorKey - Registry key of the component looked for above it.
+ * @param {Object<string, Object>} virtualRegistry - Registry of component scopes.
+ *
+ * @returns {{found: boolean, chain: string[]}} Whether `ancestorKey` renders `startKey`, directly or
+ *          through other components. When it does not, `chain` is the longest chain of components
+ *          found rendering `startKey`, outermost first and ending with `startKey`.
+ */
+function findRenderChain (startKey, ancestorKey, virtualRegistry) {
+    const parents = { [startKey]: null };
+    let frontier = [startKey];
+    let outermost = startKey;
+    while (frontier.length) {
+        const next = [];
+        frontier.forEach(childKey => {
+            findRenderingScopes(childKey, virtualRegistry).forEach(key => {
+                if (key in parents) return;
+                parents[key] = childKey;
+                next.push(key);
+            });
+        });
+        if (next.includes(ancestorKey)) return { found: true, chain: [] };
+        if (next.length) outermost = next[0];
+        frontier = next;
+    }
+    const chain = [];
+    for (let key = outermost; key; key = parents[key]) chain.push(key);
+    return { found: false, chain };
+}
+
+/**
+ * Consumers already reported by `reportUnreachableProvider`, as `consumer|declaring scope|variable`.
+ * @type {Set<string>}
+ * @private
+ */
+const reportedConsumers = new Set();
+
+/**
+ * Warns when a component uses another component's variable without being rendered under it.
+ *
+ * @param {NodePath} refPath - The reference.
+ * @param {{ctxName: string, varName: string}} resolved - Its declaring scope, from `findDeclaringScope`.
+ * @param {Object} state - Plugin state; the filename is used.
+ * @param {Object<string, Object>} virtualRegistry - Registry of component scopes.
+ *
+ * @returns {void}
+ *
+ * @important
+ * - Such a component reads the context default: the initial values, with a setter doing nothing (or,
+ *   with the store runtime, the default store, which the declaring component never reads). It does not
+ *   crash, but its writes never reach the declaring component. The warning names the chain of
+ *   components that do render it:
+ *   ```
+ *   [casper-context] src/Cart.jsx:4:12 `_$_user` is declared by `App`, but `Cart` is not rendered
+ *   under it (found `Shop → Cart`); it reads the initial value and its writes never reach `App`.
+ *   ```
+ * - Only components are checked: module-level variables need no Provider, and hooks or code outside
+ *   React have no place in the render graph. Variables declared in a hook are never provided.
+ * - The graph is built from JSX and relative imports (see `indexComponentScopes`); a component only
+ *   rendered through a package or from module code may be reported although it is provided.
+ * - Each consumer is reported once per variable.
+ */
+function reportUnreachableProvider (refPath, resolved, state, virtualRegistry) {
+    try {
+        const { ctxName, varName } = resolved;
+        if (isModuleScopeKey(ctxName)) return;
+        const fileName = state.filename || _CCTX_EMPTY;
+        const currentKey = getCurrentScopeKey(refPath, fileName);
+        if (!currentKey || currentKey === ctxName || isHookName(getScopeNameFromKey(currentKey))) return;
+        const reportKey = `${currentKey}|${ctxName}|${varName}`;
+        if (reportedConsumers.has(reportKey)) return;
+        const declaringName = getScopeNameFromKey(ctxName);
+        const consumerName = getScopeNameFromKey(currentKey);
+        if (isHookName(declaringName)) {
+            reportedConsumers.add(reportKey);
+            warn(refPath, fileName, `\`${varName}\` is declared by the hook \`${declaringName}\`, which provides it to no component; \`${consumerName}\` reads the initial value and its writes never reach the hook.`);
+            return;
+        }
+        const { found, chain } = findRenderChain(currentKey, ctxName, virtualRegistry);
+        if (found) return;
+        reportedConsumers.add(reportKey);
+        const renderedBy = chain.length > 1
+            ? `found \`${chain.map(getScopeNameFromKey).join(' → ')}\``
+            : `no known component renders it`;
+        warn(refPath, fileName, `\`${varName}\` is declared by \`${declaringName}\`, but \`${consumerName}\` is not rendered under it (${renderedBy}); it reads the initial value and its writes never reach \`${declaringName}\`.`);
+    } catch (e) {
+
+    }
+}
+
+/**
+ * Splits a qualified casper reference into its scope and variable name.
+ *
+ * @param {string} name - The referenced name, e.g. `_$_Admin$user`.
+ * @param {string} prefix - The configured casper prefix.
+ *
+ * @returns {{scopeName: string, varName: string}|null} `{ scopeName: 'Admin', varName: '_$_user' }`,
+ *          or `null` when the name is not qualified.
+ */
+function parseQualifiedName (name, prefix) {
+    const rest = name.slice(prefix.length);
+    const index = rest.indexOf(QUALIFIED_NAME_SEPARATOR);
+    if (index <= 0 || index === rest.length - 1) return null;
+    const scopeName = rest.slice(0, index);
+    if (!isHookScopeName(scopeName)) return null;
+    return { scopeName, varName: `${prefix}${rest.slice(index + 1)}` };
+}
+
+/**
+ * Builds the qualified spelling of a variable for a declaring scope.
+ *
+ * @param {string} key - Registry key of the declaring scope.
+ * @param {string} varName - The variable name.
+ * @param {string} prefix - The configured casper prefix.
+ *
+ * @returns {string} e.g. `_$_Admin$user`.
+ */
+export function getQualifiedName (key, varName, prefix) {
+    return `${prefix}${getScopeNameFromKey(key)}${QUALIFIED_NAME_SEPARATOR}${varName.slice(prefix.length)}`;
+}
+
+/**
+ * Resolves the registry key of the component or hook a reference is made from.
+ *
+ * @param {NodePath} refPath - The reference.
+ * @param {string} fileName - The file being transformed.
+ *
+ * @returns {string|null} `${scopeName}_${fileHash}`, or `null` outside components and hooks.
+ */
+export function getCurrentScopeKey (refPath, fileName) {
+    const classPath = getEnclosingClassComponent(refPath);
+    const scopeName = classPath ? getClassScopeName(classPath) : getRootParentComponent(refPath)?.componentName;
+    return scopeName ? `${scopeName}_${getFilePathHASH(fileName)}` : null;
+}
+
+/**
+ * Resolves the declaring scope of a casper reference.
+ *
+ * @param {NodePath} refPath - The reference (read, write, `delete` or mutating call).
+ * @param {string} name - The referenced name as written (`_$_user` or `_$_Admin$user`).
+ * @param {Object} state - Plugin state; the filename and prefix are used.
+ * @param {Object<string, Object>} virtualRegistry - Registry of component scopes.
+ *
+ * @returns {{ctxName: string, varName: string}|null} The registry key of the declaring scope and
+ *          the declared variable name, or `null` when the name is not declared anywhere.
+ * @throws {CasperReferenceError} When the reference is ambiguous.
+ *
+ * @important
+ * - Resolution order:
+ *   1. A name declared by a single scope resolves to it, as before.
+ *   2. A name declared by the referencing component itself resolves to that component.
+ *   3. Otherwise the render graph is walked upwards; if every chain reaches the same declaring
+ *      scope first, that scope is used.
+ *   4. A qualified name (`_$_Admin$user`) picks the scope explicitly.
+ *   5. A name no component above provides falls back to a module-level declaration, the outermost
+ *      scope. All module-level declarations of a name share one root store variable.
+ * - References outside components and hooks resolve through steps 1, 4 and 5 only.
+ * - Ambiguous references fail the build with a code frame listing the qualified spellings, rather
+ *   than being bound to an arbitrary scope or left as an undeclared global.
+ * - A component reading another component's variable without being rendered under it is reported
+ *   too (see `reportUnreachableProvider`), but still bound to the declaring scope.
+ *
+ * @example
+ * ```js
+ * // Admin and Customer both declare `_$_user`; only Admin renders <AdminMenu />.
+ * resolveCasperReference(pathInsideAdminMenu, '_$_user', state, virtualRegistry);
+ * // { ctxName: 'Admin_1a2b3c4d', varName: '_$_user' }
+ * ```
+ */
+export function resolveCasperReference (refPath, name, state, virtualRegistry) {
+    const resolved = findDeclaringScope(refPath, name, state, virtualRegistry);
+    if (resolved) reportUnreachableProvider(refPath, resolved, state, virtualRegistry);
+    return resolved;
+}
+
+/**
+ * Tells why a write to a casper variable is not allowed, if it is not.
+ *
+ * @param {{ctxName: string, varName: string}} resolved - The written variable, as returned by `resolveCasperReference`.
+ * @param {string|null} currentKey - Registry key of the component, hook or class making the write
+ *                                   (`null` outside them, see `getCurrentScopeKey`).
+ * @param {Object<string, Object>} virtualRegistry - Registry of component scopes.
+ *
+ * @returns {string|null} The reason, ready to be reported, or `null` when the write is allowed.
+ *
+ * @important
+ * - Actions and `const` variables (`readOnly`) can never be written, not even by their declaring scope, and since
+ *   writes below a variable (`_$_cart.push(item)`) go through its setter, they cannot be mutated either.
+ * - Variables with `writers` (see `getDeclarationWriters`) may be written by the declaring scope and the
+ *   listed components only; code outside components, hooks and classes is never listed.
+ */
+export function getWriteViolation (resolved, currentKey, virtualRegistry) {
+    const { ctxName, varName } = resolved;
+    const entry = virtualRegistry[ctxName] || {};
+    const declaringName = isModuleScopeKey(ctxName) ? 'module scope' : `\`${getScopeNameFromKey(ctxName)}\``;
+    if (entry.actions?.includes(varName)) {
+        return `\`${varName}\` is an action of ${declaringName} and cannot be reassigned or mutated.`;
+    }
+    if (entry.readOnly?.includes(varName)) {
+        return `\`${varName}\` is declared with \`const\` in ${declaringName} and is read-only; ` +
+            `declare it with \`let\` to assign or mutate it.`;
+    }
+    const writers = entry.writers?.[varName];
+    if (!writers || currentKey === ctxName) return null;
+    const writerName = currentKey && getScopeNameFromKey(currentKey);
+    if (writerName && writers.includes(writerName)) return null;
+    return `\`${varName}\` can only be written by ${[declaringName, ...writers.map(name => `\`${name}\``)].join(', ')}; ` +
+        `${writerName ? `\`${writerName}\` is not allowed to` : 'code outside components cannot'} write it.`;
+}
+
+/**
+ * Compile error raised for a casper reference that cannot be bound to one declaring scope
+ * (see `resolveCasperReference`).
+ *
+ * @important
+ * - Built with `path.buildCodeFrameError`, so the bundler shows the offending reference in a code frame.
+ * - Every visitor resolving references rethrows it: left alone, the reference would compile to an
+ *   undeclared global and fail at run time instead.
+ */
+export class CasperReferenceError extends Error {
+    constructor (message) {
+        super(message);
+        this.name = 'CasperReferenceError';
+    }
+}
+
+/**
+ * Resolves the declaring scope of a casper reference; see `resolveCasperReference`.
+ *
+ * @returns {{ctxName: string, varName: string}|null}
+ * @throws {CasperReferenceError} When the reference is ambiguous.
+ * @private
+ */
+function findDeclaringScope (refPath, name, state, virtualRegistry) {
+    try {
+        const prefix = state.casperConfig.prefix;
+        const fileName = state.filename || _CCTX_EMPTY;
+        const candidates = findContextsByVar(name, virtualRegistry);
+
+        if (!candidates.length) {
+            const qualified = parseQualifiedName(name, prefix);
+            if (!qualified) return null;
+            const scoped = findContextsByVar(qualified.varName, virtualRegistry)
+                .filter(key => getScopeNameFromKey(key) === qualified.scopeName);
+            if (scoped.length === 1) return { ctxName: scoped[0], varName: qualified.varName };
+            if (scoped.length > 1) {
+                throw refPath.buildCodeFrameError(
+                    `\`${name}\` matches ${scoped.length} components named ${qualified.scopeName}; rename one of them.`,
+                    CasperReferenceError
+                );
+            }
+            return null;
+        }
+        if (candidates.length === 1) return { ctxName: candidates[0], varName: name };
+
+        const currentKey = getCurrentScopeKey(refPath, fileName);
+        if (candidates.includes(currentKey)) return { ctxName: currentKey, varName: name };
+        const scopedCandidates = candidates.filter(key => !isModuleScopeKey(key));
+        const providers = currentKey ? findProvidingScopes(currentKey, scopedCandidates, virtualRegistry) : [];
+        if (providers.length === 1) return { ctxName: providers[0], varName: name };
+        const moduleKey = candidates.find(isModuleScopeKey);
+        if (!providers.length && moduleKey) return { ctxName: moduleKey, varName: name };
+
+        const alternatives = (providers.length ? providers : scopedCandidates)
+            .map(key => `\`${getQualifiedName(key, name, prefix)}\``)
+            .join(' or ');
+        throw refPath.buildCodeFrameError(providers.length
+            ? `\`${name}\` is provided by several components above this one; use ${alternatives}.`
+            : `\`${name}\` is declared by several components and none of them is known to render this one; use ${alternatives}.`,
+        CasperReferenceError);
+    } catch (e) {
+        if (e instanceof CasperReferenceError) throw e;
+        return null;
+    }
+}
+
+/**
+ * Tells whether a declaring scope must publish its state for code outside React.
+ *
+ * @param {string} key - Registry key of the declaring component, hook or class.
+ * @param {Object<string, Object>} virtualRegistry - Registry of component scopes.
+ * @param {string} prefix - The configured casper prefix.
+ *
+ * @returns {boolean} `true` when some module reads or writes one of its variables outside
+ *          components, hooks and classes, or when any module imports the runtime API
+ *          (`get` / `set` / `subscribe` name variables at run time, so every scope may be used).
+ *
+ * @important
+ * - Relies on the `outsideRefs` / `usesRuntimeApi` recorded by `indexFile`; apps that never reach
+ *   casper state from outside React pay nothing for the feature.
+ */
+export function isScopeUsedOutsideReact (key, virtualRegistry, prefix) {
+    try {
+        const { varNames = [] } = virtualRegistry[key] || {};
+        const spellings = varNames.flatMap(name => [name, getQualifiedName(key, name, prefix)]);
+        return Object.keys(virtualRegistry).filter(isModuleScopeKey).some(moduleKey => {
+            const { outsideRefs = [], usesRuntimeApi } = virtualRegistry[moduleKey];
+            return usesRuntimeApi || outsideRefs.some(name => spellings.includes(name));
+        });
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Tells whether a variable is used by any scope other than the one declaring it.
+ *
+ * @param {string} key - Registry key of the declaring component, hook or class.
+ * @param {string} varName - The variable name.
+ * @param {Object<string, Object>} virtualRegistry - Registry of component scopes.
+ * @param {string} prefix - The configured casper prefix.
+ *
+ * @returns {boolean} `true` when another scope reads or writes the name (plain or qualified),
+ *          when code outside React does, or when any module imports the runtime API; always `true`
+ *          unless `projectAnalysis` is enabled in the configuration.
+ *
+ * @important
+ * - Relies on the `scopeRefs` / `outsideRefs` / `usesRuntimeApi` recorded for every file by `indexFile`,
+ *   so the whole project is taken into account, not only the files compiled so far.
+ * - Opt-in: the answer depends on other files, which a watch build does not recompile when only the
+ *   consumer changes. A file that starts using a variable that was local would read a context the
+ *   declaring component does not provide, so by default every variable counts as shared.
+ * - Conservative: another scope using the name counts even if its reference resolves to a different
+ *   declaring scope; errors count as shared.
+ */
+export function isVariableShared (key, varName, virtualRegistry, prefix) {
+    try {
+        if (!readCasperConfig().projectAnalysis) return true;
+        const spellings = [varName, getQualifiedName(key, varName, prefix)];
+        return Object.keys(virtualRegistry).filter(isModuleScopeKey).some(moduleKey => {
+            const { outsideRefs = [], scopeRefs = {}, usesRuntimeApi } = virtualRegistry[moduleKey];
+            return usesRuntimeApi ||
+                outsideRefs.some(name => spellings.includes(name)) ||
+                Object.keys(scopeRefs).some(scopeKey =>
+                    scopeKey !== key && scopeRefs[scopeKey].some(name => spellings.includes(name))
+                );
+        });
+    } catch (e) {
+        return true;
+    }
+}
+
+/**
+ * Builds the key of the context that holds one variable of a scope.
+ *
+ * @param {string} key - Registry key of the declaring scope.
+ * @param {string} varName - The variable name.
+ * @param {Object<string, Object>} virtualRegistry - Registry of component scopes.
+ * @param {string} prefix - The configured casper prefix.
+ *
+ * @returns {string}
+ * - `${key}$$actions` (e.g. `App_1a2b3c4d$$actions`) for an action, shared or not: the scope's actions are
+ *   held by one stable object (see `buildActionsDeclaration`).
+ * - `${key}$$local` (e.g. `App_1a2b3c4d$$local`) for a variable no other scope uses (see `isVariableShared`):
+ *   it is plain state of the declaring scope and gets no context at all.
+ * - `${key}$$readonly` (e.g. `App_1a2b3c4d$$readonly`) for a shared `const` variable, whatever its group:
+ *   its Provider value carries no setter, and never changes.
+ * - `${key}$${group}` (e.g. `App_1a2b3c4d$session`) for a shared variable declared in a group.
+ * - The registry key itself otherwise.
+ *
+ * @important
+ * - The returned key names everything generated for that context: its export in the context module,
+ *   the `useState` pair of the declaring component (`app_1a2b3c4d$session`, `setApp_1a2b3c4d$session`),
+ *   the consumers' `CTX_` instances and the runtime handle used outside React.
+ * - Scope comparisons (is this the declaring component?) must keep using the registry key.
+ */
+export function getContextKey (key, varName, virtualRegistry, prefix) {
+    if (virtualRegistry[key]?.actions?.includes(varName)) {
+        return `${key}${CONTEXT_GROUP_SEPARATOR}${ACTIONS_GROUP}`;
+    }
+    if (!isVariableShared(key, varName, virtualRegistry, prefix)) {
+        return `${key}${CONTEXT_GROUP_SEPARATOR}${LOCAL_STATE_GROUP}`;
+    }
+    if (virtualRegistry[key]?.readOnly?.includes(varName)) {
+        return `${key}${CONTEXT_GROUP_SEPARATOR}${READ_ONLY_GROUP}`;
+    }
+    const group = virtualRegistry[key]?.groups?.[varName];
+    return group ? `${key}${CONTEXT_GROUP_SEPARATOR}${group}` : key;
+}
+
+/**
+ * Splits the variables of a scope into the contexts that hold them.
+ *
+ * @param {string} key - Registry key of the declaring scope.
+ * @param {Object<string, Object>} virtualRegistry - Registry of component scopes.
+ * @param {string} prefix - The configured casper prefix.
+ *
+ * @returns {Array<{key: string, varNames: string[], provided: boolean, readOnly: boolean, actions: boolean}>} One
+ *          item per context, keyed as in `getContextKey`: the scope's own context first, then the others in
+ *          declaration order, the actions last.
+ *          `provided` is `false` for the unshared variables, and for the actions unless another scope uses one;
+ *          those get neither a Provider nor an export in the context module.
+ *          `readOnly` is `true` for the `const` variables and the actions, whose Provider value has no setter.
+ *
+ * @example
+ * ```js
+ * // App declares `_$_theme` (read by Header) and `_$_open` (read by App only)
+ * getContextGroups('App_1a2b3c4d', virtualRegistry, '_$_');
+ * // [{ key: 'App_1a2b3c4d', varNames: ['_$_theme'], provided: true },
+ * //  { key: 'App_1a2b3c4d$$local', varNames: ['_$_open'], provided: false }]
+ * ```
+ */
+export function getContextGroups (key, virtualRegistry, prefix) {
+    const contexts = [];
+    (virtualRegistry[key]?.varNames || []).forEach(varName => {
+        const contextKey = getContextKey(key, varName, virtualRegistry, prefix);
+        let context = contexts.find(item => item.key === contextKey);
+        if (!context) {
+            const actions = contextKey.endsWith(`${CONTEXT_GROUP_SEPARATOR}${ACTIONS_GROUP}`);
+            context = {
+                key: contextKey,
+                varNames: [],
+                provided: !actions && !contextKey.endsWith(`${CONTEXT_GROUP_SEPARATOR}${LOCAL_STATE_GROUP}`),
+                readOnly: actions || contextKey.endsWith(`${CONTEXT_GROUP_SEPARATOR}${READ_ONLY_GROUP}`),
+                actions
+            };
+            contexts.push(context);
+        }
+        context.varNames.push(varName);
+        if (context.actions && isVariableShared(key, varName, virtualRegistry, prefix)) context.provided = true;
+    });
+    // the scope's own context first, so its Provider stays the outermost one; the actions last,
+    // so their declaration follows the state they read
+    const rank = context => (context.key === key ? 0 : context.actions ? 2 : 1);
+    return contexts.sort((a, b) => rank(a) - rank(b));
+}
+
+/**
+ * Tells whether a context is backed by a store rather than by the state it provides.
+ *
+ * @param {string} key - Registry key of the declaring scope.
+ * @param {string} contextKey - The context, as named by `getContextKey`.
+ * @param {Object<string, Object>} virtualRegistry - Registry of component scopes.
+ * @param {Object} config - The casper configuration; only `runtime` is used.
+ *
+ * @returns {boolean}
+ *
+ * @important
+ * - Only with `"runtime": "store"`, and only for the contexts a function component provides: class components
+ *   keep `this.state`, hooks provide nothing, and the actions and local state have no consumers to spare.
+ * - The declaring component keeps its state in a store (`useScopeStore`) and provides the store itself, a value
+ *   that never changes; each function component reading the context subscribes with `useStoreState` to the
+ *   variables it reads, and re-renders only when one of them changes.
+ * - Every file must answer the same for a context: the declaring component, its consumers and the context
+ *   module all depend on it.
+ */
+export function isStoreContext (key, contextKey, virtualRegistry, config) {
+    const entry = virtualRegistry[key];
+    if (config?.runtime !== RUNTIME_MODE_STORE || !entry || isModuleScopeKey(key)) return false;
+    if (entry.isClass || isHookName(key)) return false;
+    return !contextKey.endsWith(`${CONTEXT_GROUP_SEPARATOR}${LOCAL_STATE_GROUP}`) &&
+        !contextKey.endsWith(`${CONTEXT_GROUP_SEPARATOR}${ACTIONS_GROUP}`);
+}
+
+/**
+ * Tells whether a context has a setter, and with it a latest state (see the runtime's `latest`).
+ *
+ * @param {string} contextKey - The context, as named by `getContextKey`.
+ *
+ * @returns {boolean} `false` for the `const` variables and the actions, which never change.
+ */
+export function isWritableContext (contextKey) {
+    return ![READ_ONLY_GROUP, ACTIONS_GROUP].some(group => contextKey.endsWith(`${CONTEXT_GROUP_SEPARATOR}${group}`));
+}
+
+/**
+ * Lists the variables held by one context of a scope.
+ *
+ * @param {string} key - Registry key of the declaring scope.
+ * @param {string} contextKey - The context, as named by `getContextKey`.
+ * @param {Object<string, Object>} virtualRegistry - Registry of component scopes.
+ * @param {string} prefix - The configured casper prefix.
+ *
+ * @returns {string[]} Every spelling of those variables, plain and qualified (`_$_Admin$user`).
+ */
+function getContextSpellings (key, contextKey, virtualRegistry, prefix) {
+    return (virtualRegistry[key]?.varNames || [])
+        .filter(varName => getContextKey(key, varName, virtualRegistry, prefix) === contextKey)
+        .flatMap(varName => [varName, getQualifiedName(key, varName, prefix)]);
+}
+
+/**
+ * Tells whether a component or hook writes a context without reading any of its variables.
+ *
+ * @param {string} scopeKey - Registry key of the writing component or hook.
+ * @param {string} key - Registry key of the declaring scope.
+ * @param {string} contextKey - The context, as named by `getContextKey`.
+ * @param {Object<string, Object>} virtualRegistry - Registry of component scopes.
+ * @param {string} prefix - The configured casper prefix.
+ *
+ * @returns {boolean}
+ *
+ * @important
+ * - Relies on the `scopeRefs` / `scopeReads` recorded for every file by `indexFile`. Assignments, updates
+ *   (`_$_count++`) and destructuring targets are writes; anything else naming the variable is a read,
+ *   including mutating calls (`_$_todos.push(item)`), which need the current value.
+ * - Class components always count as readers: they reach one context through `this.context`.
+ */
+export function isWriteOnlyScope (scopeKey, key, contextKey, virtualRegistry, prefix) {
+    try {
+        if (scopeKey === key || virtualRegistry[scopeKey]?.isClass) return false;
+        const spellings = getContextSpellings(key, contextKey, virtualRegistry, prefix);
+        const modules = Object.keys(virtualRegistry).filter(isModuleScopeKey).map(moduleKey => virtualRegistry[moduleKey]);
+        const refs = modules.flatMap(module => module.scopeRefs?.[scopeKey] || []);
+        const reads = modules.flatMap(module => module.scopeReads?.[scopeKey] || []);
+        return refs.some(name => spellings.includes(name)) && !reads.some(name => spellings.includes(name));
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Tells whether a context also provides its setter alone, in a context of its own.
+ *
+ * @param {string} key - Registry key of the declaring scope.
+ * @param {string} contextKey - The context, as named by `getContextKey`.
+ * @param {Object<string, Object>} virtualRegistry - Registry of component scopes.
+ * @param {Object} config - The casper configuration (`prefix`, `runtime`).
+ *
+ * @returns {boolean} `true` when some component or hook only writes the context (see `isWriteOnlyScope`);
+ *          for every writable context unless `projectAnalysis` is enabled in the configuration.
+ *
+ * @important
+ * - The setter context (see `getSetterContextKey`) holds the declaring scope's setter, which never changes, so the
+ *   components consuming it instead of the context itself never re-render because of the state.
+ * - Only for the writable contexts: the `const` variables, the actions and the local state have no setter to
+ *   share, and a context backed by a store (`isStoreContext`) already spares its writers.
+ * - Every file must answer the same for a context: the declaring scope, its writers and the context module
+ *   all depend on it, which is why this relies on the project index rather than on the file being compiled.
+ * - Without `projectAnalysis`, the setter is provided whether or not a writer is known, so a writer only
+ *   depends on its own file (see `isVariableShared` for why).
+ */
+export function hasSetterContext (key, contextKey, virtualRegistry, config) {
+    try {
+        const prefix = config.prefix;
+        if (!virtualRegistry[key] || isModuleScopeKey(key) || isStoreContext(key, contextKey, virtualRegistry, config)) return false;
+        if ([LOCAL_STATE_GROUP, READ_ONLY_GROUP, ACTIONS_GROUP].some(group => contextKey.endsWith(`${CONTEXT_GROUP_SEPARATOR}${group}`))) {
+            return false;
+        }
+        if (!config.projectAnalysis) return true;
+        const scopeKeys = new Set(Object.keys(virtualRegistry)
+            .filter(isModuleScopeKey)
+            .flatMap(moduleKey => Object.keys(virtualRegistry[moduleKey].scopeRefs || {})));
+        return [...scopeKeys].some(scopeKey => isWriteOnlyScope(scopeKey, key, contextKey, virtualRegistry, prefix));
+    } catch (e) {
+        return false;
+    }
+}
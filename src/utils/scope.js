@@ -0,0 +1,422 @@
+/**
+ * @fileoverview Scope Discovery for Casper Variables.
+ * This module answers a single question for the rest of the plugin: "which
+ * named scope does this function represent?". Declaration, read and write
+ * handling all rely on it, so a component is identified the same way no matter
+ * how it is written (declaration, arrow, function expression or default export).
+ * It also tells the code a scope runs while rendering from the code it runs later.
+ */
+
+/**
+ * Naming Helpers
+ * @description
+ * - getDefaultExportName: Derives a PascalCase name from the file for anonymous default exports.
+ */
+import { getDefaultExportName } from './names';
+
+/**
+ * Configuration
+ * @description
+ * - readCasperConfig: Supplies the user's extra higher-order component names (`hocs`).
+ */
+import { readCasperConfig } from './utilityHelpers';
+
+/**
+ * Core Constants
+ * @description
+ * - RENDER_METHOD: Name of the method that identifies a React class component.
+ * - CLASS_METHOD: Babel node type of class methods.
+ * - COMPONENT_WRAPPERS: `memo` / `forwardRef`, always seen through.
+ * - LAZY_WRAPPER: `lazy`, whose factory is never a scope.
+ * - RENDER_TIME_CALLBACKS / RENDER_CALLEES: Calls running their function arguments while rendering.
+ */
+import {
+    RENDER_METHOD,
+    CLASS_METHOD,
+    COMPONENT_WRAPPERS,
+    LAZY_WRAPPER,
+    RENDER_TIME_CALLBACKS,
+    RENDER_CALLEES
+} from './constants';
+
+/**
+ * React's naming conventions for components and hooks.
+ * @type {RegExp}
+ * @private
+ */
+const COMPONENT_NAME_PATTERN = /^[A-Z]/;
+const HOOK_NAME_PATTERN = /^use[A-Z0-9]/;
+
+/**
+ * Element props whose functions React calls after rendering: event handlers and callback refs.
+ * @type {RegExp}
+ * @private
+ */
+const DEFERRED_PROP_PATTERN = /^(on[A-Z]|ref$)/;
+
+/**
+ * Checks whether a scope name follows the component convention (`Cart`, `UserProfile`).
+ *
+ * @param {string|null} name - A scope name, as returned by `getFunctionScopeName`.
+ *
+ * @returns {boolean} `true` for names starting with an uppercase letter.
+ */
+export function isComponentName (name) {
+    return Boolean(name) && COMPONENT_NAME_PATTERN.test(name);
+}
+
+/**
+ * Checks whether a scope name follows the custom hook convention (`useCart`, `use2FA`).
+ *
+ * @param {string|null} name - A scope name, as returned by `getFunctionScopeName`.
+ *
+ * @returns {boolean} `true` for `use` followed by an uppercase letter or digit.
+ *
+ * @important
+ * - `use` itself and names such as `user` or `useless` are not hooks, mirroring React's lint rules.
+ */
+export function isHookName (name) {
+    return Boolean(name) && HOOK_NAME_PATTERN.test(name);
+}
+
+/**
+ * Checks whether a scope name can own hooks: a component (`Cart`) or a custom hook (`useCart`).
+ *
+ * @param {string|null} name - A scope name, as returned by `getFunctionScopeName`.
+ *
+ * @returns {boolean} `true` for capitalised names and hook names.
+ *
+ * @important
+ * - These are the only functions in which the plugin may inject `useState` / `useContext`,
+ *   so reads and writes climb past every other function (handlers, callbacks) to reach one.
+ */
+export function isHookScopeName (name) {
+    return isComponentName(name) || isHookName(name);
+}
+
+/**
+ * Resolves the name a wrapper call is known by: `memo`, `React.forwardRef`, or `connect`
+ * for the curried `connect(mapState)(Component)`.
+ *
+ * @param {Node} callee - The callee of the wrapper call.
+ *
+ * @returns {string|null} The wrapper name, or `null` for computed or dynamic callees.
+ */
+function getWrapperName (callee) {
+    if (callee?.type === 'Identifier') return callee.name;
+    if (callee?.type === 'MemberExpression' && !callee.computed) return callee.property.name;
+    if (callee?.type === 'CallExpression') return getWrapperName(callee.callee);
+    return null;
+}
+
+/**
+ * Climbs from a component through the wrapper calls it is passed to, so that the
+ * component can be named after the binding of the outermost wrapper.
+ *
+ * @param {NodePath} componentPath - Babel path of a function or class.
+ *
+ * @returns {NodePath} The outermost wrapper call (`memo(forwardRef(...))`), or
+ *                     `componentPath` itself when it is not wrapped.
+ *
+ * @important
+ * - Only the first argument of a call is a wrapped component; `memo(Card, areEqual)` sees
+ *   through `Card`, not `areEqual`.
+ * - `memo` and `forwardRef` are always recognised (bare or as `React.memo`); further HOC names
+ *   come from the `hocs` option of `.casperctxrc.json`.
+ * - `lazy` is never seen through: `const Page = lazy(() => import('./Page'))` does not make the
+ *   factory a scope named `Page`. The component it loads is named in its own file.
+ */
+export function getWrappedComponentPath (componentPath) {
+    try {
+        const hocs = readCasperConfig().hocs || [];
+        let current = componentPath;
+        while (
+            current.parentPath?.isCallExpression() &&
+            current.listKey === 'arguments' &&
+            current.key === 0
+        ) {
+            const wrapperName = getWrapperName(current.parent.callee);
+            if (wrapperName === LAZY_WRAPPER) break;
+            if (!COMPONENT_WRAPPERS.includes(wrapperName) && !hocs.includes(wrapperName)) break;
+            current = current.parentPath;
+        }
+        return current;
+    } catch (e) {
+        return componentPath;
+    }
+}
+
+/**
+ * Resolves the name of the scope represented by a function path.
+ *
+ * @param {NodePath} funcPath - Babel path of a `FunctionDeclaration`, `FunctionExpression`
+ *                              or `ArrowFunctionExpression`.
+ *
+ * @returns {string|null} The scope name, or `null` when the function is anonymous
+ *                        and not bound to anything (callbacks, IIFEs, etc.).
+ *
+ * @important
+ * - Handles:
+ *   1. Function declarations: `function Dashboard() {}` → `"Dashboard"`.
+ *   2. Arrow or function expressions bound to a variable: `const Dashboard = () => {}` → `"Dashboard"`.
+ *   3. Arrow or function expressions assigned to an identifier: `Dashboard = () => {}` → `"Dashboard"`.
+ *   4. Default exports: `export default function Page() {}` → `"Page"`, and the anonymous
+ *      forms `export default function () {}` / `export default () => {}` are named after the file.
+ *   5. Any of the above wrapped in `memo`, `forwardRef` or a configured HOC (see `getWrappedComponentPath`):
+ *      `const Card = React.memo(() => {})` → `"Card"`, `export default withRouter(() => {})` → file name.
+ * - For function expressions the binding name wins over the expression's own id,
+ *   so `const Card = function inner() {}` and `const Card = memo(function inner() {})` resolve to `"Card"`.
+ * - Does **not** mutate the AST.
+ */
+export function getFunctionScopeName (funcPath) {
+    try {
+        if (!funcPath) return null;
+        const parent = getWrappedComponentPath(funcPath).parentPath;
+        if (!funcPath.isFunctionDeclaration()) {
+            if (parent?.isVariableDeclarator() && parent.get('id').isIdentifier()) {
+                return parent.node.id.name;
+            }
+            if (parent?.isAssignmentExpression() && parent.get('left').isIdentifier()) {
+                return parent.node.left.name;
+            }
+        }
+        if (funcPath.node.id?.name) {
+            return funcPath.node.id.name;
+        }
+        if (parent?.isExportDefaultDeclaration()) {
+            return getDefaultExportName(funcPath.hub?.file?.opts?.filename);
+        }
+        return null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Resolves the name of the scope represented by a class path.
+ *
+ * @param {NodePath} classPath - Babel path of a `ClassDeclaration` or `ClassExpression`.
+ *
+ * @returns {string|null} The class name, or `null` for anonymous, unbound classes.
+ *
+ * @important
+ * - Handles:
+ *   1. Class declarations: `class Profile extends Component {}` → `"Profile"`.
+ *   2. Class expressions bound to a variable: `const Profile = class extends Component {}` → `"Profile"`.
+ *   3. Anonymous default exports: `export default class extends Component {}` → named after the file.
+ *   4. Any of the above wrapped in a HOC: `export default withRouter(class extends Component {})`.
+ * - Mirrors `getFunctionScopeName` so class and function components share one naming scheme.
+ */
+export function getClassScopeName (classPath) {
+    try {
+        if (!classPath) return null;
+        const parent = getWrappedComponentPath(classPath).parentPath;
+        if (parent?.isVariableDeclarator() && parent.get('id').isIdentifier()) {
+            return parent.node.id.name;
+        }
+        if (classPath.node.id?.name) {
+            return classPath.node.id.name;
+        }
+        if (parent?.isExportDefaultDeclaration()) {
+            return getDefaultExportName(classPath.hub?.file?.opts?.filename);
+        }
+        return null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Determines whether a class path is a React class component.
+ *
+ * @param {NodePath} classPath - Babel path of a `ClassDeclaration` or `ClassExpression`.
+ *
+ * @returns {boolean} `true` when the class extends something and defines a `render` method.
+ *
+ * @important
+ * - The super class is not resolved; `Component`, `React.PureComponent` and custom
+ *   base classes are all accepted as long as a `render()` method is present.
+ */
+export function isClassComponent (classPath) {
+    try {
+        if (!classPath?.node.superClass) return false;
+        return classPath.node.body.body.some(member =>
+            member.type === CLASS_METHOD &&
+            !member.static &&
+            !member.computed &&
+            member.key.name === RENDER_METHOD
+        );
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Finds the class component whose instance (`this`) is visible from a given path.
+ *
+ * Class methods, class property initializers and arrow functions nested inside them
+ * all share the instance's `this`, so reads and writes found there can be compiled to
+ * `this.state`, `this.context` and `this.setState`. A regular `function () {}` rebinds
+ * `this`, so the climb stops there.
+ *
+ * @param {NodePath} path - Babel path from which to start searching upwards.
+ *
+ * @returns {NodePath|null} The enclosing class component path, or `null` if the path is
+ *                          not inside one (or is inside a function that rebinds `this`).
+ *
+ * @important
+ * - Only classes accepted by `isClassComponent` are returned.
+ * - Does **not** mutate the AST.
+ */
+export function getEnclosingClassComponent (path) {
+    try {
+        let current = path.parentPath;
+        while (current) {
+            if (current.isFunctionDeclaration() || current.isFunctionExpression()) return null;
+            if (current.isClassDeclaration() || current.isClassExpression()) {
+                return isClassComponent(current) ? current : null;
+            }
+            current = current.parentPath;
+        }
+        return null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Resolves the name a call is made by: `map` for `items.map(...)`, `jsx` for `(0, _jsxRuntime.jsx)(...)`.
+ *
+ * @param {Node} callee - The callee of the call.
+ *
+ * @returns {string|null} The name, or `null` for computed or dynamic callees.
+ */
+function getCalleeName (callee) {
+    if (callee?.type === 'Identifier') return callee.name;
+    if (callee?.type === 'MemberExpression' && !callee.computed) return callee.property.name;
+    if (callee?.type === 'SequenceExpression') return getCalleeName(callee.expressions[callee.expressions.length - 1]);
+    return null;
+}
+
+/**
+ * Tells whether a function found at a position is called while the enclosing code renders.
+ *
+ * @param {NodePath} path - A function, or a reference to one.
+ * @param {Set<Node>} seen - Functions already being checked, so recursive helpers end the search.
+ *
+ * @returns {boolean}
+ */
+function isCalledWhileRendering (path, seen) {
+    const parent = path.parentPath;
+    if (parent.isCallExpression()) {
+        if (path.key === 'callee') return isRenderTimeCode(parent, seen);
+        const calleeName = getCalleeName(parent.node.callee);
+        return (RENDER_TIME_CALLBACKS.includes(calleeName) || RENDER_CALLEES.includes(calleeName)) &&
+            isRenderTimeCode(parent, seen);
+    }
+    if (parent.isJSXExpressionContainer()) {
+        if (parent.parentPath.isJSXAttribute() && DEFERRED_PROP_PATTERN.test(parent.parent.name.name)) return false;
+        return isRenderTimeCode(parent, seen);
+    }
+    if (parent.isObjectProperty() && path.key === 'value') {
+        if (DEFERRED_PROP_PATTERN.test(parent.node.key.name || parent.node.key.value)) return false;
+        return isCalledWhileRendering(parent.parentPath, seen);
+    }
+    if (parent.isConditionalExpression() || parent.isLogicalExpression()) return isCalledWhileRendering(parent, seen);
+    return false;
+}
+
+/**
+ * Tells whether a class method or arrow field is called while its class renders.
+ *
+ * @param {NodePath} memberPath - The `ClassMethod` or `ClassProperty`.
+ * @param {Set<Node>} seen - Functions already being checked.
+ *
+ * @returns {boolean} `true` for `render` and the constructor, and for members called as `this.name()`
+ *          from code running while rendering.
+ */
+function isClassMemberRenderTime (memberPath, seen) {
+    const { key, kind, computed } = memberPath.node;
+    if (kind === 'constructor' || (!computed && key.name === RENDER_METHOD)) return true;
+    if (computed || memberPath.node.static) return false;
+    const classPath = memberPath.parentPath.parentPath;
+    let renderTime = false;
+    classPath.traverse({
+        MemberExpression (refPath) {
+            if (renderTime || refPath.node.computed || refPath.node.property.name !== key.name) return;
+            if (refPath.get('object').isThisExpression() && isCalledWhileRendering(refPath, seen)) renderTime = true;
+        }
+    });
+    return renderTime;
+}
+
+/**
+ * Tells whether a function runs while the component or class enclosing it renders.
+ *
+ * @param {NodePath} fnPath - A function.
+ * @param {Set<Node>} seen - Functions already being checked.
+ *
+ * @returns {boolean}
+ */
+function isRenderTimeFunction (fnPath, seen) {
+    if (seen.has(fnPath.node)) return false;
+    seen.add(fnPath.node);
+    if (fnPath.node.async || fnPath.node.generator) return false;
+    if (fnPath.isClassMethod()) return isClassMemberRenderTime(fnPath, seen);
+    if (fnPath.parentPath.isClassProperty() && fnPath.key === 'value') return isClassMemberRenderTime(fnPath.parentPath, seen);
+    if (isHookScopeName(getFunctionScopeName(fnPath))) return true;
+    if (fnPath.isObjectMethod()) {
+        return !DEFERRED_PROP_PATTERN.test(fnPath.node.key.name) && isCalledWhileRendering(fnPath.parentPath, seen);
+    }
+    let name = null;
+    if (fnPath.isFunctionDeclaration()) name = fnPath.node.id?.name;
+    if (fnPath.parentPath.isVariableDeclarator() && fnPath.key === 'init' && fnPath.parentPath.get('id').isIdentifier()) {
+        name = fnPath.parent.id.name;
+    }
+    if (name) {
+        const binding = fnPath.parentPath.scope.getBinding(name);
+        return Boolean(binding?.referencePaths.some(refPath => isCalledWhileRendering(refPath, seen)));
+    }
+    return isCalledWhileRendering(fnPath, seen);
+}
+
+/**
+ * Tells whether a path runs while the component or class enclosing it renders.
+ *
+ * @param {NodePath} path - Babel path from which to start searching upwards.
+ * @param {Set<Node>} seen - Functions already being checked.
+ *
+ * @returns {boolean}
+ */
+function isRenderTimeCode (path, seen) {
+    const fnPath = path.getFunctionParent();
+    return !fnPath || isRenderTimeFunction(fnPath, seen);
+}
+
+/**
+ * Tells whether code inside a component, hook or class component runs while it renders.
+ *
+ * @param {NodePath} path - A read of a casper variable, for instance.
+ *
+ * @returns {boolean} `true` for code evaluated while rendering, `false` for code that runs later
+ *                    (event handlers, effects, timers, promise callbacks).
+ *
+ * @important
+ * - Render time is the body of a component or hook, `render()` and the constructor of a class, class
+ *   field initializers, and every function called from there at once: IIFEs, callbacks of array methods
+ *   (`map`, `filter`, ...) and of `useMemo` / `useState` / `useReducer`, element props other than event
+ *   handlers and `ref` (render props, child functions), and local functions or methods called from any
+ *   of these (`const total = () => ...; return <b>{total()}</b>`).
+ * - Everything else runs later: `async` functions and generators, `on*` props, `useEffect` and `useCallback`
+ *   callbacks, functions handed to any other call (`setTimeout`, `.then`, `addEventListener`), returned by
+ *   a hook or stored in an object.
+ * - A local function called both while rendering and later (from a handler) counts as render time.
+ * - Does **not** mutate the AST.
+ */
+export function isRenderTimePath (path) {
+    try {
+        return isRenderTimeCode(path, new Set());
+    } catch (e) {
+        return true;
+    }
+}
@@ -28,9 +28,17 @@ import crypto from 'crypto';
  * - ESLint & config integration:
  *   - `CASPER_ESLINT_GLOBAL_JS`, `CASPER_CONFIG_FILE`, `GLOBAL_PREFIX`
  * - Debugging utilities:
- *   - `CASPER_DEBUG_LOG_FILE_NAME`, `CASPER_STRING_TYPE`
+ *   - `CASPER_DEBUG_LOG_FILE_NAME`, `CASPER_STRING_TYPE`, `CASPER_WARNING_TAG`
  * - JavaScript directive:
  *   - `USE_STRICT`
+ * - Module-level store:
+ *   - `MODULE_SCOPE_NAME`
+ * - Seed synchronisation:
+ *   - `SYNC_ONCE`
+ * - Runtime modes:
+ *   - `RUNTIME_MODE_CONTEXT`
+ * - Context naming:
+ *   - `CONTEXT_GROUP_SEPARATOR`, `SETTER_GROUP`
  */
 import {
     CONTEXT_FOLDER_NAME,
@@ -50,7 +58,13 @@ import {
     CASPER_CONFIG_FILE,
     GLOBAL_PREFIX,
     CASPER_DEBUG_LOG_FILE_NAME,
-    CASPER_STRING_TYPE
+    CASPER_STRING_TYPE,
+    CASPER_WARNING_TAG,
+    MODULE_SCOPE_NAME,
+    SYNC_ONCE,
+    RUNTIME_MODE_CONTEXT,
+    CONTEXT_GROUP_SEPARATOR,
+    SETTER_GROUP
 } from './constants';
 
 /**
@@ -78,11 +92,30 @@ export const CASPER_CONFIG_PATH = path.join(process.cwd(), CASPER_CONFIG_FILE);
  * * This object is used if no `.casperctxrc.json` is found in the project root.
  * * @property {string} prefix - The character sequence identifying context variables (Default: '_$_').
  * @property {boolean} debug - Toggles verbose logging during the Babel transformation process.
+ * @property {string[]} hocs - Extra higher-order component names (`withRouter`, `connect`) that
+ *                             wrap a component without changing where it declares its state.
+ * @property {string|Object<string, string>} sync - The seed synchronisation policy of every variable, or
+ *                             of the listed ones (`{ "_$_user": "untouched" }`); see `getDeclarationSync`.
+ * @property {string} runtime - How function components share their state: `context` passes the state through
+ *                             the Provider, `store` passes a store their consumers subscribe to per variable;
+ *                             see `isStoreContext`.
+ * @property {string|Object<string, string>} equality - How assigned values are compared with the current ones, for
+ *                             every variable or the listed ones (`{ "_$_filters": "shallow" }`); see `getDeclarationEquality`.
+ * @property {boolean} projectAnalysis - Shapes each component's contexts from how the whole project uses its variables:
+ *                             unshared ones stay local state, setters are provided alone only when some component only
+ *                             writes; see `isVariableShared`. For one-shot builds only.
  * @private
  */
 const DEFAULT_CONFIG = {
     prefix: GLOBAL_PREFIX,
-    debug: false
+    debug: false,
+    hocs: [],
+    groups: {},
+    writers: {},
+    sync: SYNC_ONCE,
+    equality: {},
+    runtime: RUNTIME_MODE_CONTEXT,
+    projectAnalysis: false
 };
 
 /**
@@ -122,6 +155,37 @@ export const getFilePathHASH = (fileName) => {
     }
 }
 
+/**
+ * Builds the registry key under which a module's top-level casper declarations are recorded.
+ *
+ * @param {string} fileName - The declaring module.
+ *
+ * @returns {string} `$module_${fileHash}`.
+ *
+ * @important
+ * - `$module` cannot be a component or hook name, so the key never collides with a scope key.
+ */
+export const getModuleScopeKey = (fileName) => `${MODULE_SCOPE_NAME}_${getFilePathHASH(fileName)}`;
+
+/**
+ * Checks whether a registry key holds module-level declarations (see `getModuleScopeKey`).
+ *
+ * @param {string|null} key - A registry key.
+ *
+ * @returns {boolean} `true` for module scope keys. Their variables live in the root store
+ *                    rather than in a component's state and context.
+ */
+export const isModuleScopeKey = (key) => Boolean(key) && key.startsWith(`${MODULE_SCOPE_NAME}_`);
+
+/**
+ * Formats a file path for messages, relative to the project root.
+ *
+ * @param {string} fileName - A file path, absolute or relative to the working directory.
+ *
+ * @returns {string} The path relative to the working directory, with `/` separators (`src/theme.js`).
+ */
+export const getProjectRelativePath = (fileName) => path.relative(process.cwd(), path.resolve(fileName)).split(path.sep).join('/');
+
 /**
  * Registers a component-scoped variable in a virtual registry and returns its context name.
  *
@@ -137,6 +201,16 @@ export const getFilePathHASH = (fileName) => {
  *                           initializing context state.
  * @param {Object} virtualRegistry - A mutable in-memory registry object used to track
  *                                   component variables, context names, and defaults.
+ * @param {{group?: string, readOnly?: boolean, writers?: string[], sync?: string, equality?: string, action?: boolean, initializer?: {code: string, file: string}}} [options] - How the variable was declared:
+ *        - `group`: the context group it was declared in (see `getContextKey`); ungrouped variables share
+ *          the component's own context.
+ *        - `readOnly`: declared with `const`; it can never be written.
+ *        - `writers`: the only components allowed to write it besides the declaring one.
+ *        - `sync`: how it follows its initializer after the first render (`always` / `untouched`).
+ *        - `equality`: how an assigned value is compared with the current one (`shallow` or a function name).
+ *        - `action`: it is a function shared with the scope's variables (`function _$_addToCart() {}`).
+ *        - `initializer`: for module-level variables, the source of the initializer and the declaring file, so
+ *          that declarations of the same variable in other modules can be checked against it.
  *
  * @returns {string|undefined} The generated or existing context name associated with
  *                             the component, or `undefined` if an error occurs.
@@ -147,7 +221,14 @@ export const getFilePathHASH = (fileName) => {
  *   {
  *     varNames: string[],
  *     ctxName: string | null,
- *     defaults: Record<string, any>
+ *     defaults: Record<string, any>,
+ *     groups: Record<string, string>,   // variable name → group name, grouped variables only
+ *     readOnly: string[],               // `const` variables
+ *     writers: Record<string, string[]>, // variable name → allowed writers, restricted variables only
+ *     sync: Record<string, string>,       // variable name → seed policy, synchronised variables only
+ *     equality: Record<string, string>,   // variable name → comparison, when not `Object.is`
+ *     actions: string[],                  // prefixed functions
+ *     initializers: Record<string, {code: string, file: string}> // module scopes, initialised variables only
  *   }
  *   ```
  * - `_CCTX_CMP_NAME_PREFIX` is assumed to be a predefined constant used to namespace
@@ -158,13 +239,19 @@ export const getFilePathHASH = (fileName) => {
  * - This function mutates `virtualRegistry` directly.
  * - Errors are silently caught; consider logging in debug or development builds.
  */
-export const registerVariable = (componentNameHash, varName, defaultValue, virtualRegistry) => {
+export const registerVariable = (componentNameHash, varName, defaultValue, virtualRegistry, options = {}) => {
     try {
         if (!virtualRegistry[componentNameHash]) {
             virtualRegistry[componentNameHash] = {
                 varNames: [],
                 ctxName: null,
-                defaults: {}
+                defaults: {},
+                groups: {},
+                readOnly: [],
+                writers: {},
+                sync: {},
+                equality: {},
+                actions: []
             };
         }
 
@@ -178,6 +265,28 @@ export const registerVariable = (componentNameHash, varName, defaultValue, virtu
         const newDefaults = { ...virtualRegistry[componentNameHash].defaults }
         newDefaults[varName] = defaultValue;
         virtualRegistry[componentNameHash].defaults = newDefaults;
+        const { group, readOnly, writers, sync, equality, action, initializer } = options;
+        if (group) {
+            virtualRegistry[componentNameHash].groups = { ...virtualRegistry[componentNameHash].groups, [varName]: group };
+        }
+        if (readOnly && !virtualRegistry[componentNameHash].readOnly?.includes(varName)) {
+            virtualRegistry[componentNameHash].readOnly = [...(virtualRegistry[componentNameHash].readOnly || []), varName];
+        }
+        if (writers) {
+            virtualRegistry[componentNameHash].writers = { ...virtualRegistry[componentNameHash].writers, [varName]: writers };
+        }
+        if (sync) {
+            virtualRegistry[componentNameHash].sync = { ...virtualRegistry[componentNameHash].sync, [varName]: sync };
+        }
+        if (equality) {
+            virtualRegistry[componentNameHash].equality = { ...virtualRegistry[componentNameHash].equality, [varName]: equality };
+        }
+        if (action && !virtualRegistry[componentNameHash].actions?.includes(varName)) {
+            virtualRegistry[componentNameHash].actions = [...(virtualRegistry[componentNameHash].actions || []), varName];
+        }
+        if (initializer) {
+            virtualRegistry[componentNameHash].initializers = { ...virtualRegistry[componentNameHash].initializers, [varName]: initializer };
+        }
 
         return ctxName;
     } catch (e) {
@@ -186,6 +295,72 @@ export const registerVariable = (componentNameHash, varName, defaultValue, virtu
 
 }
 
+/**
+ * Records where a component lives and which components it renders, so that casper references
+ * can be resolved through the render tree (see `resolveCasperReference`).
+ *
+ * @param {string} componentNameHash - The component's registry key (`${componentName}_${fileHash}`).
+ * @param {{name: string, file: string, isDefault: boolean, renders: Array<{file: string, name: string}>}} scopeInfo
+ *        The component name, its module path (without extension), whether it is the module's
+ *        default export, and the components it renders.
+ * @param {Object} virtualRegistry - The in-memory registry of component scopes.
+ *
+ * @returns {void}
+ *
+ * @important
+ * - Every component gets an entry, including components that declare no casper variables;
+ *   such entries keep `ctxName: null` and are skipped when the context module is generated.
+ * - Re-recording a component replaces its previous scope information.
+ */
+export const registerScope = (componentNameHash, scopeInfo, virtualRegistry) => {
+    try {
+        if (!virtualRegistry[componentNameHash]) {
+            virtualRegistry[componentNameHash] = {
+                varNames: [],
+                ctxName: null,
+                defaults: {},
+                groups: {},
+                readOnly: [],
+                writers: {},
+                sync: {},
+                equality: {},
+                actions: []
+            };
+        }
+        Object.assign(virtualRegistry[componentNameHash], scopeInfo);
+    } catch (e) {
+
+    }
+}
+
+/**
+ * Names the setter-only context of a context.
+ *
+ * @param {string} contextKey - The context, as named by `getContextKey`.
+ *
+ * @returns {string} `${contextKey}$$setter`, e.g. `App_1a2b3c4d$$setter` or `App_1a2b3c4d$session$$setter`;
+ *          see `hasSetterContext`.
+ */
+export function getSetterContextKey (contextKey) {
+    return `${contextKey}${CONTEXT_GROUP_SEPARATOR}${SETTER_GROUP}`;
+}
+
+/**
+ * Lists the registry keys of every scope that declares a variable.
+ *
+ * @param {string} varName - The variable name to search for in the registry.
+ * @param {Object} virtualRegistry - The in-memory registry of component scopes.
+ *
+ * @returns {string[]} The registry keys, in registration order.
+ */
+export const findContextsByVar = (varName, virtualRegistry) => {
+    try {
+        return Object.keys(virtualRegistry).filter(key => virtualRegistry[key].varNames?.includes(varName));
+    } catch (e) {
+        return [];
+    }
+}
+
 /**
  * Finds the component context identifier associated with a given variable name.
  *
@@ -213,6 +388,8 @@ export const registerVariable = (componentNameHash, varName, defaultValue, virtu
  *   ```
  * - The function performs a linear search through registry entries.
  * - Returns the registry key (component hash), not the generated context name.
+ * - Returns the first match only; references should be resolved with `resolveCasperReference`,
+ *   which tells apart several scopes declaring the same name.
  * - Does **not** mutate the registry.
  * - Errors are silently caught; consider adding logging for debugging.
  */
@@ -339,6 +516,35 @@ export function log (...args) {
     }
 }
 
+/**
+ * Reports a problem the plugin cannot resolve on its own, such as an ambiguous casper reference.
+ *
+ * @param {NodePath} path - The offending node; its location is included in the message.
+ * @param {string} fileName - The file being transformed.
+ * @param {string} message - What went wrong and how to fix it.
+ *
+ * @returns {void}
+ *
+ * @important
+ * - Written to `console.warn`, so it shows up in the bundler output, and to the debug log when `debug`
+ *   is enabled in the configuration.
+ * - Each location is reported once, however many times Babel revisits the node.
+ */
+const reportedWarnings = new Set();
+export function warn (path, fileName, message) {
+    try {
+        const loc = path.node.loc?.start;
+        const where = loc ? `${fileName}:${loc.line}:${loc.column + 1}` : fileName;
+        const text = `${CASPER_WARNING_TAG} ${where} ${message}`;
+        if (reportedWarnings.has(text)) return;
+        reportedWarnings.add(text);
+        console.warn(text);
+        if (readCasperConfig().debug) log(text);
+    } catch (e) {
+
+    }
+}
+
 /**
  * Determines whether a file should be processed or excluded by the transformation.
  *
@@ -460,8 +666,8 @@ export function resolveReact (path, t, state) {
  *
  * @important
  * - Only registry entries whose keys end with `_<fileHash>` are affected.
- * - The registry entry itself is NOT removed; only `varNames` and `defaults`
- *   are cleared.
+ * - The registry entry itself is NOT removed; only `varNames`, `defaults`, `groups`,
+ *   `readOnly`, `writers`, `sync`, `equality` and `actions` are cleared.
  * - Safe to call multiple times; repeated calls will simply reset the same entries.
  * - Assumes registry keys consistently follow the expected naming convention.
  */
@@ -471,6 +677,12 @@ export function resetVarsForFile (virtualRegistry, fileHash) {
             if (key.endsWith(`_${fileHash}`)) {
                 virtualRegistry[key].varNames = [];
                 virtualRegistry[key].defaults = {};
+                virtualRegistry[key].groups = {};
+                virtualRegistry[key].readOnly = [];
+                virtualRegistry[key].writers = {};
+                virtualRegistry[key].sync = {};
+                virtualRegistry[key].equality = {};
+                virtualRegistry[key].actions = [];
             }
         }
     } catch (e) {
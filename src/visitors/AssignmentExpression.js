@@ -8,30 +8,82 @@
 /**
  * Core Constants
  * @description
- * - IDENTIFIER: Used to validate if the left-hand side of an assignment is a variable.
  * - _CCTX_EMPTY: Fallback value for filenames or uninitialized state strings.
+ * - DELETE_OPERATOR: The `delete` unary operator.
+ * - CASPER_TEMP_VALUE: Name hint for the temporaries that receive destructured values and loop values.
+ * - ASSIGN_OPERATOR / _CCTX_CONST: Build the assignment and the `const` head of a rewritten loop.
+ * - _CCTX_LET: Kind of the temporaries' declarations, fresh on each loop iteration (see `captureInTemp`).
  */
-import { IDENTIFIER, _CCTX_EMPTY } from '../utils/constants';
+import { _CCTX_EMPTY, DELETE_OPERATOR, CASPER_TEMP_VALUE, ASSIGN_OPERATOR, _CCTX_CONST, _CCTX_LET } from '../utils/constants';
 
 /**
  * Utility & Validation Helpers
  * @description
- * - findContextByVar: Maps a `_$_` variable to its corresponding Context instance name.
  * - isExcludeFile: Security/Performance gate to prevent processing ignored files.
  */
-import { findContextByVar, isExcludeFile } from '../utils/utilityHelpers';
+import { isExcludeFile } from '../utils/utilityHelpers';
 
 /**
- * AST Transformation Utilities
- * @description The functional "engine" of the plugin that manipulates the Babel tree.
- * - buildSpreadObject: Creates the updated state object for setters.
- * - replaceWithSetState: Handles local component state updates.
- * - buildUseContextInstance: Injects `useContext` hooks when variables are cross-component.
- * - replaceWithContextSetState: Handles global/context-based state updates.
- * - getComponentName: Identifies the immediate parent function.
- * - getRootParentComponent: Recursively climbs the tree to find the top-level React Component.
+ * Write Compilation
+ * @description
+ * - getCasperMemberPath: Recognises `_$_x`, `this._$_x` and member chains below them.
+ * - resolveWriteTarget: Decides which setter a write goes through (own state, context, class state).
+ * - compileCasperWrite: Turns `=`, `op=`, `||=`/`&&=`/`??=` and `++`/`--` into functional updates.
+ * - compileCasperDelete: Turns `delete _$_x.key` into an immutable update.
+ * - mapPatternTargets / compileCasperPatternWrite: Turn destructuring assignments into one update per variable.
+ * - CasperWriteError: Raised for writes that are not allowed; reported, never swallowed.
+ */
+import {
+    getCasperMemberPath,
+    resolveWriteTarget,
+    compileCasperWrite,
+    compileCasperDelete,
+    mapPatternTargets,
+    compileCasperPatternWrite,
+    CasperWriteError
+} from '../transforms/stateTransform';
+
+/**
+ * Scoped Resolution
+ * @description
+ * - CasperReferenceError: Raised for ambiguous references; reported, never swallowed.
+ */
+import { CasperReferenceError } from '../utils/resolution';
+
+/**
+ * Rewrites a destructuring assignment whose pattern contains casper variables.
+ *
+ * @param {NodePath} path - The assignment expression path; its left-hand side is an object or array pattern.
+ * @param {Object} state - Plugin state, including file info, config, and import metadata.
+ * @param {Object} t - Babel types helper (`@babel/types`).
+ * @param {Object<string, Object>} virtualRegistry - Registry of components and their variables.
+ *
+ * @returns {void}
+ *
+ * @important
+ * - Every casper target of the pattern (`_$_a`, `this._$_a`, `_$_user.name`, at any depth, with
+ *   defaults or as a rest element) is redirected into a temporary and then written through its setter.
+ * - Patterns without casper targets are left untouched.
  */
-import { buildSpreadObject, replaceWithSetState, buildUseContextInstance, replaceWithContextSetState, getComponentName, getRootParentComponent } from '../utils/astHelpers';
+function patternAssignment (path, state, t, virtualRegistry) {
+    try {
+        const writes = [];
+        const pattern = mapPatternTargets(t, path.node.left, node => {
+            const written = getCasperMemberPath(node, state.casperConfig.prefix, t);
+            const target = written && resolveWriteTarget(path, written.root, state, t, virtualRegistry);
+            if (!target) return t.cloneNode(node);
+            const temp = path.scope.generateUidIdentifier(CASPER_TEMP_VALUE);
+            path.scope.push({ id: temp, kind: _CCTX_LET });
+            writes.push({ target, keys: written.keys, temp });
+            if (written.keys.length) state.needsRuntime = true;
+            return t.cloneNode(temp);
+        });
+        if (!writes.length) return;
+        compileCasperPatternWrite(path, t, pattern, writes);
+    } catch (e) {
+        if (e instanceof CasperWriteError || e instanceof CasperReferenceError) throw e;
+    }
+}
 
 /**
  * Babel visitor function for handling assignment expressions in the AST.
@@ -50,46 +102,177 @@ import { buildSpreadObject, replaceWithSetState, buildUseContextInstance, replac
  * Updates AST nodes in place and sets plugin state flags; no return value.
  *
  * @important
- * - Only handles assignments where the left-hand identifier starts with the configured prefix.
+ * - Only handles assignments whose left-hand side is a casper variable or a member chain rooted
+ *   at one (`_$_user.name = v`, `_$_items[i].done = true`); member writes become immutable
+ *   updates that copy only the objects along the written path.
+ * - Destructuring assignments (`[_$_a, _$_b] = [_$_b, _$_a]`, `({ x: _$_x, ...rest } = obj)`)
+ *   destructure into temporaries and update each casper variable separately.
+ * - Every assignment operator is supported: `=`, arithmetic and bitwise compound operators
+ *   (`+=`, `-=`, `**=`, `|=`, ...) and logical assignments (`||=`, `&&=`, `??=`). Compound
+ *   forms are computed from `prevState`, so consecutive writes in one handler compose.
  * - Supports both direct component `useState` updates and context-based updates.
+ * - Inside class components writes call the class's setter `this.setKey(...)` (declaring class) or the
+ *   context setter through `this.context` / a Consumer (consuming class).
  * - Automatically marks that a global context is needed (`state.needsGblContext = true`).
  * - Injects `useState` import if missing.
  * - Silent error handling; consider logging `e` for debugging.
+ *
+ * @example
+ * ```js
+ * _$_count += 1;
+ * // becomes
+ * setCounter_1a2b3c4d(prevState => ({ ...prevState, _$_count: prevState["_$_count"] + 1 }));
+ * ```
  */
 export default function assignmentExpressionVisitor (path, state, t, virtualRegistry) {
     try {
         const fileName = state.filename || _CCTX_EMPTY;
         if (!isExcludeFile(fileName, this.opts)) return;
-        if (path.node.left.type === IDENTIFIER) {
-            if (path.node.left.name?.startsWith(state.casperConfig.prefix)) {
-                state.needsGblContext = true;
-                const ctxName = findContextByVar(path.node.left.name, virtualRegistry);
-                if (!ctxName) return;
-                let {currentFuncParent,componentName} = getRootParentComponent(path);
-                inheritantCMP = componentName
-                if (!inheritantCMP) return;
-                let isSameCMP = false;
-                if (ctxName.startsWith(inheritantCMP)) {
-                    isSameCMP = true;
-                }
-                state.needsGblContext = true;
-                if (
-                    !state.importState.reactId &&
-                    !state.importState.useStateId
-                ) {
-                    state.needUseStateImport = true
-                }
-                const updateFunction = buildSpreadObject(path, t);
-                if (isSameCMP) {
-                    replaceWithSetState(path, t, ctxName, updateFunction);
-                } else {
-                    buildUseContextInstance(currentFuncParent, state, t, ctxName);
-                    replaceWithContextSetState(path, t, ctxName, updateFunction);
-                }
-
-            }
+        if (t.isObjectPattern(path.node.left) || t.isArrayPattern(path.node.left)) {
+            patternAssignment(path, state, t, virtualRegistry);
+            return;
         }
+        const written = getCasperMemberPath(path.node.left, state.casperConfig.prefix, t);
+        if (!written) return;
+        const target = resolveWriteTarget(path, written.root, state, t, virtualRegistry);
+        if (!target) return;
+        if (written.keys.length) state.needsRuntime = true;
+        compileCasperWrite(path, t, target, {
+            operator: path.node.operator,
+            operand: path.node.right,
+            keys: written.keys
+        });
+    } catch (e) {
+        if (e instanceof CasperWriteError || e instanceof CasperReferenceError) throw e;
+    }
+}
+
+/**
+ * Babel visitor function for `++` / `--` on casper variables.
+ *
+ * @param {NodePath} path - The Babel AST path representing the `UpdateExpression`.
+ * @param {Object} state - Plugin state, including file info, config, and import metadata.
+ * @param {Object} t - Babel types helper (`@babel/types`) used to generate AST nodes.
+ * @param {Object<string, Object>} virtualRegistry - Registry of components and their
+ *   registered variables/context info.
+ *
+ * @returns {void}
+ * Updates AST nodes in place and sets plugin state flags; no return value.
+ *
+ * @important
+ * - Resolves the target exactly like `assignmentExpressionVisitor`.
+ * - The expression keeps its value: `x = _$_count++` yields the value before the update,
+ *   `x = ++_$_count` the value after it.
+ *
+ * @example
+ * ```js
+ * _$_count++;
+ * // becomes
+ * setCounter_1a2b3c4d(prevState => ({ ...prevState, _$_count: prevState["_$_count"] + 1 }));
+ * ```
+ */
+export function updateExpressionVisitor (path, state, t, virtualRegistry) {
+    try {
+        const fileName = state.filename || _CCTX_EMPTY;
+        if (!isExcludeFile(fileName, this.opts)) return;
+        const written = getCasperMemberPath(path.node.argument, state.casperConfig.prefix, t);
+        if (!written) return;
+        const target = resolveWriteTarget(path, written.root, state, t, virtualRegistry);
+        if (!target) return;
+        if (written.keys.length) state.needsRuntime = true;
+        compileCasperWrite(path, t, target, {
+            operator: path.node.operator,
+            prefix: path.node.prefix,
+            keys: written.keys
+        });
+    } catch (e) {
+        if (e instanceof CasperWriteError || e instanceof CasperReferenceError) throw e;
+    }
+}
+
+/**
+ * Babel visitor function for `delete` on properties below casper variables.
+ *
+ * @param {NodePath} path - The Babel AST path representing the `UnaryExpression`.
+ * @param {Object} state - Plugin state, including file info, config, and import metadata.
+ * @param {Object} t - Babel types helper (`@babel/types`) used to generate AST nodes.
+ * @param {Object<string, Object>} virtualRegistry - Registry of components and their
+ *   registered variables/context info.
+ *
+ * @returns {void}
+ * Updates AST nodes in place and sets plugin state flags; no return value.
+ *
+ * @important
+ * - `delete _$_map.k` and `delete _$_todos[i].tag` become `deleteIn` updates; deleting the
+ *   variable itself is not a property delete and is left alone.
+ *
+ * @example
+ * ```js
+ * delete _$_filters.status;
+ * // becomes
+ * setApp_1a2b3c4d(prevState => ({ ...prevState, _$_filters: _casperRuntime.deleteIn(prevState["_$_filters"], ["status"]) }));
+ * ```
+ */
+export function deleteExpressionVisitor (path, state, t, virtualRegistry) {
+    try {
+        const fileName = state.filename || _CCTX_EMPTY;
+        if (!isExcludeFile(fileName, this.opts)) return;
+        if (path.node.operator !== DELETE_OPERATOR) return;
+        const written = getCasperMemberPath(path.node.argument, state.casperConfig.prefix, t);
+        if (!written || !written.keys.length) return;
+        const target = resolveWriteTarget(path, written.root, state, t, virtualRegistry);
+        if (!target) return;
+        state.needsRuntime = true;
+        compileCasperDelete(path, t, target, written.keys);
+    } catch (e) {
+        if (e instanceof CasperWriteError || e instanceof CasperReferenceError) throw e;
+    }
+}
+/**
+ * Babel visitor function for `for...of` / `for...in` loops whose head writes casper variables.
+ *
+ * @param {NodePath} path - The Babel AST path representing the `ForOfStatement` or `ForInStatement`.
+ * @param {Object} state - Plugin state, including file info, config, and import metadata.
+ *
+ * @returns {void}
+ * Updates the loop in place; the assignment it adds is compiled by `assignmentExpressionVisitor`.
+ *
+ * @important
+ * - The loop iterates into a fresh `const` temporary, and its body starts by assigning that temporary
+ *   to the original head, so each iteration updates the variable through its setter like any other
+ *   assignment, and writes that are not allowed (read-only variables, `@casper-writers`) are reported
+ *   with a code frame pointing at the head.
+ * - Heads declaring a variable (`for (const item of list)`) and heads without casper targets are left alone.
+ *
+ * @example
+ * ```js
+ * for (_$_step of steps) run();
+ * // becomes
+ * for (const _value of steps) { _$_step = _value; run(); }
+ * // and then
+ * for (const _value of steps) { setWizard_1a2b3c4d(prevState => ({ ...prevState, _$_step: _value })); run(); }
+ * ```
+ */
+export function forXHeadVisitor (path, state, t) {
+    try {
+        const fileName = state.filename || _CCTX_EMPTY;
+        if (!isExcludeFile(fileName, this.opts)) return;
+        const { left } = path.node;
+        if (t.isVariableDeclaration(left)) return;
+        const prefix = state.casperConfig.prefix;
+        let writesCasper = false;
+        mapPatternTargets(t, left, node => {
+            if (getCasperMemberPath(node, prefix, t)) writesCasper = true;
+            return node;
+        });
+        if (!writesCasper) return;
+        const temp = path.scope.generateUidIdentifier(CASPER_TEMP_VALUE);
+        const assignment = t.assignmentExpression(ASSIGN_OPERATOR, left, t.cloneNode(temp));
+        assignment.loc = left.loc;
+        const body = t.isBlockStatement(path.node.body) ? path.node.body.body : [path.node.body];
+        path.node.left = t.variableDeclaration(_CCTX_CONST, [t.variableDeclarator(temp)]);
+        path.node.body = t.blockStatement([t.expressionStatement(assignment), ...body]);
     } catch (e) {
 
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,119 @@
+/**
+ * @fileoverview In-Place Mutation Handling.
+ * Arrays, `Map`s and `Set`s held in casper variables are often changed through
+ * their own methods (`_$_todos.push(t)`, `_$_tags.add(x)`). Those calls mutate
+ * the object React already holds, so nothing re-renders. This module compiles
+ * them into immutable updates that go through the variable's setter.
+ */
+
+/**
+ * Core Constants
+ * @description
+ * - _CCTX_EMPTY: Fallback value for filenames.
+ * - MUTATING_METHODS: Methods that change their receiver in place.
+ * - ARRAY_MUTATING_METHODS: The array ones, for which a copy is `[...x]`.
+ */
+import { _CCTX_EMPTY, MUTATING_METHODS, ARRAY_MUTATING_METHODS } from '../utils/constants';
+
+/**
+ * Utility & Validation Helpers
+ * @description
+ * - isExcludeFile: Security/Performance gate to prevent processing ignored files.
+ */
+import { isExcludeFile } from '../utils/utilityHelpers';
+
+/**
+ * Write Compilation
+ * @description
+ * - getCasperMemberPath: Finds the casper variable a receiver belongs to.
+ * - resolveWriteTarget: Decides which setter the update goes through.
+ * - compileCasperCall: Replaces the call with a `callIn` update.
+ * - CasperWriteError: Raised for calls mutating a read-only variable; reported, never swallowed.
+ */
+import { getCasperMemberPath, resolveWriteTarget, compileCasperCall, CasperWriteError } from '../transforms/stateTransform';
+
+/**
+ * Render-Time Detection
+ * @description
+ * - getCurrentScopeKey: Tells calls made in components, hooks and classes from module code.
+ * - isRenderTimePath: Tells calls made while rendering from calls made in handlers, effects and callbacks.
+ * - CasperReferenceError: Raised for ambiguous receivers; reported, never swallowed.
+ */
+import { getCurrentScopeKey, CasperReferenceError } from '../utils/resolution';
+import { isRenderTimePath } from '../utils/scope';
+
+/**
+ * Builds the error reported for a mutating call made while rendering.
+ *
+ * @param {NodePath} path - The call.
+ * @param {string} method - The mutating method.
+ *
+ * @returns {CasperWriteError} The error, with a code frame pointing at the call.
+ */
+function buildRenderMutationError (path, method) {
+    const receiver = path.get('callee.object').getSource() || path.node.callee.object.name;
+    const args = path.get('arguments').map(arg => arg.getSource()).join(', ');
+    const copy = ARRAY_MUTATING_METHODS.includes(method)
+        ? `\`[...${receiver}].${method}(${args})\``
+        : `\`new Map(${receiver})\` or \`new Set(${receiver})\``;
+    return path.buildCodeFrameError(
+        `\`${receiver}.${method}()\` changes casper state while rendering, which would update it on every render. ` +
+        `Call it from an event handler or an effect, or work on a copy: ${copy}.`,
+        CasperWriteError
+    );
+}
+
+/**
+ * Babel visitor function for mutating method calls on casper variables.
+ *
+ * @param {NodePath} path - The Babel AST path representing the `CallExpression`.
+ * @param {Object} state - Plugin state, including file info, config, and import metadata.
+ * @param {Object} t - Babel types helper (`@babel/types`) used to generate AST nodes.
+ * @param {Object<string, Object>} virtualRegistry - Registry of components and their
+ *   registered variables/context info.
+ *
+ * @returns {void}
+ * Updates AST nodes in place and sets plugin state flags; no return value.
+ *
+ * @important
+ * - Only calls of a method listed in `MUTATING_METHODS` are handled, on a receiver that is a
+ *   casper variable or anything reachable from it (`_$_todos.push(t)`, `_$_board.columns[i].splice(j, 1)`).
+ * - Non-mutating calls (`_$_todos.map(...)`, `_$_user.name.trim()`) are plain reads and are left to the identifier visitor.
+ * - Calls through optional chaining (`_$_todos?.push(t)`) are not rewritten.
+ * - A call made while a component, hook or class renders (see `isRenderTimePath`), such as
+ *   `const sorted = _$_todos.sort()` in the component body, fails the build with a code frame: its update
+ *   would produce a new value on every render and never settle. Module code outside components is compiled.
+ * - Silent error handling; consider logging `e` for debugging.
+ *
+ * @example
+ * ```js
+ * _$_todos.push(todo);
+ * // becomes
+ * setApp_1a2b3c4d(prevState => ({ ...prevState, _$_todos: _casperRuntime.callIn(prevState["_$_todos"], [], "push", [todo]).value }));
+ * ```
+ */
+export default function callExpressionVisitor (path, state, t, virtualRegistry) {
+    try {
+        const fileName = state.filename || _CCTX_EMPTY;
+        if (!isExcludeFile(fileName, this.opts)) return;
+        const callee = path.node.callee;
+        if (!t.isMemberExpression(callee)) return;
+        const method = callee.computed
+            ? (t.isStringLiteral(callee.property) ? callee.property.value : null)
+            : callee.property.name;
+        if (!MUTATING_METHODS.includes(method)) return;
+        const receiver = getCasperMemberPath(callee.object, state.casperConfig.prefix, t);
+        if (!receiver) return;
+        const target = resolveWriteTarget(path, receiver.root, state, t, virtualRegistry);
+        if (!target) return;
+        if (getCurrentScopeKey(path, fileName) && isRenderTimePath(path)) throw buildRenderMutationError(path, method);
+        state.needsRuntime = true;
+        compileCasperCall(path, t, target, {
+            keys: receiver.keys,
+            method,
+            args: path.node.arguments
+        });
+    } catch (e) {
+        if (e instanceof CasperWriteError || e instanceof CasperReferenceError) throw e;
+    }
+}
@@ -0,0 +1,122 @@
+/**
+ * @fileoverview Logic Orchestration for Class Component Transformation.
+ * This module coordinates the 'Exit' phase of class traversal. Class components
+ * cannot use hooks, so their casper fields are backed by `this.state` and the
+ * contexts they consume are reached through `static contextType` or a generated
+ * `Consumer` instead of `useState` / `useContext`.
+ */
+
+/**
+ * Validation & Hashing Utilities
+ * @description
+ * - isExcludeFile: Determines if the current file should be bypassed based on plugin configuration.
+ * - getFilePathHASH: Generates a unique identifier based on the file path to prevent naming collisions.
+ */
+import { isExcludeFile, getFilePathHASH } from '../utils/utilityHelpers';
+
+/**
+ * AST Construction Helpers
+ * @description
+ * - buildClassStateDeclaration: Moves casper fields into `this.state` and adds the context setter.
+ * - buildClassCtxProvider: Wraps `render()` returns with the class's casper Provider.
+ * - buildClassContextConsumers: Adds `static contextType` / Consumer wrappers for consumed contexts.
+ * - buildClassScopeBinding: Publishes the class's state to the runtime for code outside React.
+ */
+import {
+    buildClassStateDeclaration,
+    buildClassCtxProvider,
+    buildClassContextConsumers,
+    buildClassScopeBinding
+} from '../utils/astHelpers';
+
+/**
+ * Scoped Resolution
+ * @description
+ * - isScopeUsedOutsideReact: Tells whether any module reaches this class's state from outside React.
+ * - getContextGroups: Tells whether any of the class's fields is used by another scope, and so provided.
+ * - hasSetterContext: Tells whether the class's setter is also provided alone, for components that only write.
+ */
+import { isScopeUsedOutsideReact, getContextGroups, hasSetterContext } from '../utils/resolution';
+
+/**
+ * Scope Helpers
+ * @description
+ * - getClassScopeName: Resolves the registry name of the class.
+ * - isClassComponent: Filters out plain (non-React) classes.
+ */
+import { getClassScopeName, isClassComponent } from '../utils/scope';
+
+/**
+ * Core Constants
+ * @description
+ * - _CCTX_EMPTY: Provides a safe string fallback for file naming and path resolution.
+ * - _CCTX_UNDEFINED: Initial value of casper fields declared without an initializer.
+ */
+import { _CCTX_EMPTY, _CCTX_UNDEFINED } from '../utils/constants';
+
+/**
+ * Babel visitor exit handler for `ClassDeclaration` and `ClassExpression` nodes.
+ *
+ * By the time a class is exited, every read and write inside it has already been
+ * rewritten by the identifier and assignment visitors. This handler finishes the job:
+ * 1. If the class declares casper fields, they are removed from the class body and merged
+ *    into `this.state`, a stable setter is added and `render()` is wrapped with the Provider.
+ * 2. Contexts the class consumes get a `static contextType` or a Consumer around `render()`.
+ *
+ * @param {NodePath} path - The Babel AST path representing the current class.
+ * @param {Object} state - Plugin state, including file info, config, and import metadata.
+ * @param {Object} t - Babel types helper (`@babel/types`) used to generate AST nodes.
+ * @param {Object<string, Object>} virtualRegistry - Registry of components and their
+ *   registered variables/context info. Each key is `${className}_${fileHash}`.
+ *
+ * @returns {void}
+ * Modifies the class body in place; does not return a value.
+ *
+ * @important
+ * - Skips files excluded by `isExcludeFile` and classes that are not React class components.
+ * - The Provider is injected before the Consumers so that it ends up inside the Consumer callback.
+ * - A class whose fields no other scope uses keeps them in `this.state` but renders no Provider.
+ * - A declaring class whose variables are used outside React also publishes its state to the runtime.
+ * - Silent error handling; errors are caught but ignored.
+ *
+ * @example
+ * ```js
+ * // class Profile extends Component { _$_user = 'guest'; render() { return <Card/>; } }
+ * // becomes
+ * // class Profile extends Component {
+ * //   setProfile_1a2b3c4d = _casperRuntime.createClassSetter(this);
+ * //   state = { _$_user: 'guest' };
+ * //   render() { return React.createElement(_gblContext.Profile_1a2b3c4d.Provider, {...}, <Card/>); }
+ * // }
+ * ```
+ */
+export function classDeclarationExit (path, state, t, virtualRegistry) {
+    try {
+        const fileName = state.filename || _CCTX_EMPTY;
+        if (!isExcludeFile(fileName, this.opts)) return;
+        if (!isClassComponent(path)) return;
+        const name = getClassScopeName(path);
+        const key = name && `${name}_${getFilePathHASH(fileName)}`;
+        const entry = key && virtualRegistry[key];
+        if (entry && entry.varNames.length) {
+            const objProps = [];
+            path.get('body.body').forEach(member => {
+                if (!member.isClassProperty() || member.node.static || member.node.computed) return;
+                if (!t.isIdentifier(member.node.key) || !entry.varNames.includes(member.node.key.name)) return;
+                objProps.push(t.objectProperty(t.identifier(member.node.key.name), member.node.value || t.identifier(_CCTX_UNDEFINED)));
+                member.remove();
+            });
+            buildClassStateDeclaration(path, t, objProps, key, state, entry.equality);
+            if (getContextGroups(key, virtualRegistry, state.casperConfig.prefix).some(context => context.provided)) {
+                state.needsGblContext = true;
+                buildClassCtxProvider(path, t, state, key, hasSetterContext(key, key, virtualRegistry, state.casperConfig));
+            }
+            if (isScopeUsedOutsideReact(key, virtualRegistry, state.casperConfig.prefix)) {
+                buildClassScopeBinding(path, t, state, key);
+            }
+        }
+        buildClassContextConsumers(path, t, state);
+    } catch (e) {
+
+    }
+}
@@ -18,9 +18,10 @@ import { isExcludeFile, getFilePathHASH } from '../utils/utilityHelpers';
  * @description These visitors are manually invoked during the function's traversal 
  * to target specific node types within the component body.
  * - functionReturnVariableDelarationVisitor: Extracts state-relevant variable data.
+ * - functionActionDeclarationVisitor: Extracts the component's actions declared as functions.
  * - functionDeclarationReturnStatementVisitor: Processes JSX or return values for context binding.
  */
-import { functionReturnVariableDelarationVisitor } from './VariableDeclaration';
+import { functionReturnVariableDelarationVisitor, functionActionDeclarationVisitor } from './VariableDeclaration';
 import { functionDeclarationReturnStatementVisitor } from './ReturnStatement';
 
 /**
@@ -28,8 +29,35 @@ import { functionDeclarationReturnStatementVisitor } from './ReturnStatement';
  * @description
  * - buildCtxUseStateDeclaration: Physically constructs and injects the `useState` 
  * node into the Abstract Syntax Tree.
+ * - buildActionsDeclaration: Holds the component's actions in one stable object.
+ * - buildProviderValueDeclaration: Memoizes the value each Provider passes.
+ * - buildScopeBinding: Publishes the state to the runtime for code outside React.
  */
-import { buildCtxUseStateDeclaration } from '../utils/astHelpers';
+import {
+    buildCtxUseStateDeclaration,
+    buildActionsDeclaration,
+    buildProviderValueDeclaration,
+    buildScopeBinding
+} from '../utils/astHelpers';
+
+/**
+ * Scoped Resolution
+ * @description
+ * - isScopeUsedOutsideReact: Tells whether any module reaches this component's state from outside React.
+ * - getContextGroups: Splits the component's variables into the contexts that hold them, and its local state.
+ * - isStoreContext: Tells the contexts backed by a store (`"runtime": "store"`) apart.
+ * - hasSetterContext: Tells the contexts whose setter is also provided alone, for components that only write.
+ */
+import { isScopeUsedOutsideReact, getContextGroups, isStoreContext, hasSetterContext } from '../utils/resolution';
+
+/**
+ * Scope Helpers
+ * @description
+ * - getFunctionScopeName: Resolves the component name for declarations, arrows,
+ * function expressions and (anonymous) default exports alike.
+ * - isHookName: Recognises custom hooks, which own state but render no Provider.
+ */
+import { getFunctionScopeName, isHookName } from '../utils/scope';
 
 /**
  * Core Constants
@@ -46,13 +74,14 @@ import { _CCTX_EMPTY } from '../utils/constants';
  */
 
 /**
- * Babel visitor exit handler for `FunctionDeclaration` nodes.
+ * Babel visitor exit handler for component functions.
  *
- * This function is invoked when exiting a function declaration during AST traversal.
+ * This function is invoked when exiting a `FunctionDeclaration`, `FunctionExpression`
+ * or `ArrowFunctionExpression` during AST traversal.
  * It inspects the function for any state variables registered in the `virtualRegistry`
  * and transforms them into React `useState` declarations or context state as needed.
  *
- * @param {NodePath} path - The Babel AST path representing the current function declaration.
+ * @param {NodePath} path - The Babel AST path representing the current function.
  * @param {Object} state - Plugin state, including file info, config, and import metadata.
  * @param {Object} t - Babel types helper (`@babel/types`) used to generate AST nodes.
  * @param {Object<string, Object>} virtualRegistry - Registry of components and their
@@ -64,10 +93,33 @@ import { _CCTX_EMPTY } from '../utils/constants';
  *
  * @important
  * - Skips files excluded by `isExcludeFile`.
- * - Only processes functions with a valid name.
+ * - Only processes functions with a valid name, as resolved by `getFunctionScopeName`
+ *   (`function App() {}`, `const App = () => {}`, `export default () => {}`, ...).
  * - Collects local state variable declarations and return statements using
  *   `functionReturnVariableDelarationVisitor` and `functionDeclarationReturnStatementVisitor`.
- * - Converts collected variables into an object expression for `buildCtxUseStateDeclaration`.
+ * - Only returns of the function itself are wrapped in the Provider; returns inside nested
+ *   callbacks, `.map` renderers and helpers are left alone.
+ * - Custom hooks (`useCart`) declare casper variables too, but return values rather than elements,
+ *   so their returns are not wrapped in a Provider: the variables live in the hook's own `useState`,
+ *   one copy per calling component, and are read and written inside the hook like any component state.
+ * - Converts collected variables into an object expression for `buildCtxUseStateDeclaration`;
+ *   destructuring declarations contribute `setup` statements that run inside a lazy initializer.
+ * - Variables registered with a synchronisation policy (`@casper-sync`, see `getDeclarationSync`) are
+ *   re-seeded from their initializer by the generated state logic.
+ * - Each context group (see `getContextGroups`) gets its own `useState`, so updating a variable of one
+ *   group leaves the state, and the Provider value, of the others untouched.
+ * - The component's actions (`function _$_addToCart() {}`) are held by one object that keeps its identity
+ *   across renders (see `buildActionsDeclaration`), provided without a setter when another scope calls one.
+ * - Variables no other scope uses get a `useState` of their own too, but no Provider: when none of the
+ *   component's variables is shared, its returns are left as they are.
+ * - When some module uses the component's variables outside React (see `isScopeUsedOutsideReact`),
+ *   the state of every group is also published to the runtime with `buildScopeBinding`.
+ * - With `"runtime": "store"`, the provided contexts are held in stores (see `isStoreContext`): the
+ *   component subscribes to the variables it reads (`state.storeReads`), or to all of them when its state
+ *   is published outside React, and its Provider passes the store.
+ * - A context some component only writes (see `hasSetterContext`) also provides the setter alone.
+ * - The value of every other Provider is memoized (see `buildProviderValueDeclaration`), and assignments
+ *   leaving the variables equal (`Object.is`, or the comparison chosen with `@casper-equals`) are skipped.
  * - Silent error handling; errors are caught but ignored.
  *
  * @example
@@ -81,26 +133,58 @@ export function functionDeclarationExit (path, state, t, virtualRegistry) {
     try {
         const fileName = state.filename || _CCTX_EMPTY;
         if (!isExcludeFile(fileName, this.opts)) return;
-        const name = path.node.id?.name;
+        const name = getFunctionScopeName(path);
         if (!name) return;
         const filePathHASH = getFilePathHASH(fileName);
         const key = `${name}_${filePathHASH}`;
         const entry = virtualRegistry[key];
         if (!entry || !entry.varNames.length) return;
         const localStateVars = [];
+        const isHook = isHookName(name);
+        const contexts = getContextGroups(key, virtualRegistry, state.casperConfig.prefix);
+        contexts.forEach(context => {
+            context.store = context.provided && isStoreContext(key, context.key, virtualRegistry, state.casperConfig);
+            context.setter = context.provided && hasSetterContext(key, context.key, virtualRegistry, state.casperConfig);
+        });
+        const providedContexts = contexts.filter(context => context.provided);
         path.traverse({
             VariableDeclarator(varPath) {
                 functionReturnVariableDelarationVisitor.call(this, varPath, state, t, localStateVars);
             },
+            FunctionDeclaration(fnPath) {
+                if (!entry.actions?.includes(fnPath.node.id?.name)) return;
+                functionActionDeclarationVisitor.call(this, fnPath, state, t, localStateVars);
+            },
             ReturnStatement(retPath) {
-                functionDeclarationReturnStatementVisitor.call(this, retPath, state, t, entry);
+                // only the component's own returns render its Provider
+                if (isHook || retPath.getFunctionParent()?.node !== path.node) return;
+                functionDeclarationReturnStatementVisitor.call(this, retPath, state, t, providedContexts);
             },
         })
         if (localStateVars.length === 0) return;
-        const objProps = localStateVars.map(v =>
-            t.objectProperty(t.identifier(v.name), v.init || t.nullLiteral())
-        );
-        buildCtxUseStateDeclaration(path, t, state, objProps, key);
+        if (!isHook && providedContexts.length) state.needsGblContext = true;
+        const isUsedOutsideReact = isScopeUsedOutsideReact(key, virtualRegistry, state.casperConfig.prefix);
+        // declarations are prepended, so the last group goes first
+        [...contexts].reverse().forEach(context => {
+            const groupVars = localStateVars.filter(v => context.varNames.includes(v.name));
+            if (!groupVars.length) return;
+            const objProps = groupVars.map(v =>
+                t.objectProperty(t.identifier(v.name), v.init || t.nullLiteral())
+            );
+            if (context.actions) {
+                buildActionsDeclaration(path, t, state, objProps, context.key);
+            } else {
+                const setup = groupVars.map(v => v.setup).filter(Boolean);
+                const storeReads = context.store
+                    ? (isUsedOutsideReact ? context.varNames : state.storeReads[context.key] || [])
+                    : undefined;
+                buildCtxUseStateDeclaration(path, t, state, objProps, context.key, setup, entry.sync, storeReads, entry.equality);
+            }
+            if (!isHook && context.provided && !context.store) {
+                buildProviderValueDeclaration(path, t, state, context.key, context.readOnly);
+            }
+            if (isUsedOutsideReact && context.provided) buildScopeBinding(path, t, state, context.key);
+        });
 
     } catch (e) {
        
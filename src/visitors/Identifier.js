@@ -19,16 +19,40 @@ import {
     _CCTX_ARGUMENT,      // The variable inside an update expression
     _CCTX_KEY,           // Property key in object patterns
     _CCTX_UNKNOW,        // Fallback for unresolved identifiers
-    _CCTX_EMPTY          // Default string initializer
+    _CCTX_EMPTY,         // Default string initializer
+    PROPERTY,            // The property side of a member expression (this._$_x)
+    OBJECT,              // The object side of a member expression
+    _CCTX_               // Prefix of the consumers' context instances (CTX_App_1a2b3c4d)
 } from '../utils/constants';
 
 /**
  * Validation & Discovery Utilities
  * @description 
  * - isExcludeFile: Ensures the transformation doesn't run on ignored directories.
- * - findContextByVar: Locates the specific Context instance associated with a variable name.
+ * - getFilePathHASH: Builds the registry key of the enclosing scope.
+ * - isModuleScopeKey: Detects module-level variables, which are read from the root store.
  */
-import { isExcludeFile, findContextByVar } from '../utils/utilityHelpers';
+import { isExcludeFile, getFilePathHASH, isModuleScopeKey } from '../utils/utilityHelpers';
+
+/**
+ * Scoped Resolution
+ * @description
+ * - resolveCasperReference: Binds a reference to its declaring scope, through the render tree
+ * when several scopes declare the same name.
+ * - getCurrentScopeKey: Registry key of the component or hook making the reference.
+ * - getContextKey: Names the context holding a variable (the declaring scope's, a group's, or local state).
+ * - isStoreContext: Tells the contexts backed by a store (`"runtime": "store"`) apart.
+ * - isWritableContext: Tells the contexts with a setter, whose latest state can be read, apart.
+ * - CasperReferenceError: Raised for ambiguous references; reported, never swallowed.
+ */
+import {
+    resolveCasperReference,
+    getCurrentScopeKey,
+    getContextKey,
+    isStoreContext,
+    isWritableContext,
+    CasperReferenceError
+} from '../utils/resolution';
 
 /**
  * AST Transformation & Scope Helpers
@@ -36,9 +60,150 @@ import { isExcludeFile, findContextByVar } from '../utils/utilityHelpers';
  * - replaceWithContextState: Replaces a reference with a Context-based accessor.
  * - replaceWithState: Replaces a reference with a local `useState` accessor.
  * - buildUseContextInstance: Injects the `useContext` hook if the variable is defined elsewhere.
- * - getRootParentComponent: Finds the top-level React Component to ensure hooks are valid.
+ * - replaceWithClassState: Replaces a reference with a `this.state` accessor in a declaring class.
+ * - getClassContextObject: Resolves `this.context` / Consumer access for consuming classes.
+ * - buildUseStoreInstance / getClassStoreObject / buildStoreStateAccess: Subscribe to and read the root store.
+ * - buildScopeReference: Reaches a declaring component from code outside React.
+ * - buildUseStoreStateInstance / recordStoreRead / connectClassScopeStore: Subscribe to a context backed by a store.
+ * - buildStateAccess / buildContextStateAccess / buildClassStateAccess: The render-time reads.
+ * - buildSetterReference / buildStoreSetterReference / buildLatestStateAccess: Read the latest state after render.
+ */
+import {
+    replaceWithContextState,
+    replaceWithState,
+    buildUseContextInstance,
+    replaceWithClassState,
+    getClassContextObject,
+    buildUseStoreInstance,
+    getClassStoreObject,
+    buildStoreStateAccess,
+    buildScopeReference,
+    buildUseStoreStateInstance,
+    recordStoreRead,
+    connectClassScopeStore,
+    buildStateAccess,
+    buildContextStateAccess,
+    buildClassStateAccess,
+    buildSetterReference,
+    buildStoreSetterReference,
+    buildLatestStateAccess
+} from '../utils/astHelpers';
+
+/**
+ * Class Component Helpers
+ * @description
+ * - getEnclosingClassComponent: Detects reads that live inside a class component, where hooks
+ * are not allowed and `this.state` / `this.context` must be used instead.
+ * - getClassScopeName: Resolves the registry name of that class.
+ * - isRenderTimePath: Tells reads made while rendering from reads made later (handlers, effects, timers).
+ */
+import { getEnclosingClassComponent, getClassScopeName, isRenderTimePath } from '../utils/scope';
+
+/**
+ * Replaces a casper read made after render with a read of the latest state.
+ *
+ * @param {NodePath} path - The read being replaced.
+ * @param {Object} state - Plugin state; `needsRuntime` is set.
+ * @param {Object} t - Babel types helper (`@babel/types`).
+ * @param {Node} setter - The setter of the state read.
+ * @param {Node} renderRead - What the read would be while rendering.
+ *
+ * @returns {void}
  */
-import { replaceWithContextState, replaceWithState, buildUseContextInstance, getRootParentComponent } from '../utils/astHelpers';
+function replaceWithLatestState (path, state, t, setter, renderRead) {
+    state.needsRuntime = true;
+    path.replaceWith(buildLatestStateAccess(t, setter, renderRead));
+}
+
+/**
+ * Rewrites a casper read that lives inside a class component.
+ *
+ * @param {NodePath} path - The identifier (`_$_x`) or `this._$_x` member expression being read.
+ * @param {NodePath} classPath - The enclosing class component.
+ * @param {Object} state - Plugin state, including file info and import metadata.
+ * @param {Object} t - Babel types helper (`@babel/types`).
+ * @param {string} varName - The casper variable name.
+ * @param {string} ctxName - The registry key owning the variable.
+ * @param {string} contextKey - The key of the context holding it (see `getContextKey`).
+ * @param {boolean} store - Whether the context is backed by a store (see `isStoreContext`).
+ *
+ * @returns {void}
+ *
+ * @important
+ * - The declaring class reads its own fields from `this.state`.
+ * - Other classes read through `this.context` or a Consumer-backed field (see `getClassContextObject`);
+ *   when that value is a store, they read its current state and subscribe to it (`connectClassScopeStore`).
+ * - Outside `render` (handlers, lifecycle methods, timers) the latest state is read instead:
+ *   `_casperRuntime.latest(this.setApp_1a2b3c4d, this.state)["_$_x"]`. Those reads subscribe to nothing.
+ */
+function replaceClassRead (path, classPath, state, t, varName, ctxName, contextKey, store) {
+    try {
+        const className = getClassScopeName(classPath);
+        const latestRead = isWritableContext(contextKey) && !isRenderTimePath(path);
+        if (className && ctxName === `${className}_${getFilePathHASH(state.filename || _CCTX_EMPTY)}`) {
+            if (latestRead) {
+                replaceWithLatestState(path, state, t, buildSetterReference(t, ctxName, t.thisExpression()), buildClassStateAccess(t, varName));
+            } else {
+                replaceWithClassState(path, t, varName);
+            }
+        } else if (store) {
+            state.needsGblContext = true;
+            const ctxObject = getClassContextObject(classPath, state, t, contextKey);
+            if (latestRead) {
+                replaceWithLatestState(path, state, t, buildStoreSetterReference(t, ctxObject), buildStoreStateAccess(t, varName, t.cloneNode(ctxObject)));
+            } else {
+                path.replaceWith(buildStoreStateAccess(t, varName, connectClassScopeStore(classPath, state, t, contextKey, ctxObject)));
+            }
+        } else {
+            state.needsGblContext = true;
+            const ctxObject = getClassContextObject(classPath, state, t, contextKey);
+            if (latestRead) {
+                replaceWithLatestState(path, state, t, buildSetterReference(t, contextKey, ctxObject), buildContextStateAccess(t, contextKey, varName, t.cloneNode(ctxObject)));
+            } else {
+                replaceWithContextState(path, t, contextKey, ctxObject, varName);
+            }
+        }
+    } catch (e) {
+
+    }
+}
+
+/**
+ * Rewrites a read of a module-level casper variable.
+ *
+ * @param {NodePath} path - The identifier being read.
+ * @param {Object} state - Plugin state, including file info and import metadata.
+ * @param {Object} t - Babel types helper (`@babel/types`).
+ * @param {string} varName - The casper variable name.
+ *
+ * @returns {void}
+ *
+ * @important
+ * - Function components and hooks read the snapshot of `useSyncExternalStore` (`CTX_rootStore["_$_x"]`),
+ *   class components read the store they are connected to (`this.CTX_rootStore.getState()["_$_x"]`),
+ *   so both re-render when the variable changes.
+ * - Anywhere else (module code, plain functions), and in components after render (handlers, effects), the
+ *   latest value is read: `_casperRuntime.latest(_gblContext.rootStore.setState, _gblContext.rootStore.getState())["_$_x"]`.
+ */
+function replaceStoreRead (path, state, t, varName) {
+    try {
+        const classPath = getEnclosingClassComponent(path);
+        const latestRead = !isRenderTimePath(path);
+        if (classPath && !latestRead) {
+            path.replaceWith(buildStoreStateAccess(t, varName, getClassStoreObject(classPath, state, t)));
+            return;
+        }
+        const snapshot = !classPath && !latestRead && buildUseStoreInstance(path, state, t);
+        if (snapshot) {
+            if (!state.importState.reactId) state.needUseStateImport = true;
+            path.replaceWith(t.memberExpression(snapshot, t.stringLiteral(varName), true));
+            return;
+        }
+        replaceWithLatestState(path, state, t, buildStoreSetterReference(t), buildStoreStateAccess(t, varName));
+    } catch (e) {
+
+    }
+}
 
 /**
  * @important
@@ -69,9 +234,26 @@ import { replaceWithContextState, replaceWithState, buildUseContextInstance, get
  * @important
  * - Skips identifiers that are part of declarations, assignments, object keys, or JSX expressions.
  * - Only processes referenced identifiers matching the configured Casper prefix.
- * - Sets `state.needsGblContext` when global context usage is required.
+ * - Sets `state.needsGblContext` when another scope's context or the root store is read.
  * - Automatically injects `useState` import if missing.
  * - Differentiates between same-component state and context usage across components.
+ * - When several scopes declare the same name, the reference is bound through the render tree
+ *   or an explicit qualification (`_$_Admin$user`); see `resolveCasperReference`. A reference that
+ *   cannot be bound fails the build with its `CasperReferenceError`.
+ * - Module-level variables are read from the root store (see `replaceStoreRead`), from any code.
+ * - Reads made after render (event handlers, effects, timers, code after an `await`; see `isRenderTimePath`)
+ *   read the latest state instead of the rendered one, so they see the writes made just before them:
+ *   `_casperRuntime.latest(setApp_1a2b3c4d, app_1a2b3c4d)["_$_x"]`. Reads while rendering are unchanged.
+ * - Outside components, hooks and classes, a component's variable is read through the runtime:
+ *   `_casperRuntime.getScope("App_1a2b3c4d").getState()["_$_x"]`, the value its mounted instance holds.
+ * - Inside class components reads become `this.state[...]` (declaring class) or go through
+ *   `this.context` / a Consumer (consuming class); `this._$_x` is accepted for own fields.
+ * - A variable declared in a context group is read from that group's state or context
+ *   (`CTX_App_1a2b3c4d$session`); one no other scope uses is read from the declaring component's
+ *   local state (`app_1a2b3c4d$$local`). See `getContextKey`.
+ * - A context backed by a store (`"runtime": "store"`, see `isStoreContext`) is read like the declaring
+ *   component's own state, from the `useStoreState` pair each reading component subscribes with
+ *   (`buildUseStoreStateInstance`); the variable read is added to the subscription.
  * - Errors are silently caught.
  *
  * @example
@@ -97,6 +279,33 @@ export default function identifierVisitor (path, state, t, seen, virtualRegistry
                 path.parentKey === _CCTX_KEY &&
                 !path.parent.computed
             ) return;
+            // this._$_x inside the class component that declares the `_$_x` field
+            if (
+                path.parentPath.isMemberExpression() &&
+                path.parentKey === PROPERTY &&
+                !path.parent.computed &&
+                path.parentPath.get(OBJECT).isThisExpression()
+            ) {
+                const memberPath = path.parentPath;
+                if (
+                    (memberPath.parent.type === ASSIGNMENT_EXPRESSION && memberPath.parentKey === _CCTX_LEFT) ||
+                    (memberPath.parent.type === UPDATE_EXPRESSION && memberPath.parentKey === _CCTX_ARGUMENT)
+                ) return;
+                const classPath = getEnclosingClassComponent(path);
+                const className = classPath && getClassScopeName(classPath);
+                const ownEntry = className && virtualRegistry[`${className}_${getFilePathHASH(fileName)}`];
+                if (!ownEntry?.varNames.includes(path.node.name)) return;
+                if (isRenderTimePath(memberPath)) {
+                    replaceWithClassState(memberPath, t, path.node.name);
+                } else {
+                    replaceWithLatestState(
+                        memberPath, state, t,
+                        buildSetterReference(t, `${className}_${getFilePathHASH(fileName)}`, t.thisExpression()),
+                        buildClassStateAccess(t, path.node.name)
+                    );
+                }
+                return;
+            }
             if (path.findParent(p =>
                 p.isJSXExpressionContainer() ||
                 p.isJSXAttribute() ||
@@ -107,30 +316,66 @@ export default function identifierVisitor (path, state, t, seen, virtualRegistry
             if (!path.isReferencedIdentifier()) return;
             if (!seen.has(path.node)) {
                 seen.add(path.node);
-                state.needsGblContext = true;
-                let {currentFuncParent,componentName} = getRootParentComponent(path);
-                const ctxName = findContextByVar(path.node.name, virtualRegistry);
-                if (!ctxName) return;
-                let isSameCMP = false;
-                if (ctxName.startsWith(componentName)) {
-                    isSameCMP = true;
+                const resolved = resolveCasperReference(path, path.node.name, state, virtualRegistry);
+                if (!resolved) return;
+                const { ctxName, varName } = resolved;
+                if (isModuleScopeKey(ctxName)) {
+                    state.needsGblContext = true;
+                    replaceStoreRead(path, state, t, varName);
+                    return;
                 }
-                state.needsGblContext = true;
-                if (
-                    !state.importState.reactId &&
-                    !state.importState.useStateId
-                ) {
+                const contextKey = getContextKey(ctxName, varName, virtualRegistry, state.casperConfig.prefix);
+                const store = isStoreContext(ctxName, contextKey, virtualRegistry, state.casperConfig);
+                const classPath = getEnclosingClassComponent(path);
+                if (classPath) {
+                    if (!state.importState.reactId) state.needUseStateImport = true;
+                    replaceClassRead(path, classPath, state, t, varName, ctxName, contextKey, store);
+                    return;
+                }
+                const currentKey = getCurrentScopeKey(path, fileName);
+                if (!currentKey) {
+                    // plain modules and functions read the current value through the runtime
+                    path.replaceWith(buildStoreStateAccess(t, varName, buildScopeReference(t, contextKey)));
+                    state.needsRuntime = true;
+                    return;
+                }
+                const isSameCMP = ctxName === currentKey;
+                // handlers, effects and timers read the latest state, and subscribe to nothing
+                const latestRead = isWritableContext(contextKey) && !isRenderTimePath(path);
+                if (!state.importState.reactId) {
                     state.needUseStateImport = true
                 }
                 if (isSameCMP) {
-                    replaceWithState(path, t, ctxName);
+                    if (latestRead) {
+                        replaceWithLatestState(path, state, t, buildSetterReference(t, contextKey), buildStateAccess(t, contextKey, varName));
+                        return;
+                    }
+                    if (store) recordStoreRead(state, contextKey, varName);
+                    replaceWithState(path, t, contextKey, varName);
+                } else if (store) {
+                    state.needsGblContext = true;
+                    if (!buildUseStoreStateInstance(path, state, t, contextKey, latestRead ? undefined : varName)) return;
+                    if (latestRead) {
+                        replaceWithLatestState(path, state, t, buildSetterReference(t, contextKey), buildStateAccess(t, contextKey, varName));
+                    } else {
+                        replaceWithState(path, t, contextKey, varName);
+                    }
                 } else {
-                    buildUseContextInstance(currentFuncParent, state, t, ctxName);
-                    replaceWithContextState(path, t, ctxName);
+                    state.needsGblContext = true;
+                    buildUseContextInstance(path, state, t, contextKey);
+                    if (latestRead) {
+                        replaceWithLatestState(
+                            path, state, t,
+                            buildSetterReference(t, contextKey, t.identifier(`${_CCTX_}${contextKey}`)),
+                            buildContextStateAccess(t, contextKey, varName)
+                        );
+                    } else {
+                        replaceWithContextState(path, t, contextKey, undefined, varName);
+                    }
                 }
             }
         }
     } catch (e) {
-
+        if (e instanceof CasperReferenceError) throw e;
     }
 }
\ No newline at end of file
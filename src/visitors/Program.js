@@ -15,6 +15,8 @@ import {
     _CCTX_EMPTY,                       // Safe string fallback for paths/names
     _CCTX_UNDUS_CORE_REACT,            // Normalized identifier for the React import
     _CCTX_UNDUS_CORE_GBL_CONTEXT,      // Identifier for the auto-generated global context
+    _CCTX_UNDUS_CORE_RUNTIME,          // Identifier for the casper runtime module
+    CASPER_RUNTIME_MODULE,             // Package path of the casper runtime module
     REACT_IMPORT_CORE_NAME,            // Literal 'react' package name
     REACT_IMPORT_USE_STATE_HOOKS_NAME  // Literal 'useState' hook name
 } from '../utils/constants';
@@ -36,6 +38,27 @@ import { CONTEXT_FILE_PATH, resetVarsForFile, isExcludeFile, getFilePathHASH } f
  */
 import { buildRequireDeclaration } from '../utils/astHelpers';
 
+/**
+ * Project Index
+ * @description
+ * - indexFile: Re-registers the file's components and casper declarations before its traversal.
+ */
+import { indexFile } from '../lifecycle/scan';
+
+/**
+ * Update Coalescing
+ * @description
+ * - coalesceStateUpdates: Merges consecutive updates of the same casper state once the file is compiled.
+ */
+import { coalesceStateUpdates } from '../transforms/coalesceTransform';
+
+/**
+ * Batch Scoping
+ * @description
+ * - scopeBatchCallbacks: Makes the `async` callbacks of `batch` leave their batch while they wait.
+ */
+import { scopeBatchCallbacks } from '../transforms/batchTransform';
+
 /**
  * @important
  * This module is responsible for "Stateful Reset." Every time a new file is 
@@ -133,9 +156,13 @@ function importStateResolver (path, state, t) {
  * This function clears any registered state variables in the `virtualRegistry`
  * that are associated with the current file. It is useful for ensuring that
  * state tracking does not leak across files when processing multiple files
- * in the plugin.
+ * in the plugin. It then indexes the file again (components, what they render
+ * and casper declarations), so the index follows edits in watch mode and every
+ * declaration of the file is known before its first reference is visited.
  *
+ * @param {NodePath} path - The Babel AST path representing the Program node.
  * @param {Object} state - Plugin state, including the filename and plugin options.
+ * @param {Object} t - Babel types helper (`@babel/types`).
  * @param {Object<string, Object>} virtualRegistry - Registry of components and
  *   their registered variables/context info.
  *
@@ -150,16 +177,17 @@ function importStateResolver (path, state, t) {
  *
  * @example
  * ```js
- * resetRegisteryProcess(state, virtualRegistry);
+ * resetRegisteryProcess(path, state, t, virtualRegistry);
  * // Clears all state variables for the current file in the virtualRegistry
  * ```
  */
-function resetRegisteryProcess (state, virtualRegistry) {
+function resetRegisteryProcess (path, state, t, virtualRegistry) {
     try {
         const fileName = state.filename || _CCTX_EMPTY;
         if (!isExcludeFile(fileName, this.opts)) return;
         const hash = getFilePathHASH(fileName);
         resetVarsForFile(virtualRegistry, hash);
+        indexFile.call(this, path, state, t, virtualRegistry);
     } catch (e) {
         
     }
@@ -181,6 +209,8 @@ function resetRegisteryProcess (state, virtualRegistry) {
  *
  * @returns {void}
  * - Updates `state.casperConfig` with the provided config.
+ * - Initialises `state.classContexts`, the per-class record of consumed contexts, and `state.storeReads`,
+ *   the variables each declaring component reads from its store (see `recordStoreRead`).
  * - Populates `state.importState` with resolved React imports.
  * - Resets the variable registry for the current file in `virtualRegistry`.
  *
@@ -197,8 +227,10 @@ function resetRegisteryProcess (state, virtualRegistry) {
 export function programEnter (path, state, t, virtualRegistry, config) {
     try {
         state.casperConfig = config
+        state.classContexts = new WeakMap();
+        state.storeReads = {};
         importStateResolver(path, state, t);
-        resetRegisteryProcess.call(this, state, virtualRegistry);
+        resetRegisteryProcess.call(this, path, state, t, virtualRegistry);
     } catch (e) {
         
     }
@@ -219,10 +251,11 @@ export function programEnter (path, state, t, virtualRegistry, config) {
  * @returns {void}
  * - Conditionally injects `React` import if `useState` is required.
  * - Conditionally injects global context import if any global context is used.
+ * - Conditionally injects the casper runtime import if a deep mutation was compiled.
  * - Uses `buildRequireDeclaration` to insert the import statements at the top of the file.
  *
  * @important
- * - Checks `state.needUseStateImport` and `state.needsGblContext` to determine necessity.
+ * - Checks `state.needUseStateImport`, `state.needsGblContext` and `state.needsRuntime` to determine necessity.
  * - Errors are silently caught; no exception is thrown if import insertion fails.
  *
  * @example
@@ -235,6 +268,7 @@ function bindMissingImport (path, state, t) {
     try {
         if (state?.needUseStateImport) buildRequireDeclaration(path, t, _CCTX_UNDUS_CORE_REACT, _CCTX_REACT);
         if (state?.needsGblContext) buildRequireDeclaration(path, t, _CCTX_UNDUS_CORE_GBL_CONTEXT, CONTEXT_FILE_PATH);
+        if (state?.needsRuntime) buildRequireDeclaration(path, t, _CCTX_UNDUS_CORE_RUNTIME, CASPER_RUNTIME_MODULE);
     } catch (e) {
        
     }
@@ -244,8 +278,10 @@ function bindMissingImport (path, state, t) {
  * Babel visitor handler for the `Program` node when exiting a file.
  *
  * This function is called after the AST traversal of the entire file is complete.
- * Its primary purpose is to inject any missing imports for React or global context
- * that were flagged as required during traversal.
+ * It merges consecutive updates of the same casper state (see `coalesceStateUpdates`),
+ * scopes the `async` callbacks of `batch` to their batch (see `scopeBatchCallbacks`),
+ * then injects any missing imports for React or global context that were flagged as
+ * required during traversal.
  *
  * @param {NodePath} path - The Babel AST path representing the Program node.
  * @param {Object} state - Plugin state, including flags `needUseStateImport` and `needsGblContext`.
@@ -256,6 +292,7 @@ function bindMissingImport (path, state, t) {
  *
  * @important
  * - Should be paired with `programEnter` at the start of traversal.
+ * - Only coalesces files compiled by the plugin (see `isExcludeFile`), and only scopes their `batch` callbacks.
  * - Only injects imports if flagged during traversal (`state.needUseStateImport` or `state.needsGblContext`).
  * - Errors are silently caught; AST modifications fail gracefully if errors occur.
  *
@@ -267,6 +304,10 @@ function bindMissingImport (path, state, t) {
  */
 export function programExit (path, state, t) {
     try {
+        if (isExcludeFile(state.filename || _CCTX_EMPTY, this.opts)) {
+            coalesceStateUpdates(path, t);
+            scopeBatchCallbacks(path, state, t);
+        }
         bindMissingImport(path, state, t);
     } catch (e) {
       
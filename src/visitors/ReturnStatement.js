@@ -8,11 +8,9 @@
 /**
  * Core Logic Constants
  * @description
- * - _CCTX_CMP_NAME_PREFIX: The prefix used to identify and generate unique 
- * Context Provider instances (e.g., '_$_ctx_').
- * - _CCTX_EMPTY: A safe fallback initializer for string-based AST properties.
+ * - _CCTX_PROVIDER / _CCTX_UNDUS_CORE_GBL_CONTEXT: Recognise an already wrapped return.
  */
-import { _CCTX_CMP_NAME_PREFIX, _CCTX_EMPTY } from '../utils/constants';
+import { _CCTX_PROVIDER, _CCTX_UNDUS_CORE_GBL_CONTEXT } from '../utils/constants';
 
 /**
  * AST Transformation Helpers
@@ -20,8 +18,10 @@ import { _CCTX_CMP_NAME_PREFIX, _CCTX_EMPTY } from '../utils/constants';
  * - buildCtxProvider: A structural helper that wraps a JSX element or 
  * Function body with a `<Context.Provider>` component, mapping internal 
  * state to the Provider's `value` prop.
+ * - buildSetterCtxProvider: Provides the setter alone, for components that only write.
  */
-import { buildCtxProvider } from '../utils/astHelpers';
+import { buildCtxProvider, buildSetterCtxProvider } from '../utils/astHelpers';
+
 
 /**
  * @important
@@ -30,6 +30,25 @@ import { buildCtxProvider } from '../utils/astHelpers';
  * are complete before the final Provider wrapping occurs.
  */
 
+/**
+ * Checks whether a returned expression is already the Provider element of a component.
+ *
+ * @param {Node} node - The returned expression.
+ * @param {Object} t - Babel types helper (`@babel/types`).
+ * @param {string} stateName - The key of the component's outermost context (`App_1a2b3c4d`).
+ *
+ * @returns {boolean} `true` for `React.createElement(_gblContext.<stateName>.Provider, ...)`.
+ */
+function isProviderElement (node, t, stateName) {
+    const type = t.isCallExpression(node) && node.arguments[0];
+    return Boolean(type) &&
+        t.isMemberExpression(type) &&
+        t.isIdentifier(type.property, { name: _CCTX_PROVIDER }) &&
+        t.isMemberExpression(type.object) &&
+        t.isIdentifier(type.object.object, { name: _CCTX_UNDUS_CORE_GBL_CONTEXT }) &&
+        t.isIdentifier(type.object.property, { name: stateName });
+}
+
 /**
  * Visitor for `ReturnStatement` nodes inside a function declaration.
  *
@@ -40,29 +59,45 @@ import { buildCtxProvider } from '../utils/astHelpers';
  * @param {NodePath} path - The Babel AST path representing the `ReturnStatement` node.
  * @param {Object} state - Plugin state, including import information and configuration.
  * @param {Object} t - Babel types helper (`@babel/types`) used to generate AST nodes.
- * @param {Object} entry - Registry entry for the component, containing `ctxName` and variable names.
+ * @param {Array<{key: string, readOnly: boolean, store: boolean, setter: boolean}>} contexts - The contexts the component provides (see `getContextGroups`),
+ *                                          outermost first.
  *
  * @returns {void}
  * Modifies the return statement node in place, replacing it with a `React.createElement`
  * call that wraps the original return value with a context provider.
  *
  * @important
- * - Only processes return statements that have a non-null argument.
+ * - The caller passes only the component's own returns; returns of nested callbacks, `.map`
+ *   renderers and helper functions are not wrapped.
+ * - Every own return is wrapped, early returns and `return null` included, so each render path
+ *   renders exactly one Provider. A bare `return;` provides the context around `null`.
+ * - Returns that already render this component's Provider are left alone.
+ * - A component with context groups renders one Provider per group, nested: the ungrouped
+ *   variables' Provider outermost, then the groups in declaration order.
+ * - Without provided contexts (every variable is local state) the return is left alone.
+ * - The Provider passes the value memoized by `buildProviderValueDeclaration`; the context of the `const`
+ *   variables provides their values without a setter.
+ * - A context backed by a store (`context.store`, see `isStoreContext`) provides the store itself.
+ * - A context with a setter context (`context.setter`, see `hasSetterContext`) also renders its Provider,
+ *   inside the context's own.
  * - Uses `buildCtxProvider` to generate the provider wrapper.
  * - Errors are silently caught; no changes occur if an exception is thrown.
  *
  * @example
  * ```js
- * functionDeclarationReturnStatementVisitor(path, state, t, entry);
+ * functionDeclarationReturnStatementVisitor(path, state, t, providedContexts);
  * // Wraps the return value of a component function with its context provider
  * ```
  */
-export function functionDeclarationReturnStatementVisitor (path, state, t, entry) {
+export function functionDeclarationReturnStatementVisitor (path, state, t, contexts) {
     try {
-        const returnNode = path.node.argument;
-        if (!returnNode) return;
-        const stateName = entry.ctxName.replace(_CCTX_CMP_NAME_PREFIX, _CCTX_EMPTY);
-        buildCtxProvider(path, t, returnNode, state, stateName);
+        const returnNode = path.node.argument || t.nullLiteral();
+        if (!contexts.length || isProviderElement(returnNode, t, contexts[0].key)) return;
+        path.node.argument = returnNode;
+        [...contexts].reverse().forEach(context => {
+            if (context.setter) buildSetterCtxProvider(path, t, state, context.key);
+            buildCtxProvider(path, t, path.node.argument, state, context.key, undefined, context.store);
+        });
     } catch (e) {
         
     }   
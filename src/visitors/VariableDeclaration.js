@@ -6,17 +6,25 @@
  */
 
 /**
- * AST Literal & Expression Constants
- * @description These constants are used to evaluate the 'init' value of a variable.
- * Your library uses these to distinguish between simple state and complex logic.
+ * AST Key & Naming Constants
+ * @description Node keys and name hints used while registering and moving declarations.
  */
 import {
-    NUMERIC_LITERAL,  // e.g., 42
-    STRING_LITERAL,   // e.g., "hello"
-    BOOLEAN_LITERAL,  // e.g., true
-    ARRAY_EXPRESSION, // e.g., [1, 2, 3]
-    OBJECT_EXPRESSION,// e.g., { key: 'value' }
-    _CCTX_EMPTY       // Default fallback for uninitialized variables
+    _CCTX_INIT,       // 'init' key of variable declarators
+    _CCTX_VALUE,      // 'value' key of class properties
+    _CCTX_EMPTY,      // Default fallback for uninitialized variables
+    _CCTX_CONST,      // 'const' keyword of the generated destructuring in lazy initializers
+    _CCTX_ID,         // 'id' key of variable declarators
+    _CCTX_DECLARATIONS, // 'declarations' key of variable declarations
+    CASPER_TEMP_VALUE, // Name hint for values destructured into the state initializer
+    CASPER_GROUP_DIRECTIVE, // Leading comment putting a declaration in its own context
+    CASPER_WRITERS_DIRECTIVE, // Leading comment restricting who may write a declaration
+    CASPER_SYNC_DIRECTIVE, // Leading comment choosing how a declaration follows its initializer
+    SYNC_ONCE,        // Default policy: the initializer only seeds the state
+    SYNC_POLICIES,    // Every accepted policy
+    CASPER_EQUALS_DIRECTIVE, // Leading comment choosing how assigned values are compared
+    EQUALITY_IS,      // Default comparison: `Object.is`
+    EQUALITY_BUILT_INS // Comparisons provided by the runtime
 } from '../utils/constants';
 
 /**
@@ -25,85 +33,248 @@ import {
  * - isExcludeFile: Prevents tracking variables in ignored files or directories.
  * - registerVariable: The core method that saves variable metadata to the virtualRegistry.
  * - getFilePathHASH: Ensures variables are scoped to a unique file ID to prevent collisions.
+ * - getModuleScopeKey / isModuleScopeKey: Registry keys of the modules' top-level declarations.
+ * - getProjectRelativePath: Names the other module in conflicting declarations.
+ * - warn: Reports unknown synchronisation policies and comparisons.
  */
-import { isExcludeFile, registerVariable, getFilePathHASH } from '../utils/utilityHelpers';
+import { isExcludeFile, registerVariable, getFilePathHASH, getModuleScopeKey, isModuleScopeKey, getProjectRelativePath, warn } from '../utils/utilityHelpers';
 
 /**
  * Scope & Inheritance Helpers
  * @description
  * - getInheritantDecComponent: Traverses upward from a variable declaration to find 
  * the parent component name, ensuring the variable is correctly scoped to its owner.
+ * - buildStoreInitStatement: Seeds the root store from a module-level initializer.
  */
-import { getInheritantDecComponent } from '../utils/astHelpers';
+import { getInheritantDecComponent, buildStoreInitStatement } from '../utils/astHelpers';
 
 /**
+ * Class Scope Helpers
+ * @description
+ * - getClassScopeName: Resolves the registry name of a class component.
+ * - isClassComponent: Confirms that the class owning a casper field is a React class component.
+ * - isHookScopeName: Confirms that a casper action is declared in a component or custom hook.
+ */
+import { getClassScopeName, isClassComponent, isHookScopeName } from '../utils/scope';
+
+/**
+ * Pattern Helpers
+ * @description
+ * - mapPatternTargets: Rebuilds destructuring patterns with casper bindings redirected.
+ */
+import { mapPatternTargets } from '../transforms/stateTransform';
+
+/**
+ * Context Default Helpers
+ * @description
+ * - describeInitializer: Captures an initializer so the context module can reproduce it.
+ */
+import { describeInitializer } from '../transforms/contextTransform';
+
+/**
+ * Lists the casper variables bound by a declarator id.
+ *
+ * @param {Node} id - The declarator id: an identifier or an object / array pattern.
+ * @param {string} prefix - The configured casper prefix.
+ * @param {Object} t - Babel types helper (`@babel/types`).
+ *
+ * @returns {{casperNames: string[], allNames: string[]}} The prefixed binding names and all
+ *          binding names, in source order (nested patterns, defaults and rest elements included).
+ */
+function getDeclaredNames (id, prefix, t) {
+    const allNames = Object.keys(t.getBindingIdentifiers(id));
+    return { casperNames: allNames.filter(name => name.startsWith(prefix)), allNames };
+}
+
+/**
+ * Lists the comments that may carry directives for a declarator.
+ *
+ * @param {NodePath} path - Babel AST path for the `VariableDeclarator` node.
+ *
+ * @returns {Comment[]} The declarator's own leading comments first, then its declaration's.
+ */
+function getDirectiveComments (path) {
+    return [...(path.node.leadingComments || []), ...(path.parent.leadingComments || [])];
+}
+
+/**
+ * Finds the context group a component-level declaration is put in.
+ *
+ * @param {NodePath} path - Babel AST path for the `VariableDeclarator` node.
+ * @param {string[]} casperNames - The casper names the declarator binds.
+ * @param {Object} config - The casper configuration; its `groups` map group names to variable names.
+ *
+ * @returns {string|undefined} The group name, or `undefined` for the component's own context.
+ *
  * @important
- * **Classification Note:** When a variable is registered, its "Literal Type" determines 
- * how the subsequent `useState` hook is initialized. Non-literal initializers 
- * may require different handling during the `functionDeclarationExit` phase.
+ * - A leading `@casper-group session` comment (block or line) on the declarator or its declaration wins over
+ *   the configuration (`"groups": { "session": ["_$_user", "_$_token"] }`).
+ * - The names bound by one destructuring declaration always share a group, the one of its first
+ *   configured name, since they are initialised together.
  */
+function getDeclarationGroup (path, casperNames, config) {
+    const directive = new RegExp(`${CASPER_GROUP_DIRECTIVE}\\s+(\\w+)`);
+    for (const comment of getDirectiveComments(path)) {
+        const match = comment.value.match(directive);
+        if (match) return match[1];
+    }
+    const groups = Object.entries(config.groups || {});
+    for (const name of casperNames) {
+        const configured = groups.find(([, names]) => names.includes(name));
+        if (configured) return configured[0];
+    }
+    return undefined;
+}
 
 /**
- * Extracts the initial value of a variable from a Babel AST `VariableDeclarator` node.
+ * Finds the components allowed to write a variable besides the one declaring it.
  *
- * This function inspects the `init` property of a variable declaration and
- * attempts to determine its literal value. It handles primitive literals,
- * arrays, and objects with literal values. Non-literal or complex expressions
- * are flagged as `NON_LITERAL`.
+ * @param {NodePath} path - Babel AST path for the `VariableDeclarator` node.
+ * @param {string} name - The casper variable.
+ * @param {Object} config - The casper configuration; its `writers` map variable names to component names.
  *
- * @param {NodePath} path - Babel AST path for a `VariableDeclarator` node.
+ * @returns {string[]|undefined} The allowed components (empty: the declaring component only), or
+ *          `undefined` when anyone may write the variable.
+ *
+ * @important
+ * - A leading `@casper-writers Checkout, CartButton` comment applies to every name of the declaration
+ *   and wins over the configuration (`"writers": { "_$_cart": ["Checkout"] }`). A bare
+ *   `@casper-writers` keeps writes to the declaring component.
+ */
+function getDeclarationWriters (path, name, config) {
+    const directive = new RegExp(`${CASPER_WRITERS_DIRECTIVE}([^@\\n]*)`);
+    for (const comment of getDirectiveComments(path)) {
+        const match = comment.value.match(directive);
+        if (match) return match[1].match(/[\w$]+/g) || [];
+    }
+    return config.writers?.[name];
+}
+
+/**
+ * Finds how a component-level variable follows its initializer after the first render.
+ *
+ * @param {NodePath} path - Babel AST path for the `VariableDeclarator` node.
+ * @param {string} name - The casper variable.
+ * @param {Object} state - Plugin state, including the filename and configuration; the configuration's `sync`
+ *                        is a policy for every variable or a map of variable names to policies.
+ * @param {Object} t - Babel types helper (`@babel/types`).
+ *
+ * @returns {string|undefined} `always` or `untouched`, or `undefined` when the initializer only seeds
+ *          the state (`once`, the default). See `buildCtxUseStateDeclaration`.
+ *
+ * @important
+ * - A leading `@casper-sync untouched` comment wins over the configuration.
+ * - Literal initializers never change, so they are always seeded once.
+ * - An unknown policy is reported through `warn` and treated as `once`.
+ */
+function getDeclarationSync (path, name, state, t) {
+    const init = path.node.init;
+    if (!init || (t.isLiteral(init) && !init.expressions?.length)) return undefined;
+    const sync = state.casperConfig.sync;
+    let policy = typeof sync === 'string' ? sync : sync?.[name];
+    const directive = new RegExp(`${CASPER_SYNC_DIRECTIVE}\\s+(\\w+)`);
+    for (const comment of getDirectiveComments(path)) {
+        const match = comment.value.match(directive);
+        if (match) {
+            policy = match[1];
+            break;
+        }
+    }
+    if (!policy || policy === SYNC_ONCE) return undefined;
+    if (!SYNC_POLICIES.includes(policy)) {
+        warn(path, state.filename || _CCTX_EMPTY, `unknown sync policy \`${policy}\` for \`${name}\`; use one of ${SYNC_POLICIES.join(', ')}.`);
+        return undefined;
+    }
+    return policy;
+}
+
+/**
+ * Finds how a value assigned to a casper variable is compared with its current value.
+ *
+ * @param {NodePath} path - Babel AST path for the `VariableDeclarator` or `ClassProperty` node.
+ * @param {string} name - The casper variable.
+ * @param {Object} state - Plugin state, including the filename and configuration; the configuration's `equality`
+ *                        is a comparison for every variable or a map of variable names to comparisons.
+ * @param {boolean} [allowFunction] - Whether the comparison may be a function of the declaring module.
  *
- * @returns {any} The initial value of the variable:
- * - `number` for numeric literals
- * - `string` for string literals
- * - `boolean` for boolean literals
- * - `Array` of literal values for array expressions
- * - `Object` of literal key-value pairs for object expressions
- * - `NON_LITERAL` for other expressions or complex initializers
- * - `undefined` if the variable has no initializer
+ * @returns {string|undefined} `shallow` or the name of a function, or `undefined` for `Object.is` (the default).
+ *          An assignment the comparison finds equal to the current value is skipped (see `settleState`).
  *
  * @important
- * - Only inspects direct literal values. Nested expressions inside arrays or objects
- *   that are not literals will be ignored or marked as `null`.
- * - Errors during traversal or invalid AST nodes will return the current `initValue`.
+ * - A leading `@casper-equals shallow` comment wins over the configuration. `@casper-equals sameUser` names a
+ *   function `(current, next) => boolean` declared at the top level of the module, or imported.
+ * - The configuration only names the built-in comparisons (`is`, `shallow`); it cannot reach a module's functions.
+ * - Neither can the root store holding module-level variables, so a function named for one is reported
+ *   through `warn` and ignored.
+ */
+function getDeclarationEquality (path, name, state, allowFunction) {
+    const fileName = state.filename || _CCTX_EMPTY;
+    const equality = state.casperConfig.equality;
+    let comparison = typeof equality === 'string' ? equality : equality?.[name];
+    if (comparison && !EQUALITY_BUILT_INS.includes(comparison)) {
+        warn(path, fileName, `unknown comparison \`${comparison}\` for \`${name}\`; use one of ${EQUALITY_BUILT_INS.join(', ')}.`);
+        comparison = undefined;
+    }
+    const directive = new RegExp(`${CASPER_EQUALS_DIRECTIVE}\\s+([\\w$]+)`);
+    for (const comment of getDirectiveComments(path)) {
+        const match = comment.value.match(directive);
+        if (match) {
+            comparison = match[1];
+            break;
+        }
+    }
+    if (!comparison || comparison === EQUALITY_IS) return undefined;
+    if (!allowFunction && !EQUALITY_BUILT_INS.includes(comparison)) {
+        warn(path, fileName, `\`${name}\` is held by the root store, which cannot call \`${comparison}\`; it is compared with Object.is.`);
+        return undefined;
+    }
+    return comparison;
+}
+
+/**
+ * Tells whether a declaration's initializer makes it an action.
+ *
+ * @param {Node|null} init - The initializer.
+ * @param {Object} t - Babel types helper (`@babel/types`).
+ *
+ * @returns {boolean} `true` for arrow functions and function expressions.
+ */
+function isActionInit (init, t) {
+    return t.isArrowFunctionExpression(init) || t.isFunctionExpression(init);
+}
+
+/**
+ * @important
+ * **Default Value Note:** The registered default is what the generated context module
+ * uses as the `createContext` default. It is a description of the real initializer
+ * (see `describeInitializer`), not a JSON snapshot, so nested objects, `Date`, `NaN`,
+ * negative numbers, template literals and imported constants survive unchanged.
+ */
+
+/**
+ * Extracts the initial value of a variable from a Babel AST `VariableDeclarator` or `ClassProperty` node.
+ *
+ * @param {NodePath} path - Babel AST path for a `VariableDeclarator` node, or a `ClassProperty`
+ *                          node declaring a casper field on a class component.
+ * @param {Object} t - Babel types helper (`@babel/types`).
+ * @param {Object} state - Plugin state, including the filename and configuration.
+ *
+ * @returns {{code: string, imports: Array<Object>, lazy: boolean}|undefined}
+ * The initializer description used by the context module generator, or `undefined` if the
+ * variable has no initializer or the initializer depends on component-local values.
  *
  * @example
  * ```js
- * // For "const a = 5;" → returns 5
- * // For "const b = [1, 2];" → returns [1, 2]
- * // For "const c = { x: 1, y: 'a' };" → returns { x: 1, y: 'a' }
+ * // For "let a = -5;"            → { code: '-5', imports: [], lazy: false }
+ * // For "let b = new Date(0);"   → { code: 'new Date(0)', imports: [], lazy: true }
+ * // For "let c = props.initial;" → undefined
  * ```
  */
-function getVariableInitValue (path) {
-    let initValue = undefined;
+function getVariableInitValue (path, t, state) {
     try {
-        if (path.node.init) {
-            const valNode = path.node.init;
-            if (valNode.type === NUMERIC_LITERAL ||
-                valNode.type === STRING_LITERAL ||
-                valNode.type === BOOLEAN_LITERAL) {
-                initValue = valNode.value;
-            }
-            else if (valNode.type === ARRAY_EXPRESSION) {
-                initValue =
-                    valNode.elements.map(e => e.value ?? null);
-            }
-            else if (valNode.type === OBJECT_EXPRESSION) {
-                const obj = {};
-                for (const prop of valNode.properties) {
-                    if (prop.key && prop.value && prop.value.value !== undefined) {
-                        obj[prop.key.name || prop.key.value] = prop.value.value;
-                    }
-                }
-                initValue = obj;
-            }
-            else {
-                initValue = NON_LITERAL;
-            }
-        }
-        return initValue;
+        return describeInitializer(path.get(path.isClassProperty() ? _CCTX_VALUE : _CCTX_INIT), t, state);
     } catch (e) {
-        return initValue;
+        return undefined;
     }
 }
 
@@ -122,12 +293,30 @@ function getVariableInitValue (path) {
  *
  * @returns {void}
  * - Registers the variable in the `virtualRegistry` under the component hash.
- * - Sets `state.needsGblContext` if the variable belongs to a global context.
- * - Flags `state.needUseStateImport` if `useState` is not yet imported.
+ * - Does not require the context module: the Provider and the consumers do, once it is known whether
+ *   the variable is shared (see `getContextGroups`).
+ * - Flags `state.needUseStateImport` if React's namespace is not imported.
  *
  * @important
  * - Only processes variables whose names start with the configured prefix.
- * - Uses `getVariableInitValue` to determine the variable's initial value.
+ * - Object and array patterns are supported: every casper name they bind (`let { a: _$_a, b: _$_b } = defaults`,
+ *   `let [_$_x, ...others] = list`) is registered as its own variable.
+ * - Uses `getVariableInitValue` to determine the variable's initial value; names bound by a pattern
+ *   start as `undefined` in the context default.
+ * - Declarations at the top level of a module are registered under the module scope key
+ *   (`getModuleScopeKey`); they become app-wide variables held by the root store.
+ * - A component's declaration may name a context group (see `getDeclarationGroup`); its variables
+ *   then get a context of their own, so consumers of the other variables do not re-render when they change.
+ * - `const` declarations register read-only variables, at any level. A component's declaration may also
+ *   restrict which components write its variables (see `getDeclarationWriters`); both are enforced by
+ *   `resolveWriteTarget`.
+ * - A component's declaration initialised with a function (`const _$_logout = () => {...}`) registers an
+ *   action (see `actionDeclarationVisitor`) rather than a variable.
+ * - A plain (non-destructuring) component declaration may follow its initializer after the first render
+ *   (see `getDeclarationSync`). Directives are read here, before the declarations are moved into the state:
+ *   Babel hands the comments of removed declarations to their siblings.
+ * - Any declaration may choose how an assigned value is compared with the current one (see
+ *   `getDeclarationEquality`); equal assignments are skipped.
  * - Errors are silently caught; no action is taken if an exception occurs.
  *
  * @example
@@ -140,25 +329,307 @@ export default function variableDeclarationVisitor (path, state, t, virtualRegis
     try {
         const fileName = state.filename || _CCTX_EMPTY;
         if (!isExcludeFile(fileName, this.opts)) return;
-        if (path.node.id.name?.startsWith(state.casperConfig.prefix)) {
-            const inheritantCMP = getInheritantDecComponent(path);
-            if (!inheritantCMP) return;
-            const filePathHash = getFilePathHASH(fileName);
-            let _init_value = getVariableInitValue(path);
-            state.needsGblContext = true;
-            if (
-                !state.importState.reactId &&
-                !state.importState.useStateId
-            ) {
-                state.needUseStateImport = true
-            }
-            registerVariable(`${inheritantCMP}_${filePathHash}`, path.node.id.name, _init_value, virtualRegistry);
+        const id = path.node.id;
+        const { casperNames } = getDeclaredNames(id, state.casperConfig.prefix, t);
+        if (!casperNames.length) return;
+        const inheritantCMP = getInheritantDecComponent(path);
+        if (!inheritantCMP) {
+            if (!path.parentPath.parentPath?.isProgram()) return;
+            casperNames.forEach(name => {
+                const _init_value = t.isIdentifier(id) ? getVariableInitValue(path, t, state) : undefined;
+                registerVariable(getModuleScopeKey(fileName), name, _init_value, virtualRegistry, {
+                    readOnly: path.parent.kind === _CCTX_CONST,
+                    equality: getDeclarationEquality(path, name, state, false),
+                    initializer: path.node.init
+                        ? { code: t.isIdentifier(id) ? path.get(_CCTX_INIT).toString() : path.toString(), file: fileName }
+                        : undefined
+                });
+            });
+            return;
+        }
+        const filePathHash = getFilePathHASH(fileName);
+        // the generated hooks are called on React's namespace, not on a named `useState` import
+        if (!state.importState.reactId) {
+            state.needUseStateImport = true
         }
+        if (isActionInit(path.node.init, t) && t.isIdentifier(id)) {
+            registerVariable(`${inheritantCMP}_${filePathHash}`, id.name, undefined, virtualRegistry, { action: true });
+            return;
+        }
+        const group = getDeclarationGroup(path, casperNames, state.casperConfig);
+        const readOnly = path.parent.kind === _CCTX_CONST;
+        casperNames.forEach(name => {
+            const _init_value = t.isIdentifier(id) ? getVariableInitValue(path, t, state) : undefined;
+            registerVariable(`${inheritantCMP}_${filePathHash}`, name, _init_value, virtualRegistry, {
+                group,
+                readOnly,
+                writers: getDeclarationWriters(path, name, state.casperConfig),
+                sync: t.isIdentifier(id) ? getDeclarationSync(path, name, state, t) : undefined,
+                equality: getDeclarationEquality(path, name, state, true)
+            });
+        });
     } catch (e) {
        
     }
 }
 
+/**
+ * Compile error raised for an exported module-level casper variable (see `moduleVariableDeclarationVisitor`).
+ *
+ * @important
+ * - Built with `path.buildCodeFrameError`, so the bundler shows the declaration in a code frame.
+ * @private
+ */
+class CasperDeclarationError extends Error {
+    constructor (message) {
+        super(message);
+        this.name = 'CasperDeclarationError';
+    }
+}
+
+/**
+ * Finds another module declaring a module-level casper variable with a different initializer.
+ *
+ * @param {string} name - The casper variable.
+ * @param {string} fileName - The module being compiled.
+ * @param {Object<string, Object>} virtualRegistry - Registry of components and their registered variables.
+ *
+ * @returns {{code: string, file: string}|null} The other initializer and its module, or `null` when every
+ *          initialised declaration of the variable has the same source.
+ *
+ * @important
+ * - Declarations without an initializer (`let _$_mode;`) never conflict: they only use the variable.
+ */
+function findConflictingInitializer (name, fileName, virtualRegistry) {
+    const ownKey = getModuleScopeKey(fileName);
+    const own = virtualRegistry[ownKey]?.initializers?.[name];
+    if (!own) return null;
+    const conflict = Object.keys(virtualRegistry)
+        .filter(key => key !== ownKey && isModuleScopeKey(key))
+        .map(key => virtualRegistry[key].initializers?.[name])
+        .find(other => other && other.code !== own.code);
+    return conflict || null;
+}
+
+/**
+ * Visitor for top-level `VariableDeclaration` nodes that declare module-level casper variables.
+ *
+ * A module-level casper variable is held by the root store of the context module, not by the
+ * module itself, so its declaration is taken out of the module:
+ * ```js
+ * let _$_theme = 'dark';          // removed; the root store starts from 'dark'
+ * let _$_user = readSession(key); // _gblContext.rootStore.init("_$_user", readSession(key));
+ * ```
+ *
+ * @param {NodePath} path - Babel AST path for a `VariableDeclaration` node.
+ * @param {Object} state - Plugin state, including filename and configuration.
+ * @param {Object} t - Babel types helper (`@babel/types`).
+ * @param {Object<string, Object>} virtualRegistry - Registry of components and their registered variables.
+ *
+ * @returns {void}
+ *
+ * @important
+ * - Only declarations directly in the module body are handled; nested ones are not module-level
+ *   casper variables.
+ * - An exported declaration binding a casper name throws a `CasperDeclarationError`: the variable is
+ *   held by the root store, so the module would export nothing, and every file can use it unexported.
+ * - A declaration whose initializer differs from the one of another module declaring the same variable
+ *   throws a `CasperDeclarationError` too: they are one variable, and the root store could only start from one
+ *   of them (see `findConflictingInitializer`).
+ * - An initializer the context module could reproduce (see `describeInitializer`) is dropped, since
+ *   the store already starts from it. Any other initializer runs where it was written, once, and
+ *   seeds the store through `init`.
+ * - Destructuring declarations keep their non-casper bindings; casper slots bind temporaries that
+ *   seed the store.
+ * - Declarators are rewritten in order, so later declarators still see earlier variables.
+ * - Errors are silently caught.
+ */
+export function moduleVariableDeclarationVisitor (path, state, t, virtualRegistry) {
+    try {
+        const fileName = state.filename || _CCTX_EMPTY;
+        if (!isExcludeFile(fileName, this.opts)) return;
+        if (path.parentPath.isExportNamedDeclaration() && path.parentPath.parentPath.isProgram()) {
+            const exported = path.node.declarations
+                .flatMap(decl => getDeclaredNames(decl.id, state.casperConfig.prefix, t).casperNames);
+            if (exported.length) {
+                throw path.parentPath.buildCodeFrameError(
+                    `\`${exported[0]}\` is a module-level casper variable and cannot be exported: it is app-wide already. ` +
+                    `Remove \`export\` and use \`${exported[0]}\` directly in the other files.`,
+                    CasperDeclarationError
+                );
+            }
+            return;
+        }
+        if (!path.parentPath.isProgram()) return;
+        const moduleVarNames = virtualRegistry[getModuleScopeKey(fileName)]?.varNames || [];
+        if (!moduleVarNames.length) return;
+        const statements = [];
+        let hasCasperNames = false;
+        path.get(_CCTX_DECLARATIONS).forEach(declPath => {
+            const { id, init } = declPath.node;
+            const casperNames = getDeclaredNames(id, state.casperConfig.prefix, t).casperNames
+                .filter(name => moduleVarNames.includes(name));
+            if (!casperNames.length) {
+                statements.push(t.variableDeclaration(path.node.kind, [declPath.node]));
+                return;
+            }
+            hasCasperNames = true;
+            casperNames.forEach(name => {
+                const conflict = init && findConflictingInitializer(name, fileName, virtualRegistry);
+                if (!conflict) return;
+                throw declPath.buildCodeFrameError(
+                    `\`${name}\` is also declared in ${getProjectRelativePath(conflict.file)} with a different initial value ` +
+                    `(\`${conflict.code}\`). Module-level declarations of one name are the same variable: ` +
+                    `initialise it in one module only and declare it without a value (\`let ${name};\`) in the others.`,
+                    CasperDeclarationError
+                );
+            });
+            if (t.isIdentifier(id)) {
+                if (init && !getVariableInitValue(declPath, t, state)) {
+                    statements.push(buildStoreInitStatement(t, id.name, init));
+                }
+                return;
+            }
+            const temps = {};
+            const pattern = mapPatternTargets(t, id, node => {
+                if (!t.isIdentifier(node) || !casperNames.includes(node.name)) return t.cloneNode(node);
+                temps[node.name] = path.scope.generateUidIdentifier(CASPER_TEMP_VALUE);
+                return t.cloneNode(temps[node.name]);
+            });
+            statements.push(t.variableDeclaration(path.node.kind, [
+                t.variableDeclarator(pattern, init)
+            ]));
+            casperNames.forEach(name => statements.push(buildStoreInitStatement(t, name, t.cloneNode(temps[name]))));
+        });
+        if (!hasCasperNames) return;
+        state.needsGblContext = true;
+        if (statements.length) {
+            path.replaceWithMultiple(statements);
+        } else {
+            path.remove();
+        }
+    } catch (e) {
+        if (e instanceof CasperDeclarationError) throw e;
+    }
+}
+
+/**
+ * Visitor for `ClassProperty` nodes to register casper fields of class components.
+ *
+ * A class component declares casper variables as instance fields:
+ * ```js
+ * class Profile extends React.Component {
+ *   _$_user = 'guest';
+ *   render() { ... }
+ * }
+ * ```
+ * Each such field is registered under the class's registry key so that the class exit
+ * handler can move it into `this.state` and expose it through the class's Provider.
+ *
+ * @param {NodePath} path - Babel AST path for a `ClassProperty` node.
+ * @param {Object} state - Plugin state, including filename, import metadata, and configuration flags.
+ * @param {Object} t - Babel types helper (`@babel/types`) used to inspect or create AST nodes.
+ * @param {Object<string, Object>} virtualRegistry - Registry of components and their registered variables.
+ *
+ * @returns {void}
+ * - Registers the field in the `virtualRegistry` under `${className}_${fileHash}`.
+ * - Sets `state.needUseStateImport` if needed; the context module is required once the class renders a Provider.
+ *
+ * @important
+ * - Static, computed and private fields are ignored.
+ * - Only fields of classes accepted by `isClassComponent` are registered.
+ * - A field may choose how assigned values are compared (`@casper-equals`, see `getDeclarationEquality`).
+ * - Errors are silently caught; no action is taken if an exception occurs.
+ */
+export function classPropertyVisitor (path, state, t, virtualRegistry) {
+    try {
+        const fileName = state.filename || _CCTX_EMPTY;
+        if (!isExcludeFile(fileName, this.opts)) return;
+        if (path.node.static || path.node.computed || !t.isIdentifier(path.node.key)) return;
+        if (!path.node.key.name.startsWith(state.casperConfig.prefix)) return;
+        const classPath = path.parentPath.parentPath;
+        if (!isClassComponent(classPath)) return;
+        const className = getClassScopeName(classPath);
+        if (!className) return;
+        const filePathHash = getFilePathHASH(fileName);
+        if (!state.importState.reactId) {
+            state.needUseStateImport = true
+        }
+        registerVariable(`${className}_${filePathHash}`, path.node.key.name, getVariableInitValue(path, t, state), virtualRegistry, {
+            equality: getDeclarationEquality(path, path.node.key.name, state, true)
+        });
+    } catch (e) {
+
+    }
+}
+
+/**
+ * Visitor for `FunctionDeclaration` nodes to register casper actions.
+ *
+ * An action is a prefixed function declared in a function component or custom hook:
+ * ```js
+ * function Shop() {
+ *   let _$_cart = [];
+ *   function _$_addToCart(item) { _$_cart = [..._$_cart, item]; }
+ *   const _$_clearCart = () => { _$_cart = []; };  // registered by `variableDeclarationVisitor`
+ * }
+ * ```
+ * Descendants call it like any function (`_$_addToCart(item)`); it reaches them through the
+ * scope's actions context (see `getContextKey`).
+ *
+ * @param {NodePath} path - Babel AST path for a `FunctionDeclaration` node.
+ * @param {Object} state - Plugin state, including filename and configuration.
+ * @param {Object} t - Babel types helper (`@babel/types`).
+ * @param {Object<string, Object>} virtualRegistry - Registry of components and their registered variables.
+ *
+ * @returns {void}
+ *
+ * @important
+ * - Only functions declared in a component or hook count; module-level functions and class methods do not.
+ * - Actions have no context default: a component not rendered under the declaring one reads `undefined`.
+ * - Errors are silently caught; no action is taken if an exception occurs.
+ */
+export function actionDeclarationVisitor (path, state, t, virtualRegistry) {
+    try {
+        const fileName = state.filename || _CCTX_EMPTY;
+        if (!isExcludeFile(fileName, this.opts)) return;
+        const name = path.node.id?.name;
+        if (!name?.startsWith(state.casperConfig.prefix)) return;
+        const inheritantCMP = getInheritantDecComponent(path.parentPath);
+        if (!isHookScopeName(inheritantCMP)) return;
+        if (!state.importState.reactId) state.needUseStateImport = true;
+        registerVariable(`${inheritantCMP}_${getFilePathHASH(fileName)}`, name, undefined, virtualRegistry, { action: true });
+    } catch (e) {
+
+    }
+}
+
+/**
+ * Moves a casper action declared as a function into the actions of its component.
+ *
+ * @param {NodePath} path - Babel AST path for the action's `FunctionDeclaration` node.
+ * @param {Object} state - Plugin state, containing the configuration and flags.
+ * @param {Object} t - Babel types helper (`@babel/types`).
+ * @param {Array<Object>} localStateVars - Array collecting `{ name, init }`, shared with
+ *                                          `functionReturnVariableDelarationVisitor`.
+ *
+ * @returns {void}
+ *
+ * @important
+ * - The declaration becomes an anonymous function expression with the same parameters, body,
+ *   `async` and generator flags, and is removed from the body.
+ * - Actions declared with `const _$_x = () => {...}` are collected by `functionReturnVariableDelarationVisitor`.
+ */
+export function functionActionDeclarationVisitor (path, state, t, localStateVars) {
+    try {
+        const { id, params, body, generator, async } = path.node;
+        localStateVars.push({ name: id.name, init: t.functionExpression(null, params, body, generator, async) });
+        path.remove();
+    } catch (e) {
+
+    }
+}
+
 /**
  * Visitor for `VariableDeclarator` nodes inside a function's body to collect state variables.
  *
@@ -170,7 +641,7 @@ export default function variableDeclarationVisitor (path, state, t, virtualRegis
  * @param {NodePath} path - Babel AST path for a `VariableDeclarator` node.
  * @param {Object} state - Plugin state, containing the configuration and flags.
  * @param {Object} t - Babel types helper (`@babel/types`) used to inspect and manipulate AST nodes.
- * @param {Array<Object>} localStateVars - Array to collect state variables with `{ name, init }`.
+ * @param {Array<Object>} localStateVars - Array to collect state variables with `{ name, init, setup }`.
  *
  * @returns {void}
  * - Pushes matched variables into `localStateVars`.
@@ -178,6 +649,11 @@ export default function variableDeclarationVisitor (path, state, t, virtualRegis
  *
  * @important
  * - Only processes identifiers whose names match the configured prefix.
+ * - Destructuring declarations are moved into the state initializer: the pattern is re-declared
+ *   there (`setup`) with each casper binding redirected to a temporary, and each casper variable
+ *   is initialised from its temporary. Only the first variable of a pattern carries the `setup`.
+ * - If the pattern also binds regular variables, it stays in place for them and its casper slots
+ *   bind unused temporaries, so rest elements still exclude the same keys.
  * - Safely handles declarations with multiple declarators by removing only the matched one.
  * - Errors are silently caught; no action occurs if an exception is thrown.
  *
@@ -192,16 +668,39 @@ export function functionReturnVariableDelarationVisitor (path, state, t, localSt
     try {
         const id = path.node.id;
         const init = path.node.init;
-        if (!t.isIdentifier(id)) return;
-        if (id.name.startsWith(state.casperConfig.prefix)) {
+        const { casperNames, allNames } = getDeclaredNames(id, state.casperConfig.prefix, t);
+        if (!casperNames.length) return;
+        if (t.isIdentifier(id)) {
             localStateVars.push({ name: id.name, init });
-            // remove declaration line
-            if (t.isVariableDeclaration(path.parent)) {
-                if (path.parent.declarations.length === 1) {
-                    path.parentPath.remove();
-                } else {
-                    path.remove();
-                }
+        } else {
+            const temps = {};
+            const initPattern = mapPatternTargets(t, id, node => {
+                if (!t.isIdentifier(node) || !casperNames.includes(node.name)) return t.cloneNode(node);
+                temps[node.name] = path.scope.generateUidIdentifier(CASPER_TEMP_VALUE);
+                return t.cloneNode(temps[node.name]);
+            });
+            const setup = t.variableDeclaration(_CCTX_CONST, [
+                t.variableDeclarator(initPattern, t.cloneNode(init))
+            ]);
+            casperNames.forEach((name, index) => {
+                localStateVars.push({ name, init: temps[name], setup: index === 0 ? setup : undefined });
+            });
+            if (casperNames.length < allNames.length) {
+                // keep the non-casper bindings; casper slots bind unused temporaries
+                path.get(_CCTX_ID).replaceWith(mapPatternTargets(t, id, node =>
+                    t.isIdentifier(node) && casperNames.includes(node.name)
+                        ? path.scope.generateUidIdentifier(CASPER_TEMP_VALUE)
+                        : t.cloneNode(node)
+                ));
+                return;
+            }
+        }
+        // remove declaration line
+        if (t.isVariableDeclaration(path.parent)) {
+            if (path.parent.declarations.length === 1) {
+                path.parentPath.remove();
+            } else {
+                path.remove();
             }
         }
     } catch (e) {
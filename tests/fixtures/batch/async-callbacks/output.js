@@ -0,0 +1,75 @@
+//// src/Profile.jsx
+var _casperRuntime = require("babel-plugin-casper-context/runtime");
+var _gblContext = require("<rootDir>/src/scopeContext/gblContext.js");
+import React from 'react';
+import { batch } from 'babel-plugin-casper-context/runtime';
+export function Profile({
+  api
+}) {
+  const [profile_e9f2e9bc, setProfile_e9f2e9bc] = _casperRuntime.useScopeState(React, {
+    _$_user: null,
+    _$_orders: []
+  });
+  const profile_e9f2e9bc$value = (0, React.useMemo)(() => ({
+    profile_e9f2e9bc,
+    setProfile_e9f2e9bc
+  }), [profile_e9f2e9bc, setProfile_e9f2e9bc]);
+  const load = () => batch(async () => {
+    const _batch = _casperRuntime.currentBatch();
+    try {
+      let _value;
+      _value = _batch.enter(await _batch.leave(api.user())), setProfile_e9f2e9bc(prevState => ({
+        ...prevState,
+        _$_user: _value
+      }));
+      _batch.leave();
+      for await (const order of api.orders(_casperRuntime.latest(setProfile_e9f2e9bc, profile_e9f2e9bc)["_$_user"].id)) {
+        _batch.enter();
+        try {
+          let _value2;
+          _value2 = [..._casperRuntime.latest(setProfile_e9f2e9bc, profile_e9f2e9bc)["_$_orders"], order], setProfile_e9f2e9bc(prevState => ({
+            ...prevState,
+            _$_orders: _value2
+          }));
+        } finally {
+          _batch.leave();
+        }
+      }
+      _batch.enter();
+    } finally {
+      _batch.leave();
+    }
+  });
+  const reset = () => batch(() => {
+    setProfile_e9f2e9bc(prevState => ({
+      ...prevState,
+      _$_user: null,
+      _$_orders: []
+    }));
+  });
+  return React.createElement(_gblContext.Profile_e9f2e9bc.Provider, {
+    value: profile_e9f2e9bc$value
+  }, React.createElement(_gblContext.Profile_e9f2e9bc$$setter.Provider, {
+    value: setProfile_e9f2e9bc
+  }, /*#__PURE__*/React.createElement("button", {
+    onClick: load,
+    onDoubleClick: reset
+  }, profile_e9f2e9bc["_$_orders"].length)));
+}
+
+//// src/scopeContext/gblContext.js
+'use strict';
+
+Object.defineProperty(exports, '__esModule', {
+  value: true
+});
+exports.Profile_e9f2e9bc = exports.Profile_e9f2e9bc$$setter = void 0;
+var _react = require('react');
+const Profile_e9f2e9bc = exports.Profile_e9f2e9bc = /*#__PURE__*/(0, _react.createContext)({
+  profile_e9f2e9bc: {
+    _$_user: null,
+    _$_orders: []
+  },
+  setProfile_e9f2e9bc: () => {}
+});
+const Profile_e9f2e9bc$$setter = exports.Profile_e9f2e9bc$$setter = /*#__PURE__*/(0, _react.createContext)(() => {});
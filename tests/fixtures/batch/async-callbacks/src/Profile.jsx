@@ -0,0 +1,18 @@
+import React from 'react';
+import { batch } from 'babel-plugin-casper-context/runtime';
+
+export function Profile({ api }) {
+    let _$_user = null;
+    let _$_orders = [];
+    const load = () => batch(async () => {
+        _$_user = await api.user();
+        for await (const order of api.orders(_$_user.id)) {
+            _$_orders = [..._$_orders, order];
+        }
+    });
+    const reset = () => batch(() => {
+        _$_user = null;
+        _$_orders = [];
+    });
+    return <button onClick={load} onDoubleClick={reset}>{_$_orders.length}</button>;
+}
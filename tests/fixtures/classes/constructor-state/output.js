@@ -0,0 +1,49 @@
+//// src/Counter.jsx
+var _casperRuntime = require("babel-plugin-casper-context/runtime");
+var _gblContext = require("<rootDir>/src/scopeContext/gblContext.js");
+import React from 'react';
+export class Counter extends React.Component {
+  CTX_Counter_025cc80a$value = _casperRuntime.memoizeLast(state => ({
+    counter_025cc80a: state,
+    setCounter_025cc80a: this.setCounter_025cc80a
+  }));
+  setCounter_025cc80a = _casperRuntime.createClassSetter(this);
+  constructor(props) {
+    super(props);
+    this.state = {
+      step: props.step,
+      _$_count: 0
+    };
+  }
+  render() {
+    return React.createElement(_gblContext.Counter_025cc80a.Provider, {
+      value: this.CTX_Counter_025cc80a$value(this.state)
+    }, React.createElement(_gblContext.Counter_025cc80a$$setter.Provider, {
+      value: this.setCounter_025cc80a
+    }, /*#__PURE__*/React.createElement("button", {
+      onClick: () => {
+        let _value;
+        _value = this.state.step, this.setCounter_025cc80a(prevState => ({
+          ...prevState,
+          _$_count: prevState["_$_count"] + _value
+        }));
+      }
+    }, this.state["_$_count"])));
+  }
+}
+
+//// src/scopeContext/gblContext.js
+'use strict';
+
+Object.defineProperty(exports, '__esModule', {
+  value: true
+});
+exports.Counter_025cc80a = exports.Counter_025cc80a$$setter = void 0;
+var _react = require('react');
+const Counter_025cc80a = exports.Counter_025cc80a = /*#__PURE__*/(0, _react.createContext)({
+  counter_025cc80a: {
+    _$_count: 0
+  },
+  setCounter_025cc80a: () => {}
+});
+const Counter_025cc80a$$setter = exports.Counter_025cc80a$$setter = /*#__PURE__*/(0, _react.createContext)(() => {});
@@ -0,0 +1,14 @@
+import React from 'react';
+
+export class Counter extends React.Component {
+    _$_count = 0;
+
+    constructor(props) {
+        super(props);
+        this.state = { step: props.step };
+    }
+
+    render() {
+        return <button onClick={() => { _$_count += this.state.step; }}>{_$_count}</button>;
+    }
+}
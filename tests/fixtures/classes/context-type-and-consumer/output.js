@@ -0,0 +1,67 @@
+//// src/Badge.jsx
+var _gblContext = require("<rootDir>/src/scopeContext/gblContext.js");
+import React from 'react';
+export const Theme = /*#__PURE__*/React.createContext('light');
+export class Badge extends React.Component {
+  static contextType = _gblContext.Profile_e9f2e9bc;
+  render() {
+    return /*#__PURE__*/React.createElement("b", {
+      onClick: () => {
+        this.context.setProfile_e9f2e9bc(prevState => ({
+          ...prevState,
+          _$_user: 'Casper'
+        }));
+      }
+    }, this.context.profile_e9f2e9bc["_$_user"]);
+  }
+}
+export class ThemedBadge extends React.Component {
+  static contextType = Theme;
+  render() {
+    return React.createElement(_gblContext.Profile_e9f2e9bc.Consumer, null, CTX_Profile_e9f2e9bc => {
+      this.CTX_Profile_e9f2e9bc = CTX_Profile_e9f2e9bc;
+      return /*#__PURE__*/React.createElement("b", {
+        className: this.context
+      }, this.CTX_Profile_e9f2e9bc.profile_e9f2e9bc["_$_user"]);
+    });
+  }
+}
+
+//// src/Profile.jsx
+var _casperRuntime = require("babel-plugin-casper-context/runtime");
+var _gblContext = require("<rootDir>/src/scopeContext/gblContext.js");
+import React from 'react';
+import { Badge, ThemedBadge } from './Badge';
+export class Profile extends React.Component {
+  CTX_Profile_e9f2e9bc$value = _casperRuntime.memoizeLast(state => ({
+    profile_e9f2e9bc: state,
+    setProfile_e9f2e9bc: this.setProfile_e9f2e9bc
+  }));
+  setProfile_e9f2e9bc = _casperRuntime.createClassSetter(this);
+  state = {
+    _$_user: 'guest'
+  };
+  render() {
+    return React.createElement(_gblContext.Profile_e9f2e9bc.Provider, {
+      value: this.CTX_Profile_e9f2e9bc$value(this.state)
+    }, React.createElement(_gblContext.Profile_e9f2e9bc$$setter.Provider, {
+      value: this.setProfile_e9f2e9bc
+    }, /*#__PURE__*/React.createElement("div", null, /*#__PURE__*/React.createElement(Badge, null), /*#__PURE__*/React.createElement(ThemedBadge, null))));
+  }
+}
+
+//// src/scopeContext/gblContext.js
+'use strict';
+
+Object.defineProperty(exports, '__esModule', {
+  value: true
+});
+exports.Profile_e9f2e9bc = exports.Profile_e9f2e9bc$$setter = void 0;
+var _react = require('react');
+const Profile_e9f2e9bc = exports.Profile_e9f2e9bc = /*#__PURE__*/(0, _react.createContext)({
+  profile_e9f2e9bc: {
+    _$_user: 'guest'
+  },
+  setProfile_e9f2e9bc: () => {}
+});
+const Profile_e9f2e9bc$$setter = exports.Profile_e9f2e9bc$$setter = /*#__PURE__*/(0, _react.createContext)(() => {});
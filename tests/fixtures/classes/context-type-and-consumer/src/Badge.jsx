@@ -0,0 +1,17 @@
+import React from 'react';
+
+export const Theme = React.createContext('light');
+
+export class Badge extends React.Component {
+    render() {
+        return <b onClick={() => { _$_user = 'Casper'; }}>{_$_user}</b>;
+    }
+}
+
+export class ThemedBadge extends React.Component {
+    static contextType = Theme;
+
+    render() {
+        return <b className={this.context}>{_$_user}</b>;
+    }
+}
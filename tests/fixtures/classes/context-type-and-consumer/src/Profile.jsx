@@ -0,0 +1,10 @@
+import React from 'react';
+import { Badge, ThemedBadge } from './Badge';
+
+export class Profile extends React.Component {
+    _$_user = 'guest';
+
+    render() {
+        return <div><Badge /><ThemedBadge /></div>;
+    }
+}
@@ -0,0 +1,52 @@
+//// src/Profile.jsx
+var _casperRuntime = require("babel-plugin-casper-context/runtime");
+var _gblContext = require("<rootDir>/src/scopeContext/gblContext.js");
+import React from 'react';
+export class Profile extends React.Component {
+  CTX_Profile_e9f2e9bc$value = _casperRuntime.memoizeLast(state => ({
+    profile_e9f2e9bc: state,
+    setProfile_e9f2e9bc: this.setProfile_e9f2e9bc
+  }));
+  setProfile_e9f2e9bc = _casperRuntime.createClassSetter(this);
+  state = {
+    open: false,
+    _$_user: 'guest',
+    _$_visits: 0
+  };
+  rename = () => {
+    this.setProfile_e9f2e9bc(prevState => ({
+      ...prevState,
+      _$_user: 'Casper',
+      _$_visits: prevState["_$_visits"] + 1
+    }));
+    this.setState({
+      open: true
+    });
+  };
+  render() {
+    return React.createElement(_gblContext.Profile_e9f2e9bc.Provider, {
+      value: this.CTX_Profile_e9f2e9bc$value(this.state)
+    }, React.createElement(_gblContext.Profile_e9f2e9bc$$setter.Provider, {
+      value: this.setProfile_e9f2e9bc
+    }, /*#__PURE__*/React.createElement("b", {
+      onClick: this.rename
+    }, this.state.open ? this.state["_$_user"] : this.state["_$_visits"])));
+  }
+}
+
+//// src/scopeContext/gblContext.js
+'use strict';
+
+Object.defineProperty(exports, '__esModule', {
+  value: true
+});
+exports.Profile_e9f2e9bc = exports.Profile_e9f2e9bc$$setter = void 0;
+var _react = require('react');
+const Profile_e9f2e9bc = exports.Profile_e9f2e9bc = /*#__PURE__*/(0, _react.createContext)({
+  profile_e9f2e9bc: {
+    _$_user: 'guest',
+    _$_visits: 0
+  },
+  setProfile_e9f2e9bc: () => {}
+});
+const Profile_e9f2e9bc$$setter = exports.Profile_e9f2e9bc$$setter = /*#__PURE__*/(0, _react.createContext)(() => {});
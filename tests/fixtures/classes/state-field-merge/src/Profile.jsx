@@ -0,0 +1,17 @@
+import React from 'react';
+
+export class Profile extends React.Component {
+    state = { open: false };
+    _$_user = 'guest';
+    _$_visits = 0;
+
+    rename = () => {
+        _$_user = 'Casper';
+        this._$_visits += 1;
+        this.setState({ open: true });
+    };
+
+    render() {
+        return <b onClick={this.rename}>{this.state.open ? _$_user : this._$_visits}</b>;
+    }
+}
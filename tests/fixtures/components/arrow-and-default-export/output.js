@@ -0,0 +1,60 @@
+//// src/App.jsx
+var _casperRuntime = require("babel-plugin-casper-context/runtime");
+var _gblContext = require("<rootDir>/src/scopeContext/gblContext.js");
+import React from 'react';
+import Toolbar from './Toolbar';
+export const App = () => {
+  const [app_be648094, setApp_be648094] = _casperRuntime.useScopeState(React, {
+    _$_theme: 'dark'
+  });
+  const app_be648094$value = (0, React.useMemo)(() => ({
+    app_be648094,
+    setApp_be648094
+  }), [app_be648094, setApp_be648094]);
+  return React.createElement(_gblContext.App_be648094.Provider, {
+    value: app_be648094$value
+  }, React.createElement(_gblContext.App_be648094$$setter.Provider, {
+    value: setApp_be648094
+  }, /*#__PURE__*/React.createElement(Toolbar, null)));
+};
+export const Footer = function () {
+  const CTX_App_be648094 = (0, React.useContext)(_gblContext.App_be648094);
+  return /*#__PURE__*/React.createElement("small", null, CTX_App_be648094.app_be648094["_$_theme"]);
+};
+
+//// src/Toolbar.jsx
+var _casperRuntime = require("babel-plugin-casper-context/runtime");
+var _gblContext = require("<rootDir>/src/scopeContext/gblContext.js");
+import React from 'react';
+export default () => {
+  const CTX_App_be648094 = (0, React.useContext)(_gblContext.App_be648094);
+  const toggle = () => {
+    let _value;
+    _value = _casperRuntime.latest(CTX_App_be648094.setApp_be648094, CTX_App_be648094.app_be648094)["_$_theme"] === 'dark' ? 'light' : 'dark', CTX_App_be648094.setApp_be648094(prevState => ({
+      ...prevState,
+      _$_theme: _value
+    }));
+  };
+  return /*#__PURE__*/React.createElement("button", {
+    onClick: toggle
+  }, CTX_App_be648094.app_be648094["_$_theme"]);
+};
+
+//// src/scopeContext/gblContext.js
+'use strict';
+
+Object.defineProperty(exports, '__esModule', {
+  value: true
+});
+exports.App_be648094 = exports.App_be648094$$setter = void 0;
+var _react = require('react');
+const App_be648094 = exports.App_be648094 = /*#__PURE__*/(0, _react.createContext)({
+  app_be648094: {
+    _$_theme: 'dark'
+  },
+  setApp_be648094: () => {}
+});
+const App_be648094$$setter = exports.App_be648094$$setter = /*#__PURE__*/(0, _react.createContext)(() => {});
+
+//// warnings
+[casper-context] <rootDir>/src/App.jsx:10:20 `_$_theme` is declared by `App`, but `Footer` is not rendered under it (no known component renders it); it reads the initial value and its writes never reach `App`.
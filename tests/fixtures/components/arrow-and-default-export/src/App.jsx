@@ -0,0 +1,11 @@
+import React from 'react';
+import Toolbar from './Toolbar';
+
+export const App = () => {
+    let _$_theme = 'dark';
+    return <Toolbar />;
+};
+
+export const Footer = function () {
+    return <small>{_$_theme}</small>;
+};
@@ -0,0 +1,8 @@
+import React from 'react';
+
+export default () => {
+    const toggle = () => {
+        _$_theme = _$_theme === 'dark' ? 'light' : 'dark';
+    };
+    return <button onClick={toggle}>{_$_theme}</button>;
+};
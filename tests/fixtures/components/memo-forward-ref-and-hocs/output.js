@@ -0,0 +1,119 @@
+//// src/Card.jsx
+var _casperRuntime = require("babel-plugin-casper-context/runtime");
+var _gblContext = require("<rootDir>/src/scopeContext/gblContext.js");
+import React, { memo, forwardRef } from 'react';
+import { Field } from './Field';
+export const Card = /*#__PURE__*/React.memo(() => {
+  const [card_f85070c6, setCard_f85070c6] = _casperRuntime.useScopeState(React, {
+    _$_title: 'Card'
+  });
+  const card_f85070c6$value = (0, React.useMemo)(() => ({
+    card_f85070c6,
+    setCard_f85070c6
+  }), [card_f85070c6, setCard_f85070c6]);
+  return React.createElement(_gblContext.Card_f85070c6.Provider, {
+    value: card_f85070c6$value
+  }, React.createElement(_gblContext.Card_f85070c6$$setter.Provider, {
+    value: setCard_f85070c6
+  }, /*#__PURE__*/React.createElement(React.Fragment, null, /*#__PURE__*/React.createElement(Field, null), /*#__PURE__*/React.createElement(Input, null))));
+});
+export const Input = /*#__PURE__*/memo(/*#__PURE__*/forwardRef((props, ref) => {
+  const CTX_Card_f85070c6 = (0, React.useContext)(_gblContext.Card_f85070c6);
+  return /*#__PURE__*/React.createElement("input", {
+    ref: ref,
+    value: CTX_Card_f85070c6.card_f85070c6["_$_title"],
+    onChange: event => {
+      let _value;
+      _value = event.target.value, CTX_Card_f85070c6.setCard_f85070c6(prevState => ({
+        ...prevState,
+        _$_title: _value
+      }));
+    }
+  });
+}));
+
+//// src/Field.jsx
+var _gblContext = require("<rootDir>/src/scopeContext/gblContext.js");
+import React, { forwardRef } from 'react';
+export const Field = /*#__PURE__*/forwardRef(function Field(props, ref) {
+  const CTX_Card_f85070c6 = (0, React.useContext)(_gblContext.Card_f85070c6);
+  return /*#__PURE__*/React.createElement("label", {
+    ref: ref
+  }, CTX_Card_f85070c6.card_f85070c6["_$_title"]);
+});
+
+//// src/hocs.js
+export const withRouter = Component => Component;
+export const connect = () => Component => Component;
+
+//// src/page.jsx
+var _casperRuntime = require("babel-plugin-casper-context/runtime");
+var _gblContext = require("<rootDir>/src/scopeContext/gblContext.js");
+import React from 'react';
+import { withRouter, connect } from './hocs';
+const mapState = state => state;
+export const Settings = connect(mapState)(function Settings() {
+  const [settings_ab4002c7, setSettings_ab4002c7] = _casperRuntime.useScopeState(React, {
+    _$_saved: false
+  });
+  const settings_ab4002c7$value = (0, React.useMemo)(() => ({
+    settings_ab4002c7,
+    setSettings_ab4002c7
+  }), [settings_ab4002c7, setSettings_ab4002c7]);
+  return React.createElement(_gblContext.Settings_ab4002c7.Provider, {
+    value: settings_ab4002c7$value
+  }, React.createElement(_gblContext.Settings_ab4002c7$$setter.Provider, {
+    value: setSettings_ab4002c7
+  }, /*#__PURE__*/React.createElement("button", {
+    onClick: () => {
+      setSettings_ab4002c7(prevState => ({
+        ...prevState,
+        _$_saved: true
+      }));
+    }
+  }, String(settings_ab4002c7["_$_saved"]))));
+});
+export default withRouter(() => {
+  const [page_ab4002c7, setPage_ab4002c7] = _casperRuntime.useScopeState(React, {
+    _$_query: ''
+  });
+  const page_ab4002c7$value = (0, React.useMemo)(() => ({
+    page_ab4002c7,
+    setPage_ab4002c7
+  }), [page_ab4002c7, setPage_ab4002c7]);
+  return React.createElement(_gblContext.Page_ab4002c7.Provider, {
+    value: page_ab4002c7$value
+  }, React.createElement(_gblContext.Page_ab4002c7$$setter.Provider, {
+    value: setPage_ab4002c7
+  }, /*#__PURE__*/React.createElement(Settings, null)));
+});
+
+//// src/scopeContext/gblContext.js
+'use strict';
+
+Object.defineProperty(exports, '__esModule', {
+  value: true
+});
+exports.Card_f85070c6 = exports.Card_f85070c6$$setter = exports.Settings_ab4002c7 = exports.Settings_ab4002c7$$setter = exports.Page_ab4002c7 = exports.Page_ab4002c7$$setter = void 0;
+var _react = require('react');
+const Card_f85070c6 = exports.Card_f85070c6 = /*#__PURE__*/(0, _react.createContext)({
+  card_f85070c6: {
+    _$_title: 'Card'
+  },
+  setCard_f85070c6: () => {}
+});
+const Card_f85070c6$$setter = exports.Card_f85070c6$$setter = /*#__PURE__*/(0, _react.createContext)(() => {});
+const Settings_ab4002c7 = exports.Settings_ab4002c7 = /*#__PURE__*/(0, _react.createContext)({
+  settings_ab4002c7: {
+    _$_saved: false
+  },
+  setSettings_ab4002c7: () => {}
+});
+const Settings_ab4002c7$$setter = exports.Settings_ab4002c7$$setter = /*#__PURE__*/(0, _react.createContext)(() => {});
+const Page_ab4002c7 = exports.Page_ab4002c7 = /*#__PURE__*/(0, _react.createContext)({
+  page_ab4002c7: {
+    _$_query: ''
+  },
+  setPage_ab4002c7: () => {}
+});
+const Page_ab4002c7$$setter = exports.Page_ab4002c7$$setter = /*#__PURE__*/(0, _react.createContext)(() => {});
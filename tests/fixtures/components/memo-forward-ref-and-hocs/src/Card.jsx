@@ -0,0 +1,11 @@
+import React, { memo, forwardRef } from 'react';
+import { Field } from './Field';
+
+export const Card = React.memo(() => {
+    let _$_title = 'Card';
+    return <><Field /><Input /></>;
+});
+
+export const Input = memo(forwardRef((props, ref) => {
+    return <input ref={ref} value={_$_title} onChange={event => { _$_title = event.target.value; }} />;
+}));
@@ -0,0 +1,5 @@
+import React, { forwardRef } from 'react';
+
+export const Field = forwardRef(function Field(props, ref) {
+    return <label ref={ref}>{_$_title}</label>;
+});
@@ -0,0 +1,2 @@
+export const withRouter = Component => Component;
+export const connect = () => Component => Component;
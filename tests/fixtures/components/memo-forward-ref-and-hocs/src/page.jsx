@@ -0,0 +1,14 @@
+import React from 'react';
+import { withRouter, connect } from './hocs';
+
+const mapState = state => state;
+
+export const Settings = connect(mapState)(function Settings() {
+    let _$_saved = false;
+    return <button onClick={() => { _$_saved = true; }}>{String(_$_saved)}</button>;
+});
+
+export default withRouter(() => {
+    let _$_query = '';
+    return <Settings />;
+});
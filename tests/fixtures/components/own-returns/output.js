@@ -0,0 +1,119 @@
+//// src/List.jsx
+var _casperRuntime = require("babel-plugin-casper-context/runtime");
+var _gblContext = require("<rootDir>/src/scopeContext/gblContext.js");
+import React from 'react';
+function renderEmpty(label) {
+  return /*#__PURE__*/React.createElement("p", null, label);
+}
+export function List({
+  items,
+  loading
+}) {
+  const [list_4dbfcaa0, setList_4dbfcaa0] = _casperRuntime.useScopeState(React, {
+    _$_selected: null
+  });
+  const list_4dbfcaa0$value = (0, React.useMemo)(() => ({
+    list_4dbfcaa0,
+    setList_4dbfcaa0
+  }), [list_4dbfcaa0, setList_4dbfcaa0]);
+  if (loading) return React.createElement(_gblContext.List_4dbfcaa0.Provider, {
+    value: list_4dbfcaa0$value
+  }, React.createElement(_gblContext.List_4dbfcaa0$$setter.Provider, {
+    value: setList_4dbfcaa0
+  }, null));
+  if (!items.length) {
+    return React.createElement(_gblContext.List_4dbfcaa0.Provider, {
+      value: list_4dbfcaa0$value
+    }, React.createElement(_gblContext.List_4dbfcaa0$$setter.Provider, {
+      value: setList_4dbfcaa0
+    }, renderEmpty('Nothing here')));
+  }
+  const onPick = item => () => {
+    setList_4dbfcaa0(prevState => ({
+      ...prevState,
+      _$_selected: item
+    }));
+    return item;
+  };
+  const renderRow = function (item) {
+    return /*#__PURE__*/React.createElement("li", {
+      key: item,
+      onClick: onPick(item)
+    }, item);
+  };
+  if (items.length === 1) return React.createElement(_gblContext.List_4dbfcaa0.Provider, {
+    value: list_4dbfcaa0$value
+  }, React.createElement(_gblContext.List_4dbfcaa0$$setter.Provider, {
+    value: setList_4dbfcaa0
+  }, null));
+  return React.createElement(_gblContext.List_4dbfcaa0.Provider, {
+    value: list_4dbfcaa0$value
+  }, React.createElement(_gblContext.List_4dbfcaa0$$setter.Provider, {
+    value: setList_4dbfcaa0
+  }, /*#__PURE__*/React.createElement("ul", null, items.map(item => {
+    if (item === list_4dbfcaa0["_$_selected"]) return /*#__PURE__*/React.createElement("li", {
+      key: item
+    }, /*#__PURE__*/React.createElement("b", null, item));
+    return renderRow(item);
+  }))));
+}
+
+//// src/Panel.jsx
+var _casperRuntime = require("babel-plugin-casper-context/runtime");
+var _gblContext = require("<rootDir>/src/scopeContext/gblContext.js");
+import React from 'react';
+export class Panel extends React.Component {
+  CTX_Panel_3887f7d4$value = _casperRuntime.memoizeLast(state => ({
+    panel_3887f7d4: state,
+    setPanel_3887f7d4: this.setPanel_3887f7d4
+  }));
+  setPanel_3887f7d4 = _casperRuntime.createClassSetter(this);
+  state = {
+    _$_open: false
+  };
+  render() {
+    if (!this.props.visible) return React.createElement(_gblContext.Panel_3887f7d4.Provider, {
+      value: this.CTX_Panel_3887f7d4$value(this.state)
+    }, React.createElement(_gblContext.Panel_3887f7d4$$setter.Provider, {
+      value: this.setPanel_3887f7d4
+    }, null));
+    const toggle = () => {
+      let _value;
+      _value = !_casperRuntime.latest(this.setPanel_3887f7d4, this.state)["_$_open"], this.setPanel_3887f7d4(prevState => ({
+        ...prevState,
+        _$_open: _value
+      }));
+      return _casperRuntime.latest(this.setPanel_3887f7d4, this.state)["_$_open"];
+    };
+    return React.createElement(_gblContext.Panel_3887f7d4.Provider, {
+      value: this.CTX_Panel_3887f7d4$value(this.state)
+    }, React.createElement(_gblContext.Panel_3887f7d4$$setter.Provider, {
+      value: this.setPanel_3887f7d4
+    }, /*#__PURE__*/React.createElement("section", {
+      onClick: toggle
+    }, this.state["_$_open"] && this.props.children)));
+  }
+}
+
+//// src/scopeContext/gblContext.js
+'use strict';
+
+Object.defineProperty(exports, '__esModule', {
+  value: true
+});
+exports.List_4dbfcaa0 = exports.List_4dbfcaa0$$setter = exports.Panel_3887f7d4 = exports.Panel_3887f7d4$$setter = void 0;
+var _react = require('react');
+const List_4dbfcaa0 = exports.List_4dbfcaa0 = /*#__PURE__*/(0, _react.createContext)({
+  list_4dbfcaa0: {
+    _$_selected: null
+  },
+  setList_4dbfcaa0: () => {}
+});
+const List_4dbfcaa0$$setter = exports.List_4dbfcaa0$$setter = /*#__PURE__*/(0, _react.createContext)(() => {});
+const Panel_3887f7d4 = exports.Panel_3887f7d4 = /*#__PURE__*/(0, _react.createContext)({
+  panel_3887f7d4: {
+    _$_open: false
+  },
+  setPanel_3887f7d4: () => {}
+});
+const Panel_3887f7d4$$setter = exports.Panel_3887f7d4$$setter = /*#__PURE__*/(0, _react.createContext)(() => {});
@@ -0,0 +1,25 @@
+import React from 'react';
+
+function renderEmpty(label) {
+    return <p>{label}</p>;
+}
+
+export function List({ items, loading }) {
+    let _$_selected = null;
+    if (loading) return null;
+    if (!items.length) {
+        return renderEmpty('Nothing here');
+    }
+    const onPick = item => () => {
+        _$_selected = item;
+        return item;
+    };
+    const renderRow = function (item) {
+        return <li key={item} onClick={onPick(item)}>{item}</li>;
+    };
+    if (items.length === 1) return;
+    return <ul>{items.map(item => {
+        if (item === _$_selected) return <li key={item}><b>{item}</b></li>;
+        return renderRow(item);
+    })}</ul>;
+}
@@ -0,0 +1,13 @@
+import React from 'react';
+
+export class Panel extends React.Component {
+    _$_open = false;
+    render() {
+        if (!this.props.visible) return null;
+        const toggle = () => {
+            this._$_open = !this._$_open;
+            return this._$_open;
+        };
+        return <section onClick={toggle}>{this._$_open && this.props.children}</section>;
+    }
+}
@@ -0,0 +1,85 @@
+//// src/Cart.jsx
+var _gblContext = require("<rootDir>/src/scopeContext/gblContext.js");
+import React from 'react';
+export function Cart() {
+  const CTX_Shop_fc2fc352$$readonly = (0, React.useContext)(_gblContext.Shop_fc2fc352$$readonly);
+  const CTX_Shop_fc2fc352 = (0, React.useContext)(_gblContext.Shop_fc2fc352);
+  const CTX_Shop_fc2fc352$$actions = (0, React.useContext)(_gblContext.Shop_fc2fc352$$actions);
+  return /*#__PURE__*/React.createElement("button", {
+    onClick: () => CTX_Shop_fc2fc352$$actions.shop_fc2fc352$$actions["_$_addItem"]({})
+  }, CTX_Shop_fc2fc352.shop_fc2fc352["_$_items"].length, " ", CTX_Shop_fc2fc352$$readonly.shop_fc2fc352$$readonly["_$_currency"].symbol);
+}
+
+//// src/Shop.jsx
+var _casperRuntime = require("babel-plugin-casper-context/runtime");
+var _gblContext = require("<rootDir>/src/scopeContext/gblContext.js");
+import React from 'react';
+import { Cart } from './Cart';
+export function Shop() {
+  const [shop_fc2fc352, setShop_fc2fc352] = _casperRuntime.useScopeState(React, {
+    _$_items: []
+  });
+  const shop_fc2fc352$value = (0, React.useMemo)(() => ({
+    shop_fc2fc352,
+    setShop_fc2fc352
+  }), [shop_fc2fc352, setShop_fc2fc352]);
+  const [shop_fc2fc352$$readonly, setShop_fc2fc352$$readonly] = _casperRuntime.useScopeState(React, {
+    _$_currency: {
+      code: 'EUR',
+      symbol: '€'
+    }
+  });
+  const shop_fc2fc352$$readonly$value = (0, React.useMemo)(() => ({
+    shop_fc2fc352$$readonly
+  }), [shop_fc2fc352$$readonly]);
+  const shop_fc2fc352$$actions = _casperRuntime.useActions(React, {
+    _$_addItem: function (item) {
+      let _value;
+      _value = [..._casperRuntime.latest(setShop_fc2fc352, shop_fc2fc352)["_$_items"], item], setShop_fc2fc352(prevState => ({
+        ...prevState,
+        _$_items: _value
+      }));
+    }
+  });
+  const shop_fc2fc352$$actions$value = (0, React.useMemo)(() => ({
+    shop_fc2fc352$$actions
+  }), [shop_fc2fc352$$actions]);
+  return React.createElement(_gblContext.Shop_fc2fc352.Provider, {
+    value: shop_fc2fc352$value
+  }, React.createElement(_gblContext.Shop_fc2fc352$$setter.Provider, {
+    value: setShop_fc2fc352
+  }, React.createElement(_gblContext.Shop_fc2fc352$$readonly.Provider, {
+    value: shop_fc2fc352$$readonly$value
+  }, React.createElement(_gblContext.Shop_fc2fc352$$actions.Provider, {
+    value: shop_fc2fc352$$actions$value
+  }, /*#__PURE__*/React.createElement(Cart, null)))));
+}
+
+//// src/scopeContext/gblContext.js
+'use strict';
+
+Object.defineProperty(exports, '__esModule', {
+  value: true
+});
+exports.Shop_fc2fc352 = exports.Shop_fc2fc352$$setter = exports.Shop_fc2fc352$$readonly = exports.Shop_fc2fc352$$actions = void 0;
+var _react = require('react');
+const Shop_fc2fc352 = exports.Shop_fc2fc352 = /*#__PURE__*/(0, _react.createContext)({
+  shop_fc2fc352: {
+    _$_items: []
+  },
+  setShop_fc2fc352: () => {}
+});
+const Shop_fc2fc352$$setter = exports.Shop_fc2fc352$$setter = /*#__PURE__*/(0, _react.createContext)(() => {});
+const Shop_fc2fc352$$readonly = exports.Shop_fc2fc352$$readonly = /*#__PURE__*/(0, _react.createContext)({
+  shop_fc2fc352$$readonly: {
+    _$_currency: {
+      code: 'EUR',
+      symbol: '€'
+    }
+  }
+});
+const Shop_fc2fc352$$actions = exports.Shop_fc2fc352$$actions = /*#__PURE__*/(0, _react.createContext)({
+  shop_fc2fc352$$actions: {
+    _$_addItem: () => {}
+  }
+});
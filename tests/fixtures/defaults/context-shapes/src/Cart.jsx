@@ -0,0 +1,5 @@
+import React from 'react';
+
+export function Cart() {
+    return <button onClick={() => _$_addItem({})}>{_$_items.length} {_$_currency.symbol}</button>;
+}
@@ -0,0 +1,11 @@
+import React from 'react';
+import { Cart } from './Cart';
+
+export function Shop() {
+    let _$_items = [];
+    const _$_currency = { code: 'EUR', symbol: '€' };
+    function _$_addItem(item) {
+        _$_items = [..._$_items, item];
+    }
+    return <Cart />;
+}
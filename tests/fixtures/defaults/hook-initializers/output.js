@@ -0,0 +1,80 @@
+//// src/Order.jsx
+var _casperRuntime = require("babel-plugin-casper-context/runtime");
+var _gblContext = require("<rootDir>/src/scopeContext/gblContext.js");
+import React, { useContext } from 'react';
+import { useParams } from 'react-router';
+import { Theme } from './theme';
+export function Order() {
+  const {
+    total: _value,
+    lines: _value2 = []
+  } = useCart();
+  const _init = useParams().id;
+  const _init2 = useContext(Theme);
+  const [order_73ab054c, setOrder_73ab054c] = _casperRuntime.useScopeState(React, () => {
+    const {
+      name: _value3
+    } = loadDefaults();
+    return {
+      _$_id: _init,
+      _$_theme: _init2,
+      _$_total: _value,
+      _$_lines: _value2,
+      _$_since: new Date(0),
+      _$_name: _value3
+    };
+  });
+  const order_73ab054c$value = (0, React.useMemo)(() => ({
+    order_73ab054c,
+    setOrder_73ab054c
+  }), [order_73ab054c, setOrder_73ab054c]);
+  return React.createElement(_gblContext.Order_73ab054c.Provider, {
+    value: order_73ab054c$value
+  }, React.createElement(_gblContext.Order_73ab054c$$setter.Provider, {
+    value: setOrder_73ab054c
+  }, /*#__PURE__*/React.createElement("p", null, order_73ab054c["_$_id"], " ", order_73ab054c["_$_theme"], " ", order_73ab054c["_$_total"], " ", order_73ab054c["_$_lines"].length, " ", order_73ab054c["_$_since"].getTime(), " ", order_73ab054c["_$_name"])));
+}
+function useCart() {
+  return React.useMemo(() => ({
+    total: 0
+  }), []);
+}
+function loadDefaults() {
+  return {
+    name: 'order'
+  };
+}
+
+//// src/theme.js
+import { createContext } from 'react';
+export const Theme = /*#__PURE__*/createContext('light');
+
+//// src/scopeContext/gblContext.js
+'use strict';
+
+Object.defineProperty(exports, '__esModule', {
+  value: true
+});
+exports.Order_73ab054c = exports.Order_73ab054c$$setter = void 0;
+var _react = require('react');
+function _casperDefine(target, key, value) {
+  Object.defineProperty(target, key, { value, writable: true, enumerable: true, configurable: true });
+  return value;
+}
+function _casperInteropDefault(module) {
+  return module && module.__esModule ? module.default : module;
+}
+const Order_73ab054c = exports.Order_73ab054c = /*#__PURE__*/(0, _react.createContext)({
+  order_73ab054c: {
+    _$_id: undefined,
+    _$_theme: undefined,
+    _$_total: undefined,
+    _$_lines: undefined,
+    get _$_since() {
+      return _casperDefine(this, "_$_since", new Date(0));
+    },
+    _$_name: undefined
+  },
+  setOrder_73ab054c: () => {}
+});
+const Order_73ab054c$$setter = exports.Order_73ab054c$$setter = /*#__PURE__*/(0, _react.createContext)(() => {});
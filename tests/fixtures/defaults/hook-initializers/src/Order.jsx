@@ -0,0 +1,20 @@
+import React, { useContext } from 'react';
+import { useParams } from 'react-router';
+import { Theme } from './theme';
+
+export function Order() {
+    let _$_id = useParams().id;
+    let _$_theme = useContext(Theme);
+    let { total: _$_total, lines: _$_lines = [] } = useCart();
+    let _$_since = new Date(0);
+    let { name: _$_name } = loadDefaults();
+    return <p>{_$_id} {_$_theme} {_$_total} {_$_lines.length} {_$_since.getTime()} {_$_name}</p>;
+}
+
+function useCart() {
+    return React.useMemo(() => ({ total: 0 }), []);
+}
+
+function loadDefaults() {
+    return { name: 'order' };
+}
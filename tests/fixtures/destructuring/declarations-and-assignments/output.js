@@ -0,0 +1,77 @@
+//// src/Pair.jsx
+var _casperRuntime = require("babel-plugin-casper-context/runtime");
+var _gblContext = require("<rootDir>/src/scopeContext/gblContext.js");
+import React from 'react';
+const defaults = {
+  a: 1,
+  b: 2
+};
+export function Pair() {
+  const [pair_2c45e973, setPair_2c45e973] = _casperRuntime.useScopeState(React, () => {
+    const {
+      a: _value5,
+      b: _value6 = 2
+    } = defaults;
+    const [_value7, ..._value8] = [0, 1, 2];
+    return {
+      _$_a: _value5,
+      _$_b: _value6,
+      _$_first: _value7,
+      _$_rest: _value8
+    };
+  });
+  const pair_2c45e973$value = (0, React.useMemo)(() => ({
+    pair_2c45e973,
+    setPair_2c45e973
+  }), [pair_2c45e973, setPair_2c45e973]);
+  const swap = () => {
+    let _value, _value2;
+    [_value, _value2] = [_casperRuntime.latest(setPair_2c45e973, pair_2c45e973)["_$_b"], _casperRuntime.latest(setPair_2c45e973, pair_2c45e973)["_$_a"]], setPair_2c45e973(prevState => ({
+      ...prevState,
+      _$_a: _value,
+      _$_b: _value2
+    }));
+  };
+  const reset = next => {
+    let _value3, _value4;
+    ({
+      first: _value3,
+      rest: _value4 = []
+    } = next), setPair_2c45e973(prevState => ({
+      ...prevState,
+      _$_first: _value3,
+      _$_rest: _value4
+    }));
+  };
+  return React.createElement(_gblContext.Pair_2c45e973.Provider, {
+    value: pair_2c45e973$value
+  }, React.createElement(_gblContext.Pair_2c45e973$$setter.Provider, {
+    value: setPair_2c45e973
+  }, /*#__PURE__*/React.createElement("button", {
+    onClick: () => {
+      swap();
+      reset({
+        first: 5
+      });
+    }
+  }, pair_2c45e973["_$_a"] + pair_2c45e973["_$_b"] + pair_2c45e973["_$_first"] + pair_2c45e973["_$_rest"].length)));
+}
+
+//// src/scopeContext/gblContext.js
+'use strict';
+
+Object.defineProperty(exports, '__esModule', {
+  value: true
+});
+exports.Pair_2c45e973 = exports.Pair_2c45e973$$setter = void 0;
+var _react = require('react');
+const Pair_2c45e973 = exports.Pair_2c45e973 = /*#__PURE__*/(0, _react.createContext)({
+  pair_2c45e973: {
+    _$_a: undefined,
+    _$_b: undefined,
+    _$_first: undefined,
+    _$_rest: undefined
+  },
+  setPair_2c45e973: () => {}
+});
+const Pair_2c45e973$$setter = exports.Pair_2c45e973$$setter = /*#__PURE__*/(0, _react.createContext)(() => {});
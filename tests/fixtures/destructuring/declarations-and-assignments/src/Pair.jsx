@@ -0,0 +1,15 @@
+import React from 'react';
+
+const defaults = { a: 1, b: 2 };
+
+export function Pair() {
+    let { a: _$_a, b: _$_b = 2 } = defaults;
+    let [_$_first, ..._$_rest] = [0, 1, 2];
+    const swap = () => {
+        [_$_a, _$_b] = [_$_b, _$_a];
+    };
+    const reset = next => {
+        ({ first: _$_first, rest: _$_rest = [] } = next);
+    };
+    return <button onClick={() => { swap(); reset({ first: 5 }); }}>{_$_a + _$_b + _$_first + _$_rest.length}</button>;
+}
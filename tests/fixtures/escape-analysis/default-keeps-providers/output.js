@@ -0,0 +1,92 @@
+//// src/App.jsx
+var _casperRuntime = require("babel-plugin-casper-context/runtime");
+var _gblContext = require("<rootDir>/src/scopeContext/gblContext.js");
+import React from 'react';
+import { Toolbar } from './Toolbar';
+export function App() {
+  const [app_be648094, setApp_be648094] = _casperRuntime.useScopeState(React, {
+    _$_theme: 'light',
+    _$_clicks: 0
+  });
+  const app_be648094$value = (0, React.useMemo)(() => ({
+    app_be648094,
+    setApp_be648094
+  }), [app_be648094, setApp_be648094]);
+  return React.createElement(_gblContext.App_be648094.Provider, {
+    value: app_be648094$value
+  }, React.createElement(_gblContext.App_be648094$$setter.Provider, {
+    value: setApp_be648094
+  }, /*#__PURE__*/React.createElement("main", {
+    onClick: () => {
+      setApp_be648094(prevState => ({
+        ...prevState,
+        _$_clicks: prevState["_$_clicks"] + 1
+      }));
+    }
+  }, app_be648094["_$_clicks"], /*#__PURE__*/React.createElement(Toolbar, null))));
+}
+
+//// src/Counter.jsx
+var _casperRuntime = require("babel-plugin-casper-context/runtime");
+var _gblContext = require("<rootDir>/src/scopeContext/gblContext.js");
+import React from 'react';
+export function Counter() {
+  const [counter_025cc80a, setCounter_025cc80a] = _casperRuntime.useScopeState(React, {
+    _$_count: 0
+  });
+  const counter_025cc80a$value = (0, React.useMemo)(() => ({
+    counter_025cc80a,
+    setCounter_025cc80a
+  }), [counter_025cc80a, setCounter_025cc80a]);
+  return React.createElement(_gblContext.Counter_025cc80a.Provider, {
+    value: counter_025cc80a$value
+  }, React.createElement(_gblContext.Counter_025cc80a$$setter.Provider, {
+    value: setCounter_025cc80a
+  }, /*#__PURE__*/React.createElement("button", {
+    onClick: () => {
+      setCounter_025cc80a(prevState => ({
+        ...prevState,
+        _$_count: prevState["_$_count"] + 1
+      }));
+    }
+  }, counter_025cc80a["_$_count"])));
+}
+
+//// src/Toolbar.jsx
+var _gblContext = require("<rootDir>/src/scopeContext/gblContext.js");
+import React from 'react';
+export function Toolbar() {
+  const CTX_App_be648094 = (0, React.useContext)(_gblContext.App_be648094);
+  return /*#__PURE__*/React.createElement("button", {
+    onClick: () => {
+      CTX_App_be648094.setApp_be648094(prevState => ({
+        ...prevState,
+        _$_theme: 'dark'
+      }));
+    }
+  }, CTX_App_be648094.app_be648094["_$_theme"]);
+}
+
+//// src/scopeContext/gblContext.js
+'use strict';
+
+Object.defineProperty(exports, '__esModule', {
+  value: true
+});
+exports.App_be648094 = exports.App_be648094$$setter = exports.Counter_025cc80a = exports.Counter_025cc80a$$setter = void 0;
+var _react = require('react');
+const App_be648094 = exports.App_be648094 = /*#__PURE__*/(0, _react.createContext)({
+  app_be648094: {
+    _$_theme: 'light',
+    _$_clicks: 0
+  },
+  setApp_be648094: () => {}
+});
+const App_be648094$$setter = exports.App_be648094$$setter = /*#__PURE__*/(0, _react.createContext)(() => {});
+const Counter_025cc80a = exports.Counter_025cc80a = /*#__PURE__*/(0, _react.createContext)({
+  counter_025cc80a: {
+    _$_count: 0
+  },
+  setCounter_025cc80a: () => {}
+});
+const Counter_025cc80a$$setter = exports.Counter_025cc80a$$setter = /*#__PURE__*/(0, _react.createContext)(() => {});
@@ -0,0 +1,8 @@
+import React from 'react';
+import { Toolbar } from './Toolbar';
+
+export function App() {
+    let _$_theme = 'light';
+    let _$_clicks = 0;
+    return <main onClick={() => { _$_clicks++; }}>{_$_clicks}<Toolbar /></main>;
+}
@@ -0,0 +1,74 @@
+//// src/App.jsx
+var _casperRuntime = require("babel-plugin-casper-context/runtime");
+var _gblContext = require("<rootDir>/src/scopeContext/gblContext.js");
+import React from 'react';
+import { Toolbar } from './Toolbar';
+export function App() {
+  const [app_be648094, setApp_be648094] = _casperRuntime.useScopeState(React, {
+    _$_theme: 'light'
+  });
+  const app_be648094$value = (0, React.useMemo)(() => ({
+    app_be648094,
+    setApp_be648094
+  }), [app_be648094, setApp_be648094]);
+  const [app_be648094$$local, setApp_be648094$$local] = _casperRuntime.useScopeState(React, {
+    _$_clicks: 0
+  });
+  return React.createElement(_gblContext.App_be648094.Provider, {
+    value: app_be648094$value
+  }, /*#__PURE__*/React.createElement("main", {
+    onClick: () => {
+      setApp_be648094$$local(prevState => ({
+        ...prevState,
+        _$_clicks: prevState["_$_clicks"] + 1
+      }));
+    }
+  }, app_be648094$$local["_$_clicks"], /*#__PURE__*/React.createElement(Toolbar, null)));
+}
+
+//// src/Counter.jsx
+var _casperRuntime = require("babel-plugin-casper-context/runtime");
+import React from 'react';
+export function Counter() {
+  const [counter_025cc80a$$local, setCounter_025cc80a$$local] = _casperRuntime.useScopeState(React, {
+    _$_count: 0
+  });
+  return /*#__PURE__*/React.createElement("button", {
+    onClick: () => {
+      setCounter_025cc80a$$local(prevState => ({
+        ...prevState,
+        _$_count: prevState["_$_count"] + 1
+      }));
+    }
+  }, counter_025cc80a$$local["_$_count"]);
+}
+
+//// src/Toolbar.jsx
+var _gblContext = require("<rootDir>/src/scopeContext/gblContext.js");
+import React from 'react';
+export function Toolbar() {
+  const CTX_App_be648094 = (0, React.useContext)(_gblContext.App_be648094);
+  return /*#__PURE__*/React.createElement("button", {
+    onClick: () => {
+      CTX_App_be648094.setApp_be648094(prevState => ({
+        ...prevState,
+        _$_theme: 'dark'
+      }));
+    }
+  }, CTX_App_be648094.app_be648094["_$_theme"]);
+}
+
+//// src/scopeContext/gblContext.js
+'use strict';
+
+Object.defineProperty(exports, '__esModule', {
+  value: true
+});
+exports.App_be648094 = void 0;
+var _react = require('react');
+const App_be648094 = exports.App_be648094 = /*#__PURE__*/(0, _react.createContext)({
+  app_be648094: {
+    _$_theme: 'light'
+  },
+  setApp_be648094: () => {}
+});
@@ -0,0 +1,6 @@
+import React from 'react';
+
+export function Counter() {
+    let _$_count = 0;
+    return <button onClick={() => { _$_count += 1; }}>{_$_count}</button>;
+}
@@ -0,0 +1,5 @@
+import React from 'react';
+
+export function Toolbar() {
+    return <button onClick={() => { _$_theme = 'dark'; }}>{_$_theme}</button>;
+}
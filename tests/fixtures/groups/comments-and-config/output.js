@@ -0,0 +1,149 @@
+//// src/App.jsx
+var _casperRuntime = require("babel-plugin-casper-context/runtime");
+var _gblContext = require("<rootDir>/src/scopeContext/gblContext.js");
+import React from 'react';
+import { Cursor, Avatar, Settings } from './Panels';
+export function App({
+  readSession
+}) {
+  const [app_be648094, setApp_be648094] = _casperRuntime.useScopeState(React, {
+    _$_lang: 'en'
+  });
+  const app_be648094$value = (0, React.useMemo)(() => ({
+    app_be648094,
+    setApp_be648094
+  }), [app_be648094, setApp_be648094]);
+  const [app_be648094$look, setApp_be648094$look] = _casperRuntime.useScopeState(React, {
+    _$_theme: 'dark'
+  });
+  const app_be648094$look$value = (0, React.useMemo)(() => ({
+    app_be648094$look,
+    setApp_be648094$look
+  }), [app_be648094$look, setApp_be648094$look]);
+  const [app_be648094$pointer, setApp_be648094$pointer] = _casperRuntime.useScopeState(React, {
+    _$_x: 0,
+    _$_y: 0
+  });
+  const app_be648094$pointer$value = (0, React.useMemo)(() => ({
+    app_be648094$pointer,
+    setApp_be648094$pointer
+  }), [app_be648094$pointer, setApp_be648094$pointer]);
+  const [app_be648094$session, setApp_be648094$session] = _casperRuntime.useScopeState(React, () => {
+    const {
+      user: _value,
+      token: _value2
+    } = readSession();
+    return {
+      _$_user: _value,
+      _$_token: _value2
+    };
+  });
+  const app_be648094$session$value = (0, React.useMemo)(() => ({
+    app_be648094$session,
+    setApp_be648094$session
+  }), [app_be648094$session, setApp_be648094$session]);
+  /* @casper-group look */
+
+  /* @casper-group pointer */
+
+  return React.createElement(_gblContext.App_be648094.Provider, {
+    value: app_be648094$value
+  }, React.createElement(_gblContext.App_be648094$$setter.Provider, {
+    value: setApp_be648094
+  }, React.createElement(_gblContext.App_be648094$look.Provider, {
+    value: app_be648094$look$value
+  }, React.createElement(_gblContext.App_be648094$look$$setter.Provider, {
+    value: setApp_be648094$look
+  }, React.createElement(_gblContext.App_be648094$pointer.Provider, {
+    value: app_be648094$pointer$value
+  }, React.createElement(_gblContext.App_be648094$pointer$$setter.Provider, {
+    value: setApp_be648094$pointer
+  }, React.createElement(_gblContext.App_be648094$session.Provider, {
+    value: app_be648094$session$value
+  }, React.createElement(_gblContext.App_be648094$session$$setter.Provider, {
+    value: setApp_be648094$session
+  }, /*#__PURE__*/React.createElement(React.Fragment, null, /*#__PURE__*/React.createElement(Cursor, null), /*#__PURE__*/React.createElement(Avatar, null), /*#__PURE__*/React.createElement(Settings, null))))))))));
+}
+
+//// src/Panels.jsx
+var _gblContext = require("<rootDir>/src/scopeContext/gblContext.js");
+import React from 'react';
+export function Cursor() {
+  const CTX_App_be648094$pointer = (0, React.useContext)(_gblContext.App_be648094$pointer);
+  return /*#__PURE__*/React.createElement("div", {
+    onMouseMove: event => {
+      let _value, _value2;
+      _value = event.clientX, _value2 = event.clientY, CTX_App_be648094$pointer.setApp_be648094$pointer(prevState => ({
+        ...prevState,
+        _$_x: _value,
+        _$_y: _value2
+      }));
+    }
+  }, CTX_App_be648094$pointer.app_be648094$pointer["_$_x"], ", ", CTX_App_be648094$pointer.app_be648094$pointer["_$_y"]);
+}
+export function Avatar() {
+  const CTX_App_be648094$session = (0, React.useContext)(_gblContext.App_be648094$session);
+  return /*#__PURE__*/React.createElement("img", {
+    alt: CTX_App_be648094$session.app_be648094$session["_$_user"].name,
+    onClick: () => {
+      CTX_App_be648094$session.setApp_be648094$session(prevState => ({
+        ...prevState,
+        _$_token: null
+      }));
+    }
+  });
+}
+export function Settings() {
+  const CTX_App_be648094$look = (0, React.useContext)(_gblContext.App_be648094$look);
+  const CTX_App_be648094 = (0, React.useContext)(_gblContext.App_be648094);
+  return /*#__PURE__*/React.createElement("select", {
+    value: CTX_App_be648094.app_be648094["_$_lang"],
+    className: CTX_App_be648094$look.app_be648094$look["_$_theme"],
+    onChange: event => {
+      let _value3;
+      _value3 = event.target.value, CTX_App_be648094.setApp_be648094(prevState => ({
+        ...prevState,
+        _$_lang: _value3
+      }));
+    }
+  });
+}
+
+//// src/scopeContext/gblContext.js
+'use strict';
+
+Object.defineProperty(exports, '__esModule', {
+  value: true
+});
+exports.App_be648094 = exports.App_be648094$$setter = exports.App_be648094$look = exports.App_be648094$look$$setter = exports.App_be648094$pointer = exports.App_be648094$pointer$$setter = exports.App_be648094$session = exports.App_be648094$session$$setter = void 0;
+var _react = require('react');
+const App_be648094 = exports.App_be648094 = /*#__PURE__*/(0, _react.createContext)({
+  app_be648094: {
+    _$_lang: 'en'
+  },
+  setApp_be648094: () => {}
+});
+const App_be648094$$setter = exports.App_be648094$$setter = /*#__PURE__*/(0, _react.createContext)(() => {});
+const App_be648094$look = exports.App_be648094$look = /*#__PURE__*/(0, _react.createContext)({
+  app_be648094$look: {
+    _$_theme: 'dark'
+  },
+  setApp_be648094$look: () => {}
+});
+const App_be648094$look$$setter = exports.App_be648094$look$$setter = /*#__PURE__*/(0, _react.createContext)(() => {});
+const App_be648094$pointer = exports.App_be648094$pointer = /*#__PURE__*/(0, _react.createContext)({
+  app_be648094$pointer: {
+    _$_x: 0,
+    _$_y: 0
+  },
+  setApp_be648094$pointer: () => {}
+});
+const App_be648094$pointer$$setter = exports.App_be648094$pointer$$setter = /*#__PURE__*/(0, _react.createContext)(() => {});
+const App_be648094$session = exports.App_be648094$session = /*#__PURE__*/(0, _react.createContext)({
+  app_be648094$session: {
+    _$_user: undefined,
+    _$_token: undefined
+  },
+  setApp_be648094$session: () => {}
+});
+const App_be648094$session$$setter = exports.App_be648094$session$$setter = /*#__PURE__*/(0, _react.createContext)(() => {});
@@ -0,0 +1,12 @@
+import React from 'react';
+import { Cursor, Avatar, Settings } from './Panels';
+
+export function App({ readSession }) {
+    /* @casper-group look */
+    let _$_theme = 'dark';
+    let _$_lang = 'en';
+    /* @casper-group pointer */
+    let _$_x = 0, _$_y = 0;
+    let { user: _$_user, token: _$_token } = readSession();
+    return <><Cursor /><Avatar /><Settings /></>;
+}
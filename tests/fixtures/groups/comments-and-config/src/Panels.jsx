@@ -0,0 +1,13 @@
+import React from 'react';
+
+export function Cursor() {
+    return <div onMouseMove={event => { _$_x = event.clientX; _$_y = event.clientY; }}>{_$_x}, {_$_y}</div>;
+}
+
+export function Avatar() {
+    return <img alt={_$_user.name} onClick={() => { _$_token = null; }} />;
+}
+
+export function Settings() {
+    return <select value={_$_lang} className={_$_theme} onChange={event => { _$_lang = event.target.value; }} />;
+}
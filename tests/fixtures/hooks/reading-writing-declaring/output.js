@@ -0,0 +1,102 @@
+//// src/App.jsx
+var _casperRuntime = require("babel-plugin-casper-context/runtime");
+var _gblContext = require("<rootDir>/src/scopeContext/gblContext.js");
+import React from 'react';
+import { useCart, useAddToCart } from './hooks';
+export function App() {
+  const [app_be648094, setApp_be648094] = _casperRuntime.useScopeState(React, {
+    _$_items: []
+  });
+  const app_be648094$value = (0, React.useMemo)(() => ({
+    app_be648094,
+    setApp_be648094
+  }), [app_be648094, setApp_be648094]);
+  const {
+    count,
+    opened,
+    toggle
+  } = useCart();
+  return React.createElement(_gblContext.App_be648094.Provider, {
+    value: app_be648094$value
+  }, React.createElement(_gblContext.App_be648094$$setter.Provider, {
+    value: setApp_be648094
+  }, /*#__PURE__*/React.createElement(Shop, {
+    count: count,
+    opened: opened,
+    onToggle: toggle
+  })));
+}
+function Shop({
+  count,
+  opened,
+  onToggle
+}) {
+  const add = useAddToCart();
+  return /*#__PURE__*/React.createElement("button", {
+    onClick: () => add('book'),
+    onDoubleClick: onToggle
+  }, count, " ", opened && /*#__PURE__*/React.createElement(Drawer, null));
+}
+function Drawer() {
+  const CTX_useCart_95b96dc3 = (0, React.useContext)(_gblContext.useCart_95b96dc3);
+  return /*#__PURE__*/React.createElement("aside", null, String(CTX_useCart_95b96dc3.useCart_95b96dc3["_$_opened"]));
+}
+
+//// src/hooks.js
+var _casperRuntime = require("babel-plugin-casper-context/runtime");
+var _gblContext = require("<rootDir>/src/scopeContext/gblContext.js");
+var _react = require("react");
+export function useCart() {
+  const [useCart_95b96dc3, setuseCart_95b96dc3] = _casperRuntime.useScopeState(_react, {
+    _$_opened: false
+  });
+  const CTX_App_be648094 = (0, _react.useContext)(_gblContext.App_be648094);
+  const toggle = () => {
+    let _value;
+    _value = !_casperRuntime.latest(setuseCart_95b96dc3, useCart_95b96dc3)["_$_opened"], setuseCart_95b96dc3(prevState => ({
+      ...prevState,
+      _$_opened: _value
+    }));
+  };
+  return {
+    count: CTX_App_be648094.app_be648094["_$_items"].length,
+    opened: useCart_95b96dc3["_$_opened"],
+    toggle
+  };
+}
+export function useAddToCart() {
+  const CTX_App_be648094 = (0, _react.useContext)(_gblContext.App_be648094);
+  return item => {
+    let _value2;
+    _value2 = [..._casperRuntime.latest(CTX_App_be648094.setApp_be648094, CTX_App_be648094.app_be648094)["_$_items"], item], CTX_App_be648094.setApp_be648094(prevState => ({
+      ...prevState,
+      _$_items: _value2
+    }));
+  };
+}
+
+//// src/scopeContext/gblContext.js
+'use strict';
+
+Object.defineProperty(exports, '__esModule', {
+  value: true
+});
+exports.App_be648094 = exports.App_be648094$$setter = exports.useCart_95b96dc3 = exports.useCart_95b96dc3$$setter = void 0;
+var _react = require('react');
+const App_be648094 = exports.App_be648094 = /*#__PURE__*/(0, _react.createContext)({
+  app_be648094: {
+    _$_items: []
+  },
+  setApp_be648094: () => {}
+});
+const App_be648094$$setter = exports.App_be648094$$setter = /*#__PURE__*/(0, _react.createContext)(() => {});
+const useCart_95b96dc3 = exports.useCart_95b96dc3 = /*#__PURE__*/(0, _react.createContext)({
+  useCart_95b96dc3: {
+    _$_opened: false
+  },
+  setuseCart_95b96dc3: () => {}
+});
+const useCart_95b96dc3$$setter = exports.useCart_95b96dc3$$setter = /*#__PURE__*/(0, _react.createContext)(() => {});
+
+//// warnings
+[casper-context] <rootDir>/src/App.jsx:16:27 `_$_opened` is declared by the hook `useCart`, which provides it to no component; `Drawer` reads the initial value and its writes never reach the hook.
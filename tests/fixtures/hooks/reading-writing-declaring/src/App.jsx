@@ -0,0 +1,17 @@
+import React from 'react';
+import { useCart, useAddToCart } from './hooks';
+
+export function App() {
+    let _$_items = [];
+    const { count, opened, toggle } = useCart();
+    return <Shop count={count} opened={opened} onToggle={toggle} />;
+}
+
+function Shop({ count, opened, onToggle }) {
+    const add = useAddToCart();
+    return <button onClick={() => add('book')} onDoubleClick={onToggle}>{count} {opened && <Drawer />}</button>;
+}
+
+function Drawer() {
+    return <aside>{String(_$_opened)}</aside>;
+}
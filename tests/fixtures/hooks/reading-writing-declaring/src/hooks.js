@@ -0,0 +1,13 @@
+export function useCart() {
+    let _$_opened = false;
+    const toggle = () => {
+        _$_opened = !_$_opened;
+    };
+    return { count: _$_items.length, opened: _$_opened, toggle };
+}
+
+export function useAddToCart() {
+    return item => {
+        _$_items = [..._$_items, item];
+    };
+}
@@ -0,0 +1 @@
+let _$_mode = 'b';
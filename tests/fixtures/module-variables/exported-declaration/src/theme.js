@@ -0,0 +1 @@
+export let _$_theme = 'dark';
@@ -0,0 +1,64 @@
+//// src/Header.jsx
+var _casperRuntime = require("babel-plugin-casper-context/runtime");
+var _gblContext = require("<rootDir>/src/scopeContext/gblContext.js");
+import React from 'react';
+export class Header extends React.Component {
+  render() {
+    return /*#__PURE__*/React.createElement("header", {
+      className: this.CTX_rootStore.getState()["_$_theme"]
+    }, this.CTX_rootStore.getState()["_$_session"].user);
+  }
+  CTX_rootStore = _casperRuntime.connectStore(this, _gblContext.rootStore);
+}
+
+//// src/ThemeToggle.jsx
+var _casperRuntime = require("babel-plugin-casper-context/runtime");
+var _gblContext = require("<rootDir>/src/scopeContext/gblContext.js");
+import React from 'react';
+export function ThemeToggle() {
+  const CTX_rootStore = (0, React.useSyncExternalStore)(_gblContext.rootStore.subscribe, _gblContext.rootStore.getState);
+  return /*#__PURE__*/React.createElement("button", {
+    onClick: () => {
+      let _value;
+      _value = _casperRuntime.latest(_gblContext.rootStore.setState, _gblContext.rootStore.getState())["_$_theme"] === 'dark' ? 'light' : 'dark', _gblContext.rootStore.setState(prevState => ({
+        ...prevState,
+        _$_theme: _value
+      }));
+    }
+  }, CTX_rootStore["_$_theme"]);
+}
+
+//// src/api.js
+var _casperRuntime = require("babel-plugin-casper-context/runtime");
+var _gblContext = require("<rootDir>/src/scopeContext/gblContext.js");
+export function onLogin(user) {
+  _gblContext.rootStore.setState(prevState => ({
+    ...prevState,
+    _$_session: {
+      user
+    },
+    _$_theme: 'light'
+  }));
+}
+export const currentTheme = () => _casperRuntime.latest(_gblContext.rootStore.setState, _gblContext.rootStore.getState())["_$_theme"];
+
+//// src/theme.js
+var _gblContext = require("<rootDir>/src/scopeContext/gblContext.js");
+const stored = typeof localStorage === 'undefined' ? null : localStorage.getItem('theme');
+_gblContext.rootStore.init("_$_session", {
+  user: stored
+});
+
+//// src/scopeContext/gblContext.js
+'use strict';
+
+Object.defineProperty(exports, '__esModule', {
+  value: true
+});
+exports.rootStore = void 0;
+var _react = require('react');
+var _casperRuntime = require("babel-plugin-casper-context/runtime");
+const rootStore = exports.rootStore = (0, _casperRuntime.createRootStore)({
+  _$_theme: 'dark',
+  _$_session: undefined
+});
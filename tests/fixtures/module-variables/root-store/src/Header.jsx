@@ -0,0 +1,7 @@
+import React from 'react';
+
+export class Header extends React.Component {
+    render() {
+        return <header className={_$_theme}>{_$_session.user}</header>;
+    }
+}
@@ -0,0 +1,5 @@
+import React from 'react';
+
+export function ThemeToggle() {
+    return <button onClick={() => { _$_theme = _$_theme === 'dark' ? 'light' : 'dark'; }}>{_$_theme}</button>;
+}
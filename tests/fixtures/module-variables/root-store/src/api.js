@@ -0,0 +1,6 @@
+export function onLogin(user) {
+    _$_session = { user };
+    _$_theme = 'light';
+}
+
+export const currentTheme = () => _$_theme;
@@ -0,0 +1,4 @@
+const stored = typeof localStorage === 'undefined' ? null : localStorage.getItem('theme');
+
+let _$_theme = 'dark';
+let _$_session = { user: stored };
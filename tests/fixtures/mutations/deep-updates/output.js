@@ -0,0 +1,91 @@
+//// src/Todos.jsx
+var _casperRuntime = require("babel-plugin-casper-context/runtime");
+var _gblContext = require("<rootDir>/src/scopeContext/gblContext.js");
+import React from 'react';
+export function Todos() {
+  const [todos_c20ab0bf, setTodos_c20ab0bf] = _casperRuntime.useScopeState(React, () => ({
+    _$_todos: [],
+    _$_user: {
+      name: 'guest',
+      tags: new Set()
+    },
+    _$_params: new URLSearchParams()
+  }));
+  const todos_c20ab0bf$value = (0, React.useMemo)(() => ({
+    todos_c20ab0bf,
+    setTodos_c20ab0bf
+  }), [todos_c20ab0bf, setTodos_c20ab0bf]);
+  const add = todo => {
+    setTodos_c20ab0bf(prevState => {
+      prevState = {
+        ...prevState,
+        _$_todos: _casperRuntime.callIn(prevState["_$_todos"], [], "push", [todo]).value
+      };
+      return {
+        ...prevState,
+        _$_todos: _casperRuntime.setIn(prevState["_$_todos"], [0, "done"], true)
+      };
+    });
+  };
+  const rename = name => {
+    setTodos_c20ab0bf(prevState => ({
+      ...prevState,
+      _$_user: _casperRuntime.setIn(prevState["_$_user"], ["name"], name)
+    }));
+    _casperRuntime.isCollection(_casperRuntime.latest(setTodos_c20ab0bf, todos_c20ab0bf)["_$_user"]["tags"]) ? setTodos_c20ab0bf(prevState => ({
+      ...prevState,
+      _$_user: _casperRuntime.callIn(prevState["_$_user"], ["tags"], "add", [name]).value
+    })) : _casperRuntime.latest(setTodos_c20ab0bf, todos_c20ab0bf)["_$_user"]["tags"].add(name);
+    setTodos_c20ab0bf(prevState => ({
+      ...prevState,
+      _$_user: _casperRuntime.deleteIn(prevState["_$_user"], ["nickname"])
+    }));
+    _casperRuntime.isCollection(_casperRuntime.latest(setTodos_c20ab0bf, todos_c20ab0bf)["_$_params"]) ? setTodos_c20ab0bf(prevState => ({
+      ...prevState,
+      _$_params: _casperRuntime.callIn(prevState["_$_params"], [], "set", ['user', name]).value
+    })) : _casperRuntime.latest(setTodos_c20ab0bf, todos_c20ab0bf)["_$_params"].set('user', name);
+  };
+  const sorted = [...todos_c20ab0bf["_$_todos"]].sort();
+  return React.createElement(_gblContext.Todos_c20ab0bf.Provider, {
+    value: todos_c20ab0bf$value
+  }, React.createElement(_gblContext.Todos_c20ab0bf$$setter.Provider, {
+    value: setTodos_c20ab0bf
+  }, /*#__PURE__*/React.createElement("ul", {
+    onClick: () => {
+      add({});
+      rename('Ann');
+    }
+  }, sorted.length)));
+}
+
+//// src/scopeContext/gblContext.js
+'use strict';
+
+Object.defineProperty(exports, '__esModule', {
+  value: true
+});
+exports.Todos_c20ab0bf = exports.Todos_c20ab0bf$$setter = void 0;
+var _react = require('react');
+function _casperDefine(target, key, value) {
+  Object.defineProperty(target, key, { value, writable: true, enumerable: true, configurable: true });
+  return value;
+}
+function _casperInteropDefault(module) {
+  return module && module.__esModule ? module.default : module;
+}
+const Todos_c20ab0bf = exports.Todos_c20ab0bf = /*#__PURE__*/(0, _react.createContext)({
+  todos_c20ab0bf: {
+    _$_todos: [],
+    get _$_user() {
+      return _casperDefine(this, "_$_user", {
+        name: 'guest',
+        tags: new Set()
+      });
+    },
+    get _$_params() {
+      return _casperDefine(this, "_$_params", new URLSearchParams());
+    }
+  },
+  setTodos_c20ab0bf: () => {}
+});
+const Todos_c20ab0bf$$setter = exports.Todos_c20ab0bf$$setter = /*#__PURE__*/(0, _react.createContext)(() => {});
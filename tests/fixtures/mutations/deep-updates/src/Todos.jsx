@@ -0,0 +1,19 @@
+import React from 'react';
+
+export function Todos() {
+    let _$_todos = [];
+    let _$_user = { name: 'guest', tags: new Set() };
+    let _$_params = new URLSearchParams();
+    const add = todo => {
+        _$_todos.push(todo);
+        _$_todos[0].done = true;
+    };
+    const rename = name => {
+        _$_user.name = name;
+        _$_user.tags.add(name);
+        delete _$_user.nickname;
+        _$_params.set('user', name);
+    };
+    const sorted = [..._$_todos].sort();
+    return <ul onClick={() => { add({}); rename('Ann'); }}>{sorted.length}</ul>;
+}
@@ -0,0 +1,7 @@
+import React from 'react';
+
+export function Todos() {
+    let _$_todos = [];
+    const sorted = _$_todos.sort((a, b) => a.rank - b.rank);
+    return <ul>{sorted.length}</ul>;
+}
@@ -0,0 +1,95 @@
+//// src/Counter.jsx
+var _casperRuntime = require("babel-plugin-casper-context/runtime");
+var _gblContext = require("<rootDir>/src/scopeContext/gblContext.js");
+import React from 'react';
+export function Counter() {
+  const [counter_025cc80a, setCounter_025cc80a] = _casperRuntime.useScopeState(React, {
+    _$_count: 0,
+    _$_label: null,
+    _$_flags: 0,
+    _$_profile: {
+      name: null
+    }
+  });
+  const counter_025cc80a$value = (0, React.useMemo)(() => ({
+    counter_025cc80a,
+    setCounter_025cc80a
+  }), [counter_025cc80a, setCounter_025cc80a]);
+  const add = step => {
+    setCounter_025cc80a(prevState => {
+      prevState = {
+        ...prevState,
+        _$_count: prevState["_$_count"] + step
+      };
+      return {
+        ...prevState,
+        _$_count: prevState["_$_count"] ** 2,
+        _$_flags: prevState["_$_flags"] | 4
+      };
+    });
+  };
+  const ensureLabel = () => {
+    _casperRuntime.latest(setCounter_025cc80a, counter_025cc80a)["_$_label"] ?? setCounter_025cc80a(prevState => ({
+      ...prevState,
+      _$_label: prevState["_$_label"] ?? 'untitled'
+    }));
+    _casperRuntime.latest(setCounter_025cc80a, counter_025cc80a)["_$_label"] || setCounter_025cc80a(prevState => ({
+      ...prevState,
+      _$_label: prevState["_$_label"] || 'empty'
+    }));
+    _casperRuntime.latest(setCounter_025cc80a, counter_025cc80a)["_$_label"] && setCounter_025cc80a(prevState => ({
+      ...prevState,
+      _$_label: prevState["_$_label"] && 'named'
+    }));
+  };
+  const load = () => {
+    let _value, _value2, _value3;
+    _casperRuntime.latest(setCounter_025cc80a, counter_025cc80a)["_$_label"] ?? (_value = fetchName(), setCounter_025cc80a(prevState => ({
+      ...prevState,
+      _$_label: prevState["_$_label"] ?? _value
+    })));
+    _casperRuntime.latest(setCounter_025cc80a, counter_025cc80a)["_$_profile"]["name"] || (_value2 = fetchName(), setCounter_025cc80a(prevState => ({
+      ...prevState,
+      _$_profile: _casperRuntime.updateIn(prevState["_$_profile"], ["name"], _previous => _previous || _value2)
+    })));
+    return _casperRuntime.latest(setCounter_025cc80a, counter_025cc80a)["_$_label"] && (_value3 = fetchName(), setCounter_025cc80a(prevState => ({
+      ...prevState,
+      _$_label: prevState["_$_label"] && _value3
+    })), _value3);
+  };
+  return React.createElement(_gblContext.Counter_025cc80a.Provider, {
+    value: counter_025cc80a$value
+  }, React.createElement(_gblContext.Counter_025cc80a$$setter.Provider, {
+    value: setCounter_025cc80a
+  }, /*#__PURE__*/React.createElement("button", {
+    onClick: () => {
+      add(1);
+      ensureLabel();
+      load();
+    }
+  }, counter_025cc80a["_$_label"], ": ", counter_025cc80a["_$_count"])));
+}
+function fetchName() {
+  return 'fetched';
+}
+
+//// src/scopeContext/gblContext.js
+'use strict';
+
+Object.defineProperty(exports, '__esModule', {
+  value: true
+});
+exports.Counter_025cc80a = exports.Counter_025cc80a$$setter = void 0;
+var _react = require('react');
+const Counter_025cc80a = exports.Counter_025cc80a = /*#__PURE__*/(0, _react.createContext)({
+  counter_025cc80a: {
+    _$_count: 0,
+    _$_label: null,
+    _$_flags: 0,
+    _$_profile: {
+      name: null
+    }
+  },
+  setCounter_025cc80a: () => {}
+});
+const Counter_025cc80a$$setter = exports.Counter_025cc80a$$setter = /*#__PURE__*/(0, _react.createContext)(() => {});
@@ -0,0 +1,28 @@
+import React from 'react';
+
+export function Counter() {
+    let _$_count = 0;
+    let _$_label = null;
+    let _$_flags = 0;
+    let _$_profile = { name: null };
+    const add = step => {
+        _$_count += step;
+        _$_count **= 2;
+        _$_flags |= 4;
+    };
+    const ensureLabel = () => {
+        _$_label ??= 'untitled';
+        _$_label ||= 'empty';
+        _$_label &&= 'named';
+    };
+    const load = () => {
+        _$_label ??= fetchName();
+        _$_profile.name ||= fetchName();
+        return (_$_label &&= fetchName());
+    };
+    return <button onClick={() => { add(1); ensureLabel(); load(); }}>{_$_label}: {_$_count}</button>;
+}
+
+function fetchName() {
+    return 'fetched';
+}
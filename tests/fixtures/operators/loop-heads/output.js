@@ -0,0 +1,82 @@
+//// src/Wizard.jsx
+var _casperRuntime = require("babel-plugin-casper-context/runtime");
+var _gblContext = require("<rootDir>/src/scopeContext/gblContext.js");
+import React from 'react';
+export function Wizard({
+  steps,
+  options
+}) {
+  const [wizard_8a68a018, setWizard_8a68a018] = _casperRuntime.useScopeState(React, {
+    _$_step: null,
+    _$_key: '',
+    _$_pair: [0, 0]
+  });
+  const wizard_8a68a018$value = (0, React.useMemo)(() => ({
+    wizard_8a68a018,
+    setWizard_8a68a018
+  }), [wizard_8a68a018, setWizard_8a68a018]);
+  const run = () => {
+    for (const _value of steps) {
+      let _value2;
+      _value2 = _value, setWizard_8a68a018(prevState => ({
+        ...prevState,
+        _$_step: _value2
+      }));
+      console.log(_casperRuntime.latest(setWizard_8a68a018, wizard_8a68a018)["_$_step"]);
+    }
+    for (const _value3 in options) {
+      let _value4;
+      _value4 = _value3, setWizard_8a68a018(prevState => ({
+        ...prevState,
+        _$_key: _value4
+      }));
+      console.log(_casperRuntime.latest(setWizard_8a68a018, wizard_8a68a018)["_$_key"]);
+    }
+    for (const _value5 of [[1, 2]]) {
+      let _value6, _value7;
+      [_value6, _value7] = _value5, setWizard_8a68a018(prevState => {
+        prevState = {
+          ...prevState,
+          _$_pair: _casperRuntime.setIn(prevState["_$_pair"], [0], _value6)
+        };
+        return {
+          ...prevState,
+          _$_pair: _casperRuntime.setIn(prevState["_$_pair"], [1], _value7)
+        };
+      });
+    }
+    for (const step of steps) console.log(step);
+    for (const step of steps) {
+      let _value8;
+      _value8 = step.name.trim(), setWizard_8a68a018(prevState => ({
+        ...prevState,
+        _$_key: prevState["_$_key"] + _value8
+      }));
+    }
+  };
+  return React.createElement(_gblContext.Wizard_8a68a018.Provider, {
+    value: wizard_8a68a018$value
+  }, React.createElement(_gblContext.Wizard_8a68a018$$setter.Provider, {
+    value: setWizard_8a68a018
+  }, /*#__PURE__*/React.createElement("button", {
+    onClick: run
+  }, wizard_8a68a018["_$_step"])));
+}
+
+//// src/scopeContext/gblContext.js
+'use strict';
+
+Object.defineProperty(exports, '__esModule', {
+  value: true
+});
+exports.Wizard_8a68a018 = exports.Wizard_8a68a018$$setter = void 0;
+var _react = require('react');
+const Wizard_8a68a018 = exports.Wizard_8a68a018 = /*#__PURE__*/(0, _react.createContext)({
+  wizard_8a68a018: {
+    _$_step: null,
+    _$_key: '',
+    _$_pair: [0, 0]
+  },
+  setWizard_8a68a018: () => {}
+});
+const Wizard_8a68a018$$setter = exports.Wizard_8a68a018$$setter = /*#__PURE__*/(0, _react.createContext)(() => {});
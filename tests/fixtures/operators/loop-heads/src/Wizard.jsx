@@ -0,0 +1,17 @@
+import React from 'react';
+
+export function Wizard({ steps, options }) {
+    let _$_step = null;
+    let _$_key = '';
+    let _$_pair = [0, 0];
+    const run = () => {
+        for (_$_step of steps) console.log(_$_step);
+        for (_$_key in options) {
+            console.log(_$_key);
+        }
+        for ([_$_pair[0], _$_pair[1]] of [[1, 2]]) {}
+        for (const step of steps) console.log(step);
+        for (const step of steps) _$_key += step.name.trim();
+    };
+    return <button onClick={run}>{_$_step}</button>;
+}
@@ -0,0 +1,58 @@
+//// src/Counter.jsx
+var _casperRuntime = require("babel-plugin-casper-context/runtime");
+var _gblContext = require("<rootDir>/src/scopeContext/gblContext.js");
+import React from 'react';
+export function Counter() {
+  const [counter_025cc80a, setCounter_025cc80a] = _casperRuntime.useScopeState(React, {
+    _$_count: 0
+  });
+  const counter_025cc80a$value = (0, React.useMemo)(() => ({
+    counter_025cc80a,
+    setCounter_025cc80a
+  }), [counter_025cc80a, setCounter_025cc80a]);
+  const bump = () => {
+    let _previous, _value;
+    setCounter_025cc80a(prevState => {
+      prevState = {
+        ...prevState,
+        _$_count: prevState["_$_count"] + 1
+      };
+      return {
+        ...prevState,
+        _$_count: prevState["_$_count"] - 1
+      };
+    });
+    const before = (_previous = _casperRuntime.latest(setCounter_025cc80a, counter_025cc80a)["_$_count"], setCounter_025cc80a(prevState => ({
+      ...prevState,
+      _$_count: prevState["_$_count"] + 1
+    })), _previous);
+    const after = (_value = _casperRuntime.latest(setCounter_025cc80a, counter_025cc80a)["_$_count"] + 1, setCounter_025cc80a(prevState => ({
+      ...prevState,
+      _$_count: prevState["_$_count"] + 1
+    })), _value);
+    console.log(before, after);
+  };
+  return React.createElement(_gblContext.Counter_025cc80a.Provider, {
+    value: counter_025cc80a$value
+  }, React.createElement(_gblContext.Counter_025cc80a$$setter.Provider, {
+    value: setCounter_025cc80a
+  }, /*#__PURE__*/React.createElement("button", {
+    onClick: bump
+  }, counter_025cc80a["_$_count"])));
+}
+
+//// src/scopeContext/gblContext.js
+'use strict';
+
+Object.defineProperty(exports, '__esModule', {
+  value: true
+});
+exports.Counter_025cc80a = exports.Counter_025cc80a$$setter = void 0;
+var _react = require('react');
+const Counter_025cc80a = exports.Counter_025cc80a = /*#__PURE__*/(0, _react.createContext)({
+  counter_025cc80a: {
+    _$_count: 0
+  },
+  setCounter_025cc80a: () => {}
+});
+const Counter_025cc80a$$setter = exports.Counter_025cc80a$$setter = /*#__PURE__*/(0, _react.createContext)(() => {});
@@ -0,0 +1,13 @@
+import React from 'react';
+
+export function Counter() {
+    let _$_count = 0;
+    const bump = () => {
+        _$_count++;
+        --_$_count;
+        const before = _$_count++;
+        const after = ++_$_count;
+        console.log(before, after);
+    };
+    return <button onClick={bump}>{_$_count}</button>;
+}
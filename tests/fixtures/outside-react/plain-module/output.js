@@ -0,0 +1,55 @@
+//// src/App.jsx
+var _casperRuntime = require("babel-plugin-casper-context/runtime");
+var _gblContext = require("<rootDir>/src/scopeContext/gblContext.js");
+import React from 'react';
+export function App() {
+  const [app_be648094, setApp_be648094] = _casperRuntime.useScopeState(React, {
+    _$_token: null,
+    _$_cartItems: []
+  });
+  _casperRuntime.useScopeBinding(React, "App_be648094", app_be648094, setApp_be648094);
+  const app_be648094$value = (0, React.useMemo)(() => ({
+    app_be648094,
+    setApp_be648094
+  }), [app_be648094, setApp_be648094]);
+  return React.createElement(_gblContext.App_be648094.Provider, {
+    value: app_be648094$value
+  }, React.createElement(_gblContext.App_be648094$$setter.Provider, {
+    value: setApp_be648094
+  }, /*#__PURE__*/React.createElement("p", null, app_be648094["_$_cartItems"].length)));
+}
+
+//// src/api.js
+var _casperRuntime = require("babel-plugin-casper-context/runtime");
+export const authHeader = () => ({
+  Authorization: _casperRuntime.getScope("App_be648094").getState()["_$_token"]
+});
+export function onCartMessage(items) {
+  _casperRuntime.getScope("App_be648094").setState(prevState => ({
+    ...prevState,
+    _$_cartItems: items
+  }));
+}
+export function onItemAdded(item) {
+  _casperRuntime.getScope("App_be648094").setState(prevState => ({
+    ...prevState,
+    _$_cartItems: _casperRuntime.callIn(prevState["_$_cartItems"], [], "push", [item]).value
+  }));
+}
+
+//// src/scopeContext/gblContext.js
+'use strict';
+
+Object.defineProperty(exports, '__esModule', {
+  value: true
+});
+exports.App_be648094 = exports.App_be648094$$setter = void 0;
+var _react = require('react');
+const App_be648094 = exports.App_be648094 = /*#__PURE__*/(0, _react.createContext)({
+  app_be648094: {
+    _$_token: null,
+    _$_cartItems: []
+  },
+  setApp_be648094: () => {}
+});
+const App_be648094$$setter = exports.App_be648094$$setter = /*#__PURE__*/(0, _react.createContext)(() => {});
@@ -0,0 +1,7 @@
+import React from 'react';
+
+export function App() {
+    let _$_token = null;
+    let _$_cartItems = [];
+    return <p>{_$_cartItems.length}</p>;
+}
@@ -0,0 +1,9 @@
+export const authHeader = () => ({ Authorization: _$_token });
+
+export function onCartMessage(items) {
+    _$_cartItems = items;
+}
+
+export function onItemAdded(item) {
+    _$_cartItems.push(item);
+}
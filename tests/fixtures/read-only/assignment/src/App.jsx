@@ -0,0 +1,7 @@
+import React from 'react';
+import { Header } from './Header';
+
+export function App() {
+    const _$_title = 'Shop';
+    return <Header />;
+}
@@ -0,0 +1,5 @@
+import React from 'react';
+
+export function Header() {
+    return <h1 onClick={() => { _$_title = 'Store'; }}>{_$_title}</h1>;
+}
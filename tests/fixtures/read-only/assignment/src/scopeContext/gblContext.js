@@ -0,0 +1,12 @@
+'use strict';
+
+Object.defineProperty(exports, '__esModule', {
+  value: true
+});
+exports.App_87b92f0d$$readonly = void 0;
+var _react = require('react');
+const App_87b92f0d$$readonly = exports.App_87b92f0d$$readonly = /*#__PURE__*/(0, _react.createContext)({
+  app_87b92f0d$$readonly: {
+    _$_title: 'Shop'
+  }
+});
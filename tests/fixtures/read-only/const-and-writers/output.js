@@ -0,0 +1,101 @@
+//// src/App.jsx
+var _casperRuntime = require("babel-plugin-casper-context/runtime");
+var _gblContext = require("<rootDir>/src/scopeContext/gblContext.js");
+import React from 'react';
+import { Checkout } from './Checkout';
+import { CartButton } from './CartButton';
+export function App() {
+  const [app_be648094, setApp_be648094] = _casperRuntime.useScopeState(React, {
+    _$_cart: [],
+    _$_coupon: null
+  });
+  const app_be648094$value = (0, React.useMemo)(() => ({
+    app_be648094,
+    setApp_be648094
+  }), [app_be648094, setApp_be648094]);
+  const [app_be648094$$readonly, setApp_be648094$$readonly] = _casperRuntime.useScopeState(React, {
+    _$_currency: 'EUR'
+  });
+  const app_be648094$$readonly$value = (0, React.useMemo)(() => ({
+    app_be648094$$readonly
+  }), [app_be648094$$readonly]);
+  /* @casper-writers Checkout, CartButton */
+
+  const clear = () => {
+    setApp_be648094(prevState => ({
+      ...prevState,
+      _$_cart: [],
+      _$_coupon: null
+    }));
+  };
+  return React.createElement(_gblContext.App_be648094.Provider, {
+    value: app_be648094$value
+  }, React.createElement(_gblContext.App_be648094$$setter.Provider, {
+    value: setApp_be648094
+  }, React.createElement(_gblContext.App_be648094$$readonly.Provider, {
+    value: app_be648094$$readonly$value
+  }, /*#__PURE__*/React.createElement(React.Fragment, null, /*#__PURE__*/React.createElement(Checkout, {
+    onClear: clear
+  }), /*#__PURE__*/React.createElement(CartButton, null)))));
+}
+
+//// src/CartButton.jsx
+var _casperRuntime = require("babel-plugin-casper-context/runtime");
+var _gblContext = require("<rootDir>/src/scopeContext/gblContext.js");
+import React from 'react';
+export function CartButton() {
+  const CTX_App_be648094$$readonly = (0, React.useContext)(_gblContext.App_be648094$$readonly);
+  const CTX_App_be648094 = (0, React.useContext)(_gblContext.App_be648094);
+  return /*#__PURE__*/React.createElement("button", {
+    onClick: () => {
+      let _value;
+      return _value = _casperRuntime.callIn(_casperRuntime.latest(CTX_App_be648094.setApp_be648094, CTX_App_be648094.app_be648094)["_$_cart"], [], "push", ['book']).result, CTX_App_be648094.setApp_be648094(prevState => ({
+        ...prevState,
+        _$_cart: _casperRuntime.callIn(prevState["_$_cart"], [], "push", ['book']).value
+      })), _value;
+    }
+  }, CTX_App_be648094$$readonly.app_be648094$$readonly["_$_currency"]);
+}
+
+//// src/Checkout.jsx
+var _gblContext = require("<rootDir>/src/scopeContext/gblContext.js");
+import React from 'react';
+export function Checkout({
+  onClear
+}) {
+  const CTX_App_be648094$$readonly = (0, React.useContext)(_gblContext.App_be648094$$readonly);
+  const CTX_App_be648094 = (0, React.useContext)(_gblContext.App_be648094);
+  const pay = () => {
+    CTX_App_be648094.setApp_be648094(prevState => ({
+      ...prevState,
+      _$_coupon: 'WELCOME',
+      _$_cart: []
+    }));
+    onClear();
+  };
+  return /*#__PURE__*/React.createElement("button", {
+    onClick: pay
+  }, CTX_App_be648094.app_be648094["_$_cart"].length, " ", CTX_App_be648094$$readonly.app_be648094$$readonly["_$_currency"]);
+}
+
+//// src/scopeContext/gblContext.js
+'use strict';
+
+Object.defineProperty(exports, '__esModule', {
+  value: true
+});
+exports.App_be648094 = exports.App_be648094$$setter = exports.App_be648094$$readonly = void 0;
+var _react = require('react');
+const App_be648094 = exports.App_be648094 = /*#__PURE__*/(0, _react.createContext)({
+  app_be648094: {
+    _$_cart: [],
+    _$_coupon: null
+  },
+  setApp_be648094: () => {}
+});
+const App_be648094$$setter = exports.App_be648094$$setter = /*#__PURE__*/(0, _react.createContext)(() => {});
+const App_be648094$$readonly = exports.App_be648094$$readonly = /*#__PURE__*/(0, _react.createContext)({
+  app_be648094$$readonly: {
+    _$_currency: 'EUR'
+  }
+});
@@ -0,0 +1,15 @@
+import React from 'react';
+import { Checkout } from './Checkout';
+import { CartButton } from './CartButton';
+
+export function App() {
+    const _$_currency = 'EUR';
+    /* @casper-writers Checkout, CartButton */
+    let _$_cart = [];
+    let _$_coupon = null;
+    const clear = () => {
+        _$_cart = [];
+        _$_coupon = null;
+    };
+    return <><Checkout onClear={clear} /><CartButton /></>;
+}
@@ -0,0 +1,5 @@
+import React from 'react';
+
+export function CartButton() {
+    return <button onClick={() => _$_cart.push('book')}>{_$_currency}</button>;
+}
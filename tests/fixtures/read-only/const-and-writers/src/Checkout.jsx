@@ -0,0 +1,10 @@
+import React from 'react';
+
+export function Checkout({ onClear }) {
+    const pay = () => {
+        _$_coupon = 'WELCOME';
+        _$_cart = [];
+        onClear();
+    };
+    return <button onClick={pay}>{_$_cart.length} {_$_currency}</button>;
+}
@@ -0,0 +1,9 @@
+import React from 'react';
+
+export function Wizard({ steps }) {
+    const _$_api = 'v1';
+    const run = () => {
+        for (_$_api of steps) {}
+    };
+    return <button onClick={run}>{_$_api}</button>;
+}
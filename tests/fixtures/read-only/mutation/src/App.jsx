@@ -0,0 +1,9 @@
+import React from 'react';
+
+export function App() {
+    const _$_tags = ['new'];
+    const tag = () => {
+        _$_tags.push('sale');
+    };
+    return <button onClick={tag}>{_$_tags.join(', ')}</button>;
+}
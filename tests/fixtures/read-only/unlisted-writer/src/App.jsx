@@ -0,0 +1,9 @@
+import React from 'react';
+import { Checkout } from './Checkout';
+import { Banner } from './Banner';
+
+export function App() {
+    /* @casper-writers Checkout */
+    let _$_cart = [];
+    return <><Checkout /><Banner /></>;
+}
@@ -0,0 +1,5 @@
+import React from 'react';
+
+export function Banner() {
+    return <p onClick={() => { _$_cart.push('gift'); }}>{_$_cart.length}</p>;
+}
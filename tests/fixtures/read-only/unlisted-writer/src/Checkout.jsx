@@ -0,0 +1,5 @@
+import React from 'react';
+
+export function Checkout() {
+    return <button onClick={() => { _$_cart = []; }}>{_$_cart.length}</button>;
+}
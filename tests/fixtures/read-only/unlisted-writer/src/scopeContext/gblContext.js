@@ -0,0 +1,14 @@
+'use strict';
+
+Object.defineProperty(exports, '__esModule', {
+  value: true
+});
+exports.App_21f3456e = exports.App_21f3456e$$setter = void 0;
+var _react = require('react');
+const App_21f3456e = exports.App_21f3456e = /*#__PURE__*/(0, _react.createContext)({
+  app_21f3456e: {
+    _$_cart: []
+  },
+  setApp_21f3456e: () => {}
+});
+const App_21f3456e$$setter = exports.App_21f3456e$$setter = /*#__PURE__*/(0, _react.createContext)(() => {});
@@ -0,0 +1,7 @@
+import React from 'react';
+import { AdminMenu } from './AdminMenu';
+
+export function Admin() {
+    let _$_user = { role: 'admin' };
+    return <AdminMenu />;
+}
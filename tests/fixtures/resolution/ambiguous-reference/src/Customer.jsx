@@ -0,0 +1,6 @@
+import React from 'react';
+
+export function Customer() {
+    let _$_user = { role: 'customer' };
+    return <p>{_$_user.role}</p>;
+}
@@ -0,0 +1,5 @@
+import React from 'react';
+
+export function Shared() {
+    return <span>{_$_user.role}</span>;
+}
@@ -0,0 +1,97 @@
+//// src/Admin.jsx
+var _casperRuntime = require("babel-plugin-casper-context/runtime");
+var _gblContext = require("<rootDir>/src/scopeContext/gblContext.js");
+import React from 'react';
+import { AdminMenu } from './AdminMenu';
+export function Admin() {
+  const [admin_36101b74, setAdmin_36101b74] = _casperRuntime.useScopeState(React, {
+    _$_user: {
+      role: 'admin'
+    }
+  });
+  const admin_36101b74$value = (0, React.useMemo)(() => ({
+    admin_36101b74,
+    setAdmin_36101b74
+  }), [admin_36101b74, setAdmin_36101b74]);
+  return React.createElement(_gblContext.Admin_36101b74.Provider, {
+    value: admin_36101b74$value
+  }, React.createElement(_gblContext.Admin_36101b74$$setter.Provider, {
+    value: setAdmin_36101b74
+  }, /*#__PURE__*/React.createElement(AdminMenu, null)));
+}
+
+//// src/AdminMenu.jsx
+var _gblContext = require("<rootDir>/src/scopeContext/gblContext.js");
+import React from 'react';
+export function AdminMenu() {
+  const CTX_Admin_36101b74 = (0, React.useContext)(_gblContext.Admin_36101b74);
+  return /*#__PURE__*/React.createElement("button", {
+    onClick: () => {
+      CTX_Admin_36101b74.setAdmin_36101b74(prevState => ({
+        ...prevState,
+        _$_user: null
+      }));
+    }
+  }, CTX_Admin_36101b74.admin_36101b74["_$_user"].role);
+}
+
+//// src/Customer.jsx
+var _casperRuntime = require("babel-plugin-casper-context/runtime");
+var _gblContext = require("<rootDir>/src/scopeContext/gblContext.js");
+import React from 'react';
+export function Customer() {
+  const [customer_25652f97, setCustomer_25652f97] = _casperRuntime.useScopeState(React, {
+    _$_user: {
+      role: 'customer'
+    }
+  });
+  const customer_25652f97$value = (0, React.useMemo)(() => ({
+    customer_25652f97,
+    setCustomer_25652f97
+  }), [customer_25652f97, setCustomer_25652f97]);
+  return React.createElement(_gblContext.Customer_25652f97.Provider, {
+    value: customer_25652f97$value
+  }, React.createElement(_gblContext.Customer_25652f97$$setter.Provider, {
+    value: setCustomer_25652f97
+  }, /*#__PURE__*/React.createElement("p", null, customer_25652f97["_$_user"].role)));
+}
+
+//// src/Shared.jsx
+var _gblContext = require("<rootDir>/src/scopeContext/gblContext.js");
+import React from 'react';
+export function Shared() {
+  const CTX_Customer_25652f97 = (0, React.useContext)(_gblContext.Customer_25652f97);
+  const CTX_Admin_36101b74 = (0, React.useContext)(_gblContext.Admin_36101b74);
+  return /*#__PURE__*/React.createElement("span", null, CTX_Admin_36101b74.admin_36101b74["_$_user"].role, " / ", CTX_Customer_25652f97.customer_25652f97["_$_user"].role);
+}
+
+//// src/scopeContext/gblContext.js
+'use strict';
+
+Object.defineProperty(exports, '__esModule', {
+  value: true
+});
+exports.Admin_36101b74 = exports.Admin_36101b74$$setter = exports.Customer_25652f97 = exports.Customer_25652f97$$setter = void 0;
+var _react = require('react');
+const Admin_36101b74 = exports.Admin_36101b74 = /*#__PURE__*/(0, _react.createContext)({
+  admin_36101b74: {
+    _$_user: {
+      role: 'admin'
+    }
+  },
+  setAdmin_36101b74: () => {}
+});
+const Admin_36101b74$$setter = exports.Admin_36101b74$$setter = /*#__PURE__*/(0, _react.createContext)(() => {});
+const Customer_25652f97 = exports.Customer_25652f97 = /*#__PURE__*/(0, _react.createContext)({
+  customer_25652f97: {
+    _$_user: {
+      role: 'customer'
+    }
+  },
+  setCustomer_25652f97: () => {}
+});
+const Customer_25652f97$$setter = exports.Customer_25652f97$$setter = /*#__PURE__*/(0, _react.createContext)(() => {});
+
+//// warnings
+[casper-context] <rootDir>/src/Shared.jsx:4:19 `_$_user` is declared by `Admin`, but `Shared` is not rendered under it (no known component renders it); it reads the initial value and its writes never reach `Admin`.
+[casper-context] <rootDir>/src/Shared.jsx:4:42 `_$_user` is declared by `Customer`, but `Shared` is not rendered under it (no known component renders it); it reads the initial value and its writes never reach `Customer`.
@@ -0,0 +1,5 @@
+import React from 'react';
+
+export function AdminMenu() {
+    return <button onClick={() => { _$_user = null; }}>{_$_user.role}</button>;
+}
@@ -0,0 +1,5 @@
+import React from 'react';
+
+export function Shared() {
+    return <span>{_$_Admin$user.role} / {_$_Customer$user.role}</span>;
+}
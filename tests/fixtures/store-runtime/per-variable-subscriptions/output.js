@@ -0,0 +1,92 @@
+//// src/App.jsx
+var _casperRuntime = require("babel-plugin-casper-context/runtime");
+var _gblContext = require("<rootDir>/src/scopeContext/gblContext.js");
+import React from 'react';
+import { Counter, Toolbar, Increment, Summary } from './Widgets';
+export function App({
+  user
+}) {
+  const _seed = user;
+  const app_be648094$store = _casperRuntime.useScopeStore(React, {
+    _$_count: 0,
+    _$_theme: 'dark',
+    _$_user: _seed
+  });
+  const [app_be648094, setApp_be648094] = _casperRuntime.useStoreState(React, app_be648094$store, []);
+  const [_seeds, _setseeds] = (0, React.useState)({
+    _$_user: _seed
+  });
+  (0, React.useLayoutEffect)(() => {
+    if (!Object.is(_seeds["_$_user"], _seed)) {
+      _setseeds(prevState => ({
+        ...prevState,
+        _$_user: _seed
+      }));
+      setApp_be648094(prevState => ({
+        ...prevState,
+        _$_user: _seed
+      }));
+    }
+  });
+  /* @casper-sync always */
+
+  return React.createElement(_gblContext.App_be648094.Provider, {
+    value: app_be648094$store
+  }, /*#__PURE__*/React.createElement(React.Fragment, null, /*#__PURE__*/React.createElement(Counter, null), /*#__PURE__*/React.createElement(Toolbar, null), /*#__PURE__*/React.createElement(Increment, null), /*#__PURE__*/React.createElement(Summary, null)));
+}
+
+//// src/Widgets.jsx
+var _casperRuntime = require("babel-plugin-casper-context/runtime");
+var _gblContext = require("<rootDir>/src/scopeContext/gblContext.js");
+import React from 'react';
+export function Counter() {
+  const [app_be648094, setApp_be648094] = _casperRuntime.useStoreState(React, (0, React.useContext)(_gblContext.App_be648094), ["_$_count"]);
+  return /*#__PURE__*/React.createElement("span", null, app_be648094["_$_count"]);
+}
+export function Toolbar() {
+  const [app_be648094, setApp_be648094] = _casperRuntime.useStoreState(React, (0, React.useContext)(_gblContext.App_be648094), ["_$_theme", "_$_user"]);
+  return /*#__PURE__*/React.createElement("nav", {
+    className: app_be648094["_$_theme"]
+  }, app_be648094["_$_user"].name);
+}
+export function Increment() {
+  const [app_be648094, setApp_be648094] = _casperRuntime.useStoreState(React, (0, React.useContext)(_gblContext.App_be648094), []);
+  return /*#__PURE__*/React.createElement("button", {
+    onClick: () => {
+      let _previous;
+      return _previous = _casperRuntime.latest(setApp_be648094, app_be648094)["_$_count"], setApp_be648094(prevState => ({
+        ...prevState,
+        _$_count: prevState["_$_count"] + 1
+      })), _previous;
+    }
+  }, "+");
+}
+export class Summary extends React.Component {
+  static contextType = _gblContext.App_be648094;
+  render() {
+    return /*#__PURE__*/React.createElement("p", {
+      onClick: () => {
+        this.context.setState(prevState => ({
+          ...prevState,
+          _$_theme: 'light'
+        }));
+      }
+    }, this.context.getState()["_$_count"], " in ", this.context.getState()["_$_theme"]);
+  }
+  CTX_App_be648094$store = _casperRuntime.connectScopeStore(this, () => this.context);
+}
+
+//// src/scopeContext/gblContext.js
+'use strict';
+
+Object.defineProperty(exports, '__esModule', {
+  value: true
+});
+exports.App_be648094 = void 0;
+var _react = require('react');
+var _casperRuntime = require("babel-plugin-casper-context/runtime");
+const App_be648094 = exports.App_be648094 = /*#__PURE__*/(0, _react.createContext)((0, _casperRuntime.createStore)({
+  _$_count: 0,
+  _$_theme: 'dark',
+  _$_user: undefined
+}));
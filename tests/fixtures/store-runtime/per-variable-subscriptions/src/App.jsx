@@ -0,0 +1,10 @@
+import React from 'react';
+import { Counter, Toolbar, Increment, Summary } from './Widgets';
+
+export function App({ user }) {
+    let _$_count = 0;
+    let _$_theme = 'dark';
+    /* @casper-sync always */
+    let _$_user = user;
+    return <><Counter /><Toolbar /><Increment /><Summary /></>;
+}
@@ -0,0 +1,19 @@
+import React from 'react';
+
+export function Counter() {
+    return <span>{_$_count}</span>;
+}
+
+export function Toolbar() {
+    return <nav className={_$_theme}>{_$_user.name}</nav>;
+}
+
+export function Increment() {
+    return <button onClick={() => _$_count++}>+</button>;
+}
+
+export class Summary extends React.Component {
+    render() {
+        return <p onClick={() => { _$_theme = 'light'; }}>{_$_count} in {_$_theme}</p>;
+    }
+}
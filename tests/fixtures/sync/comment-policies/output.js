@@ -0,0 +1,84 @@
+//// src/UserPage.jsx
+var _casperRuntime = require("babel-plugin-casper-context/runtime");
+var _gblContext = require("<rootDir>/src/scopeContext/gblContext.js");
+import React from 'react';
+export function UserPage(props) {
+  const _seed = props.user;
+  const _seed2 = props.tab;
+  const [userPage_50e26db5, setUserPage_50e26db5] = _casperRuntime.useScopeState(React, {
+    _$_draft: props.draft,
+    _$_user: _seed,
+    _$_tab: _seed2,
+    _$_title: 'Profile'
+  });
+  const userPage_50e26db5$value = (0, React.useMemo)(() => ({
+    userPage_50e26db5,
+    setUserPage_50e26db5
+  }), [userPage_50e26db5, setUserPage_50e26db5]);
+  const [_seeds, _setseeds] = (0, React.useState)({
+    _$_user: _seed,
+    _$_tab: _seed2
+  });
+  if (!Object.is(_seeds["_$_user"], _seed)) {
+    _setseeds(prevState => ({
+      ...prevState,
+      _$_user: _seed
+    }));
+    setUserPage_50e26db5(prevState => Object.is(prevState["_$_user"], _seeds["_$_user"]) ? {
+      ...prevState,
+      _$_user: _seed
+    } : prevState);
+  }
+  if (!Object.is(_seeds["_$_tab"], _seed2)) {
+    _setseeds(prevState => ({
+      ...prevState,
+      _$_tab: _seed2
+    }));
+    setUserPage_50e26db5(prevState => ({
+      ...prevState,
+      _$_tab: _seed2
+    }));
+  }
+  // @casper-sync untouched
+
+  /* @casper-sync always */
+
+  // @casper-sync always
+
+  const rename = () => {
+    let _value;
+    _value = {
+      ..._casperRuntime.latest(setUserPage_50e26db5, userPage_50e26db5)["_$_user"],
+      name: _casperRuntime.latest(setUserPage_50e26db5, userPage_50e26db5)["_$_draft"]
+    }, setUserPage_50e26db5(prevState => ({
+      ...prevState,
+      _$_user: _value
+    }));
+  };
+  return React.createElement(_gblContext.UserPage_50e26db5.Provider, {
+    value: userPage_50e26db5$value
+  }, React.createElement(_gblContext.UserPage_50e26db5$$setter.Provider, {
+    value: setUserPage_50e26db5
+  }, /*#__PURE__*/React.createElement("h1", {
+    onClick: rename
+  }, userPage_50e26db5["_$_title"], " ", userPage_50e26db5["_$_tab"], " ", userPage_50e26db5["_$_user"].name)));
+}
+
+//// src/scopeContext/gblContext.js
+'use strict';
+
+Object.defineProperty(exports, '__esModule', {
+  value: true
+});
+exports.UserPage_50e26db5 = exports.UserPage_50e26db5$$setter = void 0;
+var _react = require('react');
+const UserPage_50e26db5 = exports.UserPage_50e26db5 = /*#__PURE__*/(0, _react.createContext)({
+  userPage_50e26db5: {
+    _$_draft: undefined,
+    _$_user: undefined,
+    _$_tab: undefined,
+    _$_title: 'Profile'
+  },
+  setUserPage_50e26db5: () => {}
+});
+const UserPage_50e26db5$$setter = exports.UserPage_50e26db5$$setter = /*#__PURE__*/(0, _react.createContext)(() => {});
@@ -0,0 +1,15 @@
+import React from 'react';
+
+export function UserPage(props) {
+    let _$_draft = props.draft;
+    // @casper-sync untouched
+    let _$_user = props.user;
+    /* @casper-sync always */
+    let _$_tab = props.tab;
+    // @casper-sync always
+    let _$_title = 'Profile';
+    const rename = () => {
+        _$_user = { ...(_$_user), name: _$_draft };
+    };
+    return <h1 onClick={rename}>{_$_title} {_$_tab} {_$_user.name}</h1>;
+}
@@ -0,0 +1,66 @@
+//// src/Search.jsx
+var _casperRuntime = require("babel-plugin-casper-context/runtime");
+var _gblContext = require("<rootDir>/src/scopeContext/gblContext.js");
+import React from 'react';
+export function Search({
+  query,
+  page
+}) {
+  const _seed = query;
+  const [search_6402c6ff, setSearch_6402c6ff] = _casperRuntime.useScopeState(React, {
+    _$_query: _seed,
+    _$_page: page
+  });
+  const search_6402c6ff$value = (0, React.useMemo)(() => ({
+    search_6402c6ff,
+    setSearch_6402c6ff
+  }), [search_6402c6ff, setSearch_6402c6ff]);
+  const [_seeds, _setseeds] = (0, React.useState)({
+    _$_query: _seed
+  });
+  if (!Object.is(_seeds["_$_query"], _seed)) {
+    _setseeds(prevState => ({
+      ...prevState,
+      _$_query: _seed
+    }));
+    setSearch_6402c6ff(prevState => ({
+      ...prevState,
+      _$_query: _seed
+    }));
+  }
+  // @casper-sync once
+
+  return React.createElement(_gblContext.Search_6402c6ff.Provider, {
+    value: search_6402c6ff$value
+  }, React.createElement(_gblContext.Search_6402c6ff$$setter.Provider, {
+    value: setSearch_6402c6ff
+  }, /*#__PURE__*/React.createElement("input", {
+    value: search_6402c6ff["_$_query"],
+    onChange: event => {
+      let _value;
+      _value = event.target.value, setSearch_6402c6ff(prevState => ({
+        ...prevState,
+        _$_query: _value,
+        _$_page: 1
+      }));
+    },
+    "data-page": search_6402c6ff["_$_page"]
+  })));
+}
+
+//// src/scopeContext/gblContext.js
+'use strict';
+
+Object.defineProperty(exports, '__esModule', {
+  value: true
+});
+exports.Search_6402c6ff = exports.Search_6402c6ff$$setter = void 0;
+var _react = require('react');
+const Search_6402c6ff = exports.Search_6402c6ff = /*#__PURE__*/(0, _react.createContext)({
+  search_6402c6ff: {
+    _$_query: undefined,
+    _$_page: undefined
+  },
+  setSearch_6402c6ff: () => {}
+});
+const Search_6402c6ff$$setter = exports.Search_6402c6ff$$setter = /*#__PURE__*/(0, _react.createContext)(() => {});
@@ -0,0 +1,8 @@
+import React from 'react';
+
+export function Search({ query, page }) {
+    let _$_query = query;
+    // @casper-sync once
+    let _$_page = page;
+    return <input value={_$_query} onChange={event => { _$_query = event.target.value; _$_page = 1; }} data-page={_$_page} />;
+}
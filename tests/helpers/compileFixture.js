@@ -0,0 +1,71 @@
+/**
+ * @fileoverview Fixture Compiler.
+ * Compiles the files of one fixture with the built plugin and prints the result. It runs
+ * in a process of its own, from a copy of the fixture: the plugin reads `.casperctxrc.json`,
+ * indexes the project and writes the context module relative to the working directory, and
+ * keeps its registry for the whole process.
+ *
+ * The output does not depend on where the copy is: its path becomes `<rootDir>`, and the hash of
+ * each file's path, which names the contexts of its components, the hash of its relative path.
+ *
+ * Usage: `node compileFixture.js` from the fixture's directory.
+ */
+
+const babel = require('@babel/core');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const plugin = require('../../dist/index.js').default;
+const { getFilePathHASH } = require('../../dist/utils/utilityHelpers.js');
+
+const SOURCE_DIR = 'src';
+const CONTEXT_MODULE = path.join(SOURCE_DIR, 'scopeContext', 'gblContext.js');
+
+/**
+ * Lists the source files of the fixture, the generated context module excluded.
+ *
+ * @param {string} dir - The directory to search, relative to the fixture.
+ *
+ * @returns {string[]} The paths, relative to the fixture and sorted.
+ */
+function findSourceFiles (dir) {
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) return entryPath === path.dirname(CONTEXT_MODULE) ? [] : findSourceFiles(entryPath);
+        return /\.(jsx?|tsx?)$/.test(entry.name) ? [entryPath] : [];
+    }).sort();
+}
+
+const warnings = [];
+console.warn = (...args) => warnings.push(args.join(' '));
+
+/**
+ * Hashes a path of the fixture the way the plugin hashes absolute paths.
+ *
+ * @param {string} file - The path, relative to the fixture.
+ *
+ * @returns {string} The first 8 hex digits of the MD5 of the path.
+ */
+function hashRelativePath (file) {
+    return crypto.createHash('md5').update(file.split(path.sep).join('/')).digest('hex').slice(0, 8);
+}
+
+const files = findSourceFiles(SOURCE_DIR);
+const sections = files.map(file => {
+    const { code } = babel.transformSync(fs.readFileSync(file, 'utf8'), {
+        filename: path.resolve(file),
+        babelrc: false,
+        configFile: false,
+        presets: [require.resolve('@babel/preset-react')],
+        plugins: [[plugin, { sourceDir: SOURCE_DIR }]]
+    });
+    return `//// ${file}\n${code}\n`;
+});
+if (fs.existsSync(CONTEXT_MODULE)) sections.push(`//// ${CONTEXT_MODULE}\n${fs.readFileSync(CONTEXT_MODULE, 'utf8')}`);
+if (warnings.length) sections.push(`//// warnings\n${warnings.join('\n')}\n`);
+
+const output = files.reduce(
+    (text, file) => text.split(getFilePathHASH(file)).join(hashRelativePath(file)),
+    sections.join('\n').split(process.cwd()).join('<rootDir>')
+);
+process.stdout.write(output);
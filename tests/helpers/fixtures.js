@@ -0,0 +1,61 @@
+/**
+ * @fileoverview Fixture Helpers.
+ * A fixture is a directory of `tests/fixtures/<feature>/` holding a small project:
+ * - `src/`: the files to compile, in the order of their paths.
+ * - `.casperctxrc.json` (optional): the plugin configuration.
+ * - `output.js`: every compiled file, then the generated context module and the warnings, or
+ * - `error.txt`: a message the compilation must fail with.
+ *
+ * Run `UPDATE_FIXTURES=1 npm test` to rewrite the `output.js` files from the current plugin.
+ */
+
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+const COMPILER = path.join(__dirname, 'compileFixture.js');
+
+/**
+ * Lists the fixtures of the suite.
+ *
+ * @returns {Array<{name: string, dir: string}>} Each fixture, named `<feature>/<case>`, sorted.
+ */
+function listFixtures () {
+    return fs.readdirSync(FIXTURES_DIR, { withFileTypes: true })
+        .filter(feature => feature.isDirectory())
+        .flatMap(feature => fs.readdirSync(path.join(FIXTURES_DIR, feature.name), { withFileTypes: true })
+            .filter(fixture => fixture.isDirectory())
+            .map(fixture => ({
+                name: `${feature.name}/${fixture.name}`,
+                dir: path.join(FIXTURES_DIR, feature.name, fixture.name)
+            })))
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Compiles a fixture from a temporary copy of it.
+ *
+ * @param {string} dir - The fixture directory.
+ *
+ * @returns {{status: number|null, stdout: string, stderr: string}} The result of the compilation.
+ */
+function compileFixture (dir) {
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'casper-fixture-'));
+    try {
+        fs.cpSync(path.join(dir, 'src'), path.join(workDir, 'src'), { recursive: true });
+        const config = path.join(dir, '.casperctxrc.json');
+        if (fs.existsSync(config)) fs.copyFileSync(config, path.join(workDir, '.casperctxrc.json'));
+        const { status, stdout, stderr } = spawnSync(process.execPath, [COMPILER], {
+            cwd: workDir,
+            encoding: 'utf8',
+            timeout: 60000
+        });
+        return { status, stdout, stderr };
+    } finally {
+        fs.rmSync(workDir, { recursive: true, force: true });
+    }
+}
+
+module.exports = { listFixtures, compileFixture };
@@ -0,0 +1,33 @@
+/**
+ * @fileoverview Transform Tests.
+ * Compiles every fixture (see `helpers/fixtures.js`) and compares the result with the
+ * expected output, or checks the error it fails with.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { listFixtures, compileFixture } = require('./helpers/fixtures');
+
+const update = Boolean(process.env.UPDATE_FIXTURES);
+
+listFixtures().forEach(({ name, dir }) => {
+    test(name, () => {
+        const { status, stdout, stderr } = compileFixture(dir);
+        const errorFile = path.join(dir, 'error.txt');
+        if (fs.existsSync(errorFile)) {
+            assert.notStrictEqual(status, 0, 'the compilation should fail');
+            assert.ok(
+                stderr.includes(fs.readFileSync(errorFile, 'utf8').trim()),
+                `expected the error of ${path.relative(process.cwd(), errorFile)}, got:\n${stderr}`
+            );
+            return;
+        }
+        assert.strictEqual(status, 0, stderr);
+        const outputFile = path.join(dir, 'output.js');
+        if (update) fs.writeFileSync(outputFile, stdout);
+        assert.ok(fs.existsSync(outputFile), `missing ${path.relative(process.cwd(), outputFile)}; run with UPDATE_FIXTURES=1 to create it`);
+        assert.strictEqual(stdout, fs.readFileSync(outputFile, 'utf8'));
+    });
+});
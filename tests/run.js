@@ -0,0 +1,28 @@
+/**
+ * @fileoverview Test Runner.
+ * Runs every `*.test.js` file under `tests/` once with the Node test runner. The
+ * tests load the plugin and the runtime from `dist/`, which `npm test` builds first.
+ */
+
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Lists the test files below a directory, fixtures excluded.
+ *
+ * @param {string} dir - The directory to search.
+ *
+ * @returns {string[]} The paths of the `*.test.js` files, sorted.
+ */
+function findTestFiles (dir) {
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) return entry.name === 'fixtures' ? [] : findTestFiles(entryPath);
+        return entry.name.endsWith('.test.js') ? [entryPath] : [];
+    }).sort();
+}
+
+const files = findTestFiles(__dirname);
+const result = spawnSync(process.execPath, ['--test', ...files], { stdio: 'inherit' });
+process.exit(result.status === null ? 1 : result.status);
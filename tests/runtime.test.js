@@ -0,0 +1,328 @@
+/**
+ * @fileoverview Runtime Tests.
+ * Exercises the built runtime (`dist/runtime`) outside React: stores stand in for the
+ * state of compiled components.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const runtime = require('../dist/runtime/index.js');
+
+/**
+ * Subscribes to a store and records every state it publishes.
+ *
+ * @param {Object} store - A store created by `createStore`.
+ *
+ * @returns {Object[]} The published states, in order.
+ */
+function recordStates (store) {
+    const states = [];
+    store.subscribe(() => states.push(store.getState()));
+    return states;
+}
+
+test('settleState: assigning an equal value publishes nothing', () => {
+    const store = runtime.createStore({ _$_count: 1, _$_name: 'a' });
+    const states = recordStates(store);
+    const before = store.getState();
+    store.setState(prevState => ({ ...prevState, _$_count: 1 }));
+    assert.strictEqual(states.length, 0);
+    assert.strictEqual(store.getState(), before);
+});
+
+test('settleState: unchanged variables keep their previous value', () => {
+    const user = { name: 'Ann' };
+    const store = runtime.createStore({ _$_user: user, _$_count: 0 }, { _$_user: runtime.shallowEqual });
+    const states = recordStates(store);
+    store.setState(prevState => ({ ...prevState, _$_user: { name: 'Ann' }, _$_count: 1 }));
+    assert.strictEqual(states.length, 1);
+    assert.strictEqual(store.getState()._$_user, user);
+    assert.strictEqual(store.getState()._$_count, 1);
+});
+
+test('settleState: equality functions only apply to their own variable', () => {
+    const store = runtime.createStore({ _$_user: { name: 'Ann' }, _$_tags: ['a'] }, { _$_user: runtime.shallowEqual });
+    const states = recordStates(store);
+    store.setState(prevState => ({ ...prevState, _$_user: { name: 'Ann' } }));
+    assert.strictEqual(states.length, 0);
+    store.setState(prevState => ({ ...prevState, _$_tags: ['a'] }));
+    assert.strictEqual(states.length, 1);
+});
+
+test('batch: holds the updates until the callback returns, then publishes once', () => {
+    const store = runtime.createStore({ _$_a: 0, _$_b: 0 });
+    const states = recordStates(store);
+    runtime.batch(() => {
+        store.setState(prevState => ({ ...prevState, _$_a: 1 }));
+        store.setState(prevState => ({ ...prevState, _$_b: prevState._$_a + 1 }));
+        assert.strictEqual(states.length, 0);
+        assert.deepStrictEqual(runtime.latest(store.setState), { _$_a: 1, _$_b: 2 });
+    });
+    assert.deepStrictEqual(states, [{ _$_a: 1, _$_b: 2 }]);
+});
+
+test('batch: nested batches apply their updates when the outermost one ends', () => {
+    const store = runtime.createStore({ _$_a: 0 });
+    const states = recordStates(store);
+    runtime.batch(() => {
+        runtime.batch(() => store.setState(prevState => ({ ...prevState, _$_a: 1 })));
+        assert.strictEqual(states.length, 0);
+        store.setState(prevState => ({ ...prevState, _$_a: prevState._$_a + 1 }));
+    });
+    assert.deepStrictEqual(states, [{ _$_a: 2 }]);
+});
+
+test('batch: the updates are applied when the callback throws', () => {
+    const store = runtime.createStore({ _$_a: 0 });
+    assert.throws(() => runtime.batch(() => {
+        store.setState(prevState => ({ ...prevState, _$_a: 1 }));
+        throw new Error('boom');
+    }), /boom/);
+    assert.strictEqual(store.getState()._$_a, 1);
+});
+
+test('batch: an async callback only holds its own updates', async () => {
+    const store = runtime.createStore({ _$_a: 0, _$_b: 0 });
+    const states = recordStates(store);
+    let resume;
+    const waiting = new Promise(resolve => {
+        resume = resolve;
+    });
+    // The callback as the plugin compiles it (see `currentBatch`).
+    const done = runtime.batch(async () => {
+        const _batch = runtime.currentBatch();
+        try {
+            store.setState(prevState => ({ ...prevState, _$_a: 1 }));
+            _batch.enter(await _batch.leave(waiting));
+            store.setState(prevState => ({ ...prevState, _$_a: prevState._$_a + 1 }));
+        } finally {
+            _batch.leave();
+        }
+    });
+    store.setState(prevState => ({ ...prevState, _$_b: 1 }));
+    assert.deepStrictEqual(states, [{ _$_a: 0, _$_b: 1 }]);
+    resume();
+    await done;
+    assert.deepStrictEqual(states, [{ _$_a: 0, _$_b: 1 }, { _$_a: 2, _$_b: 1 }]);
+});
+
+test('batch: ending does not undo the writes made while it waited', async () => {
+    const store = runtime.createStore({ _$_a: 0, _$_b: 0 });
+    let resume;
+    const waiting = new Promise(resolve => {
+        resume = resolve;
+    });
+    const done = runtime.batch(async () => {
+        const _batch = runtime.currentBatch();
+        try {
+            store.setState(prevState => ({ ...prevState, _$_a: 1 }));
+            _batch.enter(await _batch.leave(waiting));
+        } finally {
+            _batch.leave();
+        }
+    });
+    store.setState(prevState => ({ ...prevState, _$_b: 1 }));
+    resume();
+    await done;
+    assert.deepStrictEqual(store.getState(), { _$_a: 1, _$_b: 1 });
+});
+
+test('batch: a rejected callback still applies its updates', async () => {
+    const store = runtime.createStore({ _$_a: 0 });
+    await assert.rejects(runtime.batch(async () => {
+        store.setState(prevState => ({ ...prevState, _$_a: 1 }));
+        throw new Error('boom');
+    }), /boom/);
+    assert.strictEqual(store.getState()._$_a, 1);
+});
+
+/**
+ * Stands in for React in the hooks of the runtime: `useState` returns its initial state and a
+ * setter recording what it receives, and nothing re-renders.
+ *
+ * @param {Array} updates - Receives the updates handed to the `useState` setters.
+ *
+ * @returns {{useState: function}} The fake React namespace.
+ */
+function fakeReact (updates) {
+    return {
+        useState: initialState => [
+            typeof initialState === 'function' ? initialState() : initialState,
+            update => updates.push(update)
+        ]
+    };
+}
+
+test('latest: reads the state a store setter last led to', () => {
+    const store = runtime.createStore({ _$_count: 0 });
+    store.setState(prevState => ({ ...prevState, _$_count: prevState._$_count + 1 }));
+    assert.strictEqual(runtime.latest(store.setState, {})._$_count, 1);
+});
+
+test('latest: sees the writes of a component before it re-renders', () => {
+    const updates = [];
+    const [state, setState] = runtime.useScopeState(fakeReact(updates), () => ({ _$_count: 0 }));
+    setState(prevState => ({ ...prevState, _$_count: prevState._$_count + 1 }));
+    setState(prevState => ({ ...prevState, _$_count: prevState._$_count + 1 }));
+    assert.strictEqual(state._$_count, 0);
+    assert.strictEqual(runtime.latest(setState, state)._$_count, 2);
+    assert.strictEqual(updates.length, 2);
+});
+
+test('latest: returns the rendered state for other setters', () => {
+    const state = { _$_count: 3 };
+    assert.strictEqual(runtime.latest(undefined, state), state);
+    assert.strictEqual(runtime.latest(() => {}, state), state);
+});
+
+/**
+ * Stands in for a mounted class component declaring casper variables: `setState` merges the update
+ * and runs `componentDidUpdate`, as React would once it committed it.
+ *
+ * @param {string} key - The registry key of the declaring scope.
+ * @param {Object} state - The initial casper state.
+ *
+ * @returns {Object} The instance, bound to `key` (see `bindInstanceScope`) and not mounted yet.
+ */
+function fakeInstance (key, state) {
+    const instance = {
+        state,
+        setState (updater) {
+            this.state = { ...this.state, ...(typeof updater === 'function' ? updater(this.state) : updater) };
+            this.componentDidUpdate();
+        }
+    };
+    runtime.bindInstanceScope(instance, key);
+    return instance;
+}
+
+/**
+ * Runs a function and collects the warnings it prints.
+ *
+ * @param {function(): void} callback - The code to run.
+ *
+ * @returns {string[]} The warnings.
+ */
+function collectWarnings (callback) {
+    const warnings = [];
+    const { warn } = console;
+    console.warn = message => warnings.push(message);
+    try {
+        callback();
+    } finally {
+        console.warn = warn;
+    }
+    return warnings;
+}
+
+test('get / set: reach the mounted declaring scope until it unmounts', () => {
+    const instance = fakeInstance('Cart_0001', { _$_cartItems: [] });
+    assert.strictEqual(runtime.get('_$_cartItems'), undefined);
+    instance.componentDidMount();
+    assert.deepStrictEqual(runtime.get('_$_cartItems'), []);
+    runtime.set('_$_cartItems', items => [...items, 'book']);
+    assert.deepStrictEqual(instance.state._$_cartItems, ['book']);
+    assert.deepStrictEqual(runtime.getScope('Cart_0001').getState(), { _$_cartItems: ['book'] });
+    instance.componentWillUnmount();
+    assert.strictEqual(runtime.get('_$_cartItems'), undefined);
+});
+
+test('get / set: the most recently mounted instance is used', () => {
+    const first = fakeInstance('Tab_0002', { _$_tab: 'first' });
+    const second = fakeInstance('Tab_0002', { _$_tab: 'second' });
+    first.componentDidMount();
+    second.componentDidMount();
+    assert.strictEqual(runtime.get('_$_tab'), 'second');
+    runtime.getScope('Tab_0002').setState(prevState => ({ ...prevState, _$_tab: 'changed' }));
+    assert.strictEqual(first.state._$_tab, 'first');
+    assert.strictEqual(second.state._$_tab, 'changed');
+    second.componentWillUnmount();
+    assert.strictEqual(runtime.get('_$_tab'), 'first');
+    first.componentWillUnmount();
+});
+
+test('get / set: writes while nothing is mounted are dropped with a warning', () => {
+    const warnings = collectWarnings(() => {
+        runtime.set('_$_nobody', 1);
+        runtime.getScope('Nobody_0003').setState(prevState => ({ ...prevState, _$_nobody: 1 }));
+    });
+    assert.strictEqual(runtime.get('_$_nobody'), undefined);
+    assert.deepStrictEqual(runtime.getScope('Nobody_0003').getState(), {});
+    assert.strictEqual(warnings.length, 2);
+    assert.match(warnings[0], /_\$_nobody is not declared by a mounted component or a module/);
+    assert.match(warnings[1], /Nobody_0003 is not mounted/);
+});
+
+test('get / set: module-level variables live in the root store', () => {
+    const store = runtime.createRootStore({ _$_token: 'none' });
+    assert.strictEqual(runtime.get('_$_token'), 'none');
+    runtime.set('_$_token', 'abc');
+    assert.strictEqual(store.getState()._$_token, 'abc');
+});
+
+test('subscribe: reports committed changes, mounting and unmounting', () => {
+    const instance = fakeInstance('User_0004', { _$_user: 'ann' });
+    const values = [];
+    const stop = runtime.subscribe('_$_user', value => values.push(value));
+    instance.componentDidMount();
+    runtime.set('_$_user', 'bob');
+    runtime.set('_$_user', 'bob');
+    instance.componentWillUnmount();
+    stop();
+    instance.componentDidMount();
+    assert.deepStrictEqual(values, ['ann', 'bob', undefined]);
+    instance.componentWillUnmount();
+});
+
+/**
+ * Renders `useStoreState` the way React would: the ref persists between renders and
+ * `useSyncExternalStore` returns the snapshot of the moment.
+ *
+ * @param {Object} store - A store created by `createStore`.
+ * @param {string[]} names - The variables the component reads.
+ *
+ * @returns {function(): Array} Renders the hook once more and returns its `[state, setState]`.
+ */
+function renderStoreState (store, names) {
+    const ref = { current: null };
+    const React = {
+        useRef: () => ref,
+        useSyncExternalStore: (subscribe, getSnapshot) => getSnapshot()
+    };
+    return () => runtime.useStoreState(React, store, names);
+}
+
+test('useStoreState: the snapshot only changes with the listed variables', () => {
+    const store = runtime.createStore({ _$_count: 0, _$_theme: 'dark' });
+    const render = renderStoreState(store, ['_$_count']);
+    const [first, setState] = render();
+    assert.strictEqual(setState, store.setState);
+    store.setState(prevState => ({ ...prevState, _$_theme: 'light' }));
+    assert.strictEqual(render()[0], first);
+    store.setState(prevState => ({ ...prevState, _$_count: 1 }));
+    const [second] = render();
+    assert.notStrictEqual(second, first);
+    assert.deepStrictEqual(second, { _$_count: 1, _$_theme: 'light' });
+});
+
+test('useStoreState: with no names the snapshot never changes', () => {
+    const store = runtime.createStore({ _$_count: 0 });
+    const render = renderStoreState(store, []);
+    const [first] = render();
+    store.setState(prevState => ({ ...prevState, _$_count: 1 }));
+    assert.strictEqual(render()[0], first);
+});
+
+test('useScopeStore: creates the store once and keeps it between renders', () => {
+    let slot;
+    const React = {
+        useState: initialState => {
+            if (!slot) slot = [typeof initialState === 'function' ? initialState() : initialState, () => {}];
+            return slot;
+        }
+    };
+    const store = runtime.useScopeStore(React, { _$_count: 0 });
+    store.setState(prevState => ({ ...prevState, _$_count: 1 }));
+    assert.strictEqual(runtime.useScopeStore(React, { _$_count: 0 }), store);
+    assert.strictEqual(store.getState()._$_count, 1);
+});